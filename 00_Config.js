@@ -8,6 +8,9 @@ const BANNED_ARCHIVE_ID = PROPS.getProperty('BANNED_ARCHIVE_ID'); // optional; i
 const BANNED_SHEET_NAME_PRIMARY = 'BANNEDEmailList';
 const BANNED_SHEET_NAME_FALLBACK = 'BannedEmailList';
 
+// Shopify Admin API version used by every REST and GraphQL call (keep inside Shopify's 12-month support window)
+const SHOPIFY_API_VERSION = '2026-07';
+
 // ====== RAW HEADERS ======
 const SQUARESPACE_ORDER_HEADERS = [
   "Order ID", "Order Number", "Created On", "Modified On", "Channel", "Test Mode", "Customer Email",
@@ -20,7 +23,8 @@ const SQUARESPACE_ORDER_HEADERS = [
   "Grand Total Currency", "Grand Total Value", "LineItem ID", "LineItem SKU", "LineItem Weight", "LineItem Width",
   "LineItem Length", "LineItem Height", "LineItem Product ID", "LineItem Product Name", "LineItem Quantity",
   "LineItem Unit Price Currency", "LineItem Unit Price Value", "LineItem Customizations", "LineItem Type",
-  "Shipping Lines (All)", "Discount Lines (All)"
+  "Shipping Lines (All)", "Discount Lines (All)",
+  "Line Status" // "Removed" when the line no longer comes back for its order (set by upsert import)
 ];
 
 // Clean, non-duplicated Shopify headers (aligned to row writes)
@@ -75,7 +79,23 @@ const SHOPIFY_ORDER_HEADERS = [
   "Discount Codes",
   "Shipping Method",
   "Created At (Local)",
-  "Processed At (Local)"
+  "Processed At (Local)",
+  "Line Status", // "Removed" when an order edit dropped the line (set by upsert import)
+  "Store"        // Shopify_Stores label of the shop the order came from (04_Shopify.js)
+];
+
+// WooCommerce REST v3 orders, one row per line item (see 24_WooCommerce.js)
+const WOOCOMMERCE_ORDER_HEADERS = [
+  "Order ID", "Order Number", "Status", "Date Created", "Date Paid", "Date Modified", "Currency",
+  "Total", "Total Tax", "Discount Total", "Shipping Total", "Refunded Total", "Payment Method",
+  "Customer ID", "Customer Email", "Billing First Name", "Billing Last Name", "Billing Company",
+  "Billing Address1", "Billing Address2", "Billing City", "Billing State", "Billing Postcode",
+  "Billing Country", "Billing Phone", "Shipping First Name", "Shipping Last Name", "Shipping Address1",
+  "Shipping Address2", "Shipping City", "Shipping State", "Shipping Postcode", "Shipping Country",
+  "Coupon Codes", "Shipping Method", "Customer Note", "LineItem ID", "LineItem Product ID",
+  "LineItem Variation ID", "LineItem Name", "LineItem SKU", "LineItem Quantity", "LineItem Subtotal",
+  "LineItem Total", "LineItem Tax",
+  "Line Status" // "Removed" when the line no longer comes back for its order (set by upsert import)
 ];
 
 // ====== SHEET NAMES ======
@@ -102,7 +122,13 @@ const CLEAN_HEADERS = [
   "financial_status",
   "fulfillment_status",
   "tags",
-  "source_sheet"
+  "source_sheet",
+  "store", // Shopify store label; the platform name for single-store sources
+  "order_processing_fee", // Shopify Payments fees (Shopify_Payouts); first line of the order only
+  "unit_cost", // Product_Catalog cost by SKU; blank when unknown
+  "line_cogs", // unit_cost × quantity; blank when unknown
+  "product_canonical", // Product_Map canonical product; blank when unmapped
+  "category"           // Product_Map category; blank when unmapped
 ];
 
 const SUMMARY_SHEET = "Orders_Summary_Report";
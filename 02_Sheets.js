@@ -110,7 +110,7 @@ function getOrCreateSheetWithHeaders(sheetName, headers) {
   return fresh;
 }
 
-function deduplicateSheet(sheetName, headers) {
+function deduplicateSheet(sheetName, headers, lineIdHeader) {
   const sheet = getOrCreateSheetWithHeaders(sheetName, headers);
   const data = sheet.getDataRange().getValues();
   if (data.length < 2) return;
@@ -118,46 +118,334 @@ function deduplicateSheet(sheetName, headers) {
   const headerRow = data[0].map(h => String(h || '').trim());
   const idCol = headerRow.indexOf('Order ID');
 
-  let keyCol, keyLabel;
-  if (sheetName === 'Shopify Orders') {
-    keyCol = headerRow.indexOf('Lineitem ID');
-    keyLabel = 'Lineitem ID';
-  } else {
-    keyCol = headerRow.indexOf('LineItem ID');
-    keyLabel = 'LineItem ID';
-  }
+  const keyLabel = lineIdHeader || (sheetName === 'Shopify Orders' ? 'Lineitem ID' : 'LineItem ID');
+  const keyCol = headerRow.indexOf(keyLabel);
 
   if (idCol === -1 || keyCol === -1) {
     throw new Error(`Deduplication failed: Could not find "Order ID" and "${keyLabel}" columns for ${sheetName}.`);
   }
 
   const seen = new Set();
-  const rowsToKeep = [data[0]];
+  const byOrder = new Map(); // orderId -> rows, in order of first appearance
   let duplicatesFound = 0;
+  let scattered = 0;
+  let prevOrderId = null;
 
   for (let i = 1; i < data.length; i++) {
-    const key = String(data[i][idCol] || "") + '::' + String(data[i][keyCol] || "");
-    if (!seen.has(key)) {
-      rowsToKeep.push(data[i]);
-      seen.add(key);
-    } else {
+    const orderId = String(data[i][idCol] || "");
+    const key = orderId + '::' + String(data[i][keyCol] || "");
+    if (seen.has(key)) {
       duplicatesFound++;
+      continue;
     }
+    seen.add(key);
+
+    // A line away from the rest of its order (appended by an older import) is cleaned as
+    // a separate order; move it back next to the others
+    if (byOrder.has(orderId) && orderId !== prevOrderId) scattered++;
+    if (!byOrder.has(orderId)) byOrder.set(orderId, []);
+    byOrder.get(orderId).push(data[i]);
+    prevOrderId = orderId;
   }
 
-  // Only rewrite if duplicates were found (saves time)
-  if (duplicatesFound > 0) {
+  // Only rewrite if something changed (saves time)
+  if (duplicatesFound > 0 || scattered > 0) {
+    const rowsToKeep = [data[0]];
+    byOrder.forEach(rows => rows.forEach(row => rowsToKeep.push(row)));
+
     sheet.clearContents();
     sheet.getRange(1, 1, rowsToKeep.length, rowsToKeep[0].length).setValues(rowsToKeep);
-    logProgress(sheetName, `Removed ${duplicatesFound} duplicate rows`, false);
+    logProgress(sheetName, `Removed ${duplicatesFound} duplicate rows, regrouped ${scattered} lines with their orders`, false);
   }
 }
 
 function deduplicateAllOrders() {
-  deduplicateSheet('Shopify Orders', SHOPIFY_ORDER_HEADERS);
-  deduplicateSheet('Squarespace Orders', SQUARESPACE_ORDER_HEADERS);
+  getConnectors_().forEach(conn => deduplicateSheet(conn.ordersSheet, conn.orderHeaders, conn.lineIdHeader));
   logImportEvent('Deduplication', 'All orders deduplicated');
   SpreadsheetApp.getActiveSpreadsheet().toast('✅ Deduplication complete', 'Dedup', 5);
   return "Deduplication complete";
 }
 
+
+/**
+ * Upserts raw order line rows into a platform sheet keyed by Order ID + line ID.
+ * An existing line is rewritten only when the incoming modified timestamp is newer
+ * than the stored one. Lines that disappear from a fetched order (order edits) are
+ * flagged as orphaned in the status column instead of being deleted. A line added to an
+ * order already on file is inserted right after the order's last row: the clean build
+ * groups contiguous rows by Order ID, so a line appended at the end would be cleaned as a
+ * second order and repeat the order totals. Such lines are queued and spliced in by commit(),
+ * which rewrites the sheet once from the first insertion down.
+ *
+ * The sheet is read here and rewritten by commit(): callers hold the script lock from
+ * creation to the last commit() so a webhook or trigger cannot write in between.
+ *
+ * With numberHeader set, lines from a CSV export (line IDs "csv-N", see 25_CsvImport.js) are
+ * superseded by the API: once an order with the same order number is applied, its CSV lines
+ * are flagged orphaned too, whatever Order ID the export filed them under. Order numbers are
+ * per shop, so with storeHeader set they only match within the same store (blank = defaultStore).
+ *
+ * cfg: { idHeader, lineHeader, modifiedHeader, statusHeader, numberHeader, storeHeader, defaultStore }
+ * Usage: const up = createOrderUpserter_(...); up.applyOrder(orderId, rows); up.commit();
+ * storedModifiedAt(orderId) lets callers drop snapshots older than what is already on file.
+ * commit() can be called more than once (e.g. after every page).
+ * stats.fieldChanges counts, per header, how many updated lines actually changed that field.
+ */
+function createOrderUpserter_(sheetName, headers, cfg) {
+  const ORPHANED = "Removed";
+
+  const sheet = getOrCreateSheetWithHeaders(sheetName, headers);
+  const width = headers.length;
+  const lastRow = sheet.getLastRow();
+
+  const rows = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, width).getValues()
+    : [];
+
+  const idCol = headers.indexOf(cfg.idHeader);
+  const lineCol = headers.indexOf(cfg.lineHeader);
+  const modCol = headers.indexOf(cfg.modifiedHeader);
+  const statusCol = cfg.statusHeader ? headers.indexOf(cfg.statusHeader) : -1;
+  const numberCol = cfg.numberHeader ? headers.indexOf(cfg.numberHeader) : -1;
+  const storeCol = cfg.storeHeader ? headers.indexOf(cfg.storeHeader) : -1;
+  const csvKey_ = row => {
+    const num = csvOrderNumber_(row[numberCol]);
+    if (!num) return '';
+    return (storeCol >= 0 ? s_(row[storeCol]) || s_(cfg.defaultStore) : '') + '|' + num;
+  };
+
+  if (idCol === -1 || lineCol === -1 || modCol === -1) {
+    throw new Error(`${sheetName} missing required columns: "${cfg.idHeader}", "${cfg.lineHeader}" and/or "${cfg.modifiedHeader}"`);
+  }
+
+  const index = new Map();      // orderId_lineId -> row index (0-based, data rows only)
+  const orderLines = new Map(); // orderId -> Set of keys
+  const csvLines = new Map();   // store|order number -> Set of keys of CSV-imported lines
+  for (let i = 0; i < rows.length; i++) {
+    const oid = s_(rows[i][idCol]);
+    const lid = s_(rows[i][lineCol]);
+    if (!oid || !lid) continue;
+    const key = oid + '_' + lid;
+    if (index.has(key)) continue;
+    index.set(key, i);
+    if (!orderLines.has(oid)) orderLines.set(oid, new Set());
+    orderLines.get(oid).add(key);
+
+    if (numberCol >= 0 && /^csv-/.test(lid)) {
+      const ck = csvKey_(rows[i]);
+      if (!ck) continue;
+      if (!csvLines.has(ck)) csvLines.set(ck, new Set());
+      csvLines.get(ck).add(key);
+    }
+  }
+
+  let persisted = rows.length;
+  const dirty = new Set();
+  const queuedAfter = new Map(); // row index -> keys of lines to insert after it (in order)
+  const queuedRows = new Map();  // key -> row of a queued line, until commit() splices it in
+  const stats = { inserted: 0, updated: 0, unchanged: 0, orphaned: 0, fieldChanges: {} };
+
+  function normalize_(row) {
+    const out = row.slice(0, width);
+    while (out.length < width) out.push("");
+    return out;
+  }
+
+  function applyOrder(orderId, lineRows) {
+    const oid = s_(orderId);
+    if (!oid) return;
+
+    const seen = new Set();
+    if (!orderLines.has(oid)) orderLines.set(oid, new Set());
+    const known = orderLines.get(oid);
+
+    lineRows.forEach(raw => {
+      const row = normalize_(raw);
+      const lid = s_(row[lineCol]);
+      if (!lid) return;
+      const key = oid + '_' + lid;
+      seen.add(key);
+
+      if (!index.has(key) && !queuedRows.has(key)) {
+        insertLine_(key, known, row);
+        stats.inserted++;
+        return;
+      }
+
+      const stored = rowOf_(key);
+      const storedMod = asDate_(stored[modCol]);
+      const incomingMod = asDate_(row[modCol]);
+      const wasOrphaned = statusCol >= 0 && s_(stored[statusCol]) === ORPHANED;
+
+      if (!wasOrphaned && storedMod && (!incomingMod || incomingMod.getTime() <= storedMod.getTime())) {
+        stats.unchanged++;
+        return;
+      }
+
+      for (let c = 0; c < width; c++) {
+        if (c === modCol || cellsEqual_(stored[c], row[c])) continue;
+        stats.fieldChanges[headers[c]] = (stats.fieldChanges[headers[c]] || 0) + 1;
+      }
+
+      if (queuedRows.has(key)) {
+        queuedRows.set(key, row);
+      } else {
+        const i = index.get(key);
+        rows[i] = row;
+        if (i < persisted) dirty.add(i);
+      }
+      stats.updated++;
+    });
+
+    // Lines we have on file that Shopify/Squarespace no longer returns for this order
+    known.forEach(key => {
+      if (!seen.has(key)) orphan_(key);
+    });
+
+    // CSV-imported lines for the same store + order number (filed under the order number, not the API ID)
+    const ck = numberCol >= 0 && lineRows.length ? csvKey_(lineRows[0]) : '';
+    if (ck && csvLines.has(ck)) {
+      csvLines.get(ck).forEach(key => {
+        if (!seen.has(key) && !known.has(key)) orphan_(key);
+      });
+    }
+  }
+
+  function rowOf_(key) {
+    return queuedRows.has(key) ? queuedRows.get(key) : rows[index.get(key)];
+  }
+
+  function orphan_(key) {
+    if (statusCol >= 0) {
+      const row = rowOf_(key);
+      if (s_(row[statusCol]) === ORPHANED) return;
+      row[statusCol] = ORPHANED;
+      const i = index.get(key);
+      if (!queuedRows.has(key) && i < persisted) dirty.add(i);
+    }
+    stats.orphaned++;
+  }
+
+  /**
+   * Adds a line after the last row of its order (at the end for a new order). Mid-sheet
+   * lines are queued behind that row; lines queued earlier stay ahead of it.
+   */
+  function insertLine_(key, known, row) {
+    let last = -1;
+    known.forEach(k => { if (index.has(k) && index.get(k) > last) last = index.get(k); });
+
+    if (last === -1 || last === rows.length - 1) {
+      rows.push(row);
+      index.set(key, rows.length - 1);
+    } else {
+      if (!queuedAfter.has(last)) queuedAfter.set(last, []);
+      queuedAfter.get(last).push(key);
+      queuedRows.set(key, row);
+    }
+    known.add(key);
+  }
+
+  /**
+   * Splices the queued lines into rows in one pass and re-indexes the rows that moved.
+   * Returns the first row index that moved, or Infinity when nothing was queued.
+   */
+  function spliceQueued_() {
+    if (!queuedAfter.size) return Infinity;
+
+    let from = Infinity;
+    queuedAfter.forEach((_, i) => { if (i + 1 < from) from = i + 1; });
+
+    const pushQueued = i => (queuedAfter.get(i) || []).forEach(k => {
+      index.set(k, rows.length);
+      rows.push(queuedRows.get(k));
+    });
+
+    const tail = rows.splice(from);
+    pushQueued(from - 1);
+    tail.forEach((row, t) => {
+      const key = s_(row[idCol]) + '_' + s_(row[lineCol]);
+      if (index.get(key) === from + t) index.set(key, rows.length); // not for duplicate rows
+      rows.push(row);
+      pushQueued(from + t);
+    });
+
+    queuedAfter.clear();
+    queuedRows.clear();
+    return from;
+  }
+
+  /**
+   * Newest stored modified timestamp across an order's lines (null if the order is not on file).
+   */
+  function storedModifiedAt(orderId) {
+    let latest = null;
+    (orderLines.get(s_(orderId)) || new Set()).forEach(key => {
+      latest = laterDate_(latest, rowOf_(key)[modCol]);
+    });
+    return latest;
+  }
+
+  function commit() {
+    // Lines inserted mid-sheet: everything from the first insertion down moves down
+    let rewriteFrom = spliceQueued_();
+    if (rewriteFrom < persisted) {
+      dirty.forEach(i => { if (i < rewriteFrom) rewriteFrom = i; });
+      sheet.getRange(rewriteFrom + 2, 1, rows.length - rewriteFrom, width).setValues(rows.slice(rewriteFrom));
+      dirty.clear();
+      persisted = rows.length;
+      return stats;
+    }
+
+    // Changed existing rows: one write spanning first..last dirty row
+    if (dirty.size) {
+      let min = Infinity, max = -1;
+      dirty.forEach(i => { if (i < min) min = i; if (i > max) max = i; });
+      sheet.getRange(min + 2, 1, max - min + 1, width).setValues(rows.slice(min, max + 1));
+      dirty.clear();
+    }
+
+    // New rows: one append
+    if (rows.length > persisted) {
+      sheet.getRange(persisted + 2, 1, rows.length - persisted, width).setValues(rows.slice(persisted));
+      persisted = rows.length;
+    }
+
+    return stats;
+  }
+
+  return { sheet, stats, applyOrder, storedModifiedAt, commit };
+}
+
+/**
+ * Compares a stored sheet cell with an incoming API value.
+ * Sheets turns ISO strings into Dates and "10.00" into 10, so compare loosely.
+ */
+function cellsEqual_(a, b) {
+  const sa = s_(a);
+  const sb = s_(b);
+  if (sa === sb) return true;
+  if (!sa || !sb) return false;
+
+  const isDate = v => Object.prototype.toString.call(v) === "[object Date]";
+  if (isDate(a) || isDate(b)) {
+    const da = asDate_(a);
+    const db = asDate_(b);
+    return !!(da && db && da.getTime() === db.getTime());
+  }
+
+  const numeric = /^-?\d+(\.\d+)?$/;
+  if (numeric.test(sa) && numeric.test(sb)) return Number(sa) === Number(sb);
+
+  // Booleans come back as TRUE/FALSE
+  return sa.toLowerCase() === sb.toLowerCase();
+}
+
+/**
+ * Formats stats.fieldChanges as "Field ×n, Field ×n" (most-changed first).
+ */
+function formatFieldChanges_(fieldChanges) {
+  const entries = Object.keys(fieldChanges || {}).map(k => [k, fieldChanges[k]]);
+  if (!entries.length) return "no field changes";
+  entries.sort((a, b) => b[1] - a[1]);
+  return entries.map(e => `${e[0]} ×${e[1]}`).join(", ");
+}
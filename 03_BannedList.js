@@ -10,7 +10,7 @@ const BANNED_EMAILS_SHEET_NAME = 'Banned_Emails';
 
 /**
  * Loads banned emails/domains from the Banned_Emails tab in the current spreadsheet.
- * Always includes dirtlegal.com as a hardcoded banned domain.
+ * Always includes the always-on email rules of Exclusion_Rules (e.g. the dirtlegal.com domain).
  */
 function loadBannedList_() {
   // Return cached version if available
@@ -18,17 +18,18 @@ function loadBannedList_() {
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let bannedSheet = ss.getSheetByName(BANNED_EMAILS_SHEET_NAME);
+  const ruleEmails = getGlobalEmailExclusions_();
 
-  // If sheet doesn't exist, return just the hardcoded domain
+  // If sheet doesn't exist, return just the rule entries
   if (!bannedSheet) {
-    BANNED_LIST_CACHE_ = { exact: new Set(), domains: new Set(["dirtlegal.com"]) };
+    BANNED_LIST_CACHE_ = { exact: new Set(ruleEmails.exact.map(normalizeEmailForCompare_)), domains: new Set(ruleEmails.domains) };
     return BANNED_LIST_CACHE_;
   }
 
   const lastRow = bannedSheet.getLastRow();
   if (lastRow < 2) {
     // Only header row or empty
-    BANNED_LIST_CACHE_ = { exact: new Set(), domains: new Set(["dirtlegal.com"]) };
+    BANNED_LIST_CACHE_ = { exact: new Set(ruleEmails.exact.map(normalizeEmailForCompare_)), domains: new Set(ruleEmails.domains) };
     return BANNED_LIST_CACHE_;
   }
 
@@ -60,8 +61,9 @@ function loadBannedList_() {
       });
     });
 
-  // Always exclude @dirtlegal.com emails (internal company domain)
-  domains.add("dirtlegal.com");
+  // Always-on email rules from Exclusion_Rules (internal company domain, ...)
+  ruleEmails.exact.forEach(e => exact.add(normalizeEmailForCompare_(e)));
+  ruleEmails.domains.forEach(d => domains.add(d));
 
   BANNED_LIST_CACHE_ = { exact, domains };
   return BANNED_LIST_CACHE_;
@@ -173,12 +175,13 @@ function addToBannedList(emailOrDomain) {
 }
 
 /**
- * Removes all orders with banned emails AND banned products from All_Order_Clean.
+ * Removes all orders with banned emails AND lines matching Exclusion_Rules from All_Order_Clean.
  * This is faster than rebuilding the entire clean master.
- * Applies both email and product filters for truly clean data.
+ * Order-scope rules remove every line of a matching order, like the clean build.
  */
 function cleanBannedEmailsFromAllOrdersClean() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_(); // rewriting mid-build would shift the rows the build appends to
   const cleanSheet = ss.getSheetByName(CLEAN_OUTPUT_SHEET || 'All_Order_Clean');
 
   if (!cleanSheet) {
@@ -208,25 +211,65 @@ function cleanBannedEmailsFromAllOrdersClean() {
     throw new Error('product_name column not found in All_Order_Clean');
   }
 
-  // Filter out banned emails AND banned products
+  const rules = loadExclusionRules_();
+  const col = name => headers.indexOf(name);
+  const orderKey = row => `${row[col('platform')]}||${row[col('order_id')]}`;
+
+  // Clean row -> the line fields the rules read. order_net_revenue is only on an order's
+  // first line, so order rules see the order's total.
+  const orderNet = new Map();
+  for (let i = 1; i < data.length; i++) {
+    const key = orderKey(data[i]);
+    orderNet.set(key, (orderNet.get(key) || 0) + n_(data[i][col('order_net_revenue')]));
+  }
+  const subject = row => ({
+    orderDate: row[col('order_date')],
+    email: row[emailCol],
+    productName: row[productCol],
+    sku: col('sku') >= 0 ? row[col('sku')] : '',
+    tags: col('tags') >= 0 ? row[col('tags')] : '',
+    lineRevenue: col('line_revenue') >= 0 ? row[col('line_revenue')] : 0,
+    netRevenue: orderNet.get(orderKey(row)) || 0
+  });
+
+  // Orders hit by an order-scope rule lose every line
+  const excludedOrders = new Map(); // orderKey -> rule
+  for (let i = 1; i < data.length; i++) {
+    if (!s_(data[i][productCol]) || excludedOrders.has(orderKey(data[i]))) continue;
+    const rule = matchExclusionRule_(rules.order, data[i][col('platform')], subject(data[i]));
+    if (rule) excludedOrders.set(orderKey(data[i]), rule);
+  }
+
+  // Removed rows go to the Excluded_Lines audit trail
+  const at = (row, name) => (col(name) >= 0 ? row[col(name)] : '');
+  const excludedRow = (row, reason, ruleId) => [
+    at(row, 'platform'), at(row, 'order_id'), at(row, 'order_number'), at(row, 'order_date'),
+    row[productCol], at(row, 'sku'), row[emailCol], at(row, 'quantity'), at(row, 'line_revenue'),
+    reason, ruleId || '', at(row, 'store') || at(row, 'platform')
+  ];
+
+  // Filter out banned emails AND excluded lines
   const headerRow = [headers];
   const cleanRows = [];
+  const removedRows = [];
   let removedByEmail = 0;
-  let removedByProduct = 0;
+  let removedByRule = 0;
 
   for (let i = 1; i < data.length; i++) {
     const emailRaw = data[i][emailCol];
-    const productName = data[i][productCol];
 
     // Check banned email
     if (isBannedEmail_(emailRaw, banned)) {
+      removedRows.push(excludedRow(data[i], EXCLUSION_REASONS.BANNED_EMAIL));
       removedByEmail++;
       continue;
     }
 
-    // Check banned product
-    if (isBannedProduct_(productName)) {
-      removedByProduct++;
+    // Check exclusion rules
+    const rule = excludedOrders.get(orderKey(data[i])) || matchExclusionRule_(rules.line, data[i][col('platform')], subject(data[i]));
+    if (rule) {
+      removedRows.push(excludedRow(data[i], rule.reason, rule.id));
+      removedByRule++;
       continue;
     }
 
@@ -234,7 +277,7 @@ function cleanBannedEmailsFromAllOrdersClean() {
     cleanRows.push(data[i]);
   }
 
-  const totalRemoved = removedByEmail + removedByProduct;
+  const totalRemoved = removedByEmail + removedByRule;
 
   // Only rewrite if we removed something
   if (totalRemoved > 0) {
@@ -246,9 +289,13 @@ function cleanBannedEmailsFromAllOrdersClean() {
     cleanSheet.setFrozenRows(1);
     cleanSheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
 
+    // Row positions changed: the next incremental clean build starts over
+    invalidateCleanOrderIndex_();
+    appendExcludedLines_(removedRows);
+
     const details = [];
     if (removedByEmail > 0) details.push(`${removedByEmail} by banned emails`);
-    if (removedByProduct > 0) details.push(`${removedByProduct} by banned products`);
+    if (removedByRule > 0) details.push(`${removedByRule} by exclusion rules`);
 
     const msg = `✅ Removed ${totalRemoved} orders from All_Order_Clean (${details.join(', ')}).`;
     ss.toast(msg, 'Clean All_Order_Clean', 8);
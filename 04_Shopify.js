@@ -1,10 +1,15 @@
 // =====================================================
 // 04_Shopify.gs — Shopify imports + order data fetching
 // Features:
-// - fetchWithRetry_ (retries on 429/5xx with backoff)
+// - upsert import (updates changed orders in place, flags removed lines)
+// - HTTP via httpFetch_ (22_HttpClient.js: pacing, retries, typed errors)
 // - robust Link header parsing
 // - defensive row width handling when writing rows
+// - source connector + clean mapper (registered in 23_Connectors.js)
+// - several shops: Shopify_Stores sheet (label, domain, token property); one shared
+//   "Shopify Orders" sheet with a Store column, one sync cursor per store
 // Note: Refund imports are in 18_RefundsSheet.js
+// Note: GraphQL client + bulk order import are in 21_ShopifyGraphQL.js
 // =====================================================
 
 function computeShopifyRefundTotal_(order) {
@@ -29,6 +34,122 @@ function computeShopifyRefundTotal_(order) {
   return total || 0;
 }
 
+// ---------------------------
+// Stores (Shopify_Stores sheet)
+// Each row = one shop: label (written to the Store columns), shop domain and the name of the
+// Script Property holding its Admin API token (tokens never live in the sheet).
+// "Webhook Secret Property" names the Script Property with the shop's webhook signing secret
+// (blank on the primary store = SHOPIFY_WEBHOOK_SECRET); see 26_Webhooks.js.
+// The first active row is the primary store: it keeps the original "Shopify" sync cursor,
+// and rows imported before multi-store support (blank Store) belong to it.
+// Without the sheet, the single shop from SHOPIFY_SHOP_DOMAIN / SHOPIFY_API_KEY is used.
+// ---------------------------
+const SHOPIFY_STORES_SHEET_NAME = 'Shopify_Stores';
+const SHOPIFY_STORES_HEADERS = ['Store Label', 'Shop Domain', 'Token Property', 'Active', 'Notes', 'Webhook Secret Property'];
+const SHOPIFY_DEFAULT_STORE_LABEL = 'Main';
+
+let SHOPIFY_STORES_CACHE_ = null;
+
+/**
+ * Active stores: [{ label, domain, tokenProperty, webhookSecretProperty, syncKey, fromProps }], primary first.
+ */
+function getShopifyStores_() {
+  if (SHOPIFY_STORES_CACHE_) return SHOPIFY_STORES_CACHE_;
+
+  const stores = [];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHOPIFY_STORES_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const h = data[0].map(x => String(x || '').trim());
+    const col = name => h.indexOf(name);
+
+    for (let r = 1; r < data.length; r++) {
+      const row = data[r];
+      const label = s_(row[col('Store Label')]);
+      const domain = s_(row[col('Shop Domain')]).replace(/^https?:\/\//i, '').replace(/\/+$/, '');
+      if (!label || !domain) continue;
+      if (col('Active') >= 0 && s_(row[col('Active')]) !== '' && !truthy_(row[col('Active')])) continue;
+
+      if (stores.some(st => st.label.toLowerCase() === label.toLowerCase())) {
+        throw new Error(`Duplicate store label "${label}" in ${SHOPIFY_STORES_SHEET_NAME}.`);
+      }
+      stores.push({
+        label: label,
+        domain: domain,
+        tokenProperty: s_(row[col('Token Property')]),
+        webhookSecretProperty: (col('Webhook Secret Property') >= 0 ? s_(row[col('Webhook Secret Property')]) : '') ||
+          (stores.length ? '' : 'SHOPIFY_WEBHOOK_SECRET'),
+        syncKey: stores.length ? `Shopify:${label}` : 'Shopify',
+        fromProps: false
+      });
+    }
+  }
+
+  if (!stores.length) {
+    stores.push({
+      label: s_(PROPS.getProperty('SHOPIFY_STORE_LABEL')) || SHOPIFY_DEFAULT_STORE_LABEL,
+      domain: s_(PROPS.getProperty('SHOPIFY_SHOP_DOMAIN')),
+      tokenProperty: 'SHOPIFY_API_KEY',
+      webhookSecretProperty: 'SHOPIFY_WEBHOOK_SECRET',
+      syncKey: 'Shopify',
+      fromProps: true
+    });
+  }
+
+  SHOPIFY_STORES_CACHE_ = stores;
+  return stores;
+}
+
+/**
+ * Label of the primary store (owner of rows with a blank Store column).
+ */
+function getPrimaryShopifyStoreLabel_() {
+  return getShopifyStores_()[0].label;
+}
+
+/**
+ * Active store by label (case-insensitive); blank = the primary store. Throws for an unknown label.
+ */
+function getShopifyStoreByLabel_(label) {
+  const stores = getShopifyStores_();
+  const wanted = s_(label).toLowerCase();
+  if (!wanted) return stores[0];
+
+  const store = stores.find(st => st.label.toLowerCase() === wanted);
+  if (!store) throw new Error(`Unknown Shopify store "${label}" (not an active row of ${SHOPIFY_STORES_SHEET_NAME}).`);
+  return store;
+}
+
+/**
+ * Creates Shopify_Stores (seeded with the shop from Script Properties) so a second store can be added.
+ */
+function setupShopifyStores() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheetWithHeaders(SHOPIFY_STORES_SHEET_NAME, SHOPIFY_STORES_HEADERS);
+
+  let msg;
+  if (sheet.getLastRow() < 2) {
+    sheet.getRange(2, 1, 1, SHOPIFY_STORES_HEADERS.length).setValues([[
+      s_(PROPS.getProperty('SHOPIFY_STORE_LABEL')) || SHOPIFY_DEFAULT_STORE_LABEL,
+      s_(PROPS.getProperty('SHOPIFY_SHOP_DOMAIN')),
+      'SHOPIFY_API_KEY',
+      true,
+      'Primary store (keeps the original sync cursor)',
+      'SHOPIFY_WEBHOOK_SECRET'
+    ]]);
+    msg = `${SHOPIFY_STORES_SHEET_NAME} created. Add one row per extra store; put each token in the Script Property named in "Token Property".`;
+  } else {
+    msg = `${SHOPIFY_STORES_SHEET_NAME} already exists (${sheet.getLastRow() - 1} store row(s)).`;
+  }
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, SHOPIFY_STORES_HEADERS.length).setFontWeight('bold').setBackground('#95bf47').setFontColor('#ffffff');
+  SHOPIFY_STORES_CACHE_ = null;
+
+  ss.toast(msg, 'Shopify Stores', 8);
+  return msg;
+}
+
 function toLocalString_(isoOrDate) {
   if (!isoOrDate) return "";
   let d = isoOrDate;
@@ -43,47 +164,8 @@ function toLocalString_(isoOrDate) {
   }
 }
 
-/**
- * Fetch wrapper with retries for transient errors (429 and 5xx).
- */
-function fetchWithRetry_(url, options) {
-  const MAX_RETRIES = 4;
-  const RETRY_BASE_MS = 1000;
-  let attempt = 0;
-  let lastErr = null;
-
-  options = options || {};
-
-  while (attempt <= MAX_RETRIES) {
-    try {
-      const resp = UrlFetchApp.fetch(url, options);
-      const code = resp.getResponseCode();
-      if (code === 200) {
-        return resp;
-      }
-
-      // Retry on rate limit or server errors
-      if (code === 429 || (code >= 500 && code < 600)) {
-        lastErr = new Error('HTTP ' + code + ': ' + resp.getContentText());
-        // fall through to retry
-      } else {
-        // Non-retryable - throw immediately with response content
-        throw new Error(`API error (${code}): ${resp.getContentText()}`);
-      }
-    } catch (e) {
-      lastErr = e;
-    }
-
-    attempt++;
-    if (attempt > MAX_RETRIES) break;
-
-    const backoff = RETRY_BASE_MS * Math.pow(2, attempt - 1);
-    const jitter = Math.floor(Math.random() * 300);
-    Utilities.sleep(backoff + jitter);
-  }
-
-  throw lastErr || new Error('Unknown fetch error for ' + url);
-}
+// REMOVED: fetchWithRetry_() — replaced by httpFetch_() in 22_HttpClient.js
+// (per-platform pacing, Retry-After, typed errors, optional request journal)
 
 /**
  * Parses Link header (RFC5988 style) and returns the URL for rel="next" if present.
@@ -184,164 +266,359 @@ function pruneShopifyLastNDays_(daysBack) {
 }
 
 /**
- * Main import function (keeps overwrite-last-N-days behavior).
- * Remains compatible with SHOPIFY_ORDER_HEADERS defined in 00_Config.gs.
+ * Builds the SHOPIFY_ORDER_HEADERS rows (one per line item) for a single REST order.
+ * Store = order.__store (set by the page fetch), else the primary store.
  */
-function importShopifyOrders() {
-  const DAYS_BACK = 14; // Only fetch recent orders for new imports (triage handles updates)
-
-  logImportEvent('Shopify', `Import started (new orders only, last ${DAYS_BACK} days)`);
+function buildShopifyOrderRows_(order) {
+  const refundsTotal = computeShopifyRefundTotal_(order);
+  const store = order.__store || getPrimaryShopifyStoreLabel_();
+  const isTest = order && order.test === true;
+
+  const discountCodes = (order.discount_codes || []).map(d => d.code).join(", ");
+  const shippingMethod = (order.shipping_lines || []).map(s => s.title || s.code).join(", ");
+
+  return (order.line_items || []).map(lineItem => {
+    const outRow = [
+      order.id || "",
+      order.order_number || "",
+      order.created_at || "",
+      order.processed_at || "",
+      order.updated_at || "",
+      order.financial_status || "",
+      order.fulfillment_status || "",
+      order.currency || "",
+      order.total_price || "",
+      order.subtotal_price || "",
+      order.total_tax || "",
+      order.total_discounts || "",
+      order.current_total_price || "",
+      order.current_total_discounts || "",
+      refundsTotal,
+      isTest ? "TRUE" : "",
+      order.email || "",
+      order.customer?.first_name || "",
+      order.customer?.last_name || "",
+      order.billing_address?.name || "",
+      order.billing_address?.address1 || "",
+      order.billing_address?.address2 || "",
+      order.billing_address?.city || "",
+      order.billing_address?.province || "",
+      order.billing_address?.country || "",
+      order.billing_address?.zip || "",
+      order.billing_address?.phone || "",
+      order.shipping_address?.name || "",
+      order.shipping_address?.address1 || "",
+      order.shipping_address?.address2 || "",
+      order.shipping_address?.city || "",
+      order.shipping_address?.province || "",
+      order.shipping_address?.country || "",
+      order.shipping_address?.zip || "",
+      order.shipping_address?.phone || "",
+      lineItem.id || "",
+      lineItem.name || "",
+      lineItem.quantity || "",
+      lineItem.price || "",
+      lineItem.sku || "",
+      lineItem.requires_shipping != null ? String(lineItem.requires_shipping) : "",
+      lineItem.taxable != null ? String(lineItem.taxable) : "",
+      lineItem.fulfillment_status || "",
+      (order.tags || ""),
+      (order.note || ""),
+      order.gateway || "",
+      order.total_weight || "",
+      discountCodes,
+      shippingMethod,
+      toLocalString_(order.created_at),
+      toLocalString_(order.processed_at),
+      "", // Line Status
+      store
+    ];
+
+    // Ensure row length matches header length (pad/truncate)
+    if (outRow.length < SHOPIFY_ORDER_HEADERS.length) {
+      while (outRow.length < SHOPIFY_ORDER_HEADERS.length) outRow.push("");
+    } else if (outRow.length > SHOPIFY_ORDER_HEADERS.length) {
+      outRow.length = SHOPIFY_ORDER_HEADERS.length;
+    }
 
-  const sheet = getOrCreateSheetWithHeaders('Shopify Orders', SHOPIFY_ORDER_HEADERS);
+    return outRow;
+  });
+}
 
-  // NO PRUNING - triage system handles all updates to existing orders
-  // Build dedupe set from ALL existing rows
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0].map(h => String(h || '').trim());
+/**
+ * Opens the upserter for the Shopify Orders sheet (Order ID + Lineitem ID, compared on Updated At).
+ * CSV-imported lines are superseded by Store + Order Number.
+ */
+function createShopifyOrderUpserter_() {
+  return createOrderUpserter_('Shopify Orders', SHOPIFY_ORDER_HEADERS, {
+    idHeader: 'Order ID',
+    lineHeader: 'Lineitem ID',
+    modifiedHeader: 'Updated At',
+    statusHeader: 'Line Status',
+    numberHeader: 'Order Number',
+    storeHeader: 'Store',
+    defaultStore: getPrimaryShopifyStoreLabel_()
+  });
+}
 
-  const idCol = headers.indexOf('Order ID');
-  const lineIdCol = headers.indexOf('Lineitem ID');
+/**
+ * Main import function (upsert), once per store in Shopify_Stores.
+ * - Fetches orders updated since the store's sync cursor (minus overlap, see 19_SyncCursors.js)
+ * - New line items are appended
+ * - Existing line items are rewritten in place when Shopify's updated_at is newer
+ *   than the stored "Updated At" (financial/fulfillment status, current totals, refunds)
+ * - Line items no longer returned for an order are flagged "Removed" in "Line Status"
+ * - The cursor advances to the newest updated_at only after the rows are committed
+ * Remains compatible with SHOPIFY_ORDER_HEADERS defined in 00_Config.gs.
+ * The loop itself is shared by every connector: importConnectorOrders_() in 23_Connectors.js.
+ */
+function importShopifyOrders() {
+  return importConnectorOrders_(getConnector_('Shopify'));
+}
 
-  if (idCol === -1 || lineIdCol === -1) {
-    throw new Error('Shopify Orders sheet missing required columns: "Order ID" and/or "Lineitem ID"');
-  }
+// ---------------------------
+// Connector (see 23_Connectors.js for the contract)
+// ---------------------------
+function shopifyConnector_() {
+  return {
+    name: 'Shopify',
+    ordersSheet: 'Shopify Orders',
+    orderHeaders: SHOPIFY_ORDER_HEADERS,
+    lineIdHeader: 'Lineitem ID',
+    refundsSheet: SHOPIFY_REFUNDS_SHEET_NAME,
+    refundHeaders: SHOPIFY_REFUNDS_HEADERS,
+    stores: getShopifyStores_,
+
+    importOrders: () => importShopifyOrders(),
+    importRefunds: days => importShopifyRefunds(days),
+
+    fetchOrderPage: fetchShopifyOrdersPage_,
+    fetchRefundPage: fetchShopifyRefundPage_,
+    orderId: order => order.id,
+    orderModifiedAt: order => order.updated_at,
+    buildOrderRows: buildShopifyOrderRows_,
+    createUpserter: createShopifyOrderUpserter_,
+    appendRefundRows: appendShopifyRefundRows_,
+    appendRefundDetails: appendShopifyRefundLineRows_,
+    buildFulfillmentRows: buildShopifyFulfillmentRows_,
+    getRefundsForPeriod: getShopifyRefundsForPeriod_,
+    getRefundLinesForPeriod: getShopifyRefundLinesForPeriod_,
+
+    clean: {
+      columns: shopifyCleanColumns_,
+      toLine: shopifyCleanLine_
+    }
+  };
+}
 
-  // Dedupe against ALL existing rows (no prune, so we check everything)
-  const existing = new Set();
-  for (let i = 1; i < data.length; i++) {
-    const oid = data[i][idCol];
-    const lid = data[i][lineIdCol];
-    if (oid && lid) existing.add(String(oid) + '_' + String(lid));
+/**
+ * Credentials for one store (default: the primary store).
+ */
+function getShopifyCredentials_(store) {
+  store = store || getShopifyStores_()[0];
+  const apiKey = store.tokenProperty ? PROPS.getProperty(store.tokenProperty) : '';
+  const shopDomain = store.domain;
+  if (!apiKey || !shopDomain) {
+    if (store.fromProps) throw new Error("Missing SHOPIFY_API_KEY or SHOPIFY_SHOP_DOMAIN in Script Properties.");
+    throw new Error(`Shopify store "${store.label}": missing shop domain or Script Property "${store.tokenProperty || '(no Token Property)'}".`);
   }
+  return { apiKey, shopDomain, apiVersion: SHOPIFY_API_VERSION, label: store.label };
+}
 
-  const apiKey = PROPS.getProperty('SHOPIFY_API_KEY');
-  const shopDomain = PROPS.getProperty('SHOPIFY_SHOP_DOMAIN');
-  const apiVersion = '2023-10';
-
-  if (!apiKey || !shopDomain) throw new Error("Missing SHOPIFY_API_KEY or SHOPIFY_SHOP_DOMAIN in Script Properties.");
+/**
+ * Connector fetchOrderPage. With a store, pages that store only (per-store imports);
+ * without one, walks every store in turn (backfill, triage).
+ */
+function fetchShopifyOrdersPage_(range, token, store) {
+  if (store) return fetchShopifyStoreOrdersPage_(store, range, token);
+  return pageShopifyStores_(token, (st, pageToken) => fetchShopifyStoreOrdersPage_(st, range, pageToken));
+}
 
-  const d = new Date();
-  d.setDate(d.getDate() - DAYS_BACK);
-  const updatedAtMin = d.toISOString();
+/**
+ * Runs fetchStorePage(store, token) across all stores. Token is "<store index>#<store token>";
+ * a token without the prefix (saved before multi-store support) belongs to the first store.
+ */
+function pageShopifyStores_(token, fetchStorePage) {
+  const stores = getShopifyStores_();
+  const m = String(token || '').match(/^(\d+)#(.*)$/);
+  const idx = m ? Number(m[1]) : 0;
+  const storeToken = m ? m[2] : (token || '');
+  if (idx >= stores.length) return { orders: [], rows: [], details: [], token: '' };
+
+  const page = fetchStorePage(stores[idx], storeToken);
+  if (page.token) page.token = `${idx}#${page.token}`;
+  else if (idx + 1 < stores.length) page.token = `${idx + 1}#`;
+  return page;
+}
 
-  let url = `https://${shopDomain}/admin/api/${apiVersion}/orders.json?status=any&limit=250&updated_at_min=${encodeURIComponent(updatedAtMin)}`;
+/**
+ * One page of orders.json for one store. range.by picks created_at vs updated_at filtering;
+ * token is the next-page URL from the Link header. extraQuery is appended to the first URL only.
+ * Orders are tagged with __store (store label) for buildShopifyOrderRows_ / refund rows.
+ */
+function fetchShopifyStoreOrdersPage_(store, range, token, extraQuery) {
+  const api = getShopifyCredentials_(store);
+  const field = range.by === 'created' ? 'created_at' : 'updated_at';
+
+  let url = token;
+  if (!url) {
+    url = `https://${api.shopDomain}/admin/api/${api.apiVersion}/orders.json?status=any&limit=250${extraQuery || ''}` +
+      `&${field}_min=${encodeURIComponent(range.since.toISOString())}`;
+    if (range.until) url += `&${field}_max=${encodeURIComponent(range.until.toISOString())}`;
+  }
 
-  let rowsImported = 0;
+  const resp = httpFetch_('shopify', url, {
+    method: "get",
+    headers: { "X-Shopify-Access-Token": api.apiKey },
+    muteHttpExceptions: true
+  });
 
-  while (url) {
-    const resp = fetchWithRetry_(url, {
-      method: "get",
-      headers: { "X-Shopify-Access-Token": apiKey },
-      muteHttpExceptions: true
-    });
+  const orders = JSON.parse(resp.getContentText()).orders || [];
+  orders.forEach(order => { if (order) order.__store = store.label; });
+  const next = orders.length ? parseLinkHeader_(getResponseHeader_(resp, 'Link')) : null;
+  return { orders: orders, token: next || '' };
+}
 
-    if (resp.getResponseCode() !== 200) {
-      throw new Error(`Shopify API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-    }
+/**
+ * One page of refunded/partially_refunded orders turned into Shopify_Refunds rows
+ * (details = Shopify_Refund_Lines rows for the same refunds), across all stores.
+ * Store token is "<financial_status>|<page url>": page_info links drop the status filter,
+ * so each status is paged separately. A refund does not change created_at, so by 'created'
+ * pages on updated_at and keeps refunds dated inside the range (see 23_Connectors.js).
+ */
+function fetchShopifyRefundPage_(range, token) {
+  const query = range.by === 'created' ? modifiedQueryRange_(range) : range;
+  return pageShopifyStores_(token, (store, storeToken) => {
+    const statuses = ['refunded', 'partially_refunded'];
+    const sep = storeToken ? storeToken.indexOf('|') : -1;
+    const status = sep > 0 ? storeToken.slice(0, sep) : statuses[0];
+    const pageToken = sep > 0 ? storeToken.slice(sep + 1) : '';
 
-    const json = JSON.parse(resp.getContentText());
-    const orders = json.orders || [];
-    if (!orders.length) break;
+    const page = fetchShopifyStoreOrdersPage_(store, query, pageToken, `&financial_status=${status}`);
 
     const rows = [];
-
-    orders.forEach(order => {
-      const refundsTotal = computeShopifyRefundTotal_(order);
-      const isTest = order && order.test === true;
-
-      const discountCodes = (order.discount_codes || []).map(d => d.code).join(", ");
-      const shippingMethod = (order.shipping_lines || []).map(s => s.title || s.code).join(", ");
-
-      (order.line_items || []).forEach(lineItem => {
-        const uniqueKey = String(order.id || "") + '_' + String(lineItem.id || "");
-        if (!uniqueKey || uniqueKey === "_") return;
-
-        // Should not exist because we pruned the last DAYS_BACK days,
-        // but keep this guard for older rows.
-        if (existing.has(uniqueKey)) return;
-
-        const outRow = [
-          order.id || "",
-          order.order_number || "",
-          order.created_at || "",
-          order.processed_at || "",
-          order.updated_at || "",
-          order.financial_status || "",
-          order.fulfillment_status || "",
-          order.currency || "",
-          order.total_price || "",
-          order.subtotal_price || "",
-          order.total_tax || "",
-          order.total_discounts || "",
-          order.current_total_price || "",
-          order.current_total_discounts || "",
-          refundsTotal,
-          isTest ? "TRUE" : "",
-          order.email || "",
-          order.customer?.first_name || "",
-          order.customer?.last_name || "",
-          order.billing_address?.name || "",
-          order.billing_address?.address1 || "",
-          order.billing_address?.address2 || "",
-          order.billing_address?.city || "",
-          order.billing_address?.province || "",
-          order.billing_address?.country || "",
-          order.billing_address?.zip || "",
-          order.billing_address?.phone || "",
-          order.shipping_address?.name || "",
-          order.shipping_address?.address1 || "",
-          order.shipping_address?.address2 || "",
-          order.shipping_address?.city || "",
-          order.shipping_address?.province || "",
-          order.shipping_address?.country || "",
-          order.shipping_address?.zip || "",
-          order.shipping_address?.phone || "",
-          lineItem.id || "",
-          lineItem.name || "",
-          lineItem.quantity || "",
-          lineItem.price || "",
-          lineItem.sku || "",
-          lineItem.requires_shipping != null ? String(lineItem.requires_shipping) : "",
-          lineItem.taxable != null ? String(lineItem.taxable) : "",
-          lineItem.fulfillment_status || "",
-          (order.tags || ""),
-          (order.note || ""),
-          order.gateway || "",
-          order.total_weight || "",
-          discountCodes,
-          shippingMethod,
-          toLocalString_(order.created_at),
-          toLocalString_(order.processed_at)
-        ];
-
-        // Ensure row length matches header length (pad/truncate)
-        if (outRow.length < SHOPIFY_ORDER_HEADERS.length) {
-          while (outRow.length < SHOPIFY_ORDER_HEADERS.length) outRow.push("");
-        } else if (outRow.length > SHOPIFY_ORDER_HEADERS.length) {
-          outRow.length = SHOPIFY_ORDER_HEADERS.length;
-        }
-
-        rows.push(outRow);
-        existing.add(uniqueKey);
-        rowsImported++;
-      });
+    const lineRows = [];
+    page.orders.forEach(order => {
+      buildShopifyRefundRows_(order).forEach(row => rows.push(row));
+      buildShopifyRefundLineRows_(order).forEach(row => lineRows.push(row));
     });
 
-    if (rows.length) {
-      const startRow = sheet.getLastRow() + 1;
-      sheet.getRange(startRow, 1, rows.length, SHOPIFY_ORDER_HEADERS.length).setValues(rows);
-    }
+    // Next page of this status, else the first page of the next status
+    const nextStatus = statuses[statuses.indexOf(status) + 1];
+    let next = '';
+    if (page.token) next = `${status}|${page.token}`;
+    else if (nextStatus) next = `${nextStatus}|`;
+
+    return {
+      rows: keepRefundsInRange_(rows, SHOPIFY_REFUNDS_HEADERS, range),
+      details: keepRefundsInRange_(lineRows, SHOPIFY_REFUND_LINES_HEADERS, range),
+      token: next
+    };
+  });
+}
 
-    const headersObj = resp.getHeaders ? resp.getHeaders() : {};
-    const linkHeader = headersObj['Link'] || headersObj['link'] || headersObj['LINK'];
-    const nextUrl = parseLinkHeader_(linkHeader);
-    url = nextUrl || null;
+// ---------------------------
+// Clean mapper: Shopify Orders row -> clean line
+// ---------------------------
+function shopifyCleanColumns_(headers) {
+  const c = {
+    orderId: headers.indexOf("Order ID"),
+    orderNumber: headers.indexOf("Order Number"),
+    processedLocal: headers.indexOf("Processed At (Local)"),
+    processedAt: headers.indexOf("Processed At"),
+    createdLocal: headers.indexOf("Created At (Local)"),
+    createdAt: headers.indexOf("Created At"),
+    updatedAt: headers.indexOf("Updated At"),
+    financial: headers.indexOf("Financial Status"),
+    fulfill: headers.indexOf("Fulfillment Status"),
+    currency: headers.indexOf("Currency"),
+    totalDiscounts: headers.indexOf("Total Discounts"),
+    totalPrice: headers.indexOf("Total Price"),
+    currentTotalPrice: headers.indexOf("Current Total Price"),
+    totalRefunds: headers.indexOf("Total Refunds"),
+    testOrder: headers.indexOf("Test Order"),
+    email: headers.indexOf("Customer Email"),
+    first: headers.indexOf("Customer First Name"),
+    last: headers.indexOf("Customer Last Name"),
+    lineName: headers.indexOf("Lineitem Name"),
+    lineQty: headers.indexOf("Lineitem Quantity"),
+    linePrice: headers.indexOf("Lineitem Price"),
+    lineSku: headers.indexOf("Lineitem SKU"),
+    tags: headers.indexOf("Tags"),
+    lineStatus: headers.indexOf("Line Status"),
+    store: headers.indexOf("Store"),
+    defaultStore: getPrimaryShopifyStoreLabel_(), // rows imported before the Store column
+    fees: getShopifyOrderFees_() // orderId -> Shopify Payments fees (28_ShopifyPayouts.js)
+  };
+
+  ["orderId","orderNumber","email","lineName","lineQty","linePrice"].forEach(k => {
+    if (c[k] === -1) throw new Error(`Shopify Orders missing required column: ${k}`);
+  });
+
+  // If NONE of these exist, you will get blank order_date — fail loudly.
+  const hasAnyDateCol =
+    c.processedLocal >= 0 || c.processedAt >= 0 || c.createdLocal >= 0 || c.createdAt >= 0 || c.updatedAt >= 0;
+  if (!hasAnyDateCol) {
+    throw new Error(
+      'Shopify Orders is missing date columns. Expected one of: "Processed At (Local)", "Processed At", "Created At (Local)", "Created At", "Updated At".'
+    );
   }
+  return c;
+}
 
-  const msg = `Imported ${rowsImported} NEW Shopify line items (last ${DAYS_BACK} days)`;
-  logImportEvent('Shopify', 'Import success (new orders only)', rowsImported);
-  SpreadsheetApp.getActiveSpreadsheet().toast(`✅ ${msg}`, "Shopify", 8);
-  return msg;
+function shopifyCleanLine_(row, c) {
+  // ✅ robust date parse
+  const orderDate =
+    parseAnyDate_(c.processedLocal >= 0 ? row[c.processedLocal] : null) ||
+    parseAnyDate_(c.processedAt >= 0 ? row[c.processedAt] : null) ||
+    parseAnyDate_(c.createdLocal >= 0 ? row[c.createdLocal] : null) ||
+    parseAnyDate_(c.createdAt >= 0 ? row[c.createdAt] : null) ||
+    parseAnyDate_(c.updatedAt >= 0 ? row[c.updatedAt] : null) ||
+    null;
+
+  const first = c.first >= 0 ? s_(row[c.first]) : "";
+  const last = c.last >= 0 ? s_(row[c.last]) : "";
+
+  const qty = parseQty_(row[c.lineQty]);
+  const unitPrice = parseMoney_(row[c.linePrice]);
+
+  const grossTotal = (c.totalPrice >= 0) ? Math.abs(parseMoney_(row[c.totalPrice])) : 0;
+  const currentTotal = (c.currentTotalPrice >= 0) ? parseMoney_(row[c.currentTotalPrice]) : 0;
+  const netRevenue = (currentTotal !== 0 || (c.currentTotalPrice >= 0 && s_(row[c.currentTotalPrice]) !== "")) ? Math.abs(currentTotal) : grossTotal;
+
+  let refundTotal = 0;
+  if (c.totalRefunds >= 0 && s_(row[c.totalRefunds]) !== "") {
+    refundTotal = Math.abs(parseMoney_(row[c.totalRefunds]));
+  } else {
+    refundTotal = Math.max(0, grossTotal - netRevenue);
+  }
+
+  const orderId = s_(row[c.orderId]);
+
+  return {
+    orderId: orderId,
+    orderNumber: s_(row[c.orderNumber]),
+    orderDate: orderDate,
+    email: s_(row[c.email]),
+    customerName: (first || last) ? (first + " " + last).trim() : "",
+    productName: s_(row[c.lineName]),
+    sku: c.lineSku >= 0 ? s_(row[c.lineSku]) : "",
+    quantity: qty,
+    unitPrice: unitPrice,
+    lineRevenue: (qty || 0) * (unitPrice || 0),
+    discountTotal: (c.totalDiscounts >= 0) ? Math.abs(parseMoney_(row[c.totalDiscounts])) : 0,
+    refundTotal: refundTotal,
+    netRevenue: netRevenue,
+    processingFee: c.fees.get(orderId) || 0,
+    currency: c.currency >= 0 ? s_(row[c.currency]) : "",
+    financialStatus: c.financial >= 0 ? s_(row[c.financial]) : "",
+    fulfillmentStatus: c.fulfill >= 0 ? s_(row[c.fulfill]) : "",
+    tags: c.tags >= 0 ? s_(row[c.tags]) : "",
+    store: (c.store >= 0 && s_(row[c.store])) || c.defaultStore,
+    test: c.testOrder >= 0 && truthy_(row[c.testOrder]),
+    // Line removed from the order by an order edit (flagged by the upsert import)
+    removed: c.lineStatus >= 0 && s_(row[c.lineStatus]) === "Removed"
+  };
 }
 
 // REMOVED: refreshShopifyRefundsLastNDays_() function (~190 lines)
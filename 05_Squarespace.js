@@ -1,7 +1,11 @@
 // =====================================================
 // 05_Squarespace.gs — Squarespace imports
-// Now: each import prunes last 120 days (by Modified On) and reimports them.
-// =====    ================================================
+// Now: upsert keyed on Order ID + LineItem ID, rewriting rows whose Modified On changed.
+// Source connector + clean mapper are registered in 23_Connectors.js.
+// =====================================================
+
+const SQUARESPACE_ORDERS_ENDPOINT = "https://api.squarespace.com/1.0/commerce/orders";
+const SQUARESPACE_TRANSACTIONS_ENDPOINT = "https://api.squarespace.com/1.0/commerce/transactions";
 
 /**     
  * Deletes ALL rows whose "Modified On" date is within the last N days.
@@ -56,157 +60,310 @@ function pruneSquarespaceLastNDays_(daysBack) {
   return removed;
 }
 
-function importSquarespaceOrders() {
-  const DAYS_BACK = 14; // Only fetch recent orders for new imports (triage handles updates)
-
-  logImportEvent('Squarespace', `Import started (new orders only, last ${DAYS_BACK} days)`);
-
-  const sheet = getOrCreateSheetWithHeaders('Squarespace Orders', SQUARESPACE_ORDER_HEADERS);
+/**
+ * Builds the SQUARESPACE_ORDER_HEADERS rows (one per line item) for a single order.
+ */
+function buildSquarespaceOrderRows_(order) {
+  return (order.lineItems || []).map(lineItem => [
+    order.id || "",
+    order.orderNumber || "",
+    order.createdOn || "",
+    order.modifiedOn || "",
+    order.channel || "",
+    order.testMode || "",
+    order.customerEmail || "",
+    order.billingAddress?.firstName || "",
+    order.billingAddress?.lastName || "",
+    order.billingAddress?.address1 || "",
+    order.billingAddress?.address2 || "",
+    order.billingAddress?.city || "",
+    order.billingAddress?.state || "",
+    order.billingAddress?.countryCode || "",
+    order.billingAddress?.postalCode || "",
+    order.billingAddress?.phone || "",
+    order.shippingAddress?.firstName || "",
+    order.shippingAddress?.lastName || "",
+    order.shippingAddress?.address1 || "",
+    order.shippingAddress?.address2 || "",
+    order.shippingAddress?.city || "",
+    order.shippingAddress?.state || "",
+    order.shippingAddress?.countryCode || "",
+    order.shippingAddress?.postalCode || "",
+    order.shippingAddress?.phone || "",
+    order.fulfillmentStatus || "",
+    order.internalNotes || "",
+    order.subtotal?.currency || "",
+    order.subtotal?.value || "",
+    order.shippingTotal?.currency || "",
+    order.shippingTotal?.value || "",
+    order.discountTotal?.currency || "",
+    order.discountTotal?.value || "",
+    order.taxTotal?.currency || "",
+    order.taxTotal?.value || "",
+    order.refundedTotal?.currency || "",
+    order.refundedTotal?.value || "",
+    order.grandTotal?.currency || "",
+    order.grandTotal?.value || "",
+    lineItem.id || "",
+    lineItem.sku || "",
+    lineItem.weight || "",
+    lineItem.width || "",
+    lineItem.length || "",
+    lineItem.height || "",
+    lineItem.productId || "",
+    lineItem.productName || "",
+    lineItem.quantity || "",
+    lineItem.unitPrice?.currency || "",
+    lineItem.unitPrice?.value || "",
+    (lineItem.customizations || []).map(c => c.value || "").join(", "),
+    lineItem.type || "",
+    (order.shippingLines || []).map(s => s.title || s.type || "").join(", "),
+    (order.discountLines || []).map(d => d.name || "").join(", "),
+    "" // Line Status
+  ]);
+}
 
-  // NO PRUNING - triage system handles all updates to existing orders
-  // Build dedupe set from ALL existing rows
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0].map(h => String(h || '').trim());
+/**
+ * Opens the upserter for the Squarespace Orders sheet (Order ID + LineItem ID, compared on Modified On).
+ * CSV-imported lines are superseded by Order Number.
+ */
+function createSquarespaceOrderUpserter_() {
+  return createOrderUpserter_('Squarespace Orders', SQUARESPACE_ORDER_HEADERS, {
+    idHeader: 'Order ID',
+    lineHeader: 'LineItem ID',
+    modifiedHeader: 'Modified On',
+    statusHeader: 'Line Status',
+    numberHeader: 'Order Number'
+  });
+}
 
-  const idCol = headers.indexOf('Order ID');
-  const lineCol = headers.indexOf('LineItem ID');
-  if (idCol === -1 || lineCol === -1) {
-    throw new Error('Squarespace Orders sheet missing required columns: "Order ID" and/or "LineItem ID"');
-  }
+/**
+ * Upsert import: orders modified since the Squarespace sync cursor (minus overlap) are
+ * compared on modifiedOn against the stored "Modified On"; changed rows (fulfillment status,
+ * refunded totals, internal notes...) are rewritten in place with one batch write, new lines
+ * are appended. The cursor advances only after the rows are committed.
+ * Logs a per-field summary of what Squarespace actually changed.
+ * The loop itself is shared by every connector: importConnectorOrders_() in 23_Connectors.js.
+ */
+function importSquarespaceOrders() {
+  return importConnectorOrders_(getConnector_('Squarespace'));
+}
 
-  // Dedupe against ALL existing rows (no prune, so we check everything)
-  const existing = new Set();
-  for (let i = 1; i < data.length; i++) {
-    const oid = data[i][idCol];
-    const lid = data[i][lineCol];
-    if (oid && lid) existing.add(String(oid) + '_' + String(lid));
-  }
+// ---------------------------
+// Connector (see 23_Connectors.js for the contract)
+// ---------------------------
+function squarespaceConnector_() {
+  return {
+    name: 'Squarespace',
+    ordersSheet: 'Squarespace Orders',
+    orderHeaders: SQUARESPACE_ORDER_HEADERS,
+    lineIdHeader: 'LineItem ID',
+    refundsSheet: SQUARESPACE_REFUNDS_SHEET_NAME,
+    refundHeaders: SQUARESPACE_REFUNDS_HEADERS,
+    refundKeyHeader: 'Refund ID',
+
+    importOrders: () => importSquarespaceOrders(),
+    importRefunds: days => importSquarespaceRefunds(days),
+
+    fetchOrderPage: fetchSquarespaceOrdersPage_,
+    fetchRefundPage: fetchSquarespaceRefundPage_,
+    orderId: order => order.id,
+    orderModifiedAt: order => order.modifiedOn,
+    buildOrderRows: buildSquarespaceOrderRows_,
+    createUpserter: createSquarespaceOrderUpserter_,
+    buildFulfillmentRows: buildSquarespaceFulfillmentRows_,
+    appendRefundRows: appendSquarespaceRefundRows_,
+    getRefundsForPeriod: getSquarespaceRefundsForPeriod_,
+
+    clean: {
+      columns: squarespaceCleanColumns_,
+      toLine: squarespaceCleanLine_,
+      finishOrder: fixSquarespaceLinePricing_
+    }
+  };
+}
 
+function getSquarespaceApiKey_() {
   const apiKey = PROPS.getProperty('SQUARESPACE_API_KEY');
   if (!apiKey) throw new Error("Missing SQUARESPACE_API_KEY in Script Properties.");
+  return apiKey;
+}
 
-  const endpoint = "https://api.squarespace.com/1.0/commerce/orders";
-
-  // Pull all orders MODIFIED in the last 14 days (only new orders - triage handles updates)
-  const d = new Date();
-  d.setDate(d.getDate() - DAYS_BACK);
-  const modifiedAfter = d.toISOString();
-  const modifiedBefore = new Date().toISOString();
-
-  let cursor = null;
-  let rowsImported = 0;
-  let page = 0;
-
-  do {
-    let finalUrl;
-    if (page === 0 || !cursor) {
-      // First page: use date parameters only (no cursor)
-      finalUrl = endpoint + '?' +
-        `modifiedAfter=${encodeURIComponent(modifiedAfter)}` +
-        `&modifiedBefore=${encodeURIComponent(modifiedBefore)}`;
-    } else {
-      // Subsequent pages: use cursor only (no date parameters)
-      finalUrl = endpoint + `?cursor=${encodeURIComponent(cursor)}`;
-    }
+/**
+ * One page of the Orders API. The API only filters on modification date: by 'created' pages
+ * on modifiedOn and keeps the orders created inside the range (see 23_Connectors.js).
+ * First page: date parameters only (no cursor). Subsequent pages: cursor only (no date parameters).
+ */
+function fetchSquarespaceOrdersPage_(range, token) {
+  const apiKey = getSquarespaceApiKey_();
+  const query = range.by === 'created' ? modifiedQueryRange_(range) : range;
+
+  const url = token
+    ? `${SQUARESPACE_ORDERS_ENDPOINT}?cursor=${encodeURIComponent(token)}`
+    : `${SQUARESPACE_ORDERS_ENDPOINT}?modifiedAfter=${encodeURIComponent(query.since.toISOString())}` +
+      `&modifiedBefore=${encodeURIComponent((query.until || new Date()).toISOString())}`;
+
+  const resp = httpFetch_('squarespace', url, {
+    method: "get",
+    headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
+    muteHttpExceptions: true
+  });
+
+  const json = JSON.parse(resp.getContentText());
+  let orders = json.result || [];
+  if (range.by === 'created') orders = orders.filter(order => order && isInRange_(order.createdOn, createdKeepRange_(range)));
+  return { orders: orders, token: json.pagination?.nextPageCursor || '' };
+}
 
-    const resp = UrlFetchApp.fetch(finalUrl, {
-      method: "get",
-      headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
-      muteHttpExceptions: true
-    });
+/**
+ * One page of the Transactions API turned into Squarespace_Refunds rows (one per refund,
+ * with the real refundedOn date). Same paging and by 'created' rules as the Orders API,
+ * matched on the refund date.
+ */
+function fetchSquarespaceRefundPage_(range, token) {
+  const apiKey = getSquarespaceApiKey_();
+  const query = range.by === 'created' ? modifiedQueryRange_(range) : range;
+
+  const url = token
+    ? `${SQUARESPACE_TRANSACTIONS_ENDPOINT}?cursor=${encodeURIComponent(token)}`
+    : `${SQUARESPACE_TRANSACTIONS_ENDPOINT}?modifiedAfter=${encodeURIComponent(query.since.toISOString())}` +
+      `&modifiedBefore=${encodeURIComponent((query.until || new Date()).toISOString())}`;
+
+  const resp = httpFetch_('squarespace', url, {
+    method: "get",
+    headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
+    muteHttpExceptions: true
+  });
+
+  const json = JSON.parse(resp.getContentText());
+  const orderInfo = getSquarespaceOrderInfo_();
+  const rows = [];
+  (json.documents || []).forEach(doc => {
+    buildSquarespaceRefundRows_(doc, orderInfo).forEach(row => rows.push(row));
+  });
+  return { rows: keepRefundsInRange_(rows, SQUARESPACE_REFUNDS_HEADERS, range), token: json.pagination?.nextPageCursor || '' };
+}
 
-    if (resp.getResponseCode() !== 200) {
-      throw new Error(`Squarespace Orders API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-    }
+let SQUARESPACE_ORDER_INFO_CACHE_ = null;
 
-    const json = JSON.parse(resp.getContentText());
-    const orders = json.result || [];
-    cursor = json.pagination && json.pagination.nextPageCursor ? json.pagination.nextPageCursor : null;
-
-    const rows = [];
-
-    orders.forEach(order => {
-      (order.lineItems || []).forEach(lineItem => {
-        const uniqueKey = String(order.id || "") + '_' + String(lineItem.id || "");
-        if (!uniqueKey || uniqueKey === "_") return;
-
-        // Should not exist because we pruned the last 120 days,
-        // but keep this guard for older rows.
-        if (existing.has(uniqueKey)) return;
-
-        rows.push([
-          order.id || "",
-          order.orderNumber || "",
-          order.createdOn || "",
-          order.modifiedOn || "",
-          order.channel || "",
-          order.testMode || "",
-          order.customerEmail || "",
-          order.billingAddress?.firstName || "",
-          order.billingAddress?.lastName || "",
-          order.billingAddress?.address1 || "",
-          order.billingAddress?.address2 || "",
-          order.billingAddress?.city || "",
-          order.billingAddress?.state || "",
-          order.billingAddress?.countryCode || "",
-          order.billingAddress?.postalCode || "",
-          order.billingAddress?.phone || "",
-          order.shippingAddress?.firstName || "",
-          order.shippingAddress?.lastName || "",
-          order.shippingAddress?.address1 || "",
-          order.shippingAddress?.address2 || "",
-          order.shippingAddress?.city || "",
-          order.shippingAddress?.state || "",
-          order.shippingAddress?.countryCode || "",
-          order.shippingAddress?.postalCode || "",
-          order.shippingAddress?.phone || "",
-          order.fulfillmentStatus || "",
-          order.internalNotes || "",
-          order.subtotal?.currency || "",
-          order.subtotal?.value || "",
-          order.shippingTotal?.currency || "",
-          order.shippingTotal?.value || "",
-          order.discountTotal?.currency || "",
-          order.discountTotal?.value || "",
-          order.taxTotal?.currency || "",
-          order.taxTotal?.value || "",
-          order.refundedTotal?.currency || "",
-          order.refundedTotal?.value || "",
-          order.grandTotal?.currency || "",
-          order.grandTotal?.value || "",
-          lineItem.id || "",
-          lineItem.sku || "",
-          lineItem.weight || "",
-          lineItem.width || "",
-          lineItem.length || "",
-          lineItem.height || "",
-          lineItem.productId || "",
-          lineItem.productName || "",
-          lineItem.quantity || "",
-          lineItem.unitPrice?.currency || "",
-          lineItem.unitPrice?.value || "",
-          (lineItem.customizations || []).map(c => c.value || "").join(", "),
-          lineItem.type || "",
-          (order.shippingLines || []).map(s => s.title || s.type || "").join(", "),
-          (order.discountLines || []).map(d => d.name || "").join(", ")
-        ]);
-
-        existing.add(uniqueKey);
-        rowsImported++;
+/**
+ * Order ID -> { orderNumber, orderDate, email, customerName } from the Squarespace Orders sheet
+ * (transactions only carry the order ID). Loaded once per execution.
+ */
+function getSquarespaceOrderInfo_() {
+  if (SQUARESPACE_ORDER_INFO_CACHE_) return SQUARESPACE_ORDER_INFO_CACHE_;
+
+  const info = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Squarespace Orders');
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const h = data[0].map(x => String(x || '').trim());
+    const c = {
+      id: h.indexOf("Order ID"), number: h.indexOf("Order Number"), created: h.indexOf("Created On"),
+      email: h.indexOf("Customer Email"), first: h.indexOf("Billing First Name"), last: h.indexOf("Billing Last Name")
+    };
+    for (let r = 1; r < data.length; r++) {
+      const id = s_(data[r][c.id]);
+      if (!id || info.has(id)) continue;
+      info.set(id, {
+        orderNumber: c.number >= 0 ? data[r][c.number] : '',
+        orderDate: c.created >= 0 ? asDate_(data[r][c.created]) : null,
+        email: c.email >= 0 ? s_(data[r][c.email]) : '',
+        customerName: `${c.first >= 0 ? s_(data[r][c.first]) : ''} ${c.last >= 0 ? s_(data[r][c.last]) : ''}`.trim()
       });
-    });
-
-    if (rows.length) {
-      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, SQUARESPACE_ORDER_HEADERS.length).setValues(rows);
     }
+  }
+  SQUARESPACE_ORDER_INFO_CACHE_ = info;
+  return info;
+}
 
-    page++;
-  } while (cursor);
+// ---------------------------
+// Clean mapper: Squarespace Orders row -> clean line
+// ---------------------------
+function squarespaceCleanColumns_(headers) {
+  // case-insensitive header lookup
+  const idx_ = (name) => headers.findIndex(h => String(h || "").trim().toLowerCase() === String(name).toLowerCase());
+
+  const c = {
+    orderId: idx_("Order ID"),
+    orderNumber: idx_("Order Number"),
+    createdOn: idx_("Created On") >= 0 ? idx_("Created On") : idx_("Created"),
+    modifiedOn: idx_("Modified On") >= 0 ? idx_("Modified On") : idx_("Modified"),
+    testMode: idx_("Test Mode"),
+    email: idx_("Customer Email"),
+    billFirst: idx_("Billing First Name"),
+    billLast: idx_("Billing Last Name"),
+    product: idx_("LineItem Product Name"),
+    sku: idx_("LineItem SKU"),
+    qty: idx_("LineItem Quantity"),
+    unitPriceValue: idx_("LineItem Unit Price Value"),
+    subtotalCurrency: idx_("Subtotal Currency"),
+    discountValue: idx_("Discount Total Value"),
+    refundedValue: idx_("Refunded Total Value"),
+    grandTotalValue: idx_("Grand Total Value"),
+    grandTotalCurrency: idx_("Grand Total Currency"),
+    lineStatus: idx_("Line Status")
+  };
+
+  ["orderId","orderNumber","email","product","qty","grandTotalValue"].forEach(k => {
+    if (c[k] === -1) throw new Error(`Squarespace Orders missing required column: ${k}`);
+  });
+
+  const hasAnyDateCol = (c.createdOn >= 0 || c.modifiedOn >= 0);
+  if (!hasAnyDateCol) {
+    throw new Error(
+      'Squarespace Orders is missing date columns. Expected "Created On" and/or "Modified On" (case-insensitive).'
+    );
+  }
+  return c;
+}
 
-  const msg = `Imported ${rowsImported} NEW Squarespace line items (last ${DAYS_BACK} days)`;
-  logImportEvent('Squarespace', 'Import success (new orders only)', rowsImported);
-  SpreadsheetApp.getActiveSpreadsheet().toast(`✅ ${msg}`, "Squarespace", 8);
-  return msg;
+function squarespaceCleanLine_(row, c) {
+  // robust date parse
+  const orderDate =
+    parseAnyDate_(c.createdOn >= 0 ? row[c.createdOn] : null) ||
+    parseAnyDate_(c.modifiedOn >= 0 ? row[c.modifiedOn] : null) ||
+    null;
+
+  const first = c.billFirst >= 0 ? s_(row[c.billFirst]) : "";
+  const last = c.billLast >= 0 ? s_(row[c.billLast]) : "";
+
+  const qty = parseQty_(row[c.qty]);
+  const unitPrice = (c.unitPriceValue >= 0 && s_(row[c.unitPriceValue]) !== "")
+    ? parseMoney_(row[c.unitPriceValue])
+    : 0;
+
+  const refundTotal = (c.refundedValue >= 0) ? Math.abs(parseMoney_(row[c.refundedValue])) : 0;
+  const grandTotal = Math.abs(parseMoney_(row[c.grandTotalValue]));
+  const netRevenue = Math.max(0, grandTotal - refundTotal);
+
+  return {
+    platform: "Squarespace", // fixSquarespaceLinePricing_ checks this
+    orderId: s_(row[c.orderId]),
+    orderNumber: s_(row[c.orderNumber]),
+    orderDate: orderDate,
+    email: s_(row[c.email]),
+    customerName: (first || last) ? (first + " " + last).trim() : "",
+    productName: s_(row[c.product]),
+    sku: c.sku >= 0 ? s_(row[c.sku]) : "",
+    quantity: qty,
+    unitPrice: unitPrice,
+    lineRevenue: (qty || 0) * (unitPrice || 0),
+    discountTotal: (c.discountValue >= 0) ? Math.abs(parseMoney_(row[c.discountValue])) : 0,
+    refundTotal: refundTotal,
+    netRevenue: netRevenue,
+    orderNet: netRevenue, // allocated across lines when line pricing is missing
+    currency:
+      (c.subtotalCurrency >= 0 ? s_(row[c.subtotalCurrency]) : "") ||
+      (c.grandTotalCurrency >= 0 ? s_(row[c.grandTotalCurrency]) : ""),
+    financialStatus: "",
+    fulfillmentStatus: "",
+    tags: "",
+    // exclude Squarespace test mode orders
+    test: c.testMode >= 0 && truthy_(row[c.testMode]),
+    // Line no longer returned for its order (flagged by the upsert import)
+    removed: c.lineStatus >= 0 && s_(row[c.lineStatus]) === "Removed"
+  };
 }
 
 // REMOVED: refreshSquarespaceRefundsLastNDays_() function (~200 lines)
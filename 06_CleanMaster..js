@@ -5,9 +5,23 @@
  * - Adds reset + backfill tools so you can repair existing clean data
  * - FIX Squarespace: if unit_price/line_revenue missing, allocate order net across lines
  *
- * ADD (2026-01): Squarespace duplicate prevention:
- * - Exclude Squarespace orders in year 2026 whose product name indicates a Montana LLC renewal
- *   (contains: (montana OR mt) AND llc AND renew*)
+ * Exclusions (banned products, the 2026 Squarespace Montana LLC renewal duplicates, internal
+ * email domains) are rules in the Exclusion_Rules sheet (33_ExclusionRules.js), applied per
+ * order by cleanOrderLines_.
+ *
+ * product_canonical / category come from the Product_Map sheet (35_ProductMap.js); both are
+ * blank for lines no map row matches (listed by buildUnmappedProductsQueue()).
+ *
+ * Platform-specific column mapping lives in each source connector's clean mapper
+ * (04_Shopify, 05_Squarespace; registry in 23_Connectors).
+ * store = line.store (Shopify store label) or the platform name; every Shopify store
+ * shares the "Shopify Orders" sheet, so one pass covers them all.
+ *
+ * Two build modes:
+ * - buildAllOrdersClean(): full rebuild from row 2 (chunked; at the time limit it saves its
+ *   state and continues itself from a one-off trigger, continueCleanMasterBuild)
+ * - buildAllOrdersCleanIncremental(): rewrites only orders whose clean rows changed, using the
+ *   per-order row index in _Clean_Order_Index (written by every build)
  *
  * NOTE:
  * This file assumes these already exist in your other files:
@@ -17,62 +31,12 @@
  * - logImportEvent()
  */
 
-// ---------------------------
-// BANNED PRODUCT KEYWORDS
-// Orders containing these product names will be excluded
-// ---------------------------
-const BANNED_PRODUCT_KEYWORDS = [
-  "Roxo",
-  "Rough Country",
-  "Rigid",
-  "Rugged Ridge",
-  "ScanGauge",
-  "Shorty Stunt",
-  "Smittybilt",
-  "Spoke",
-  "Squadron",
-  "Honda Talon",
-  "Stainless Steel",
-  "Standard Side",
-  "Stealth",
-  "Sticker Bomb",
-  "SUZUKI DRZ400SM",
-  "Subaru Crosstrek",
-  "Tactical",
-  "Speedometer",
-  "Trail Tech",
-  "Trailmax",
-  "Skid Plate",
-  "Tusk",
-  "Universal",
-  "Signal",
-  "UTV Conversion",
-  "UTV Plug",
-  "Legal Conversion",
-  "Vehicle Sales Tax",
-  "Vintage Air",
-  "Winch",
-  "Wheelie",
-  "Windshield",
-  "WR250 R/X",
-  "OEM",
-  "ZETA"
-];
-
-/**
- * Checks if a product name contains any banned keywords.
- * Case-insensitive partial matching.
- */
-function isBannedProduct_(productName) {
-  if (!productName) return false;
-  const productLower = String(productName).toLowerCase();
-
-  for (const keyword of BANNED_PRODUCT_KEYWORDS) {
-    if (productLower.includes(keyword.toLowerCase())) {
-      return true;
-    }
-  }
-  return false;
+function normalizeProductText_(productName) {
+  return String(productName || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")  // punctuation -> spaces
+    .replace(/\s+/g, " ")
+    .trim();
 }
 
 // ---------------------------
@@ -80,7 +44,9 @@ function isBannedProduct_(productName) {
 // ---------------------------
 function resetCleanMasterBuildState() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  PROPS.deleteProperty("CLEAN_MASTER_BUILD_STATE_V2");
+  PROPS.deleteProperty(CLEAN_BUILD_STATE_KEY);
+  deleteTriggersFor_(CLEAN_BUILD_CONTINUE_HANDLER);
+  invalidateCleanOrderIndex_();
 
   const out = ss.getSheetByName(CLEAN_OUTPUT_SHEET);
   if (out && out.getLastRow() > 1) {
@@ -99,9 +65,9 @@ function backfillOrderDatesInCleanMaster() {
   const clean = ss.getSheetByName(CLEAN_OUTPUT_SHEET);
   if (!clean) throw new Error(`Missing "${CLEAN_OUTPUT_SHEET}" sheet.`);
 
-  const shop = ss.getSheetByName("Shopify Orders");
-  const sq = ss.getSheetByName("Squarespace Orders");
-  if (!shop || !sq) throw new Error('Missing "Shopify Orders" and/or "Squarespace Orders" tabs.');
+  const connectors = getConnectors_();
+  const missing = connectors.filter(conn => !ss.getSheetByName(conn.ordersSheet)).map(conn => `"${conn.ordersSheet}"`);
+  if (missing.length) throw new Error(`Missing ${missing.join(' and/or ')} tabs.`);
 
   const cleanData = clean.getDataRange().getValues();
   if (cleanData.length < 2) return "No clean rows to backfill.";
@@ -115,9 +81,9 @@ function backfillOrderDatesInCleanMaster() {
     throw new Error(`All_Orders_Clean missing required headers: platform / order_id / order_date`);
   }
 
-  // Build date maps from raw sheets
-  const shopMap = buildShopifyOrderDateMap_();
-  const sqMap = buildSquarespaceOrderDateMap_();
+  // Build date maps from raw sheets (platform -> Map orderId -> date)
+  const dateMaps = new Map();
+  connectors.forEach(conn => dateMaps.set(conn.name, buildConnectorOrderDateMap_(conn)));
 
   const rowsToUpdate = [];
   for (let r = 1; r < cleanData.length; r++) {
@@ -130,9 +96,8 @@ function backfillOrderDatesInCleanMaster() {
     const hasDate = parseAnyDate_(existing);
     if (hasDate) continue;
 
-    let d = null;
-    if (platform === "Shopify") d = shopMap.get(orderId) || null;
-    if (platform === "Squarespace") d = sqMap.get(orderId) || null;
+    const map = dateMaps.get(platform);
+    const d = map ? (map.get(orderId) || null) : null;
 
     if (d) rowsToUpdate.push({ rowNum: r + 1, date: d });
   }
@@ -173,8 +138,17 @@ function backfillOrderDatesInCleanMaster() {
   return `Backfilled order_date for ${rowsToUpdate.length} rows`;
 }
 
+const CLEAN_BUILD_STATE_KEY = "CLEAN_MASTER_BUILD_STATE_V2";
+const CLEAN_BUILD_CONTINUE_HANDLER = "continueCleanMasterBuild";
+const CLEAN_BUILD_RESUME_DELAY_MS = 60 * 1000;
+const CLEAN_BUILD_STALE_HOURS_DEFAULT = 6; // script property CLEAN_BUILD_STALE_HOURS overrides
+
 // ---------------------------
 // MAIN: Build Clean Master
+// Iterates the registered connectors (23_Connectors.js) in order. Each connector's
+// clean mapper turns a raw row into a line; lines are grouped by order so order totals
+// are written once and whole-order rules (order-scope Exclusion_Rules, connector.clean.excludeOrder)
+// can drop an order.
 // ---------------------------
 function buildAllOrdersClean() {
   const lock = LockService.getScriptLock();
@@ -182,620 +156,693 @@ function buildAllOrdersClean() {
     throw new Error('Lock timeout: another process is running. Wait ~10 seconds and try again.');
   }
 
-  const STATE_KEY = "CLEAN_MASTER_BUILD_STATE_V2";
+  const STATE_KEY = CLEAN_BUILD_STATE_KEY;
   const SOFT_LIMIT_MS = 5.3 * 60 * 1000;
   const CHUNK_ROWS = 1500;
 
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-    const shopSheet = ss.getSheetByName("Shopify Orders");
-    const sqSheet = ss.getSheetByName("Squarespace Orders");
-    if (!shopSheet || !sqSheet) throw new Error('Missing "Shopify Orders" and/or "Squarespace Orders" tabs.');
+    const connectors = getConnectors_();
+    const missing = connectors.filter(conn => !ss.getSheetByName(conn.ordersSheet)).map(conn => `"${conn.ordersSheet}"`);
+    if (missing.length) throw new Error(`Missing ${missing.join(' and/or ')} tabs.`);
 
     const banned = loadBannedList_();
     const outSheet = getOrCreateSheetWithHeaders(CLEAN_OUTPUT_SHEET, CLEAN_HEADERS);
+    const indexSheet = getOrCreateSheetWithHeaders(CLEAN_ORDER_INDEX_SHEET, CLEAN_ORDER_INDEX_HEADERS);
 
-    let state = null;
-    const rawState = PROPS.getProperty(STATE_KEY);
-    if (rawState) {
-      try { state = JSON.parse(rawState); } catch (e) { state = null; }
-    }
+    // A half-build whose continuation chain died starts over instead of resuming
+    cleanupStaleCleanBuildState_();
+    let state = getCleanBuildState_();
 
     // start fresh
     if (!state || !state.started) {
       outSheet.getRange(1, 1, 1, CLEAN_HEADERS.length).setValues([CLEAN_HEADERS]);
       const lr = outSheet.getLastRow();
       if (lr > 1) outSheet.getRange(2, 1, lr - 1, outSheet.getMaxColumns()).clearContent();
+      invalidateCleanOrderIndex_();
+      resetExcludedLines_();
 
+      const now = new Date().toISOString();
       state = {
         started: true,
-        phase: "shopify",
+        status: "building",
+        startedAt: now,
+        updatedAt: now,
+        continuations: 0, // runs started by continueCleanMasterBuild
+        phase: connectors[0].name,
         rowCursor: 2,
         outRow: 2,
+        indexRow: 2,
+        excludedRow: 2,
         excluded: 0,
-        written: 0,
-        lastOrderKey: ""
+        written: 0
       };
       PROPS.setProperty(STATE_KEY, JSON.stringify(state));
+      outSheet.getRange(1, 1).setNote(`⏳ Building since ${state.startedAt}. Reports wait until the build finishes.`);
     }
 
+    // Saved before Excluded_Lines existed: append after whatever is there
+    if (!state.excludedRow) state.excludedRow = getOrCreateSheetWithHeaders(EXCLUDED_LINES_SHEET_NAME, EXCLUDED_LINES_HEADERS).getLastRow() + 1;
+
     const started = Date.now();
     const timeUp_ = () => (Date.now() - started) > SOFT_LIMIT_MS;
 
-    function saveState_(msg) {
+    function persist_() {
+      state.updatedAt = new Date().toISOString();
       PROPS.setProperty(STATE_KEY, JSON.stringify(state));
+    }
+
+    function pause_() {
+      persist_();
+      scheduleContinuation_(CLEAN_BUILD_CONTINUE_HANDLER, CLEAN_BUILD_RESUME_DELAY_MS);
+
+      const msg = `⏸️ Paused (timeout protection). Continuing automatically in ~1 minute. (${state.written} rows so far)`;
+      logImportEvent("CleanMaster", msg, state.written);
       ss.toast(msg, "Clean Master", 8);
       return msg;
     }
 
     function finish_() {
       PROPS.deleteProperty(STATE_KEY);
-
-      outSheet.setFrozenRows(1);
-      outSheet.getRange(1, 1, 1, CLEAN_HEADERS.length).setFontWeight("bold");
-
-      const lr = outSheet.getLastRow();
-      if (lr >= 2) {
-        outSheet.getRange(2, 4, lr - 1, 1).setNumberFormat("yyyy-mm-dd hh:mm");
-        outSheet.getRange(2, 10, lr - 1, 1).setNumberFormat("0.00");
-        outSheet.getRange(2, 11, lr - 1, 1).setNumberFormat("0.00");
-        outSheet.getRange(2, 12, lr - 1, 1).setNumberFormat("0.00");
-        outSheet.getRange(2, 13, lr - 1, 3).setNumberFormat("0.00");
-      }
+      deleteTriggersFor_(CLEAN_BUILD_CONTINUE_HANDLER);
+      outSheet.getRange(1, 1).setNote("");
+      formatCleanSheet_(outSheet);
 
       logImportEvent("CleanMaster", `Built All_Orders_Clean (excluded:${state.excluded})`, state.written);
       ss.toast(`✅ Clean Master complete. Rows: ${state.written}. Excluded: ${state.excluded}.`, "Clean Master", 8);
+
+      // Nobody is watching a build that continued from a trigger
+      if (state.continuations) {
+        notifyCleanBuild_("Clean Master build complete",
+          `All_Orders_Clean was rebuilt: ${state.written} rows, ${state.excluded} lines excluded, ` +
+          `${state.continuations + 1} runs (started ${state.startedAt}). Reports can be built now.`);
+      }
       return `Built All_Orders_Clean (${state.written} rows), excluded ${state.excluded}`;
     }
 
-    function processShopify_() {
-      const lastRow = shopSheet.getLastRow();
-      const lastCol = shopSheet.getLastColumn();
+    // Returns a pause message when the time budget runs out, null when the sheet is done.
+    function processConnector_(conn) {
+      const sheet = ss.getSheetByName(conn.ordersSheet);
+      const lastRow = sheet.getLastRow();
+      const lastCol = sheet.getLastColumn();
       if (lastRow < 2) return null;
 
-      const headers = shopSheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || "").trim());
-
-      const c = {
-        orderId: headers.indexOf("Order ID"),
-        orderNumber: headers.indexOf("Order Number"),
-        processedLocal: headers.indexOf("Processed At (Local)"),
-        processedAt: headers.indexOf("Processed At"),
-        createdLocal: headers.indexOf("Created At (Local)"),
-        createdAt: headers.indexOf("Created At"),
-        updatedAt: headers.indexOf("Updated At"),
-        financial: headers.indexOf("Financial Status"),
-        fulfill: headers.indexOf("Fulfillment Status"),
-        currency: headers.indexOf("Currency"),
-        totalDiscounts: headers.indexOf("Total Discounts"),
-        totalPrice: headers.indexOf("Total Price"),
-        currentTotalPrice: headers.indexOf("Current Total Price"),
-        totalRefunds: headers.indexOf("Total Refunds"),
-        testOrder: headers.indexOf("Test Order"),
-        email: headers.indexOf("Customer Email"),
-        first: headers.indexOf("Customer First Name"),
-        last: headers.indexOf("Customer Last Name"),
-        lineName: headers.indexOf("Lineitem Name"),
-        lineQty: headers.indexOf("Lineitem Quantity"),
-        linePrice: headers.indexOf("Lineitem Price"),
-        lineSku: headers.indexOf("Lineitem SKU"),
-        tags: headers.indexOf("Tags")
-      };
+      const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || "").trim());
+      const mapper = conn.clean;
+      const c = mapper.columns(headers);
 
-      ["orderId","orderNumber","email","lineName","lineQty","linePrice"].forEach(k => {
-        if (c[k] === -1) throw new Error(`Shopify Orders missing required column: ${k}`);
-      });
+      // Orders dropped entirely by an order rule -> { reason, ruleId }. A resumed run gets the
+      // ones from earlier runs back from Excluded_Lines, so later lines of the order stay dropped.
+      const excludedOrderIds = state.rowCursor > 2 ? readOrderExclusions_(conn.name, state.excludedRow) : new Map();
 
-      // If NONE of these exist, you will get blank order_date — fail loudly.
-      const hasAnyDateCol =
-        c.processedLocal >= 0 || c.processedAt >= 0 || c.createdLocal >= 0 || c.createdAt >= 0 || c.updatedAt >= 0;
-      if (!hasAnyDateCol) {
-        throw new Error(
-          'Shopify Orders is missing date columns. Expected one of: "Processed At (Local)", "Processed At", "Created At (Local)", "Created At", "Updated At".'
-        );
+      // Lines of the order being collected. Only whole orders are written, so the saved
+      // rowCursor always points at the first row of an unfinished order.
+      let group = null; // { orderId, startRow, lines }
+      const buffer = [];
+      const indexBuffer = [];
+      const excludedBuffer = [];
+
+      function flushGroup_() {
+        if (!group) return;
+
+        const dropped = excludedOrderIds.get(group.orderId);
+        if (dropped) {
+          group.lines.forEach(line => excludedBuffer.push(excludedLineRow_(conn, line, dropped.reason, dropped.ruleId)));
+        } else {
+          const res = cleanOrderLines_(conn, group.lines, banned);
+          res.excluded.forEach(x => excludedBuffer.push(excludedLineRow_(conn, x.line, x.reason, x.ruleId)));
+          if (res.orderExcluded) excludedOrderIds.set(group.orderId, res.orderExcluded);
+
+          if (res.rows.length) {
+            indexBuffer.push([conn.name, group.orderId, cleanRowsFingerprint_(res.rows), state.outRow + buffer.length, res.rows.length]);
+            res.rows.forEach(row => buffer.push(row));
+          }
+        }
+        group = null;
+      }
+
+      function writeBuffer_() {
+        if (excludedBuffer.length) {
+          writeExcludedLinesAt_(state.excludedRow, excludedBuffer);
+          state.excludedRow += excludedBuffer.length;
+          state.excluded += excludedBuffer.length;
+          excludedBuffer.length = 0;
+        }
+
+        if (!buffer.length) return;
+        outSheet.getRange(state.outRow, 1, buffer.length, CLEAN_HEADERS.length).setValues(buffer);
+        indexSheet.getRange(state.indexRow, 2, indexBuffer.length, 1).setNumberFormat("@");
+        indexSheet.getRange(state.indexRow, 1, indexBuffer.length, CLEAN_ORDER_INDEX_HEADERS.length).setValues(indexBuffer);
+        state.outRow += buffer.length;
+        state.indexRow += indexBuffer.length;
+        state.written += buffer.length;
+        buffer.length = 0;
+        indexBuffer.length = 0;
       }
 
       let r = state.rowCursor;
       while (r <= lastRow) {
-        if (timeUp_()) return saveState_(`⏸️ Paused (timeout protection). Re-run “Build Clean Master” to continue. (${state.written} rows so far)`);
+        if (timeUp_()) return pause_();
 
         const take = Math.min(CHUNK_ROWS, lastRow - r + 1);
-        const values = shopSheet.getRange(r, 1, take, lastCol).getValues();
-
-        const buffer = [];
+        const values = sheet.getRange(r, 1, take, lastCol).getValues();
 
         for (let i = 0; i < values.length; i++) {
           const row = values[i];
           if (row.every(v => v === "" || v === null)) continue;
 
-          if (c.testOrder >= 0 && truthy_(row[c.testOrder])) { state.excluded++; continue; }
-
-          const emailRaw = s_(row[c.email]);
-          if (emailRaw && isBannedEmail_(emailRaw, banned)) { state.excluded++; continue; }
+          const line = mapper.toLine(row, c);
+          if (!line.orderId) continue;
 
-          const orderId = s_(row[c.orderId]);
-          const orderNumber = s_(row[c.orderNumber]);
-
-          // ✅ robust date parse
-          const orderDate =
-            parseAnyDate_(c.processedLocal >= 0 ? row[c.processedLocal] : null) ||
-            parseAnyDate_(c.processedAt >= 0 ? row[c.processedAt] : null) ||
-            parseAnyDate_(c.createdLocal >= 0 ? row[c.createdLocal] : null) ||
-            parseAnyDate_(c.createdAt >= 0 ? row[c.createdAt] : null) ||
-            parseAnyDate_(c.updatedAt >= 0 ? row[c.updatedAt] : null) ||
-            null;
-
-          const first = c.first >= 0 ? s_(row[c.first]) : "";
-          const last = c.last >= 0 ? s_(row[c.last]) : "";
-          const customerName = (first || last) ? (first + " " + last).trim() : "";
-
-          const productName = s_(row[c.lineName]);
-          if (!productName) continue;
-
-          // Exclude banned products
-          if (isBannedProduct_(productName)) {
-            state.excluded++;
-            continue;
-          }
-
-          const sku = c.lineSku >= 0 ? s_(row[c.lineSku]) : "";
-          const qty = parseQty_(row[c.lineQty]);
-          const unitPrice = parseMoney_(row[c.linePrice]);
-          const lineRevenue = (qty || 0) * (unitPrice || 0);
-
-          const currency = c.currency >= 0 ? s_(row[c.currency]) : "";
-          const financialStatus = c.financial >= 0 ? s_(row[c.financial]) : "";
-          const fulfillmentStatus = c.fulfill >= 0 ? s_(row[c.fulfill]) : "";
-          const tags = c.tags >= 0 ? s_(row[c.tags]) : "";
-
-          const orderKey = "Shopify||" + orderId;
-          const writeTotals = orderKey !== state.lastOrderKey;
-          if (writeTotals) state.lastOrderKey = orderKey;
-
-          const grossTotal = (c.totalPrice >= 0) ? Math.abs(parseMoney_(row[c.totalPrice])) : 0;
-          const discountTotal = (c.totalDiscounts >= 0) ? Math.abs(parseMoney_(row[c.totalDiscounts])) : 0;
-          const currentTotal = (c.currentTotalPrice >= 0) ? parseMoney_(row[c.currentTotalPrice]) : 0;
-          const netRevenue = (currentTotal !== 0 || s_(row[c.currentTotalPrice]) !== "") ? Math.abs(currentTotal) : grossTotal;
-
-          let refundTotal = 0;
-          if (c.totalRefunds >= 0 && s_(row[c.totalRefunds]) !== "") {
-            refundTotal = Math.abs(parseMoney_(row[c.totalRefunds]));
-          } else {
-            refundTotal = Math.max(0, grossTotal - netRevenue);
+          if (!group || group.orderId !== line.orderId) {
+            flushGroup_();
+            group = { orderId: line.orderId, startRow: r + i, lines: [] };
           }
-
-          buffer.push([
-            "Shopify",
-            orderId,
-            orderNumber,
-            orderDate || "",
-            emailRaw,
-            normEmail_(emailRaw),
-            customerName,
-            productName,
-            sku,
-            qty,
-            unitPrice,
-            lineRevenue,
-            writeTotals ? discountTotal : 0,
-            writeTotals ? refundTotal : 0,
-            writeTotals ? netRevenue : 0,
-            currency,
-            financialStatus,
-            fulfillmentStatus,
-            tags,
-            "Shopify Orders"
-          ]);
-        }
-
-        if (buffer.length) {
-          outSheet.getRange(state.outRow, 1, buffer.length, CLEAN_HEADERS.length).setValues(buffer);
-          state.outRow += buffer.length;
-          state.written += buffer.length;
+          group.lines.push(line);
         }
 
         r += take;
-        state.rowCursor = r;
-        PROPS.setProperty(STATE_KEY, JSON.stringify(state));
+        writeBuffer_();
+        state.rowCursor = group ? group.startRow : r;
+        persist_();
       }
 
-      state.phase = "squarespace";
-      state.rowCursor = 2;
-      state.lastOrderKey = "";
-      PROPS.setProperty(STATE_KEY, JSON.stringify(state));
+      // End of sheet: flush the last order
+      flushGroup_();
+      writeBuffer_();
       return null;
     }
 
-    // ✅ UPDATED: Squarespace pricing fix + EXCLUDE duplicate Montana/MT LLC renew* (2026) orders
-    function processSquarespace_() {
-      const lastRow = sqSheet.getLastRow();
-      const lastCol = sqSheet.getLastColumn();
-      if (lastRow < 2) return null;
+    // Older states used lowercase phase names
+    let phaseIdx = connectors.findIndex(conn => conn.name.toLowerCase() === String(state.phase || "").toLowerCase());
+    if (phaseIdx === -1) phaseIdx = 0;
 
-      const headers = sqSheet.getRange(1, 1, 1, lastCol).getValues()[0]
-        .map(h => String(h || "").trim());
-
-      // case-insensitive header lookup
-      const idx_ = (name) => headers.findIndex(h => String(h || "").trim().toLowerCase() === String(name).toLowerCase());
-
-      const c = {
-        orderId: idx_("Order ID"),
-        orderNumber: idx_("Order Number"),
-        createdOn: idx_("Created On") >= 0 ? idx_("Created On") : idx_("Created"),
-        modifiedOn: idx_("Modified On") >= 0 ? idx_("Modified On") : idx_("Modified"),
-        testMode: idx_("Test Mode"),
-        email: idx_("Customer Email"),
-        billFirst: idx_("Billing First Name"),
-        billLast: idx_("Billing Last Name"),
-        product: idx_("LineItem Product Name"),
-        sku: idx_("LineItem SKU"),
-        qty: idx_("LineItem Quantity"),
-        unitPriceValue: idx_("LineItem Unit Price Value"),
-        subtotalCurrency: idx_("Subtotal Currency"),
-        discountValue: idx_("Discount Total Value"),
-        refundedValue: idx_("Refunded Total Value"),
-        grandTotalValue: idx_("Grand Total Value"),
-        grandTotalCurrency: idx_("Grand Total Currency")
-      };
-
-      ["orderId","orderNumber","email","product","qty","grandTotalValue"].forEach(k => {
-        if (c[k] === -1) throw new Error(`Squarespace Orders missing required column: ${k}`);
-      });
+    for (let p = phaseIdx; p < connectors.length; p++) {
+      state.phase = connectors[p].name;
+      const msg = processConnector_(connectors[p]);
+      if (msg) return msg;
 
-      const hasAnyDateCol = (c.createdOn >= 0 || c.modifiedOn >= 0);
-      if (!hasAnyDateCol) {
-        throw new Error(
-          'Squarespace Orders is missing date columns. Expected "Created On" and/or "Modified On" (case-insensitive).'
-        );
+      if (p + 1 < connectors.length) {
+        state.phase = connectors[p + 1].name;
+        state.rowCursor = 2;
+        persist_();
       }
+    }
 
-      // We write in chunks, but we MUST keep order lines together to allocate pricing correctly.
-      let r = state.rowCursor;
-
-      // Track Squarespace orders we want to exclude entirely
-      const excludedOrderIds = new Set();
-
-      // Hold current order lines across rows (and even chunk boundaries)
-      let curOrderId = null;
-      let curOrderLines = [];
-      let curOrderMeta = null;
+    return finish_();
 
-      const buffer = [];
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-      function normalizeProductText_(productName) {
-        return String(productName || "")
-          .toLowerCase()
-          .replace(/[^a-z0-9\s]/g, " ")  // punctuation -> spaces
-          .replace(/\s+/g, " ")
-          .trim();
-      }
+// ---------------------------
+// Self-continuing full build
+// A paused build schedules continueCleanMasterBuild; while its state exists All_Orders_Clean
+// holds only part of the orders, so report builders refuse to run (assertCleanMasterReady_).
+// State that stops advancing for CLEAN_BUILD_STALE_HOURS is discarded.
+// ---------------------------
 
-      function shouldExcludeSquarespaceOrder_(orderDate, productName) {
-        if (!orderDate || Object.prototype.toString.call(orderDate) !== "[object Date]" || isNaN(orderDate.getTime())) return false;
+/**
+ * Trigger handler: picks a paused full build up where it stopped.
+ */
+function continueCleanMasterBuild() {
+  deleteTriggersFor_(CLEAN_BUILD_CONTINUE_HANDLER);
+  if (cleanupStaleCleanBuildState_()) return "Stale clean-master build discarded.";
 
-        const yr = orderDate.getFullYear();
-        if (yr !== 2026) return false;
+  const state = getCleanBuildState_();
+  if (!state) return "No clean-master build to continue.";
 
-        const pn = normalizeProductText_(productName);
+  state.continuations = n_(state.continuations) + 1;
+  PROPS.setProperty(CLEAN_BUILD_STATE_KEY, JSON.stringify(state));
 
-        // Keyword groups (AND across groups, OR inside group)
-        // Must have (montana OR mt) AND llc AND renew*
-        const groups = [
-          ["montana", "mt"],
-          ["llc"],
-          ["renew"] // matches renewal/renewing/renewal etc.
-        ];
+  try {
+    return buildAllOrdersClean();
+  } catch (e) {
+    const err = String(e && e.message ? e.message : e);
+
+    // Another job holds the lock: try again later rather than break the chain
+    if (err.indexOf("Lock timeout") === 0) {
+      scheduleContinuation_(CLEAN_BUILD_CONTINUE_HANDLER, CLEAN_BUILD_RESUME_DELAY_MS);
+      logImportEvent("CleanMaster", "Continuation postponed: another process holds the lock");
+      return "Clean Master build postponed (lock busy).";
+    }
 
-        for (const group of groups) {
-          const hit = group.some(kw => pn.includes(kw));
-          if (!hit) return false;
-        }
-        return true;
-      }
+    logImportEvent("CleanMaster", `Build error: ${err}`);
+    notifyCleanBuild_("Clean Master build failed",
+      `The All_Orders_Clean build stopped after ${n_(state.written)} rows: ${err}\n\n` +
+      `Run "Full Rebuild Clean Master" to resume it; untouched, the saved state is discarded after ${getCleanBuildStaleHours_()} hours.`);
+    throw e;
+  }
+}
 
-      function dropCurrentOrderAsExcluded_() {
-        // Count any already-collected lines as excluded, then reset the order group so nothing writes.
-        if (curOrderLines && curOrderLines.length) state.excluded += curOrderLines.length;
-        curOrderId = null;
-        curOrderLines = [];
-        curOrderMeta = null;
-      }
+/**
+ * Saved full-build state, or null when no build is in progress.
+ */
+function getCleanBuildState_() {
+  const raw = PROPS.getProperty(CLEAN_BUILD_STATE_KEY);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch (e) { return null; }
+}
 
-      function flushCurrentOrder_() {
-        if (!curOrderId || !curOrderLines.length || !curOrderMeta) return;
+/**
+ * True while a full build is part-way through (and not stale).
+ */
+function isCleanMasterBuilding_() {
+  const state = getCleanBuildState_();
+  return !!state && !isCleanBuildStateStale_(state);
+}
 
-        // If this order is marked excluded, do not write it
-        if (excludedOrderIds.has(curOrderId)) {
-          state.excluded += curOrderLines.length;
-          curOrderId = null;
-          curOrderLines = [];
-          curOrderMeta = null;
-          return;
-        }
+function getCleanBuildStaleHours_() {
+  const hours = n_(PROPS.getProperty("CLEAN_BUILD_STALE_HOURS"));
+  return hours > 0 ? hours : CLEAN_BUILD_STALE_HOURS_DEFAULT;
+}
 
-        // Fix missing Squarespace line pricing if needed
-        fixSquarespaceLinePricing_(curOrderLines);
-
-        // Write rows (totals once per order)
-        for (let j = 0; j < curOrderLines.length; j++) {
-          const lo = curOrderLines[j];
-          const writeTotals = (j === 0);
-
-          buffer.push([
-            "Squarespace",
-            curOrderMeta.orderId,
-            curOrderMeta.orderNumber,
-            curOrderMeta.orderDate || "",
-            curOrderMeta.emailRaw,
-            normEmail_(curOrderMeta.emailRaw),
-            curOrderMeta.customerName,
-            curOrderMeta.productNames[j],
-            curOrderMeta.skus[j],
-            lo.quantity,
-            lo.unitPrice,
-            lo.lineRevenue,
-            writeTotals ? curOrderMeta.discountTotal : 0,
-            writeTotals ? curOrderMeta.refundTotal : 0,
-            writeTotals ? curOrderMeta.netRevenue : 0,
-            curOrderMeta.currency,
-            "",
-            "",
-            "",
-            "Squarespace Orders"
-          ]);
-        }
+function isCleanBuildStateStale_(state) {
+  const last = asDate_(state.updatedAt || state.startedAt);
+  if (!last) return false; // saved before timestamps existed; the next run stamps it
+  return (Date.now() - last.getTime()) > getCleanBuildStaleHours_() * 60 * 60 * 1000;
+}
 
-        // Reset
-        curOrderId = null;
-        curOrderLines = [];
-        curOrderMeta = null;
-      }
+/**
+ * Discards build state that has not advanced for CLEAN_BUILD_STALE_HOURS, along with its
+ * continuation trigger and the row index, so the next build starts from scratch.
+ * Returns true when something was discarded.
+ */
+function cleanupStaleCleanBuildState_() {
+  const state = getCleanBuildState_();
+  if (!state || !isCleanBuildStateStale_(state)) return false;
 
-      while (r <= lastRow) {
-        if (timeUp_()) {
-          // Flush what we have so far before saving state
-          flushCurrentOrder_();
-
-          if (buffer.length) {
-            outSheet.getRange(state.outRow, 1, buffer.length, CLEAN_HEADERS.length).setValues(buffer);
-            state.outRow += buffer.length;
-            state.written += buffer.length;
-          }
+  PROPS.deleteProperty(CLEAN_BUILD_STATE_KEY);
+  deleteTriggersFor_(CLEAN_BUILD_CONTINUE_HANDLER);
+  invalidateCleanOrderIndex_();
 
-          state.rowCursor = r; // continue from here
-          PROPS.setProperty("CLEAN_MASTER_BUILD_STATE_V2", JSON.stringify(state));
-          return saveState_(`⏸️ Paused (timeout protection). Re-run “Build Clean Master” to continue. (${state.written} rows so far)`);
-        }
+  const out = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CLEAN_OUTPUT_SHEET);
+  if (out) out.getRange(1, 1).setNote(`⚠️ Incomplete: the build started ${state.startedAt || "earlier"} stopped after ${n_(state.written)} rows. Run "Full Rebuild Clean Master".`);
 
-        const take = Math.min(CHUNK_ROWS, lastRow - r + 1);
-        const values = sqSheet.getRange(r, 1, take, lastCol).getValues();
+  const msg = `Discarded stale build state (started ${state.startedAt || "unknown"}, last progress ${state.updatedAt || "unknown"}, ${n_(state.written)} rows written)`;
+  logImportEvent("CleanMaster", msg);
+  notifyCleanBuild_("Clean Master build abandoned", `${msg}. All_Orders_Clean is incomplete until the next full build.`);
+  return true;
+}
 
-        for (let i = 0; i < values.length; i++) {
-          const row = values[i];
-          if (row.every(v => v === "" || v === null)) continue;
+/**
+ * Report builders call this before reading All_Orders_Clean.
+ */
+function assertCleanMasterReady_() {
+  const state = getCleanBuildState_();
+  if (!state) return;
 
-          // exclude Squarespace test mode orders
-          if (c.testMode >= 0 && truthy_(row[c.testMode])) { state.excluded++; continue; }
+  if (cleanupStaleCleanBuildState_()) {
+    throw new Error(`"${CLEAN_OUTPUT_SHEET}" is incomplete: its last build stopped after ${n_(state.written)} rows. Run "Full Rebuild Clean Master" first.`);
+  }
+  throw new Error(`"${CLEAN_OUTPUT_SHEET}" is still being built (${n_(state.written)} rows so far, continuing automatically). Build reports after it finishes.`);
+}
 
-          const emailRaw = s_(row[c.email]);
-          if (emailRaw && isBannedEmail_(emailRaw, banned)) { state.excluded++; continue; }
+/**
+ * Emails CLEAN_BUILD_NOTIFY_EMAIL (script property), else the script owner. Mail failures are
+ * logged, never thrown: the build itself has already succeeded or failed.
+ */
+function notifyCleanBuild_(subject, body) {
+  try {
+    const to = s_(PROPS.getProperty("CLEAN_BUILD_NOTIFY_EMAIL")) || Session.getEffectiveUser().getEmail();
+    if (!to) return;
+    MailApp.sendEmail(to, `[${SpreadsheetApp.getActiveSpreadsheet().getName()}] ${subject}`, body);
+  } catch (e) {
+    logImportEvent("CleanMaster", `Notification not sent: ${e && e.message ? e.message : e}`);
+  }
+}
 
-          const orderId = s_(row[c.orderId]);
-          const orderNumber = s_(row[c.orderNumber]);
+// ---------------------------
+// Incremental build + per-order row index
+// _Clean_Order_Index has one row per order written to All_Orders_Clean: where its rows start,
+// how many there are and a fingerprint of their values. The fingerprint covers the finished
+// clean rows, so banned-list, catalog, fee and rule changes are picked up like raw edits.
+// ---------------------------
+const CLEAN_ORDER_INDEX_SHEET = "_Clean_Order_Index";
+const CLEAN_ORDER_INDEX_HEADERS = ["Platform", "Order ID", "Fingerprint", "Start Row", "Row Count"];
 
-          if (!orderId) continue;
+// Above this many in-place rewrites / deletions, one bulk rewrite is faster than row surgery
+const CLEAN_INCREMENTAL_MAX_OPS = 300;
 
-          // If this orderId was already flagged to exclude, skip all remaining lines
-          if (excludedOrderIds.has(orderId)) { state.excluded++; continue; }
+/**
+ * Updates All_Orders_Clean in place: orders whose clean rows are new, changed or gone are
+ * rewritten, appended or deleted; everything else is left untouched. Falls back to the full
+ * build when there is no usable index yet or a full build is paused mid-way.
+ */
+function buildAllOrdersCleanIncremental() {
+  if (PROPS.getProperty(CLEAN_BUILD_STATE_KEY)) return buildAllOrdersClean();
+  if (!readCleanOrderIndex_()) return buildAllOrdersClean();
 
-          // robust date parse
-          const orderDate =
-            parseAnyDate_(c.createdOn >= 0 ? row[c.createdOn] : null) ||
-            parseAnyDate_(c.modifiedOn >= 0 ? row[c.modifiedOn] : null) ||
-            null;
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(20000)) {
+    throw new Error('Lock timeout: another process is running. Wait ~10 seconds and try again.');
+  }
 
-          const first = c.billFirst >= 0 ? s_(row[c.billFirst]) : "";
-          const last = c.billLast >= 0 ? s_(row[c.billLast]) : "";
-          const customerName = (first || last) ? (first + " " + last).trim() : "";
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-          const productName = s_(row[c.product]);
-          if (!productName) continue;
+    const connectors = getConnectors_();
+    const missing = connectors.filter(conn => !ss.getSheetByName(conn.ordersSheet)).map(conn => `"${conn.ordersSheet}"`);
+    if (missing.length) throw new Error(`Missing ${missing.join(' and/or ')} tabs.`);
 
-          // Exclude banned products
-          if (isBannedProduct_(productName)) {
-            state.excluded++;
-            continue;
-          }
+    const banned = loadBannedList_();
+    const outSheet = getOrCreateSheetWithHeaders(CLEAN_OUTPUT_SHEET, CLEAN_HEADERS);
+    const index = readCleanOrderIndex_();
+    const width = CLEAN_HEADERS.length;
+
+    // Current clean rows of every order (registration order, then raw sheet order). Like the
+    // full build, an order whose raw lines are not contiguous (lines appended by a later
+    // import) is cleaned run by run, each run with its own index entry.
+    const fresh = new Map(); // platform||orderId -> [{ platform, orderId, rows, fp }] one per run
+    const excludedRows = []; // Excluded_Lines, rewritten in full
+    connectors.forEach(conn => {
+      const sheet = ss.getSheetByName(conn.ordersSheet);
+      const lastRow = sheet.getLastRow();
+      const lastCol = sheet.getLastColumn();
+      if (lastRow < 2) return;
+
+      const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || "").trim());
+      const c = conn.clean.columns(headers);
+
+      const runs = [];
+      sheet.getRange(2, 1, lastRow - 1, lastCol).getValues().forEach(row => {
+        if (row.every(v => v === "" || v === null)) return;
+        const line = conn.clean.toLine(row, c);
+        if (!line.orderId) return;
+        const run = runs[runs.length - 1];
+        if (run && run.orderId === line.orderId) run.lines.push(line);
+        else runs.push({ orderId: line.orderId, lines: [line] });
+      });
 
-          // ✅ NEW: Exclude duplicate Squarespace renewal orders in 2026
-          if (shouldExcludeSquarespaceOrder_(orderDate, productName)) {
-            excludedOrderIds.add(orderId);
+      const excludedOrderIds = new Map();
+      runs.forEach(run => {
+        const dropped = excludedOrderIds.get(run.orderId);
+        if (dropped) {
+          run.lines.forEach(line => excludedRows.push(excludedLineRow_(conn, line, dropped.reason, dropped.ruleId)));
+          return;
+        }
 
-            // If we're currently building this same order, drop already-collected lines
-            if (curOrderId && curOrderId === orderId) {
-              dropCurrentOrderAsExcluded_();
-            }
+        const res = cleanOrderLines_(conn, run.lines, banned);
+        res.excluded.forEach(x => excludedRows.push(excludedLineRow_(conn, x.line, x.reason, x.ruleId)));
+        if (res.orderExcluded) excludedOrderIds.set(run.orderId, res.orderExcluded);
+        if (!res.rows.length) return;
 
-            // Exclude this line too (and all subsequent ones)
-            state.excluded++;
-            continue;
-          }
+        const key = `${conn.name}||${run.orderId}`;
+        if (!fresh.has(key)) fresh.set(key, []);
+        fresh.get(key).push({ platform: conn.name, orderId: run.orderId, rows: res.rows, fp: cleanRowsFingerprint_(res.rows) });
+      });
+    });
+
+    // Excluded lines are cheap to recompute and may change without any clean row changing
+    writeExcludedLines_(excludedRows);
+
+    // Diff against the index
+    const stats = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    const rewrites = []; // { entry, f } same row count: overwrite in place
+    const deletes = [];  // index entries whose rows go away
+    const appends = [];  // fresh runs written at the end
+
+    index.byKey.forEach((entries, key) => {
+      const runs = fresh.get(key);
+      if (!runs) {
+        entries.forEach(e => deletes.push(e));
+        stats.removed++;
+      } else if (entries.length === runs.length && entries.every((e, i) => e.count === runs[i].rows.length)) {
+        const stale = entries.map((e, i) => ({ entry: e, f: runs[i] })).filter(x => x.entry.fp !== x.f.fp);
+        stale.forEach(x => rewrites.push(x));
+        stats[stale.length ? 'changed' : 'unchanged']++;
+      } else {
+        entries.forEach(e => deletes.push(e));
+        runs.forEach(f => appends.push(f));
+        stats.changed++;
+      }
+    });
+    fresh.forEach((runs, key) => {
+      if (!index.byKey.has(key)) { runs.forEach(f => appends.push(f)); stats.added++; }
+    });
+
+    const summary = `${stats.added} added, ${stats.changed} changed, ${stats.removed} removed, ${stats.unchanged} unchanged orders`;
+    if (!rewrites.length && !deletes.length && !appends.length) {
+      ss.toast(`✅ Clean Master already up to date (${stats.unchanged} orders).`, "Clean Master", 6);
+      return `All_Orders_Clean up to date (${summary})`;
+    }
 
-          const sku = c.sku >= 0 ? s_(row[c.sku]) : "";
-          const qty = parseQty_(row[c.qty]);
+    let entries;
+    if (rewrites.length + deletes.length > CLEAN_INCREMENTAL_MAX_OPS) {
+      // Bulk: keep the current position of orders that stay, rewrite everything in one pass
+      const gone = new Set(deletes);
+      const kept = new Map(); // index entry -> fresh run
+      index.byKey.forEach((entries, key) => {
+        if (entries.some(e => gone.has(e))) return;
+        entries.forEach((e, i) => kept.set(e, fresh.get(key)[i]));
+      });
 
-          const unitPrice = (c.unitPriceValue >= 0 && s_(row[c.unitPriceValue]) !== "")
-            ? parseMoney_(row[c.unitPriceValue])
-            : 0;
+      const order = index.entries
+        .filter(e => kept.has(e))
+        .sort((a, b) => a.start - b.start)
+        .map(e => kept.get(e));
+      appends.forEach(f => order.push(f));
+
+      const rows = [];
+      entries = order.map(f => {
+        const e = { platform: f.platform, orderId: f.orderId, fp: f.fp, start: rows.length + 2, count: f.rows.length };
+        f.rows.forEach(row => rows.push(row));
+        return e;
+      });
 
-          const lineRevenue = (qty || 0) * (unitPrice || 0);
+      const lr = outSheet.getLastRow();
+      if (rows.length) outSheet.getRange(2, 1, rows.length, width).setValues(rows);
+      if (lr - 1 > rows.length) outSheet.getRange(rows.length + 2, 1, lr - 1 - rows.length, outSheet.getMaxColumns()).clearContent();
+    } else {
+      rewrites.forEach(({ entry, f }) => {
+        outSheet.getRange(entry.start, 1, f.rows.length, width).setValues(f.rows);
+        entry.fp = f.fp;
+      });
 
-          const discountTotal = (c.discountValue >= 0) ? Math.abs(parseMoney_(row[c.discountValue])) : 0;
-          const refundTotal = (c.refundedValue >= 0) ? Math.abs(parseMoney_(row[c.refundedValue])) : 0;
-          const grandTotal = Math.abs(parseMoney_(row[c.grandTotalValue]));
-          const netRevenue = Math.max(0, grandTotal - refundTotal);
+      // Bottom-up so earlier start rows stay valid
+      const gone = new Set(deletes);
+      deletes.slice().sort((a, b) => b.start - a.start).forEach(e => outSheet.deleteRows(e.start, e.count));
+
+      // Survivors keep their relative order; recompute starts after the deletions
+      let next = 2;
+      entries = index.entries
+        .filter(e => !gone.has(e))
+        .sort((a, b) => a.start - b.start)
+        .map(e => {
+          const moved = Object.assign({}, e, { start: next });
+          next += e.count;
+          return moved;
+        });
+
+      const rows = [];
+      appends.forEach(f => {
+        entries.push({ platform: f.platform, orderId: f.orderId, fp: f.fp, start: next + rows.length, count: f.rows.length });
+        f.rows.forEach(row => rows.push(row));
+      });
+      if (rows.length) outSheet.getRange(next, 1, rows.length, width).setValues(rows);
+    }
 
-          const currency =
-            (c.subtotalCurrency >= 0 ? s_(row[c.subtotalCurrency]) : "") ||
-            (c.grandTotalCurrency >= 0 ? s_(row[c.grandTotalCurrency]) : "");
+    writeCleanOrderIndex_(entries);
+    formatCleanSheet_(outSheet);
 
-          // If order changes, flush previous order before starting new one
-          if (curOrderId && orderId !== curOrderId) {
-            flushCurrentOrder_();
-          }
+    const written = entries.reduce((sum, e) => sum + e.count, 0);
+    logImportEvent("CleanMaster", `Incremental All_Orders_Clean update: ${summary} (excluded lines:${excludedRows.length})`, written);
+    ss.toast(`✅ Clean Master updated: ${summary}.`, "Clean Master", 8);
+    return `Updated All_Orders_Clean incrementally: ${summary} (${written} rows)`;
 
-          // Start new order group if needed
-          if (!curOrderId) {
-            curOrderId = orderId;
-            curOrderMeta = {
-              orderId,
-              orderNumber,
-              orderDate,
-              emailRaw,
-              customerName,
-              discountTotal,
-              refundTotal,
-              netRevenue,
-              currency,
-              productNames: [],
-              skus: []
-            };
-          }
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-          // Append this line to current order group
-          curOrderMeta.productNames.push(productName);
-          curOrderMeta.skus.push(sku);
-
-          curOrderLines.push({
-            platform: "Squarespace",
-            orderId: orderId,
-            quantity: qty,
-            unitPrice: unitPrice,
-            lineRevenue: lineRevenue,
-            orderNet: netRevenue
-          });
-        }
+/**
+ * Index entries { key, platform, orderId, fp, start, count } in sheet order plus byKey
+ * (key -> entries; an order written in two raw-sheet runs has two). Null when the index is
+ * missing or does not describe All_Orders_Clean row for row.
+ */
+function readCleanOrderIndex_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CLEAN_ORDER_INDEX_SHEET);
+  const clean = ss.getSheetByName(CLEAN_OUTPUT_SHEET);
+  if (!sheet || !clean || sheet.getLastRow() < 2) return null;
+
+  const entries = sheet.getRange(2, 1, sheet.getLastRow() - 1, CLEAN_ORDER_INDEX_HEADERS.length).getValues()
+    .filter(row => s_(row[0]) && s_(row[1]))
+    .map(row => ({
+      key: `${s_(row[0])}||${s_(row[1])}`,
+      platform: s_(row[0]),
+      orderId: s_(row[1]),
+      fp: s_(row[2]),
+      start: n_(row[3]),
+      count: n_(row[4])
+    }));
+
+  // Must cover every clean row exactly once (anything else means the sheet was edited)
+  const covered = entries.reduce((sum, e) => sum + e.count, 0);
+  if (covered !== clean.getLastRow() - 1) return null;
+
+  const byKey = new Map();
+  entries.forEach(e => {
+    if (!byKey.has(e.key)) byKey.set(e.key, []);
+    byKey.get(e.key).push(e);
+  });
+  return { entries: entries, byKey: byKey };
+}
 
-        r += take;
-        state.rowCursor = r;
-
-        // Write buffer periodically to avoid huge memory usage
-        if (buffer.length >= 2000) {
-          // Flush current order first so lines are not split
-          flushCurrentOrder_();
-
-          if (buffer.length) {
-            outSheet.getRange(state.outRow, 1, buffer.length, CLEAN_HEADERS.length).setValues(buffer);
-            state.outRow += buffer.length;
-            state.written += buffer.length;
-            buffer.length = 0;
-          }
+function writeCleanOrderIndex_(entries) {
+  const sheet = getOrCreateSheetWithHeaders(CLEAN_ORDER_INDEX_SHEET, CLEAN_ORDER_INDEX_HEADERS);
+  const lr = sheet.getLastRow();
+  if (lr > 1) sheet.getRange(2, 1, lr - 1, CLEAN_ORDER_INDEX_HEADERS.length).clearContent();
+  if (!entries.length) return;
 
-          PROPS.setProperty("CLEAN_MASTER_BUILD_STATE_V2", JSON.stringify(state));
-        }
-      }
+  sheet.getRange(2, 2, entries.length, 1).setNumberFormat("@");
+  sheet.getRange(2, 1, entries.length, CLEAN_ORDER_INDEX_HEADERS.length)
+    .setValues(entries.map(e => [e.platform, e.orderId, e.fp, e.start, e.count]));
+}
 
-      // End of sheet: flush any remaining order
-      flushCurrentOrder_();
+/**
+ * Drops the row index so the next incremental build does a full rebuild
+ * (call after anything rewrites All_Orders_Clean outside the builders).
+ */
+function invalidateCleanOrderIndex_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CLEAN_ORDER_INDEX_SHEET);
+  if (sheet && sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, CLEAN_ORDER_INDEX_HEADERS.length).clearContent();
+  }
+}
 
-      if (buffer.length) {
-        outSheet.getRange(state.outRow, 1, buffer.length, CLEAN_HEADERS.length).setValues(buffer);
-        state.outRow += buffer.length;
-        state.written += buffer.length;
-      }
+function cleanRowsFingerprint_(rows) {
+  return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(rows)));
+}
 
-      return null;
-    }
+/**
+ * Clean rows for one order's mapped lines (raw sheet order) after the line filters:
+ * { rows, excluded: [{ line, reason, ruleId }] for Excluded_Lines, orderExcluded: the
+ * { reason, ruleId } of a whole-order rule that dropped every line, else null }.
+ */
+function cleanOrderLines_(conn, lines, banned) {
+  const mapper = conn.clean;
+  const rules = loadExclusionRules_();
+  const kept = [];
+  const excluded = [];
+  let orderExcluded = null;
+
+  const drop = (line, reason, ruleId) => excluded.push({ line: line, reason: reason, ruleId: ruleId || "" });
+
+  lines.forEach(line => {
+    if (line.test) return drop(line, EXCLUSION_REASONS.TEST);
+    if (line.removed) return drop(line, EXCLUSION_REASONS.REMOVED);
+    // skip = mapper says the order never took money (e.g. WooCommerce pending/cancelled)
+    if (line.skip) return drop(line, EXCLUSION_REASONS.UNPAID);
+    if (line.email && isBannedEmail_(line.email, banned)) return drop(line, EXCLUSION_REASONS.BANNED_EMAIL);
+
+    // Once the order is flagged to exclude, skip all remaining lines
+    if (orderExcluded) return drop(line, orderExcluded.reason, orderExcluded.ruleId);
+
+    // Line-scope Exclusion_Rules (banned products, internal domains, ...)
+    const lineRule = matchExclusionRule_(rules.line, conn.name, line);
+    if (lineRule) return drop(line, lineRule.reason, lineRule.id);
+
+    if (!line.productName) return drop(line, EXCLUSION_REASONS.BLANK_PRODUCT);
+
+    // Whole-order rules: order-scope Exclusion_Rules (e.g. Squarespace 2026 renewal duplicates)
+    // and the connector's own excludeOrder
+    const orderRule = matchExclusionRule_(rules.order, conn.name, line);
+    if (orderRule) orderExcluded = { reason: orderRule.reason, ruleId: orderRule.id };
+    else if (mapper.excludeOrder && mapper.excludeOrder(line)) orderExcluded = { reason: EXCLUSION_REASONS.CONNECTOR_RULE, ruleId: "" };
+    if (orderExcluded) return drop(line, orderExcluded.reason, orderExcluded.ruleId);
+
+    kept.push(line);
+  });
+
+  if (orderExcluded) {
+    kept.forEach(line => drop(line, orderExcluded.reason, orderExcluded.ruleId));
+    return { rows: [], excluded: excluded, orderExcluded: orderExcluded };
+  }
 
-    if (state.phase === "shopify") {
-      const msg = processShopify_();
-      if (msg) return msg;
-    }
-    if (state.phase === "squarespace") {
-      const msg = processSquarespace_();
-      if (msg) return msg;
-    }
+  if (mapper.finishOrder && kept.length) mapper.finishOrder(kept);
 
-    return finish_();
+  // Totals once per order
+  return { rows: kept.map((line, j) => buildCleanRow_(conn, line, j === 0)), excluded: excluded, orderExcluded: null };
+}
 
-  } finally {
-    lock.releaseLock();
+function formatCleanSheet_(outSheet) {
+  outSheet.setFrozenRows(1);
+  outSheet.getRange(1, 1, 1, CLEAN_HEADERS.length).setFontWeight("bold");
+
+  const lr = outSheet.getLastRow();
+  if (lr >= 2) {
+    outSheet.getRange(2, 4, lr - 1, 1).setNumberFormat("yyyy-mm-dd hh:mm");
+    outSheet.getRange(2, 10, lr - 1, 1).setNumberFormat("0.00");
+    outSheet.getRange(2, 11, lr - 1, 1).setNumberFormat("0.00");
+    outSheet.getRange(2, 12, lr - 1, 1).setNumberFormat("0.00");
+    outSheet.getRange(2, 13, lr - 1, 3).setNumberFormat("0.00");
+    outSheet.getRange(2, 22, lr - 1, 3).setNumberFormat("0.00"); // order_processing_fee, unit_cost, line_cogs
   }
 }
 
+/**
+ * One CLEAN_HEADERS row for a mapped line. Order-level totals only on the order's first line.
+ */
+function buildCleanRow_(conn, line, writeTotals) {
+  const unitCost = lineUnitCost_(line);
+  const mapped = matchProductMap_(conn.name, line);
+
+  return [
+    conn.name,
+    line.orderId,
+    line.orderNumber,
+    line.orderDate || "",
+    line.email,
+    normEmail_(line.email),
+    line.customerName,
+    line.productName,
+    line.sku,
+    line.quantity,
+    line.unitPrice,
+    line.lineRevenue,
+    writeTotals ? line.discountTotal : 0,
+    writeTotals ? line.refundTotal : 0,
+    writeTotals ? line.netRevenue : 0,
+    line.currency,
+    line.financialStatus,
+    line.fulfillmentStatus,
+    line.tags,
+    conn.ordersSheet,
+    line.store || conn.name,
+    writeTotals ? (line.processingFee || 0) : 0,
+    unitCost,
+    unitCost === '' ? '' : unitCost * (line.quantity || 0),
+    mapped ? mapped.canonical : '',
+    mapped ? mapped.category : ''
+  ];
+}
+
 // ---------------------------
-// INTERNAL: Build order date maps from raw sheets
+// INTERNAL: Build order date map from a connector's raw sheet
 // ---------------------------
-function buildShopifyOrderDateMap_() {
+function buildConnectorOrderDateMap_(conn) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sh = ss.getSheetByName("Shopify Orders");
+  const sh = ss.getSheetByName(conn.ordersSheet);
   const map = new Map();
   if (!sh || sh.getLastRow() < 2) return map;
 
   const lastCol = sh.getLastColumn();
   const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map(h => String(h || "").trim());
-
-  const colOrderId = headers.indexOf("Order ID");
-  const colProcessedLocal = headers.indexOf("Processed At (Local)");
-  const colProcessedAt = headers.indexOf("Processed At");
-  const colCreatedLocal = headers.indexOf("Created At (Local)");
-  const colCreatedAt = headers.indexOf("Created At");
-  const colUpdatedAt = headers.indexOf("Updated At");
-
-  if (colOrderId === -1) return map;
+  const c = conn.clean.columns(headers);
 
   const values = sh.getRange(2, 1, sh.getLastRow() - 1, lastCol).getValues();
   for (let i = 0; i < values.length; i++) {
-    const row = values[i];
-    const oid = String(row[colOrderId] || "").trim();
-    if (!oid) continue;
-
-    const d =
-      parseAnyDate_(colProcessedLocal >= 0 ? row[colProcessedLocal] : null) ||
-      parseAnyDate_(colProcessedAt >= 0 ? row[colProcessedAt] : null) ||
-      parseAnyDate_(colCreatedLocal >= 0 ? row[colCreatedLocal] : null) ||
-      parseAnyDate_(colCreatedAt >= 0 ? row[colCreatedAt] : null) ||
-      parseAnyDate_(colUpdatedAt >= 0 ? row[colUpdatedAt] : null) ||
-      null;
-
-    if (d && !map.has(oid)) map.set(oid, d);
+    const line = conn.clean.toLine(values[i], c);
+    if (line.orderId && line.orderDate && !map.has(line.orderId)) map.set(line.orderId, line.orderDate);
   }
   return map;
 }
 
-function buildSquarespaceOrderDateMap_() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sh = ss.getSheetByName("Squarespace Orders");
-  const map = new Map();
-  if (!sh || sh.getLastRow() < 2) return map;
-
-  const lastCol = sh.getLastColumn();
-  const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0]
-    .map(h => String(h || "").trim());
-
-  const idx_ = (name) => headers.findIndex(h => String(h || "").trim().toLowerCase() === String(name).toLowerCase());
-
-  const colOrderId = idx_("Order ID");
-  const colCreatedOn = idx_("Created On") >= 0 ? idx_("Created On") : idx_("Created");
-  const colModifiedOn = idx_("Modified On") >= 0 ? idx_("Modified On") : idx_("Modified");
-
-  if (colOrderId === -1) return map;
-
-  const values = sh.getRange(2, 1, sh.getLastRow() - 1, lastCol).getValues();
-  for (let i = 0; i < values.length; i++) {
-    const row = values[i];
-    const oid = String(row[colOrderId] || "").trim();
-    if (!oid) continue;
-
-    const d =
-      parseAnyDate_(colCreatedOn >= 0 ? row[colCreatedOn] : null) ||
-      parseAnyDate_(colModifiedOn >= 0 ? row[colModifiedOn] : null) ||
-      null;
-
-    if (d && !map.has(oid)) map.set(oid, d);
-  }
-  return map;
-}
+// REMOVED: buildShopifyOrderDateMap_() / buildSquarespaceOrderDateMap_()
+// Replaced by buildConnectorOrderDateMap_() using each connector's clean mapper
 
 // ---------------------------
 // INTERNAL: robust date parsing
@@ -7,12 +7,14 @@ const OSR_CFG = {
   OUTPUT_SHEET: "Orders_Summary_Report",
   START_CELL: "B2", // must remain a real Date
   END_CELL: "D2",   // must remain a real Date
+  STORE_CELL: "F2", // store filter (All_Orders_Clean.store); blank / "All stores" = every store
   TOP_PRODUCTS_N: 15,
   RETURNING_CUSTOMERS_N: 50
 };
 
 function buildOrdersSummaryReport() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
 
   logProgress('Summary Report', 'Reading clean orders data...');
 
@@ -26,8 +28,9 @@ function buildOrdersSummaryReport() {
   if (!startDate || !endDate) {
     throw new Error(`Date range not found. Enter start date in ${OSR_CFG.OUTPUT_SHEET}!${OSR_CFG.START_CELL} and end date in ${OSR_CFG.OUTPUT_SHEET}!${OSR_CFG.END_CELL}.`);
   }
+  const storeFilter = getReportStoreFilter_(outSheet);
 
-  logProgress('Summary Report', `Processing orders from ${formatDate_(startDate)} to ${formatDate_(endDate)}...`);
+  logProgress('Summary Report', `Processing orders from ${formatDate_(startDate)} to ${formatDate_(endDate)}${storeFilter ? ` (store: ${storeFilter})` : ''}...`);
 
   const data = clean.getDataRange().getValues();
   if (data.length < 2) throw new Error(`No data found in "${OSR_CFG.CLEAN_SHEET}".`);
@@ -46,25 +49,40 @@ function buildOrdersSummaryReport() {
     line_rev: mustColStrict_(hm, "line_revenue"),
     order_discount: mustColStrict_(hm, "order_discount_total"),
     order_refund: mustColStrict_(hm, "order_refund_total"),
-    order_net: mustColStrict_(hm, "order_net_revenue")
+    order_net: mustColStrict_(hm, "order_net_revenue"),
+    store: hm["store"] !== undefined ? hm["store"] : -1, // missing until the clean master is rebuilt
+    fee: hm["order_processing_fee"] !== undefined ? hm["order_processing_fee"] : -1,
+    cogs: hm["line_cogs"] !== undefined ? hm["line_cogs"] : -1,
+    canonical: hm["product_canonical"] !== undefined ? hm["product_canonical"] : -1,
+    category: hm["category"] !== undefined ? hm["category"] : -1
   };
+  if (storeFilter && COL.store === -1) throw new Error(`"${OSR_CFG.CLEAN_SHEET}" has no store column. Rebuild Clean Master to filter by store.`);
 
   // Load refunds from refund sheets (filtered by refund issue date)
   logProgress('Summary Report', 'Loading refunds from refund sheets...');
 
-  const shopifyRefundsInPeriod = getShopifyRefundsForPeriod_(startDate, endDate);
-  const squarespaceRefundsInPeriod = getSquarespaceRefundsForPeriod_(startDate, endDate);
+  const platforms = getConnectorNames_();
+  const refundsByPlatform = getRefundsForPeriodByPlatform_(startDate, endDate); // platform -> Map(orderId -> amount)
 
-  logProgress('Summary Report', `Found ${shopifyRefundsInPeriod.size} Shopify orders + ${squarespaceRefundsInPeriod.size} Squarespace orders with refunds in period`);
+  logProgress('Summary Report', `Found ${platforms.map(p => `${refundsByPlatform.get(p).size} ${p}`).join(' + ')} orders with refunds in period`);
 
-  const orderAgg = new Map();   // platform||orderId -> {grossLines, discount, refund, net, units}
-  const byProduct = new Map();  // platform||product -> {units, revenue}
+  const storeOf = orderStoreLookup_(data, COL); // (platform, orderId) -> store, for refund-sheet rows
+
+  const orderAgg = new Map();   // platform||orderId -> {store, grossLines, discount, refund, net, units}
+  const byProduct = new Map();  // canonical product (platform||product when unmapped) -> {sources, product, units, revenue}
+  const byCategory = new Map(); // category||product line -> {category, productLine, products, units, revenue}
+  const canonicalInfo = getCanonicalProductInfo_(); // canonical -> { category, productLine }
   const byCustomer = new Map(); // email -> { first, last, lifetimeRev, periodRev, hadBefore, hadInPeriod }
 
-  // Diagnostics (helps verify Squarespace inclusion)
-  let linesInPeriodShopify = 0;
-  let linesInPeriodSquarespace = 0;
+  // Diagnostics (helps verify every source is included)
+  const linesInPeriodByPlatform = new Map(platforms.map(p => [p, 0]));
   let squarespaceBlankProductLines = 0;
+  let unmappedProductLines = 0;
+
+  // COGS from Product_Catalog (line_cogs is blank for SKUs without a known cost)
+  let cogsPeriod = 0;
+  let linesInPeriod = 0;
+  let linesWithCost = 0;
 
   for (let r = 1; r < data.length; r++) {
     const row = data[r];
@@ -72,6 +90,10 @@ function buildOrdersSummaryReport() {
     const platformRaw = s_(row[COL.platform]);
     const platform = normalizePlatform_(platformRaw); // ✅ normalized
     const orderId = s_(row[COL.order_id]);
+
+    // Store filter applies to everything below, customer cohorts included
+    const store = COL.store >= 0 ? (s_(row[COL.store]) || platform) : platform;
+    if (storeFilter && store !== storeFilter) continue;
     const email = s_(row[COL.email]).toLowerCase();
 
     // ✅ product fallback: don't drop Squarespace just because product_name is blank
@@ -104,10 +126,16 @@ function buildOrdersSummaryReport() {
     // Stop if not in period
     if (!isWithinRangeInclusive_(dt, startDate, endDate)) continue;
 
-    if (platform === "Shopify") linesInPeriodShopify++;
-    if (platform === "Squarespace") linesInPeriodSquarespace++;
+    if (linesInPeriodByPlatform.has(platform)) linesInPeriodByPlatform.set(platform, linesInPeriodByPlatform.get(platform) + 1);
     if (platform === "Squarespace" && !productRaw) squarespaceBlankProductLines++;
 
+    linesInPeriod++;
+    const hasCost = COL.cogs >= 0 && s_(row[COL.cogs]) !== "";
+    if (hasCost) {
+      linesWithCost++;
+      cogsPeriod += n_(row[COL.cogs]);
+    }
+
     // Period revenue per customer (only in range)
     if (email) {
       const c = byCustomer.get(email);
@@ -115,15 +143,33 @@ function buildOrdersSummaryReport() {
     }
 
     // PRODUCT rollup (✅ now includes Squarespace even if product_name missing)
+    // Product_Map canonical names merge the same product across platforms and variants;
+    // unmapped lines stay split by source
     if (platform) {
-      const keyP = platform + "||" + product;
+      const canonical = COL.canonical >= 0 ? s_(row[COL.canonical]) : "";
+      if (!canonical) unmappedProductLines++;
+
+      const keyP = canonical ? "canonical||" + canonical : platform + "||" + product;
       let p = byProduct.get(keyP);
       if (!p) {
-        p = { platform, product, units: 0, revenue: 0 };
+        p = { sources: [], product: canonical || product, units: 0, revenue: 0 };
         byProduct.set(keyP, p);
       }
+      if (p.sources.indexOf(platform) === -1) p.sources.push(platform);
       p.units += qty;
       p.revenue += rev;
+
+      const category = canonical ? ((COL.category >= 0 ? s_(row[COL.category]) : "") || "(Uncategorized)") : PRODUCT_CATEGORY_UNMAPPED;
+      const productLine = canonical ? ((canonicalInfo.get(canonical) || {}).productLine || "") : "";
+      const keyC = category + "||" + productLine;
+      let c = byCategory.get(keyC);
+      if (!c) {
+        c = { category, productLine, products: new Set(), units: 0, revenue: 0 };
+        byCategory.set(keyC, c);
+      }
+      c.products.add(keyP);
+      c.units += qty;
+      c.revenue += rev;
     }
 
     // ORDER rollup
@@ -131,7 +177,7 @@ function buildOrdersSummaryReport() {
       const keyO = platform + "||" + orderId;
       let o = orderAgg.get(keyO);
       if (!o) {
-        o = { platform, orderId, grossLines: 0, discount: 0, refund: 0, net: 0, units: 0 };
+        o = { platform, store, orderId, grossLines: 0, costedLines: 0, discount: 0, refund: 0, net: 0, fee: 0, units: 0 };
         orderAgg.set(keyO, o);
 
         // Only add order-level totals ONCE when we first see the order
@@ -139,19 +185,16 @@ function buildOrdersSummaryReport() {
         o.discount = n_(row[COL.order_discount]);
 
         // Get refund from refund sheets (filtered by refund issue date in period)
-        if (platform === "Shopify" && shopifyRefundsInPeriod.has(orderId)) {
-          o.refund = shopifyRefundsInPeriod.get(orderId);
-        } else if (platform === "Squarespace" && squarespaceRefundsInPeriod.has(orderId)) {
-          o.refund = squarespaceRefundsInPeriod.get(orderId);
-        } else {
-          o.refund = 0;
-        }
+        const platformRefunds = refundsByPlatform.get(platform);
+        o.refund = (platformRefunds && platformRefunds.get(orderId)) || 0;
 
         o.net = n_(row[COL.order_net]);
+        o.fee = COL.fee >= 0 ? n_(row[COL.fee]) : 0;
       }
 
       // Always accumulate line-level values
       o.grossLines += rev;
+      if (hasCost) o.costedLines += rev;
       o.units += qty;
     }
   }
@@ -161,9 +204,12 @@ function buildOrdersSummaryReport() {
   let discountTotalPeriod = 0;
   let refundTotalPeriod = 0;
   let netRevenuePeriod = 0;
+  let processingFeesPeriod = 0;
   let periodUnits = 0;
+  let costedNetRevenuePeriod = 0; // net revenue of lines with a unit cost (order net split by line revenue)
 
   const bySource = new Map(); // platform -> {orders, gross, discount, refund, net, units}
+  const byStore = new Map();  // store -> same shape
 
   orderAgg.forEach(o => {
     totalOrdersAllSources += 1;
@@ -175,6 +221,8 @@ function buildOrdersSummaryReport() {
     discountTotalPeriod += o.discount;
     refundTotalPeriod += o.refund;
     netRevenuePeriod += net;
+    if (o.costedLines > 0 && o.grossLines > 0) costedNetRevenuePeriod += net * Math.min(1, o.costedLines / o.grossLines);
+    processingFeesPeriod += o.fee;
     periodUnits += o.units;
 
     let s = bySource.get(o.platform);
@@ -189,39 +237,46 @@ function buildOrdersSummaryReport() {
     // s.refund is set below from the refund sheets directly
     s.net += net;
     s.units += o.units;
+
+    let st = byStore.get(o.store);
+    if (!st) {
+      st = { orders: 0, gross: 0, discount: 0, refund: 0, net: 0, units: 0 };
+      byStore.set(o.store, st);
+    }
+    st.orders += 1;
+    st.gross += gross;
+    st.discount += o.discount;
+    st.net += net;
+    st.units += o.units;
   });
 
   // Calculate total refunds by platform from refund sheets (ALL refunds issued in period)
   // This is separate from order aggregation to catch refunds for orders outside the date range
-  let shopifyTotalRefunds = 0;
-  let squarespaceTotalRefunds = 0;
+  refundTotalPeriod = 0;
 
-  shopifyRefundsInPeriod.forEach(amount => {
-    shopifyTotalRefunds += amount;
-  });
+  platforms.forEach(p => {
+    let platformTotalRefunds = 0;
+    refundsByPlatform.get(p).forEach((amount, orderId) => {
+      const store = storeOf(p, orderId);
+      if (storeFilter && store !== storeFilter) return;
+      platformTotalRefunds += amount;
+
+      if (!byStore.has(store)) byStore.set(store, { orders: 0, gross: 0, discount: 0, refund: 0, net: 0, units: 0 });
+      byStore.get(store).refund += amount;
+    });
+
+    // Set refunds by source from refund sheets
+    if (bySource.has(p)) {
+      bySource.get(p).refund = platformTotalRefunds;
+    } else if (platformTotalRefunds > 0) {
+      // Create entry even if no orders in period, but there are refunds
+      bySource.set(p, { orders: 0, gross: 0, discount: 0, refund: platformTotalRefunds, net: 0, units: 0 });
+    }
 
-  squarespaceRefundsInPeriod.forEach(amount => {
-    squarespaceTotalRefunds += amount;
+    // Recalculate total refunds from refund sheets
+    refundTotalPeriod += platformTotalRefunds;
   });
 
-  // Set refunds by source from refund sheets
-  if (bySource.has("Shopify")) {
-    bySource.get("Shopify").refund = shopifyTotalRefunds;
-  } else if (shopifyTotalRefunds > 0) {
-    // Create entry even if no orders in period, but there are refunds
-    bySource.set("Shopify", { orders: 0, gross: 0, discount: 0, refund: shopifyTotalRefunds, net: 0, units: 0 });
-  }
-
-  if (bySource.has("Squarespace")) {
-    bySource.get("Squarespace").refund = squarespaceTotalRefunds;
-  } else if (squarespaceTotalRefunds > 0) {
-    // Create entry even if no orders in period, but there are refunds
-    bySource.set("Squarespace", { orders: 0, gross: 0, discount: 0, refund: squarespaceTotalRefunds, net: 0, units: 0 });
-  }
-
-  // Recalculate total refunds from refund sheets
-  refundTotalPeriod = shopifyTotalRefunds + squarespaceTotalRefunds;
-
   const aovGross = totalOrdersAllSources > 0 ? (grossRevenuePeriod / totalOrdersAllSources) : 0;
   const aovNet = totalOrdersAllSources > 0 ? (netRevenuePeriod / totalOrdersAllSources) : 0;
   const unitsPerOrder = totalOrdersAllSources > 0 ? (periodUnits / totalOrdersAllSources) : 0;
@@ -251,7 +306,13 @@ function buildOrdersSummaryReport() {
   const products = Array.from(byProduct.values()).sort((a, b) => (b.revenue || 0) - (a.revenue || 0));
   const topProducts = products
     .slice(0, OSR_CFG.TOP_PRODUCTS_N)
-    .map((p, i) => ([i + 1, p.platform, p.product, p.units, p.revenue]));
+    .map((p, i) => ([i + 1, p.sources.join(", "), p.product, p.units, p.revenue]));
+
+  // category rollup (all period lines, mapped or not)
+  const categoryRevenue = Array.from(byCategory.values()).reduce((sum, c) => sum + c.revenue, 0);
+  const categoryRows = Array.from(byCategory.values())
+    .sort((a, b) => (b.revenue || 0) - (a.revenue || 0))
+    .map(c => [c.category, c.productLine, c.products.size, c.units, c.revenue, categoryRevenue ? c.revenue / categoryRevenue : 0]);
 
   // returning top list
   returningRows.sort((a, b) => (b[2] || 0) - (a[2] || 0));
@@ -270,6 +331,12 @@ function buildOrdersSummaryReport() {
   const breakEvenMargin = (aovNet > 0 ? (cac / aovNet) : 0);
   const paybackOrders = (aovNet > 0 && contributionMarginPct > 0) ? (cac / (aovNet * contributionMarginPct)) : 0;
 
+  // COGS only exists for costed lines: margin compares it with their revenue, not the whole period's
+  const grossMarginPeriod = costedNetRevenuePeriod - cogsPeriod;
+  const grossMarginPct = (costedNetRevenuePeriod > 0 && linesWithCost > 0) ? (grossMarginPeriod / costedNetRevenuePeriod) : 0;
+  const costCoveragePct = linesInPeriod > 0 ? (linesWithCost / linesInPeriod) : 0;
+  const paybackOrdersCogs = (aovNet > 0 && grossMarginPct > 0) ? (cac / (aovNet * grossMarginPct)) : 0;
+
   // render
   outSheet.clearContents();
   outSheet.clearFormats();
@@ -282,10 +349,12 @@ function buildOrdersSummaryReport() {
   outSheet.getRange("B2").setValue(startDate).setNumberFormat("yyyy-mm-dd");
   outSheet.getRange("C2").setValue("End Date").setFontWeight("bold");
   outSheet.getRange("D2").setValue(endDate).setNumberFormat("yyyy-mm-dd");
+  outSheet.getRange("E2").setValue("Store").setFontWeight("bold");
+  outSheet.getRange(OSR_CFG.STORE_CELL).setValue(storeFilter || REPORT_ALL_STORES_LABEL);
 
   // Display period string somewhere else
   outSheet.getRange("A3").setValue("Analysis Period:").setFontWeight("bold");
-  outSheet.getRange("B3").setValue(`${formatDate_(startDate)} to ${formatDate_(endDate)}`);
+  outSheet.getRange("B3").setValue(`${formatDate_(startDate)} to ${formatDate_(endDate)}${storeFilter ? ` — ${storeFilter}` : ''}`);
   outSheet.getRange("B3:D3").merge();
 
   const kpis = [
@@ -294,6 +363,13 @@ function buildOrdersSummaryReport() {
     ["Discounts (Period)", discountTotalPeriod],
     ["Refunds (Period)", refundTotalPeriod],
     ["Net Revenue (Period)", netRevenuePeriod],
+    ["Processing Fees (Period)", processingFeesPeriod],
+    ["Net After Fees (Period)", netRevenuePeriod - processingFeesPeriod],
+    ["COGS (Period)", cogsPeriod],
+    ["Net Revenue of Costed Lines (Period)", costedNetRevenuePeriod],
+    ["Gross Margin (Costed Lines)", grossMarginPeriod],
+    ["Gross Margin % (Costed Lines)", grossMarginPct],
+    ["Lines With Unit Cost %", costCoveragePct],
     ["Total Units (Period)", periodUnits],
     ["AOV (Gross)", aovGross],
     ["AOV (Net)", aovNet],
@@ -304,10 +380,10 @@ function buildOrdersSummaryReport() {
     ["Avg Revenue per Customer (Period)", avgRevenuePerCustomerPeriod],
     ["Returning Customers: Total LTV (All-time)", returningLtvAllTime],
 
-    // ✅ Diagnostics to prove Squarespace is included in Top Products
-    ["Lines In Period — Shopify", linesInPeriodShopify],
-    ["Lines In Period — Squarespace", linesInPeriodSquarespace],
-    ["Squarespace Lines With Blank Product", squarespaceBlankProductLines]
+    // ✅ Diagnostics to prove every source is included in Top Products
+    ...platforms.map(p => [`Lines In Period — ${p}`, linesInPeriodByPlatform.get(p)]),
+    ["Squarespace Lines With Blank Product", squarespaceBlankProductLines],
+    ["Lines Without Product_Map Match", unmappedProductLines]
   ];
 
   outSheet.getRange(4, 1).setValue("Revenue / Customer KPIs").setFontWeight("bold");
@@ -322,6 +398,11 @@ function buildOrdersSummaryReport() {
     "Discounts (Period)",
     "Refunds (Period)",
     "Net Revenue (Period)",
+    "Processing Fees (Period)",
+    "Net After Fees (Period)",
+    "COGS (Period)",
+    "Net Revenue of Costed Lines (Period)",
+    "Gross Margin (Costed Lines)",
     "AOV (Gross)",
     "AOV (Net)",
     "Avg Revenue per Customer (Period)",
@@ -332,6 +413,7 @@ function buildOrdersSummaryReport() {
     const label = kpis[i][0];
     const cell = outSheet.getRange(kpiStartRow + i, 2);
     if (currencyLabels.has(label)) cell.setNumberFormat("$#,##0.00");
+    else if (label.includes("%")) cell.setNumberFormat("0.00%");
     else if (label === "Units per Order (Period)") cell.setNumberFormat("0.00");
     else cell.setNumberFormat("0");
   }
@@ -348,7 +430,9 @@ function buildOrdersSummaryReport() {
     ["CAC (Spend / New Customers)", cac],
     ["Break-even Margin on 1st Order (CAC / Net AOV)", breakEvenMargin],
     ["Contribution Margin (%) — provided", contributionMarginPct],
-    ["Payback (orders) @ provided margin", paybackOrders]
+    ["Payback (orders) @ provided margin", paybackOrders],
+    ["Gross Margin (%) — from COGS (costed lines)", grossMarginPct],
+    ["Payback (orders) @ COGS margin", paybackOrdersCogs]
   ];
 
   const marketingStartRow = 5;
@@ -373,7 +457,6 @@ function buildOrdersSummaryReport() {
     .setFontWeight("bold");
   row++;
 
-  const platforms = ["Shopify", "Squarespace"];
   const sourceRows = [];
   let totOrders = 0, totGross = 0, totDisc = 0, totRef = 0, totNet = 0;
 
@@ -391,6 +474,28 @@ function buildOrdersSummaryReport() {
 
   row += sourceRows.length + 2;
 
+  outSheet.getRange(row, 1).setValue("Orders by Store").setFontWeight("bold");
+  row++;
+
+  outSheet.getRange(row, 1, 1, 6)
+    .setValues([["Store", "Orders", "Gross Revenue", "Discounts", "Refunds", "Net Revenue"]])
+    .setFontWeight("bold");
+  row++;
+
+  const storeRows = [];
+  const storeLabels = getStoreLabels_().filter(label => !storeFilter || label === storeFilter);
+  byStore.forEach((st, label) => { if (storeLabels.indexOf(label) === -1) storeLabels.push(label); });
+  storeLabels.forEach(label => {
+    const st = byStore.get(label) || { orders: 0, gross: 0, discount: 0, refund: 0, net: 0 };
+    storeRows.push([label, st.orders, st.gross, st.discount, st.refund, st.net]);
+  });
+
+  outSheet.getRange(row, 1, storeRows.length, 6).setValues(storeRows);
+  outSheet.getRange(row, 2, storeRows.length, 1).setNumberFormat("0");
+  outSheet.getRange(row, 3, storeRows.length, 4).setNumberFormat("$#,##0.00");
+
+  row += storeRows.length + 2;
+
   outSheet.getRange(row, 1).setValue("Top 15 Products (Revenue + Source)").setFontWeight("bold");
   row++;
   outSheet.getRange(row, 1, 1, 5).setValues([["Rank", "Source", "Product", "Units", "Revenue"]]).setFontWeight("bold");
@@ -405,6 +510,21 @@ function buildOrdersSummaryReport() {
     row += 2;
   }
 
+  outSheet.getRange(row, 1).setValue("Revenue by Category (Product_Map)").setFontWeight("bold");
+  row++;
+  outSheet.getRange(row, 1, 1, 6).setValues([["Category", "Product Line", "Products", "Units", "Revenue", "% of Revenue"]]).setFontWeight("bold");
+  row++;
+
+  if (categoryRows.length) {
+    outSheet.getRange(row, 1, categoryRows.length, 6).setValues(categoryRows);
+    outSheet.getRange(row, 4, categoryRows.length, 1).setNumberFormat("0.00");
+    outSheet.getRange(row, 5, categoryRows.length, 1).setNumberFormat("$#,##0.00");
+    outSheet.getRange(row, 6, categoryRows.length, 1).setNumberFormat("0.00%");
+    row += categoryRows.length + 2;
+  } else {
+    row += 2;
+  }
+
   outSheet.getRange(row, 1).setValue("Returning Customers (Top 50 by LTV)").setFontWeight("bold");
   row++;
 
@@ -426,7 +546,7 @@ function buildOrdersSummaryReport() {
   outSheet.setFrozenRows(3);
   outSheet.autoResizeColumns(1, 10);
 
-  const summaryMsg = `Orders Summary built: ${totalOrdersAllSources} orders (${formatDate_(startDate)} to ${formatDate_(endDate)})`;
+  const summaryMsg = `Orders Summary built: ${totalOrdersAllSources} orders (${formatDate_(startDate)} to ${formatDate_(endDate)}${storeFilter ? `, store ${storeFilter}` : ''})`;
   logProgress('Summary Report', summaryMsg);
   logImportEvent("Summary", `Built Orders_Summary_Report (${formatDate_(startDate)} to ${formatDate_(endDate)})`, totalOrdersAllSources);
   return summaryMsg;
@@ -463,8 +583,52 @@ function getDateRange_(outputSheet) {
   return { startDate: null, endDate: null };
 }
 
+const REPORT_ALL_STORES_LABEL = "All stores";
+
+/**
+ * Store filter shared by the Summary, Refunds and Discounts reports ('' = every store).
+ */
+function getReportStoreFilter_(outputSheet) {
+  const v = s_(outputSheet.getRange(OSR_CFG.STORE_CELL).getValue());
+  return v === REPORT_ALL_STORES_LABEL ? "" : v;
+}
+
+/**
+ * Returns (platform, orderId) -> store from All_Orders_Clean values (COL.platform / order_id / store).
+ * Orders missing from the clean sheet (e.g. excluded) fall back to the connector's primary store.
+ */
+function orderStoreLookup_(data, COL) {
+  const stores = new Map();
+  if (COL.store >= 0) {
+    for (let r = 1; r < data.length; r++) {
+      const key = normalizePlatform_(data[r][COL.platform]) + "||" + s_(data[r][COL.order_id]);
+      if (!stores.has(key)) stores.set(key, s_(data[r][COL.store]));
+    }
+  }
+
+  const defaults = new Map();
+  return (platform, orderId) => {
+    const store = stores.get(platform + "||" + s_(orderId));
+    if (store) return store;
+    if (!defaults.has(platform)) {
+      const conn = getAllConnectors_().find(c => c.name === platform);
+      defaults.set(platform, conn ? connectorStores_(conn)[0].label : platform);
+    }
+    return defaults.get(platform);
+  };
+}
+
+/**
+ * Sidebar: store options for the report filter plus the current selection.
+ */
+function getReportStoresForSidebar() {
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(OSR_CFG.OUTPUT_SHEET);
+  return { stores: getStoreLabels_(), selected: sh ? getReportStoreFilter_(sh) : "" };
+}
+
 // SIDEBAR DATE RANGE SETTER (presets)
-function setOrdersSummaryDateRangeFromSidebar(preset, startStr, endStr) {
+// store (optional): report store filter; "" = all stores, undefined = leave as is
+function setOrdersSummaryDateRangeFromSidebar(preset, startStr, endStr, store) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sh = ss.getSheetByName(OSR_CFG.OUTPUT_SHEET) || ss.insertSheet(OSR_CFG.OUTPUT_SHEET);
 
@@ -522,19 +686,40 @@ function setOrdersSummaryDateRangeFromSidebar(preset, startStr, endStr) {
   sh.getRange(OSR_CFG.START_CELL).setValue(start).setNumberFormat("yyyy-mm-dd");
   sh.getRange(OSR_CFG.END_CELL).setValue(end).setNumberFormat("yyyy-mm-dd");
 
-  ss.toast(`Date range set: ${formatDate_(start)} to ${formatDate_(end)}`, "Date Range", 5);
-  return `Date range set to ${formatDate_(start)} to ${formatDate_(end)}`;
+  let storeNote = "";
+  if (store !== undefined && store !== null) {
+    sh.getRange("E2").setValue("Store").setFontWeight("bold");
+    sh.getRange(OSR_CFG.STORE_CELL).setValue(s_(store) || REPORT_ALL_STORES_LABEL);
+    storeNote = `, store: ${s_(store) || REPORT_ALL_STORES_LABEL}`;
+  }
+
+  ss.toast(`Date range set: ${formatDate_(start)} to ${formatDate_(end)}${storeNote}`, "Date Range", 5);
+  return `Date range set to ${formatDate_(start)} to ${formatDate_(end)}${storeNote}`;
 }
 
+let NORMALIZED_PLATFORM_CACHE_ = null; // raw platform -> normalized, per execution
+
 /**
  * ✅ Normalizes platform names so Squarespace lines don't get dropped/mismatched.
  * This is the main reason Top Products often shows only Shopify.
+ * Called once per clean row: a platform is resolved against the connectors (whose
+ * isConfigured() reads Script Properties) only the first time it is seen.
  */
 function normalizePlatform_(p) {
   const s = String(p || "").trim().toLowerCase();
   if (!s) return "";
-  if (s.includes("shopify")) return "Shopify";
-  if (s.includes("squarespace") || s.includes("square space") || s.includes("sqsp")) return "Squarespace";
-  // fallback: Title Case-ish
-  return String(p || "").trim();
+  if (!NORMALIZED_PLATFORM_CACHE_) NORMALIZED_PLATFORM_CACHE_ = new Map();
+  const key = String(p).trim();
+  if (NORMALIZED_PLATFORM_CACHE_.has(key)) return NORMALIZED_PLATFORM_CACHE_.get(key);
+
+  let name;
+  if (s.includes("square space") || s.includes("sqsp")) {
+    name = "Squarespace";
+  } else {
+    const conn = getConnectors_().find(c => s.includes(c.name.toLowerCase()));
+    // fallback: Title Case-ish
+    name = conn ? conn.name : String(p || "").trim();
+  }
+  NORMALIZED_PLATFORM_CACHE_.set(key, name);
+  return name;
 }
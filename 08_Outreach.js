@@ -75,6 +75,7 @@ function getOutreachControlsForSidebar() {
 
 function buildCustomerOutreachList() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
   const clean = ss.getSheetByName(CLEAN_OUTPUT_SHEET);
   if (!clean) throw new Error(`Missing "${CLEAN_OUTPUT_SHEET}" tab.`);
 
@@ -101,6 +102,10 @@ function buildCustomerOutreachList() {
 
   const byCustomer = new Map();
 
+  // Marketing consent from the Customers sheet (30_Customers.js); emails without a record are kept
+  const consent = getCustomerConsentMap_();
+  let noConsent = 0;
+
   for (let r = 1; r < data.length; r++) {
     const row = data[r];
     const email = s_(row[COL.email]).toLowerCase();
@@ -174,6 +179,8 @@ function buildCustomerOutreachList() {
     const triggerGap = Math.min(controls.maxDays, Math.max(1, targetGap));
     if (daysSinceLast < triggerGap) return;
 
+    if (consent.get(email) === false) { noConsent++; return; }
+
     const avgOrder = totalOrders > 0 ? (c.ltv / totalOrders) : 0;
 
     const topByRev = topKeyValue_(c.prodRev);
@@ -202,7 +209,8 @@ function buildCustomerOutreachList() {
       topByUnits.key || "",
       topByUnits.val || 0,
       topByOrders.key || "",
-      topByOrders.val || 0
+      topByOrders.val || 0,
+      consent.has(email) ? consent.get(email) : ""
     ]);
   });
 
@@ -225,7 +233,8 @@ function buildCustomerOutreachList() {
     "Top Product by Units",
     "Top Product Units",
     "Top Product by Orders",
-    "Top Product Orders"
+    "Top Product Orders",
+    "Marketing Consent"
   ];
 
   const ss2 = SpreadsheetApp.getActiveSpreadsheet();
@@ -243,10 +252,11 @@ function buildCustomerOutreachList() {
   outSheet.setFrozenRows(1);
   outSheet.autoResizeColumns(1, outHeaders.length);
 
-  ss2.toast(`Customer Outreach List built: ${rowsOut.length} customers`, "Outreach", 6);
-  logImportEvent("Outreach", "Built Customer_Outreach_List", rowsOut.length);
+  const consentNote = noConsent ? `, ${noConsent} excluded without marketing consent` : "";
+  ss2.toast(`Customer Outreach List built: ${rowsOut.length} customers${consentNote}`, "Outreach", 6);
+  logImportEvent("Outreach", `Built Customer_Outreach_List${consentNote}`, rowsOut.length);
 
-  return `Customer Outreach List built (${rowsOut.length} customers)`;
+  return `Customer Outreach List built (${rowsOut.length} customers${consentNote})`;
 }
 
 function topKeyValue_(map) {
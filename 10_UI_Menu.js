@@ -9,45 +9,41 @@ function automatedImportAndUpdate() {
 
   logProgress('Automated Import', '🚀 Starting automated import and update...');
 
-  // Step 1: Import new orders (last 14 days)
-  logProgress('Automated Import', '📥 Step 1/6: Importing Shopify orders (last 14 days)...');
-  const shopifyImportMsg = importShopifyOrders();
-  steps.push('✓ Shopify Import: ' + shopifyImportMsg);
-  SpreadsheetApp.flush(); // Ensure writes complete before next operation
-  Utilities.sleep(1000); // Brief pause to reduce Sheets service load
-
-  logProgress('Automated Import', '📥 Step 2/6: Importing Squarespace orders (last 14 days)...');
-  const squarespaceImportMsg = importSquarespaceOrders();
-  steps.push('✓ Squarespace Import: ' + squarespaceImportMsg);
-  SpreadsheetApp.flush();
-  Utilities.sleep(1000);
+  const connectors = getConnectors_();
+  const totalSteps = connectors.length * 2 + 2;
+  let step = 0;
+
+  // Step 1: Import new/changed orders (since each source's sync cursor)
+  connectors.forEach(conn => {
+    logProgress('Automated Import', `📥 Step ${++step}/${totalSteps}: Importing ${conn.name} orders (since last sync)...`);
+    const importMsg = conn.importOrders();
+    steps.push(`✓ ${conn.name} Import: ` + importMsg);
+    SpreadsheetApp.flush(); // Ensure writes complete before next operation
+    Utilities.sleep(1000); // Brief pause to reduce Sheets service load
+  });
 
   // Step 2: Import refunds to dedicated sheets (last 90 days for automated triggers)
-  logProgress('Automated Import', '🔄 Step 3/6: Importing Shopify refunds (last 90 days)...');
-  const shopifyRefundMsg = importShopifyRefunds(90);
-  steps.push('✓ Shopify Refunds: ' + shopifyRefundMsg);
-  SpreadsheetApp.flush();
-  Utilities.sleep(1000);
-
-  logProgress('Automated Import', '🔄 Step 4/6: Importing Squarespace refunds (last 90 days)...');
-  const squarespaceRefundMsg = importSquarespaceRefunds(90);
-  steps.push('✓ Squarespace Refunds: ' + squarespaceRefundMsg);
-  SpreadsheetApp.flush();
-  Utilities.sleep(1000);
+  connectors.forEach(conn => {
+    logProgress('Automated Import', `🔄 Step ${++step}/${totalSteps}: Importing ${conn.name} refunds (last 90 days)...`);
+    const refundMsg = conn.importRefunds(90);
+    steps.push(`✓ ${conn.name} Refunds: ` + refundMsg);
+    SpreadsheetApp.flush();
+    Utilities.sleep(1000);
+  });
 
   // Step 3: Prepare data
-  logProgress('Automated Import', '🧹 Step 5/6: Deduplicating orders...');
+  logProgress('Automated Import', `🧹 Step ${++step}/${totalSteps}: Deduplicating orders...`);
   deduplicateAllOrders();
   steps.push('✓ Deduplication complete');
   SpreadsheetApp.flush();
   Utilities.sleep(1000);
 
-  logProgress('Automated Import', '📊 Step 6/6: Building clean master sheet...');
-  buildAllOrdersClean();
-  steps.push('✓ Clean master built');
+  logProgress('Automated Import', `📊 Step ${++step}/${totalSteps}: Building clean master sheet...`);
+  const cleanMsg = buildAllOrdersCleanIncremental();
+  steps.push(isCleanMasterBuilding_() ? '⏸️ Clean master: ' + cleanMsg : '✓ Clean master built');
 
   const msg = '✅ Part 1 Complete (Import & Update)!\n\n' + steps.join('\n');
-  logProgress('Automated Import', '✅ All 6 steps complete! Run automatedBuildReports next.');
+  logProgress('Automated Import', `✅ All ${totalSteps} steps complete! Run automatedBuildReports next.`);
   logImportEvent('Automated Import', 'Part 1: Import & Update finished', steps.length);
   return msg;
 }
@@ -59,6 +55,13 @@ function automatedBuildReports() {
 
   logProgress('Automated Reports', '📊 Starting automated report building...');
 
+  // A paused clean build continues from its own trigger; reports would read partial data
+  if (isCleanMasterBuilding_()) {
+    const skipped = '⏸️ Reports skipped: the clean master is still building (continuing automatically).';
+    logImportEvent('Automated Reports', skipped);
+    return skipped;
+  }
+
   logProgress('Automated Reports', '📈 Step 1/3: Building summary report...');
   buildOrdersSummaryReport();
   steps.push('✓ Summary report built');
@@ -86,47 +89,54 @@ function importAndUpdateAllOrders() {
   logProgress('Import & Update', '🚀 Starting full import and update workflow...');
   logUserAction('Import & Update All Orders', 'Started full workflow');
 
-  // Step 1: Import new orders (last 14 days)
-  logProgress('Import & Update', '📥 Step 1/8: Importing Shopify orders (last 14 days)...');
-  const shopifyImportMsg = importShopifyOrders();
-  steps.push('✓ Shopify Import: ' + shopifyImportMsg);
+  const connectors = getConnectors_();
+  const totalSteps = connectors.length * 2 + 5;
+  let step = 0;
 
-  logProgress('Import & Update', '📥 Step 2/8: Importing Squarespace orders (last 14 days)...');
-  const squarespaceImportMsg = importSquarespaceOrders();
-  steps.push('✓ Squarespace Import: ' + squarespaceImportMsg);
+  // Step 1: Import new/changed orders (since each source's sync cursor)
+  connectors.forEach(conn => {
+    logProgress('Import & Update', `📥 Step ${++step}/${totalSteps}: Importing ${conn.name} orders (since last sync)...`);
+    const importMsg = conn.importOrders();
+    steps.push(`✓ ${conn.name} Import: ` + importMsg);
+  });
 
   // Step 2: Import refunds to dedicated sheets (last 90 days for ongoing updates)
-  logProgress('Import & Update', '🔄 Step 3/8: Importing Shopify refunds (last 90 days)...');
-  const shopifyRefundMsg = importShopifyRefunds(90);
-  steps.push('✓ Shopify Refunds: ' + shopifyRefundMsg);
-
-  logProgress('Import & Update', '🔄 Step 4/8: Importing Squarespace refunds (last 90 days)...');
-  const squarespaceRefundMsg = importSquarespaceRefunds(90);
-  steps.push('✓ Squarespace Refunds: ' + squarespaceRefundMsg);
+  connectors.forEach(conn => {
+    logProgress('Import & Update', `🔄 Step ${++step}/${totalSteps}: Importing ${conn.name} refunds (last 90 days)...`);
+    const refundMsg = conn.importRefunds(90);
+    steps.push(`✓ ${conn.name} Refunds: ` + refundMsg);
+  });
 
   // Step 3: Rebuild clean master and reports
-  logProgress('Import & Update', '🧹 Step 5/8: Deduplicating orders...');
+  logProgress('Import & Update', `🧹 Step ${++step}/${totalSteps}: Deduplicating orders...`);
   deduplicateAllOrders();
   steps.push('✓ Deduplication complete');
 
-  logProgress('Import & Update', '📊 Step 6/8: Building clean master sheet...');
-  buildAllOrdersClean();
+  logProgress('Import & Update', `📊 Step ${++step}/${totalSteps}: Building clean master sheet...`);
+  const cleanMsg = buildAllOrdersCleanIncremental();
+  if (isCleanMasterBuilding_()) {
+    steps.push('⏸️ Clean master: ' + cleanMsg);
+    const paused = '⏸️ Import & Update paused at the clean master, which continues building automatically. Build the reports once it completes.\n\n' + steps.join('\n');
+    logImportEvent('Import & Update', 'Paused: clean master still building', steps.length);
+    logUserAction('Import & Update All Orders', `Paused after ${steps.length} steps`, 'Success', (new Date() - startTime) / 1000);
+    return paused;
+  }
   steps.push('✓ Clean master built');
 
-  logProgress('Import & Update', '📈 Step 7/9: Building summary report...');
+  logProgress('Import & Update', `📈 Step ${++step}/${totalSteps}: Building summary report...`);
   buildOrdersSummaryReport();
   steps.push('✓ Summary report built');
 
-  logProgress('Import & Update', '🏷️ Step 8/9: Building discounts report...');
+  logProgress('Import & Update', `🏷️ Step ${++step}/${totalSteps}: Building discounts report...`);
   buildDiscountsReport();
   steps.push('✓ Discounts report built');
 
-  logProgress('Import & Update', '📧 Step 9/9: Building customer outreach list...');
+  logProgress('Import & Update', `📧 Step ${++step}/${totalSteps}: Building customer outreach list...`);
   buildCustomerOutreachList();
   steps.push('✓ Outreach list built');
 
   const msg = '✅ Import & Update Complete!\n\n' + steps.join('\n');
-  logProgress('Import & Update', '✅ All 9 steps complete!');
+  logProgress('Import & Update', `✅ All ${totalSteps} steps complete!`);
   logImportEvent('Import & Update', 'Complete workflow finished', steps.length);
 
   // Log completion with duration
@@ -149,15 +159,12 @@ function updateAllOrdersWithRefunds() {
   logProgress('Import Refunds', '🚀 Importing new refunds...');
   logUserAction('Import Refunds Only', 'Started refund import');
 
-  // Step 1: Import Shopify refunds
-  logProgress('Import Refunds', `🔄 Step 1/2: Importing Shopify refunds (last ${days} days)...`);
-  const shopifyMsg = importShopifyRefunds(days);
-  steps.push('✓ Shopify: ' + shopifyMsg);
-
-  // Step 2: Import Squarespace refunds
-  logProgress('Import Refunds', `🔄 Step 2/2: Importing Squarespace refunds (last ${days} days)...`);
-  const squarespaceMsg = importSquarespaceRefunds(days);
-  steps.push('✓ Squarespace: ' + squarespaceMsg);
+  const connectors = getConnectors_();
+  connectors.forEach((conn, i) => {
+    logProgress('Import Refunds', `🔄 Step ${i + 1}/${connectors.length}: Importing ${conn.name} refunds (last ${days} days)...`);
+    const refundMsg = conn.importRefunds(days);
+    steps.push(`✓ ${conn.name}: ` + refundMsg);
+  });
 
   const msg = '✅ Refund Import Complete!\n\n' + steps.join('\n') + '\n\nRefund sheets are now up to date. Build reports to see latest refund data.';
   logProgress('Import Refunds', '✅ Refund import complete!');
@@ -182,15 +189,12 @@ function importHistoricalRefunds() {
   logProgress('Historical Refund Import', '🚀 Importing historical refunds (one-time setup)...');
   logUserAction('Import Historical Refunds', 'Started historical import');
 
-  // Step 1: Import Shopify refunds
-  logProgress('Historical Refund Import', `🔄 Step 1/2: Importing Shopify refunds (last ${days} days)...`);
-  const shopifyMsg = importShopifyRefunds(days);
-  steps.push('✓ Shopify: ' + shopifyMsg);
-
-  // Step 2: Import Squarespace refunds
-  logProgress('Historical Refund Import', `🔄 Step 2/2: Importing Squarespace refunds (last ${days} days)...`);
-  const squarespaceMsg = importSquarespaceRefunds(days);
-  steps.push('✓ Squarespace: ' + squarespaceMsg);
+  const connectors = getConnectors_();
+  connectors.forEach((conn, i) => {
+    logProgress('Historical Refund Import', `🔄 Step ${i + 1}/${connectors.length}: Importing ${conn.name} refunds (last ${days} days)...`);
+    const refundMsg = conn.importRefunds(days);
+    steps.push(`✓ ${conn.name}: ` + refundMsg);
+  });
 
   const msg = '✅ Historical Refund Import Complete!\n\n' + steps.join('\n') + '\n\nRefund sheets now contain 180 days of history.\nUse "Check Refunds Only" for regular updates going forward.';
   logProgress('Historical Refund Import', '✅ Historical import complete!');
@@ -230,9 +234,14 @@ function cleanOrders() {
   deduplicateAllOrders();
   steps.push('✓ Deduplication complete');
 
-  // Step 2: Build clean master (applies banned product and banned email filters)
+  // Step 2: Build clean master (applies Exclusion_Rules and banned email filters)
   logProgress('Clean Orders', '📊 Step 2/3: Building clean master sheet...');
-  buildAllOrdersClean();
+  const buildMsg = buildAllOrdersCleanIncremental();
+  if (isCleanMasterBuilding_()) {
+    steps.push('⏸️ Clean master: ' + buildMsg);
+    logImportEvent('Clean Orders', 'Paused: clean master still building', steps.length);
+    return '⏸️ Clean Orders paused: the clean master continues building automatically.\n\n' + steps.join('\n');
+  }
   steps.push('✓ Clean master built');
 
   // Step 3: Post-build cleaning (removes any banned emails/products that might have been missed)
@@ -280,21 +289,48 @@ function rebuildOrderToolsMenu() {
     .addSubMenu(ui.createMenu('⚙️ Admin / Setup')
       .addItem('📥 Import Shopify Orders Only', 'importShopifyOrders')
       .addItem('📥 Import Squarespace Orders Only', 'importSquarespaceOrders')
+      .addItem('📥 Import WooCommerce Orders Only', 'importWooCommerceOrders')
+      .addItem('📦 Bulk Import Shopify Orders (GraphQL)', 'importShopifyOrdersBulk')
+      .addItem('🏬 Set Up Shopify Stores', 'setupShopifyStores')
+      .addItem('💳 Import Shopify Payouts & Fees', 'importShopifyPayouts')
+      .addItem('🏦 Build Payout Reconciliation', 'buildPayoutReconciliation')
+      .addItem('🏷️ Import Product Catalog & Costs', 'importProductCatalog')
+      .addItem('🗂️ Setup Product_Map Tab', 'setupProductMapTab')
+      .addItem('🗂️ Build Unmapped Products Queue', 'buildUnmappedProductsQueue')
+      .addItem('🗂️ Add Unmapped Products to Product_Map', 'addUnmappedProductsToMap')
+      .addItem('👥 Import Customers & Consent', 'importCustomers')
+      .addItem('🚚 Build Fulfillment Performance Report', 'buildFulfillmentPerformanceReport')
+      .addItem('🛒 Import Abandoned Checkouts', 'importAbandonedCheckouts')
+      .addItem('🛒 Build Abandoned Checkout Recovery List', 'buildAbandonedCheckoutRecoveryList')
+      .addItem('⏯️ Resume Historical Backfill', 'resumeBackfill')
+      .addItem('⏹️ Cancel Historical Backfill', 'cancelBackfill')
+      .addSeparator()
+      .addItem('📨 Process Webhook Inbox', 'processWebhookInbox')
+      .addItem('🔁 Replay Failed Webhooks', 'replayFailedWebhooks')
+      .addItem('⏱️ Install Webhook Processor Trigger', 'installWebhookProcessorTrigger')
+      .addItem('🔔 Register Squarespace Webhooks', 'registerSquarespaceWebhooks')
+      .addItem('🔑 Rotate Squarespace Webhook Secrets', 'rotateSquarespaceWebhookSecrets')
+      .addItem('🗑️ Remove Squarespace Webhooks', 'removeSquarespaceWebhooks')
       .addSeparator()
       .addItem('Deduplicate All Orders', 'deduplicateAllOrders')
-      .addItem('Build Clean Master Only', 'buildAllOrdersClean')
+      .addItem('Update Clean Master (Changed Orders Only)', 'buildAllOrdersCleanIncremental')
+      .addItem('Full Rebuild Clean Master', 'buildAllOrdersClean')
       .addSeparator()
       .addItem('🚫 Setup Banned_Emails Tab', 'setupBannedEmailsTab')
+      .addItem('📏 Setup Exclusion_Rules Tab', 'setupExclusionRulesTab')
+      .addItem('📋 Exclusion Summary (Excluded_Lines)', 'buildExclusionSummaryReport')
       .addItem('🧹 Clean Banned Emails & Products', 'cleanBannedEmailsFromAllOrdersClean')
       .addItem('📥 Import from External Banned List', 'importBannedListFromExternal')
       .addSeparator()
       .addItem('📊 Setup Usage Tracking', 'setupUsageLogSheet')
       .addItem('🗑️ Clear Old Usage Logs (90 days)', 'clearOldUsageLogs90Days')
+      .addItem('🧾 Toggle Request Journal', 'toggleRequestJournal')
       .addSeparator()
       .addItem('🔍 Check Data Coverage', 'diagnosticCheckDataCoverage')
       .addItem('🔍 Check Excluded Orders', 'diagnosticCheckExcludedOrders')
       .addSeparator()
-      .addItem('🔍 Compare Shopify API Refunds', 'addShopifyRefundComparison'))
+      .addItem('🔍 Compare Shopify API Refunds', 'addShopifyRefundComparison')
+      .addItem('🗓️ Backfill Squarespace Refund Dates', 'backfillSquarespaceRefundDates'))
     .addToUi();
 }
 
@@ -17,140 +17,7 @@
  * @param {string} dateRange - "0-30", "31-60", "61-90", or "91-120"
  */
 function importShopifyToTriage(dateRange) {
-  const ranges = {
-    "0-30": { start: 0, end: 30 },
-    "31-60": { start: 31, end: 60 },
-    "61-90": { start: 61, end: 90 },
-    "91-120": { start: 91, end: 120 }
-  };
-
-  const range = ranges[dateRange];
-  if (!range) throw new Error(`Invalid date range: ${dateRange}. Use "0-30", "31-60", "61-90", or "91-120"`);
-
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const triageSheet = getOrCreateSheetWithHeaders('Shopify Triage', SHOPIFY_ORDER_HEADERS);
-
-  const apiKey = PROPS.getProperty('SHOPIFY_API_KEY');
-  const shopDomain = PROPS.getProperty('SHOPIFY_SHOP_DOMAIN');
-  const apiVersion = '2023-10';
-
-  if (!apiKey || !shopDomain) throw new Error("Missing SHOPIFY_API_KEY or SHOPIFY_SHOP_DOMAIN in Script Properties.");
-
-  // Calculate date range
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() - range.start);
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - range.end);
-
-  const updatedAtMin = startDate.toISOString();
-  const updatedAtMax = endDate.toISOString();
-
-  let url = `https://${shopDomain}/admin/api/${apiVersion}/orders.json?status=any&limit=250&updated_at_min=${encodeURIComponent(updatedAtMin)}&updated_at_max=${encodeURIComponent(updatedAtMax)}`;
-
-  let rowsImported = 0;
-  const triageRows = [];
-
-  while (url) {
-    const resp = fetchWithRetry_(url, {
-      method: "get",
-      headers: { "X-Shopify-Access-Token": apiKey },
-      muteHttpExceptions: true
-    });
-
-    if (resp.getResponseCode() !== 200) {
-      throw new Error(`Shopify API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-    }
-
-    const json = JSON.parse(resp.getContentText());
-    const orders = json.orders || [];
-    if (!orders.length) break;
-
-    orders.forEach(order => {
-      const refundsTotal = computeShopifyRefundTotal_(order);
-      const isTest = order && order.test === true;
-      const discountCodes = (order.discount_codes || []).map(d => d.code).join(", ");
-      const shippingMethod = (order.shipping_lines || []).map(s => s.title || s.code).join(", ");
-
-      (order.line_items || []).forEach(lineItem => {
-        const outRow = [
-          order.id || "",
-          order.order_number || "",
-          order.created_at || "",
-          order.processed_at || "",
-          order.updated_at || "",
-          order.financial_status || "",
-          order.fulfillment_status || "",
-          order.currency || "",
-          order.total_price || "",
-          order.subtotal_price || "",
-          order.total_tax || "",
-          order.total_discounts || "",
-          order.current_total_price || "",
-          order.current_total_discounts || "",
-          refundsTotal,
-          isTest ? "TRUE" : "",
-          order.email || "",
-          order.customer?.first_name || "",
-          order.customer?.last_name || "",
-          order.billing_address?.name || "",
-          order.billing_address?.address1 || "",
-          order.billing_address?.address2 || "",
-          order.billing_address?.city || "",
-          order.billing_address?.province || "",
-          order.billing_address?.country || "",
-          order.billing_address?.zip || "",
-          order.billing_address?.phone || "",
-          order.shipping_address?.name || "",
-          order.shipping_address?.address1 || "",
-          order.shipping_address?.address2 || "",
-          order.shipping_address?.city || "",
-          order.shipping_address?.province || "",
-          order.shipping_address?.country || "",
-          order.shipping_address?.zip || "",
-          order.shipping_address?.phone || "",
-          lineItem.id || "",
-          lineItem.name || "",
-          lineItem.quantity || "",
-          lineItem.price || "",
-          lineItem.sku || "",
-          lineItem.requires_shipping != null ? String(lineItem.requires_shipping) : "",
-          lineItem.taxable != null ? String(lineItem.taxable) : "",
-          lineItem.fulfillment_status || "",
-          (order.tags || ""),
-          (order.note || ""),
-          order.gateway || "",
-          order.total_weight || "",
-          discountCodes,
-          shippingMethod,
-          toLocalString_(order.created_at),
-          toLocalString_(order.processed_at)
-        ];
-
-        // Ensure row length matches
-        while (outRow.length < SHOPIFY_ORDER_HEADERS.length) outRow.push("");
-        if (outRow.length > SHOPIFY_ORDER_HEADERS.length) outRow.length = SHOPIFY_ORDER_HEADERS.length;
-
-        triageRows.push(outRow);
-        rowsImported++;
-      });
-    });
-
-    const headersObj = resp.getHeaders ? resp.getHeaders() : {};
-    const linkHeader = headersObj['Link'] || headersObj['link'] || headersObj['LINK'];
-    const nextUrl = parseLinkHeader_(linkHeader);
-    url = nextUrl || null;
-  }
-
-  // Write all triage rows at once
-  if (triageRows.length > 0) {
-    const startRow = triageSheet.getLastRow() + 1;
-    triageSheet.getRange(startRow, 1, triageRows.length, SHOPIFY_ORDER_HEADERS.length).setValues(triageRows);
-  }
-
-  const msg = `Imported ${rowsImported} Shopify orders (days ${range.start}-${range.end}) to triage`;
-  logImportEvent('Shopify Triage', msg, rowsImported);
-  ss.toast(`✅ ${msg}`, "Shopify Triage", 6);
-  return msg;
+  return importConnectorToTriage_(getConnector_('Shopify'), dateRange);
 }
 
 /**
@@ -158,6 +25,14 @@ function importShopifyToTriage(dateRange) {
  * @param {string} dateRange - "0-30", "31-60", "61-90", or "91-120"
  */
 function importSquarespaceToTriage(dateRange) {
+  return importConnectorToTriage_(getConnector_('Squarespace'), dateRange);
+}
+
+/**
+ * Appends the raw rows of every order modified in dateRange to "<connector> Triage".
+ * Uses the connector's order iterator + row builder, so triage rows match the main sheet layout.
+ */
+function importConnectorToTriage_(conn, dateRange) {
   const ranges = {
     "0-30": { start: 0, end: 30 },
     "31-60": { start: 31, end: 60 },
@@ -169,12 +44,8 @@ function importSquarespaceToTriage(dateRange) {
   if (!range) throw new Error(`Invalid date range: ${dateRange}. Use "0-30", "31-60", "61-90", or "91-120"`);
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const triageSheet = getOrCreateSheetWithHeaders('Squarespace Triage', SQUARESPACE_ORDER_HEADERS);
-
-  const apiKey = PROPS.getProperty('SQUARESPACE_API_KEY');
-  if (!apiKey) throw new Error("Missing SQUARESPACE_API_KEY in Script Properties.");
-
-  const endpoint = "https://api.squarespace.com/1.0/commerce/orders";
+  const triageName = `${conn.name} Triage`;
+  const triageSheet = getOrCreateSheetWithHeaders(triageName, conn.orderHeaders);
 
   // Calculate date range
   const endDate = new Date();
@@ -182,114 +53,21 @@ function importSquarespaceToTriage(dateRange) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - range.end);
 
-  const modifiedAfter = startDate.toISOString();
-  const modifiedBefore = endDate.toISOString();
-
-  let cursor = null;
-  let rowsImported = 0;
-  let page = 0;
   const triageRows = [];
-
-  do {
-    let finalUrl;
-    if (page === 0 || !cursor) {
-      // First page: use date parameters only (no cursor)
-      finalUrl = endpoint + '?' +
-        `modifiedAfter=${encodeURIComponent(modifiedAfter)}` +
-        `&modifiedBefore=${encodeURIComponent(modifiedBefore)}`;
-    } else {
-      // Subsequent pages: use cursor only (no date parameters)
-      finalUrl = endpoint + `?cursor=${encodeURIComponent(cursor)}`;
-    }
-
-    const resp = UrlFetchApp.fetch(finalUrl, {
-      method: "get",
-      headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
-      muteHttpExceptions: true
-    });
-
-    if (resp.getResponseCode() !== 200) {
-      throw new Error(`Squarespace Triage API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-    }
-
-    const json = JSON.parse(resp.getContentText());
-    const orders = json.result || [];
-    cursor = json.pagination && json.pagination.nextPageCursor ? json.pagination.nextPageCursor : null;
-
-    orders.forEach(order => {
-      (order.lineItems || []).forEach(lineItem => {
-        triageRows.push([
-          order.id || "",
-          order.orderNumber || "",
-          order.createdOn || "",
-          order.modifiedOn || "",
-          order.channel || "",
-          order.testMode || "",
-          order.customerEmail || "",
-          order.billingAddress?.firstName || "",
-          order.billingAddress?.lastName || "",
-          order.billingAddress?.address1 || "",
-          order.billingAddress?.address2 || "",
-          order.billingAddress?.city || "",
-          order.billingAddress?.state || "",
-          order.billingAddress?.countryCode || "",
-          order.billingAddress?.postalCode || "",
-          order.billingAddress?.phone || "",
-          order.shippingAddress?.firstName || "",
-          order.shippingAddress?.lastName || "",
-          order.shippingAddress?.address1 || "",
-          order.shippingAddress?.address2 || "",
-          order.shippingAddress?.city || "",
-          order.shippingAddress?.state || "",
-          order.shippingAddress?.countryCode || "",
-          order.shippingAddress?.postalCode || "",
-          order.shippingAddress?.phone || "",
-          order.fulfillmentStatus || "",
-          order.internalNotes || "",
-          order.subtotal?.currency || "",
-          order.subtotal?.value || "",
-          order.shippingTotal?.currency || "",
-          order.shippingTotal?.value || "",
-          order.discountTotal?.currency || "",
-          order.discountTotal?.value || "",
-          order.taxTotal?.currency || "",
-          order.taxTotal?.value || "",
-          order.refundedTotal?.currency || "",
-          order.refundedTotal?.value || "",
-          order.grandTotal?.currency || "",
-          order.grandTotal?.value || "",
-          lineItem.id || "",
-          lineItem.sku || "",
-          lineItem.weight || "",
-          lineItem.width || "",
-          lineItem.length || "",
-          lineItem.height || "",
-          lineItem.productId || "",
-          lineItem.productName || "",
-          lineItem.quantity || "",
-          lineItem.unitPrice?.currency || "",
-          lineItem.unitPrice?.value || "",
-          (lineItem.customizations || []).map(c => c.value || "").join(", "),
-          lineItem.type || "",
-          (order.shippingLines || []).map(s => s.title || s.type || "").join(", "),
-          (order.discountLines || []).map(d => d.name || "").join(", ")
-        ]);
-
-        rowsImported++;
-      });
+  forEachConnectorPage_(conn.fetchOrderPage, { since: startDate, until: endDate, by: 'updated' }, page => {
+    page.orders.forEach(order => {
+      conn.buildOrderRows(order).forEach(row => triageRows.push(row));
     });
-
-    page++;
-  } while (cursor);
+  });
 
   // Write all triage rows at once
   if (triageRows.length > 0) {
-    triageSheet.getRange(triageSheet.getLastRow() + 1, 1, triageRows.length, SQUARESPACE_ORDER_HEADERS.length).setValues(triageRows);
+    triageSheet.getRange(triageSheet.getLastRow() + 1, 1, triageRows.length, conn.orderHeaders.length).setValues(triageRows);
   }
 
-  const msg = `Imported ${rowsImported} Squarespace orders (days ${range.start}-${range.end}) to triage`;
-  logImportEvent('Squarespace Triage', msg, rowsImported);
-  ss.toast(`✅ ${msg}`, "Squarespace Triage", 6);
+  const msg = `Imported ${triageRows.length} ${conn.name} orders (days ${range.start}-${range.end}) to triage`;
+  logImportEvent(triageName, msg, triageRows.length);
+  ss.toast(`✅ ${msg}`, triageName, 6);
   return msg;
 }
 
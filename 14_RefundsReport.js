@@ -2,16 +2,21 @@
 // 14_RefundsReport.js — Refunds Report
 // Pulls all orders with refunds for the selected date range
 // Uses refund sheets for accurate refund date filtering
+// Connectors with refund line detail (Shopify_Refund_Lines) list the refunded items only
 // =====================================================
 
 /**
  * Builds a Refunds report for the current date range.
  * Uses refund sheets to filter by REFUND ISSUE DATE (not order date).
  * This matches how Shopify Analytics reports refunds.
- * Both Shopify and Squarespace use refund sheets for accurate dates.
+ * Every registered connector (23_Connectors.js) uses its refund sheet for accurate dates.
+ * When a connector records refund lines (getRefundLinesForPeriod), an order gets one row per refunded
+ * item / adjustment instead of one row per order line.
+ * The store filter (Orders_Summary_Report!F2) limits rows to one store; totals per store follow the summary.
  */
 function buildRefundsReport() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
 
   // Get date range from Orders Summary Report sheet (same as Summary Report)
   const outSheet = ss.getSheetByName('Orders_Summary_Report');
@@ -31,8 +36,9 @@ function buildRefundsReport() {
 
   const startDate = formatDate_(start);
   const endDate = formatDate_(end);
+  const storeFilter = getReportStoreFilter_(outSheet);
 
-  logProgress('Refunds Report', `Building report for ${startDate} to ${endDate}...`);
+  logProgress('Refunds Report', `Building report for ${startDate} to ${endDate}${storeFilter ? ` (store: ${storeFilter})` : ''}...`);
 
   // Get or create the Refunds sheet
   let refundsSheet = ss.getSheetByName('Refunds Report');
@@ -61,7 +67,12 @@ function buildRefundsReport() {
     'Order Net Revenue',
     'Currency',
     'Financial Status',
-    'Fulfillment Status'
+    'Fulfillment Status',
+    'Refunded Qty',
+    'Refunded Amount',
+    'Restock Type',
+    'Refund Line Source',
+    'Store'
   ];
 
   // Collect all refunded orders
@@ -72,10 +83,16 @@ function buildRefundsReport() {
   // ==========================================
   logProgress('Refunds Report', 'Loading refunds from refund sheets...');
 
-  const shopifyRefundsInPeriod = getShopifyRefundsForPeriod_(start, end);
-  const squarespaceRefundsInPeriod = getSquarespaceRefundsForPeriod_(start, end);
+  const connectors = getConnectors_();
+  const refundsByPlatform = getRefundsForPeriodByPlatform_(start, end); // platform -> Map(orderId -> amount)
 
-  logProgress('Refunds Report', `Found ${shopifyRefundsInPeriod.size} Shopify + ${squarespaceRefundsInPeriod.size} Squarespace orders with refunds in period`);
+  logProgress('Refunds Report', `Found ${connectors.map(conn => `${refundsByPlatform.get(conn.name).size} ${conn.name}`).join(' + ')} orders with refunds in period`);
+
+  // platform -> Map(orderId -> refunded lines), only for connectors that record refund lines
+  const refundLinesByPlatform = new Map();
+  connectors.forEach(conn => {
+    if (conn.getRefundLinesForPeriod) refundLinesByPlatform.set(conn.name, conn.getRefundLinesForPeriod(start, end));
+  });
 
   // ==========================================
   // PART 2: Get line item details from All_Order_Clean
@@ -114,33 +131,19 @@ function buildRefundsReport() {
   const colCurrency = cleanHeaders.indexOf('currency');
   const colFinancialStatus = cleanHeaders.indexOf('financial_status');
   const colFulfillmentStatus = cleanHeaders.indexOf('fulfillment_status');
+  const colStore = cleanHeaders.indexOf('store');
+  if (storeFilter && colStore === -1) {
+    throw new Error('All_Order_Clean has no store column. Rebuild Clean Master to filter by store.');
+  }
 
   // Get refund dates from refund sheets
   const refundDates = new Map(); // orderId -> earliest refund date in range
 
-  const shopifyRefundsSheet = ss.getSheetByName(SHOPIFY_REFUNDS_SHEET_NAME);
-  if (shopifyRefundsSheet && shopifyRefundsSheet.getLastRow() > 1) {
-    const refundData = shopifyRefundsSheet.getDataRange().getValues();
-    const refundHeaders = refundData[0];
-    const refOrderIdCol = refundHeaders.indexOf('Order ID');
-    const refDateCol = refundHeaders.indexOf('Refund Date');
+  connectors.forEach(conn => {
+    const platformRefundsSheet = ss.getSheetByName(conn.refundsSheet);
+    if (!platformRefundsSheet || platformRefundsSheet.getLastRow() <= 1) return;
 
-    for (let r = 1; r < refundData.length; r++) {
-      const orderId = String(refundData[r][refOrderIdCol] || '');
-      const refundDate = asDate_(refundData[r][refDateCol]);
-
-      if (orderId && refundDate && refundDate >= start && refundDate <= end) {
-        const existing = refundDates.get(orderId);
-        if (!existing || refundDate < existing) {
-          refundDates.set(orderId, refundDate);
-        }
-      }
-    }
-  }
-
-  const squarespaceRefundsSheet = ss.getSheetByName(SQUARESPACE_REFUNDS_SHEET_NAME);
-  if (squarespaceRefundsSheet && squarespaceRefundsSheet.getLastRow() > 1) {
-    const refundData = squarespaceRefundsSheet.getDataRange().getValues();
+    const refundData = platformRefundsSheet.getDataRange().getValues();
     const refundHeaders = refundData[0];
     const refOrderIdCol = refundHeaders.indexOf('Order ID');
     const refDateCol = refundHeaders.indexOf('Refund Date');
@@ -156,49 +159,93 @@ function buildRefundsReport() {
         }
       }
     }
-  }
+  });
 
-  // Process each row from All_Order_Clean
+  const storeTotals = new Map(); // store -> refunds of the listed orders
+
+  // Group the clean rows of refunded orders (platform|orderId -> rows)
+  const orderRows = new Map();
   for (let r = 1; r < cleanData.length; r++) {
     const row = cleanData[r];
     const platform = row[colPlatform] || '';
     const orderId = String(row[colOrderId] || '');
 
     // Check if this order has a refund in the period (from refund sheets)
-    let hasRefund = false;
-    if (platform === 'Shopify') {
-      hasRefund = shopifyRefundsInPeriod.has(orderId);
-    } else if (platform === 'Squarespace') {
-      hasRefund = squarespaceRefundsInPeriod.has(orderId);
-    }
+    const platformRefunds = refundsByPlatform.get(platform);
+    if (!platformRefunds || !platformRefunds.has(orderId)) continue;
+
+    if (storeFilter && String(row[colStore] || '') !== storeFilter) continue;
 
-    if (!hasRefund) continue;
+    const key = `${platform}|${orderId}`;
+    if (!orderRows.has(key)) orderRows.set(key, []);
+    orderRows.get(key).push(row);
+  }
+
+  orderRows.forEach(rows => {
+    const first = rows[0];
+    const platform = first[colPlatform] || '';
+    const orderId = String(first[colOrderId] || '');
 
-    const orderDate = asDate_(row[colOrderDate]);
+    const orderDate = asDate_(first[colOrderDate]);
     const refundDate = refundDates.get(orderId) || orderDate;
-    const refundTotal = (platform === 'Shopify' ? shopifyRefundsInPeriod.get(orderId) : squarespaceRefundsInPeriod.get(orderId)) || 0;
+    const refundTotal = refundsByPlatform.get(platform).get(orderId) || 0;
+    const store = (colStore >= 0 && first[colStore]) || platform;
+
+    // Per-store refund totals (each order once)
+    storeTotals.set(store, (storeTotals.get(store) || 0) + refundTotal);
 
-    refundedOrders.push([
+    const orderRow = (row, lineRefundDate, productName, sku, refundedQty, refundedAmount, restockType, source) => [
       platform,
       orderId,
-      row[colOrderNumber] || '',
+      first[colOrderNumber] || '',
       orderDate,
-      refundDate,
-      row[colEmailRaw] || '',
-      row[colCustomerName] || '',
-      row[colProductName] || '',
-      row[colSku] || '',
-      parseFloat(row[colQuantity]) || 0,
-      parseFloat(row[colUnitPrice]) || 0,
-      parseFloat(row[colLineRevenue]) || 0,
-      parseFloat(row[colOrderDiscountTotal]) || 0,
+      lineRefundDate,
+      first[colEmailRaw] || '',
+      first[colCustomerName] || '',
+      productName,
+      sku,
+      row ? (parseFloat(row[colQuantity]) || 0) : 0,
+      row ? (parseFloat(row[colUnitPrice]) || 0) : 0,
+      row ? (parseFloat(row[colLineRevenue]) || 0) : 0,
+      parseFloat(first[colOrderDiscountTotal]) || 0,
       refundTotal,
-      parseFloat(row[colOrderNetRevenue]) || 0,
-      row[colCurrency] || '',
-      row[colFinancialStatus] || '',
-      row[colFulfillmentStatus] || ''
-    ]);
-  }
+      parseFloat(first[colOrderNetRevenue]) || 0,
+      first[colCurrency] || '',
+      first[colFinancialStatus] || '',
+      first[colFulfillmentStatus] || '',
+      refundedQty,
+      refundedAmount,
+      restockType,
+      source,
+      store
+    ];
+
+    const platformLines = refundLinesByPlatform.get(platform);
+    const refundLines = platformLines && platformLines.get(orderId);
+
+    // No refund line detail: every line of the order, as before
+    if (!refundLines || !refundLines.length) {
+      rows.forEach(row => {
+        refundedOrders.push(orderRow(row, refundDate, row[colProductName] || '', row[colSku] || '', '', '', '', 'order line'));
+      });
+      return;
+    }
+
+    // Refunded items matched back to their order line (SKU first, then product name)
+    refundLines.forEach(line => {
+      let match = null;
+      if (line.type === 'Line') {
+        match = rows.find(row => line.sku && String(row[colSku] || '') === line.sku) ||
+          rows.find(row => String(row[colProductName] || '') === line.productName) || null;
+      }
+
+      const productName = line.type === 'Line' ? line.productName : `${line.type}: ${line.productName || 'refund'}`;
+      refundedOrders.push(orderRow(
+        match, line.refundDate, productName, line.sku,
+        line.type === 'Line' ? line.quantity : '', line.subtotal, line.restockType, 'refund line'
+      ));
+    });
+  });
 
   // Write to sheet
   if (refundedOrders.length > 0) {
@@ -223,6 +270,10 @@ function buildRefundsReport() {
     const currencyFormat = '"$"#,##0.00';
     refundsSheet.getRange(2, 11, refundedOrders.length, 5).setNumberFormat(currencyFormat);
 
+    // Refund line columns (S - Refunded Qty, T - Refunded Amount)
+    refundsSheet.getRange(2, 19, refundedOrders.length, 1).setNumberFormat('#,##0');
+    refundsSheet.getRange(2, 20, refundedOrders.length, 1).setNumberFormat(currencyFormat);
+
     // Freeze header row
     refundsSheet.setFrozenRows(1);
 
@@ -244,6 +295,18 @@ function buildRefundsReport() {
 
     refundsSheet.getRange(summaryRow + 3, 1, 1, 2).merge().setValue('NUMBER OF LINE ITEMS:').setFontWeight('bold').setBackground('#f1f3f4');
     refundsSheet.getRange(summaryRow + 3, 3).setValue(refundedOrders.length).setFontWeight('bold').setBackground('#f1f3f4');
+
+    refundsSheet.getRange(summaryRow + 4, 1, 1, 2).merge().setValue('TOTAL REFUNDED ITEMS (LINE DETAIL):').setFontWeight('bold').setBackground('#f1f3f4');
+    refundsSheet.getRange(summaryRow + 4, 3).setFormula(`=SUM(T2:T${refundedOrders.length + 1})`).setNumberFormat(currencyFormat).setFontWeight('bold').setBackground('#f1f3f4');
+
+    // Breakdown by store (order refund totals, each order counted once)
+    const storeRow = summaryRow + 6;
+    refundsSheet.getRange(storeRow, 1, 1, 2).merge().setValue('REFUNDS BY STORE:').setFontWeight('bold').setBackground('#f1f3f4');
+    const storeRows = Array.from(storeTotals.entries());
+    if (storeRows.length) {
+      refundsSheet.getRange(storeRow + 1, 1, storeRows.length, 2).setValues(storeRows);
+      refundsSheet.getRange(storeRow + 1, 2, storeRows.length, 1).setNumberFormat(currencyFormat);
+    }
   } else {
     // No refunds found
     refundsSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
@@ -251,7 +314,7 @@ function buildRefundsReport() {
     refundsSheet.getRange(2, 1).setValue('No refunds found for the selected date range.');
   }
 
-  const msg = `Refunds Report built: ${refundedOrders.length} refunded line items found (${startDate} to ${endDate})`;
+  const msg = `Refunds Report built: ${refundedOrders.length} refunded line items found (${startDate} to ${endDate}${storeFilter ? `, store ${storeFilter}` : ''})`;
   logProgress('Refunds Report', msg);
   logImportEvent('Refunds Report', msg, refundedOrders.length);
   return msg;
@@ -264,6 +327,7 @@ function buildRefundsReport() {
  */
 function addShopifyRefundComparison() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
 
   // Get date range from Orders Summary Report sheet
   const outSheet = ss.getSheetByName('Orders_Summary_Report');
@@ -294,14 +358,8 @@ function addShopifyRefundComparison() {
     compSheet = ss.insertSheet('Refunds_Shopify_API_Comparison');
   }
 
-  // Fetch refunds directly from Shopify API
-  const apiKey = PROPS.getProperty('SHOPIFY_API_KEY');
-  const shopDomain = PROPS.getProperty('SHOPIFY_SHOP_DOMAIN');
-  const apiVersion = '2023-10';
-
-  if (!apiKey || !shopDomain) {
-    throw new Error("Missing SHOPIFY_API_KEY or SHOPIFY_SHOP_DOMAIN in Script Properties.");
-  }
+  // Fetch refunds directly from Shopify API (every store in Shopify_Stores)
+  const stores = getShopifyStores_().map(store => getShopifyCredentials_(store));
 
   // For refund analysis, we need to look at ALL orders that have refunds
   // Then filter by when the refund was issued (not when order was created)
@@ -315,13 +373,16 @@ function addShopifyRefundComparison() {
 
   logProgress('Refund Comparison', 'Fetching orders with refunds (last 180 days)...');
 
-  for (const status of financialStatuses) {
-    let url = `https://${shopDomain}/admin/api/${apiVersion}/orders.json?status=any&financial_status=${status}&limit=250&updated_at_min=${encodeURIComponent(updatedAtMin)}`;
+  const passes = [];
+  stores.forEach(api => financialStatuses.forEach(status => passes.push({ api, status })));
+
+  for (const { api, status } of passes) {
+    let url = `https://${api.shopDomain}/admin/api/${api.apiVersion}/orders.json?status=any&financial_status=${status}&limit=250&updated_at_min=${encodeURIComponent(updatedAtMin)}`;
 
     while (url) {
-      const resp = fetchWithRetry_(url, {
+      const resp = httpFetch_('shopify', url, {
         method: "get",
-        headers: { "X-Shopify-Access-Token": apiKey },
+        headers: { "X-Shopify-Access-Token": api.apiKey },
         muteHttpExceptions: true
       });
 
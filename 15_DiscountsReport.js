@@ -6,10 +6,12 @@
 
 /**
  * Builds a Discounts report for the current date range.
- * Pulls from All_Order_Clean with discounts.
+ * Pulls from All_Order_Clean with discounts, limited to the report store filter
+ * (Orders_Summary_Report!F2) when one is set.
  */
 function buildDiscountsReport() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
 
   // Get date range from Orders Summary Report sheet (same as Summary Report)
   const outSheet = ss.getSheetByName('Orders_Summary_Report');
@@ -29,8 +31,9 @@ function buildDiscountsReport() {
 
   const startDate = formatDate_(start);
   const endDate = formatDate_(end);
+  const storeFilter = getReportStoreFilter_(outSheet);
 
-  logProgress('Discounts Report', `Building report for ${startDate} to ${endDate}...`);
+  logProgress('Discounts Report', `Building report for ${startDate} to ${endDate}${storeFilter ? ` (store: ${storeFilter})` : ''}...`);
 
   // Get or create the Discounts sheet
   let discountsSheet = ss.getSheetByName('Discounts Report');
@@ -58,7 +61,8 @@ function buildDiscountsReport() {
     'Discount %',
     'Currency',
     'Financial Status',
-    'Fulfillment Status'
+    'Fulfillment Status',
+    'Store'
   ];
 
   // Collect all discounted orders from All_Order_Clean
@@ -98,6 +102,12 @@ function buildDiscountsReport() {
   const colCurrency = cleanHeaders.indexOf('currency');
   const colFinancialStatus = cleanHeaders.indexOf('financial_status');
   const colFulfillmentStatus = cleanHeaders.indexOf('fulfillment_status');
+  const colStore = cleanHeaders.indexOf('store');
+  if (storeFilter && colStore === -1) {
+    throw new Error('All_Order_Clean has no store column. Rebuild Clean Master to filter by store.');
+  }
+
+  const storeTotals = new Map(); // store -> { orders: Set, discount }
 
   // Process each row
   for (let r = 1; r < cleanData.length; r++) {
@@ -111,6 +121,18 @@ function buildDiscountsReport() {
     const discountTotal = parseFloat(row[colOrderDiscountTotal]) || 0;
     if (discountTotal <= 0) continue;
 
+    const store = (colStore >= 0 && row[colStore]) || row[colPlatform] || '';
+    if (storeFilter && store !== storeFilter) continue;
+
+    // Per-store totals (order-level discount counted once per order)
+    if (!storeTotals.has(store)) storeTotals.set(store, { orders: new Set(), discount: 0 });
+    const st = storeTotals.get(store);
+    const orderKey = `${row[colPlatform]}|${row[colOrderId]}`;
+    if (!st.orders.has(orderKey)) {
+      st.orders.add(orderKey);
+      st.discount += discountTotal;
+    }
+
     // Extract data
     const lineRevenue = parseFloat(row[colLineRevenue]) || 0;
     const discountPercent = lineRevenue > 0 ? (discountTotal / lineRevenue) * 100 : 0;
@@ -132,7 +154,8 @@ function buildDiscountsReport() {
       discountPercent,
       row[colCurrency] || '',
       row[colFinancialStatus] || '',
-      row[colFulfillmentStatus] || ''
+      row[colFulfillmentStatus] || '',
+      store
     ]);
   }
 
@@ -190,8 +213,15 @@ function buildDiscountsReport() {
     discountsSheet.getRange(summaryRow + 5, 1, 1, 2).merge().setValue('NUMBER OF LINE ITEMS:').setFontWeight('bold').setBackground('#f1f3f4');
     discountsSheet.getRange(summaryRow + 5, 3).setValue(discountedOrders.length).setFontWeight('bold').setBackground('#f1f3f4');
 
+    // Breakdown by store
+    const storeRow = summaryRow + 7;
+    discountsSheet.getRange(storeRow, 1, 1, 3).setValues([['DISCOUNTS BY STORE', 'Orders', 'Discounts']]).setFontWeight('bold').setBackground('#f1f3f4');
+    const storeRows = Array.from(storeTotals.entries()).map(([store, st]) => [store, st.orders.size, st.discount]);
+    discountsSheet.getRange(storeRow + 1, 1, storeRows.length, 3).setValues(storeRows);
+    discountsSheet.getRange(storeRow + 1, 3, storeRows.length, 1).setNumberFormat(currencyFormat);
+
     // Add insights section
-    const insightsRow = summaryRow + 7;
+    const insightsRow = storeRow + storeRows.length + 2;
     discountsSheet.getRange(insightsRow, 1).setValue('💡 INSIGHTS:').setFontWeight('bold').setFontSize(12);
     discountsSheet.getRange(insightsRow + 1, 1, 1, 3).merge().setValue('• Orders sorted by discount % (highest first) - review top rows for excessive discounting');
     discountsSheet.getRange(insightsRow + 2, 1, 1, 3).merge().setValue('• High discount % may indicate: pricing issues, sales training gaps, or competitive pressure');
@@ -203,7 +233,7 @@ function buildDiscountsReport() {
     discountsSheet.getRange(2, 1).setValue('No discounts found for the selected date range.');
   }
 
-  const msg = `Discounts Report built: ${discountedOrders.length} discounted line items found (${startDate} to ${endDate})`;
+  const msg = `Discounts Report built: ${discountedOrders.length} discounted line items found (${startDate} to ${endDate}${storeFilter ? `, store ${storeFilter}` : ''})`;
   logProgress('Discounts Report', msg);
   logImportEvent('Discounts Report', msg, discountedOrders.length);
   return msg;
@@ -14,6 +14,7 @@ function diagnosticCheckDataCoverage() {
   const cleanSheet = ss.getSheetByName('All_Orders_Clean');
 
   let report = '=== DATA COVERAGE DIAGNOSTIC ===\n\n';
+  if (isCleanMasterBuilding_()) report += '⚠️ All_Orders_Clean is still being built: its numbers below are partial.\n\n';
 
   // Shopify Orders
   if (shopifySheet) {
@@ -77,7 +78,8 @@ function diagnosticCheckDataCoverage() {
   report += '=== RECOMMENDATION ===\n';
   report += 'If oldest order is recent (within last 14 days), you need a\n';
   report += 'one-time historical import to get full year data.\n';
-  report += 'Contact your developer to import historical orders.\n';
+  report += 'Use "Historical Backfill" in the sidebar (pick a start and end date);\n';
+  report += 'it imports orders + refunds month by month and resumes itself until done.\n';
 
   Logger.log(report);
   ss.toast(report, 'Data Coverage Diagnostic', 15);
@@ -85,7 +87,7 @@ function diagnosticCheckDataCoverage() {
 }
 
 /**
- * Count excluded orders from All_Orders_Clean to understand what's being filtered out
+ * Count excluded rows and their reasons (Excluded_Lines) to understand what's being filtered out
  */
 function diagnosticCheckExcludedOrders() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -101,15 +103,28 @@ function diagnosticCheckExcludedOrders() {
   const cleanData = cleanSheet.getDataRange().getValues();
 
   let report = '=== EXCLUSION DIAGNOSTIC ===\n\n';
+  if (isCleanMasterBuilding_()) report += '⚠️ All_Orders_Clean is still being built: its numbers below are partial.\n\n';
   report += `Shopify Orders (raw): ${shopifyData.length - 1} rows\n`;
   report += `All_Orders_Clean: ${cleanData.length - 1} rows\n`;
   report += `Difference: ${(shopifyData.length - 1) - (cleanData.length - 1)} rows excluded\n\n`;
 
-  report += 'Rows may be excluded due to:\n';
-  report += '- Test orders (test = true)\n';
-  report += '- Banned customer emails\n';
-  report += '- Missing product name\n';
-  report += '- Empty rows\n';
+  // Reason counts from the Excluded_Lines audit trail (written by every clean build)
+  const excludedSheet = ss.getSheetByName(EXCLUDED_LINES_SHEET_NAME);
+  if (excludedSheet && excludedSheet.getLastRow() > 1) {
+    const excludedData = excludedSheet.getDataRange().getValues();
+    const platformCol = excludedData[0].indexOf('Platform');
+    const reasonCol = excludedData[0].indexOf('Reason');
+    const counts = {};
+    excludedData.slice(1).forEach(r => {
+      const key = `${r[platformCol]} / ${r[reasonCol] || '(none)'}`;
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    report += `Excluded_Lines: ${excludedData.length - 1} rows\n`;
+    Object.keys(counts).sort().forEach(k => report += `- ${k}: ${counts[k]}\n`);
+    report += '\nRun "Exclusion Summary" for revenue by reason and month.\n';
+  } else {
+    report += 'No Excluded_Lines audit yet: rebuild Clean Master to see why rows were excluded.\n';
+  }
 
   Logger.log(report);
   ss.toast(report, 'Exclusion Diagnostic', 10);
@@ -135,11 +135,11 @@ function trackUserAction(actionName, functionToRun, details) {
  * These can be called from the sidebar or menu.
  */
 function importShopifyOrdersTracked() {
-  return trackUserAction('Import Shopify Orders', () => importShopifyOrders(), 'Last 14 days');
+  return trackUserAction('Import Shopify Orders', () => importShopifyOrders(), 'Since sync cursor');
 }
 
 function importSquarespaceOrdersTracked() {
-  return trackUserAction('Import Squarespace Orders', () => importSquarespaceOrders(), 'Last 14 days');
+  return trackUserAction('Import Squarespace Orders', () => importSquarespaceOrders(), 'Since sync cursor');
 }
 
 function updateShopifyOrdersWithRefundsTracked() {
@@ -5,6 +5,7 @@
 
 const SHOPIFY_REFUNDS_SHEET_NAME = 'Shopify_Refunds';
 const SQUARESPACE_REFUNDS_SHEET_NAME = 'Squarespace_Refunds';
+const WOOCOMMERCE_REFUNDS_SHEET_NAME = 'WooCommerce_Refunds';
 
 const SHOPIFY_REFUNDS_HEADERS = [
   'Refund ID',
@@ -16,9 +17,38 @@ const SHOPIFY_REFUNDS_HEADERS = [
   'Customer Email',
   'Customer Name',
   'Note',
-  'Created At'
+  'Created At',
+  'Store'
 ];
 
+// One row per refunded line item, refunded shipping line or order adjustment (Shopify)
+const SHOPIFY_REFUND_LINES_SHEET_NAME = 'Shopify_Refund_Lines';
+const SHOPIFY_REFUND_LINES_HEADERS = [
+  'Line Key',
+  'Refund ID',
+  'Order ID',
+  'Order Number',
+  'Refund Date',
+  'Line Type',      // Line | Shipping | Adjustment
+  'Line Item ID',
+  'Product Name',
+  'SKU',
+  'Quantity',
+  'Subtotal',
+  'Tax',
+  'Restock Type',
+  'Restocked',
+  'Reason',
+  'Note',
+  'Created At',
+  'Store'
+];
+
+// WooCommerce refunds carry their own IDs and creation dates (GET /orders/{id}/refunds)
+const WOOCOMMERCE_REFUNDS_HEADERS = SHOPIFY_REFUNDS_HEADERS.filter(h => h !== 'Store');
+
+// One row per refund from the Commerce Transactions API. Refund ID / Transaction ID were
+// appended so sheets from the order-level (date approximated) era keep their columns.
 const SQUARESPACE_REFUNDS_HEADERS = [
   'Order ID',
   'Order Number',
@@ -28,270 +58,476 @@ const SQUARESPACE_REFUNDS_HEADERS = [
   'Customer Email',
   'Customer Name',
   'Note',
-  'Created At'
+  'Created At',
+  'Refund ID',
+  'Transaction ID'
+];
+
+const SQUARESPACE_REFUND_NOTE = 'Squarespace refund (Transactions API)';
+const SQUARESPACE_APPROXIMATED_NOTE = 'Squarespace refund (date approximated)';
+const SQUARESPACE_LEDGER_NOTE = 'Squarespace refund (ledger delta, observed date)';
+
+// Last seen refundedTotal per Squarespace order (see reconcileSquarespaceRefundLedger_)
+const SQUARESPACE_REFUND_LEDGER_SHEET = 'Squarespace_Refund_Ledger';
+const SQUARESPACE_REFUND_LEDGER_HEADERS = [
+  'Order ID',
+  'Order Number',
+  'Refunded Total',
+  'Logged Total',
+  'Last Increase Seen At',
+  'Last Checked At'
 ];
 
 /**
- * Imports all Shopify refunds from the last N days (default 30).
- * Only adds NEW refunds (checks for existing Refund IDs to skip duplicates).
- * The sheet is permanent history (never cleared) - reports query by date range.
- * We only query recent refunds to catch new ones added since last import.
- * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
+ * Builds SHOPIFY_REFUNDS_HEADERS rows for every refund on an order with a non-zero amount.
  */
-function importShopifyRefunds(days) {
-  days = days || 30; // Default to 30 days if not specified
-  const apiKey = PROPS.getProperty('SHOPIFY_API_KEY');
-  const shopDomain = PROPS.getProperty('SHOPIFY_SHOP_DOMAIN');
-  const apiVersion = '2023-10';
+function buildShopifyRefundRows_(order) {
+  if (!order || !order.refunds || !order.refunds.length) return [];
+
+  const orderId = String(order.id);
+  const orderNumber = order.order_number || '';
+  const orderDate = asDate_(order.created_at);
+  const customerEmail = order.email || '';
+  const customerName = `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim();
+  const store = order.__store || getPrimaryShopifyStoreLabel_();
+
+  const rows = [];
+  order.refunds.forEach(refund => {
+    // Calculate refund amount from transactions
+    const refundAmount = (refund.transactions || [])
+      .filter(t => !t.kind || t.kind === 'refund')
+      .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
+
+    if (refundAmount <= 0) return;
+
+    rows.push([
+      String(refund.id),
+      orderId,
+      orderNumber,
+      orderDate,
+      asDate_(refund.created_at),
+      refundAmount,
+      customerEmail,
+      customerName,
+      refund.note || '',
+      new Date(),
+      store
+    ]);
+  });
+  return rows;
+}
 
-  if (!apiKey || !shopDomain) {
-    throw new Error('Missing SHOPIFY_API_KEY or SHOPIFY_SHOP_DOMAIN in Script Properties.');
-  }
+/**
+ * Builds SHOPIFY_REFUND_LINES_HEADERS rows for every refund on an order:
+ * refund_line_items (product, SKU, qty, subtotal, tax, restock), refund_shipping_lines and
+ * order_adjustments. Adjustment amounts are sign-flipped so a positive value = money back to the customer.
+ */
+function buildShopifyRefundLineRows_(order) {
+  if (!order || !order.refunds || !order.refunds.length) return [];
+
+  const orderId = String(order.id);
+  const orderNumber = order.order_number || '';
+  const store = order.__store || getPrimaryShopifyStoreLabel_();
+  const now = new Date();
+
+  const rows = [];
+  order.refunds.forEach(refund => {
+    const refundId = String(refund.id);
+    const refundDate = asDate_(refund.created_at);
+    const row = (key, type, lineItemId, product, sku, qty, subtotal, tax, restockType, restocked, reason) => [
+      `${refundId}:${key}`, refundId, orderId, orderNumber, refundDate, type, lineItemId,
+      product, sku, qty, subtotal, tax, restockType, restocked, reason, refund.note || '', now, store
+    ];
+
+    (refund.refund_line_items || []).forEach(rli => {
+      const li = rli.line_item || {};
+      const restockType = rli.restock_type || (refund.restock ? 'legacy_restock' : 'no_restock');
+      rows.push(row(
+        `line:${rli.id}`, 'Line', String(rli.line_item_id || li.id || ''),
+        li.name || li.title || '', li.sku || '',
+        Number(rli.quantity) || 0,
+        Math.abs(parseMoney_(rli.subtotal)), Math.abs(parseMoney_(rli.total_tax)),
+        restockType, restockType !== 'no_restock', ''
+      ));
+    });
 
-  logProgress('Shopify Refunds', 'Fetching refunds from API...');
+    (refund.refund_shipping_lines || []).forEach(rsl => {
+      const amount = rsl.subtotal_amount_set?.shop_money?.amount ?? rsl.amount;
+      rows.push(row(
+        `shipping:${rsl.id}`, 'Shipping', String(rsl.shipping_line_id || ''),
+        rsl.shipping_line?.title || 'Shipping', '', '',
+        Math.abs(parseMoney_(amount)), Math.abs(parseMoney_(rsl.tax_amount_set?.shop_money?.amount)),
+        '', false, ''
+      ));
+    });
 
-  // Get or create refunds sheet
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const refundsSheet = getOrCreateSheetWithHeaders(SHOPIFY_REFUNDS_SHEET_NAME, SHOPIFY_REFUNDS_HEADERS);
-
-  // Load existing refund IDs to avoid duplicates
-  const existingRefundIds = new Set();
-  const lastRow = refundsSheet.getLastRow();
-  if (lastRow > 1) {
-    const existingData = refundsSheet.getRange(2, 1, lastRow - 1, 1).getValues();
-    existingData.forEach(row => {
-      if (row[0]) existingRefundIds.add(String(row[0]));
+    (refund.order_adjustments || []).forEach(adj => {
+      rows.push(row(
+        `adjustment:${adj.id}`, adj.kind === 'shipping_refund' ? 'Shipping' : 'Adjustment', '',
+        adj.kind || '', '', '',
+        -parseMoney_(adj.amount), -parseMoney_(adj.tax_amount),
+        '', false, adj.reason || ''
+      ));
     });
-  }
+  });
+  return rows;
+}
 
-  // Query orders with refunds from last N days
-  // (We only need recent refunds since we run this regularly and the sheet keeps full history)
-  const d = new Date();
-  d.setDate(d.getDate() - days);
-  const updatedAtMin = d.toISOString();
-
-  const newRefunds = [];
-  const financialStatuses = ['refunded', 'partially_refunded'];
-
-  for (const status of financialStatuses) {
-    let url = `https://${shopDomain}/admin/api/${apiVersion}/orders.json?status=any&financial_status=${status}&limit=250&updated_at_min=${encodeURIComponent(updatedAtMin)}`;
-
-    while (url) {
-      const resp = fetchWithRetry_(url, {
-        method: 'get',
-        headers: { 'X-Shopify-Access-Token': apiKey },
-        muteHttpExceptions: true
-      });
-
-      if (resp.getResponseCode() !== 200) {
-        throw new Error(`Shopify API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-      }
-
-      const json = JSON.parse(resp.getContentText());
-      const orders = json.orders || [];
-      if (!orders.length) break;
-
-      orders.forEach(order => {
-        if (!order.refunds || !order.refunds.length) return;
-
-        const orderId = String(order.id);
-        const orderNumber = order.order_number || '';
-        const orderDate = asDate_(order.created_at);
-        const customerEmail = order.email || '';
-        const customerName = `${order.customer?.first_name || ''} ${order.customer?.last_name || ''}`.trim();
-
-        order.refunds.forEach(refund => {
-          const refundId = String(refund.id);
-
-          // Skip if we already have this refund
-          if (existingRefundIds.has(refundId)) return;
-
-          const refundDate = asDate_(refund.created_at);
-          const note = refund.note || '';
-
-          // Calculate refund amount from transactions
-          const refundAmount = (refund.transactions || [])
-            .filter(t => !t.kind || t.kind === 'refund')
-            .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
-
-          if (refundAmount > 0) {
-            newRefunds.push([
-              refundId,
-              orderId,
-              orderNumber,
-              orderDate,
-              refundDate,
-              refundAmount,
-              customerEmail,
-              customerName,
-              note,
-              new Date()
-            ]);
-          }
-        });
-      });
-
-      // Handle pagination
-      const linkHeader = resp.getHeaders()['Link'] || resp.getHeaders()['link'] || '';
-      const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-      url = nextMatch ? nextMatch[1] : null;
-      if (url) Utilities.sleep(500);
-    }
-  }
+/**
+ * Appends refund line rows whose Line Key is not on Shopify_Refund_Lines yet.
+ * Keys are independent of Shopify_Refunds, so re-running a refund import fills in lines
+ * for refunds logged before line capture existed. Returns the number of rows added.
+ */
+function appendShopifyRefundLineRows_(rows) {
+  if (!rows.length) return 0;
+
+  const sheet = getOrCreateSheetWithHeaders(SHOPIFY_REFUND_LINES_SHEET_NAME, SHOPIFY_REFUND_LINES_HEADERS);
+  const keys = readFirstColumnKeys_(sheet);
+  const fresh = rows.filter(row => {
+    const key = String(row[0]);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  if (!fresh.length) return 0;
+
+  const newStartRow = sheet.getLastRow() + 1;
+  sheet.getRange(newStartRow, 1, fresh.length, SHOPIFY_REFUND_LINES_HEADERS.length).setValues(fresh);
+
+  // Format columns
+  sheet.getRange(newStartRow, 5, fresh.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
+  sheet.getRange(newStartRow, 11, fresh.length, 2).setNumberFormat('"$"#,##0.00'); // Subtotal, Tax
+  sheet.getRange(newStartRow, 17, fresh.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, SHOPIFY_REFUND_LINES_HEADERS.length).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+  return fresh.length;
+}
 
-  // Append new refunds to sheet
-  if (newRefunds.length > 0) {
-    refundsSheet.getRange(lastRow + 1, 1, newRefunds.length, SHOPIFY_REFUNDS_HEADERS.length).setValues(newRefunds);
+/**
+ * Refund lines whose refund was issued in [startDate, endDate].
+ * Returns Map: orderId -> [{ type, productName, sku, quantity, subtotal, tax, restockType, refundDate }]
+ */
+function getShopifyRefundLinesForPeriod_(startDate, endDate) {
+  const byOrder = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHOPIFY_REFUND_LINES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return byOrder;
 
-    // Format columns
-    const newStartRow = lastRow + 1;
-    refundsSheet.getRange(newStartRow, 4, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Order Date
-    refundsSheet.getRange(newStartRow, 5, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
-    refundsSheet.getRange(newStartRow, 6, newRefunds.length, 1).setNumberFormat('"$"#,##0.00'); // Refund Amount
-    refundsSheet.getRange(newStartRow, 10, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
+  const data = sheet.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
 
-    refundsSheet.setFrozenRows(1);
-    refundsSheet.getRange(1, 1, 1, SHOPIFY_REFUNDS_HEADERS.length).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    const orderId = s_(row[col('Order ID')]);
+    const refundDate = asDate_(row[col('Refund Date')]);
+    if (!orderId || !refundDate || refundDate < startDate || refundDate > endDate) continue;
+
+    if (!byOrder.has(orderId)) byOrder.set(orderId, []);
+    byOrder.get(orderId).push({
+      type: s_(row[col('Line Type')]),
+      productName: s_(row[col('Product Name')]),
+      sku: s_(row[col('SKU')]),
+      quantity: parseQty_(row[col('Quantity')]),
+      subtotal: parseMoney_(row[col('Subtotal')]),
+      tax: parseMoney_(row[col('Tax')]),
+      restockType: s_(row[col('Restock Type')]),
+      refundDate: refundDate
+    });
   }
-
-  const msg = `✅ Imported ${newRefunds.length} new Shopify refunds (${existingRefundIds.size} existing)`;
-  logProgress('Shopify Refunds', msg);
-  logImportEvent('Shopify Refunds', msg, newRefunds.length);
-
-  return msg;
+  return byOrder;
 }
 
 /**
- * Imports all Squarespace refunds from the last N days (default 30).
- * Only adds NEW refunds (checks for existing Order IDs to skip duplicates).
- * The sheet is permanent history (never cleared) - reports query by date range.
- * We only query recent refunds to catch new ones added since last import.
- * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
+ * Appends rows to Shopify_Refunds and applies the column formats.
  */
-function importSquarespaceRefunds(days) {
-  days = days || 30; // Default to 30 days if not specified
-  const apiKey = PROPS.getProperty('SQUARESPACE_API_KEY');
+function appendShopifyRefundRows_(refundsSheet, rows) {
+  if (!rows.length) return;
 
-  if (!apiKey) {
-    throw new Error('Missing SQUARESPACE_API_KEY in Script Properties.');
-  }
+  const newStartRow = refundsSheet.getLastRow() + 1;
+  refundsSheet.getRange(newStartRow, 1, rows.length, SHOPIFY_REFUNDS_HEADERS.length).setValues(rows);
 
-  logProgress('Squarespace Refunds', 'Fetching refunds from API...');
+  // Format columns
+  refundsSheet.getRange(newStartRow, 4, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Order Date
+  refundsSheet.getRange(newStartRow, 5, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
+  refundsSheet.getRange(newStartRow, 6, rows.length, 1).setNumberFormat('"$"#,##0.00'); // Refund Amount
+  refundsSheet.getRange(newStartRow, 10, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
 
-  // Get or create refunds sheet
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const refundsSheet = getOrCreateSheetWithHeaders(SQUARESPACE_REFUNDS_SHEET_NAME, SQUARESPACE_REFUNDS_HEADERS);
+  refundsSheet.setFrozenRows(1);
+  refundsSheet.getRange(1, 1, 1, SHOPIFY_REFUNDS_HEADERS.length).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+}
 
-  // Load existing refund order IDs to avoid duplicates
-  const existingRefundOrders = new Set();
-  const lastRow = refundsSheet.getLastRow();
-  if (lastRow > 1) {
-    const existingData = refundsSheet.getRange(2, 1, lastRow - 1, 1).getValues();
-    existingData.forEach(row => {
-      if (row[0]) existingRefundOrders.add(String(row[0]));
+// REMOVED: buildSquarespaceRefundRow_(order) — one row per order with refundedTotal and the
+// order date as refund date ("date approximated"). Replaced by buildSquarespaceRefundRows_ below.
+
+/**
+ * Builds SQUARESPACE_REFUNDS_HEADERS rows for every refund on a Transactions API document.
+ * Order number / date / customer name come from the Squarespace Orders sheet (orderInfo map).
+ */
+function buildSquarespaceRefundRows_(doc, orderInfo) {
+  const orderId = s_(doc && doc.salesOrderId);
+  if (!orderId || doc.voided) return []; // donations/invoices have no sales order
+
+  const info = orderInfo.get(orderId) || {};
+  const rows = [];
+  (doc.payments || []).forEach(payment => {
+    (payment.refunds || []).forEach(refund => {
+      const amount = Math.abs(parseMoney_(refund.amount && refund.amount.value));
+      if (amount <= 0) return;
+
+      rows.push([
+        orderId,
+        info.orderNumber || '',
+        info.orderDate || asDate_(doc.createdOn),
+        asDate_(refund.refundedOn),
+        amount,
+        doc.customerEmail || info.email || '',
+        info.customerName || '',
+        SQUARESPACE_REFUND_NOTE,
+        new Date(),
+        s_(refund.id) || `${doc.id}:${payment.id}:${refund.refundedOn}`,
+        s_(doc.id)
+      ]);
     });
-  }
+  });
+  return rows;
+}
 
-  // Query orders from last N days
-  // (We only need recent refunds since we run this regularly and the sheet keeps full history)
-  const modAfter = new Date();
-  modAfter.setDate(modAfter.getDate() - days);
-  const modBefore = new Date(); // Now
-
-  const modAfterStr = modAfter.toISOString();
-  const modBeforeStr = modBefore.toISOString();
-
-  const newRefunds = [];
-  let cursor = null;
-  let pageNum = 0;
-
-  do {
-    let url;
-    if (pageNum === 0 || !cursor) {
-      // First page: use date parameters only (no cursor)
-      url = `https://api.squarespace.com/1.0/commerce/orders?modifiedAfter=${encodeURIComponent(modAfterStr)}&modifiedBefore=${encodeURIComponent(modBeforeStr)}`;
-    } else {
-      // Subsequent pages: use cursor only (no date parameters)
-      url = `https://api.squarespace.com/1.0/commerce/orders?cursor=${encodeURIComponent(cursor)}`;
-    }
+/**
+ * Provisional rows stand in for refunds whose transactions are not on file yet:
+ * order-level "date approximated" rows and refund-ledger deltas.
+ */
+function isProvisionalSquarespaceRefund_(row) {
+  const note = s_(row[7]);
+  return note === SQUARESPACE_APPROXIMATED_NOTE || note === SQUARESPACE_LEDGER_NOTE;
+}
 
-    const resp = fetchWithRetry_(url, {
-      method: 'get',
-      headers: { Authorization: `Bearer ${apiKey}` },
-      muteHttpExceptions: true
+/**
+ * Writes rows to Squarespace_Refunds and applies the column formats. Each real (Transactions API)
+ * refund first draws down the provisional rows of its order; provisional rows that
+ * reach zero are deleted, so a refund is never counted both as a delta and as a transaction.
+ */
+function appendSquarespaceRefundRows_(refundsSheet, rows) {
+  if (!rows.length) return;
+
+  const width = SQUARESPACE_REFUNDS_HEADERS.length;
+  const lr = refundsSheet.getLastRow();
+  const existing = lr > 1 ? refundsSheet.getRange(2, 1, lr - 1, width).getValues() : [];
+
+  const provisional = new Map(); // orderId -> existing row indexes
+  existing.forEach((r, i) => {
+    if (!isProvisionalSquarespaceRefund_(r)) return;
+    const orderId = s_(r[0]);
+    if (!provisional.has(orderId)) provisional.set(orderId, []);
+    provisional.get(orderId).push(i);
+  });
+
+  let drawn = false;
+  rows.forEach(row => {
+    if (isProvisionalSquarespaceRefund_(row)) return;
+    let remaining = parseMoney_(row[4]);
+
+    // A provisional row is dated at or after the refund it stands for: try the nearest later one first
+    const refundTime = (asDate_(row[3]) || new Date(0)).getTime();
+    const timeOf = i => (asDate_(existing[i][3]) || new Date(0)).getTime();
+    const candidates = (provisional.get(s_(row[0])) || []).slice().sort((x, y) => {
+      const ax = timeOf(x) >= refundTime, ay = timeOf(y) >= refundTime;
+      if (ax !== ay) return ax ? -1 : 1;
+      return ax ? timeOf(x) - timeOf(y) : timeOf(y) - timeOf(x);
     });
 
-    if (resp.getResponseCode() !== 200) {
-      throw new Error(`Squarespace Refunds API error (${resp.getResponseCode()}): ${resp.getContentText()}`);
-    }
+    candidates.forEach(i => {
+      const amount = parseMoney_(existing[i][4]);
+      if (remaining <= 0.005 || amount <= 0.005) return;
+      const take = Math.min(amount, remaining);
+      existing[i][4] = Math.round((amount - take) * 100) / 100;
+      remaining -= take;
+      drawn = true;
+    });
+  });
 
-    pageNum++;
+  if (drawn) {
+    const kept = existing.filter(r => !(isProvisionalSquarespaceRefund_(r) && parseMoney_(r[4]) <= 0.005));
+    if (kept.length) refundsSheet.getRange(2, 1, kept.length, width).setValues(kept);
+    if (kept.length < existing.length) refundsSheet.deleteRows(2 + kept.length, existing.length - kept.length);
+  }
 
-    const json = JSON.parse(resp.getContentText());
-    const orders = json.result || [];
+  const newStartRow = refundsSheet.getLastRow() + 1;
+  refundsSheet.getRange(newStartRow, 1, rows.length, width).setValues(rows);
 
-    orders.forEach(order => {
-      const orderId = order.id || '';
-      const orderNumber = order.orderNumber || '';
-      const orderDate = asDate_(order.createdOn);
-      const refundedTotal = parseFloat(order.refundedTotal?.value) || 0;
+  // Format columns
+  refundsSheet.getRange(newStartRow, 3, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Order Date
+  refundsSheet.getRange(newStartRow, 4, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
+  refundsSheet.getRange(newStartRow, 5, rows.length, 1).setNumberFormat('"$"#,##0.00'); // Refund Amount
+  refundsSheet.getRange(newStartRow, 9, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
 
-      if (refundedTotal <= 0) return;
-      if (existingRefundOrders.has(orderId)) return;
+  refundsSheet.setFrozenRows(1);
+  refundsSheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#0072ce').setFontColor('#ffffff');
+}
 
-      const customerEmail = order.customerEmail || '';
-      const billingAddress = order.billingAddress || {};
-      const customerName = `${billingAddress.firstName || ''} ${billingAddress.lastName || ''}`.trim();
+/**
+ * Refund ledger: snapshots every order's Refunded Total (from the Squarespace Orders sheet) in
+ * Squarespace_Refund_Ledger. When an order's refunded total is higher than what Squarespace_Refunds
+ * already holds for it, a delta row is appended with the observed time as its refund date, so
+ * partial refunds the Transactions API has not returned still land in the period they were seen.
+ * Real transaction refunds imported later draw the delta down (appendSquarespaceRefundRows_).
+ * Returns the number of delta rows appended.
+ */
+function reconcileSquarespaceRefundLedger_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ordersSheet = ss.getSheetByName('Squarespace Orders');
+  if (!ordersSheet || ordersSheet.getLastRow() < 2) return 0;
+
+  const now = new Date();
+  const refundsSheet = getOrCreateSheetWithHeaders(SQUARESPACE_REFUNDS_SHEET_NAME, SQUARESPACE_REFUNDS_HEADERS);
+  const ledgerSheet = getOrCreateSheetWithHeaders(SQUARESPACE_REFUND_LEDGER_SHEET, SQUARESPACE_REFUND_LEDGER_HEADERS);
+
+  // Current refunded total per order (first line of each order carries the order totals)
+  const data = ordersSheet.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const c = {
+    id: h.indexOf('Order ID'), number: h.indexOf('Order Number'), created: h.indexOf('Created On'),
+    modified: h.indexOf('Modified On'), email: h.indexOf('Customer Email'), first: h.indexOf('Billing First Name'), last: h.indexOf('Billing Last Name'),
+    refunded: h.indexOf('Refunded Total Value')
+  };
+  if (c.id === -1 || c.refunded === -1) throw new Error('Squarespace Orders missing "Order ID" / "Refunded Total Value" columns');
+
+  const orders = new Map();
+  for (let r = 1; r < data.length; r++) {
+    const id = s_(data[r][c.id]);
+    if (!id || orders.has(id)) continue;
+    orders.set(id, data[r]);
+  }
 
-      // Squarespace doesn't provide refund issue date, use order date
-      newRefunds.push([
+  // Logged refunds per order (transactions, earlier deltas, approximated rows)
+  const logged = new Map();
+  const rlr = refundsSheet.getLastRow();
+  if (rlr > 1) {
+    refundsSheet.getRange(2, 1, rlr - 1, 5).getValues().forEach(r => {
+      const id = s_(r[0]);
+      if (id) logged.set(id, (logged.get(id) || 0) + (parseMoney_(r[4]) || 0));
+    });
+  }
+
+  // Previous snapshots
+  const ledgerRows = new Map(); // orderId -> 0-based ledger row
+  const llr = ledgerSheet.getLastRow();
+  const ledger = llr > 1 ? ledgerSheet.getRange(2, 1, llr - 1, SQUARESPACE_REFUND_LEDGER_HEADERS.length).getValues() : [];
+  ledger.forEach((r, i) => ledgerRows.set(s_(r[0]), i));
+
+  const deltas = [];
+  orders.forEach((row, orderId) => {
+    const refundedTotal = Math.abs(parseMoney_(row[c.refunded])) || 0;
+    const i = ledgerRows.has(orderId) ? ledgerRows.get(orderId) : -1;
+    if (!refundedTotal && i === -1) return;
+
+    const previous = i >= 0 ? parseMoney_(ledger[i][2]) : 0;
+    const delta = Math.round((refundedTotal - (logged.get(orderId) || 0)) * 100) / 100;
+    const grew = refundedTotal > previous + 0.005;
+
+    if (delta > 0.005) {
+      // Growth since the last snapshot was observed now; an order seen for the first time
+      // (e.g. just backfilled) was last refunded no later than its Modified On
+      const observed = i >= 0 ? now : ((c.modified >= 0 && asDate_(row[c.modified])) || now);
+      deltas.push([
         orderId,
-        orderNumber,
-        orderDate,
-        orderDate, // Refund date = order date (best we can do)
-        refundedTotal,
-        customerEmail,
-        customerName,
-        'Squarespace refund (date approximated)',
-        new Date()
+        c.number >= 0 ? row[c.number] : '',
+        c.created >= 0 ? asDate_(row[c.created]) : '',
+        observed,
+        delta,
+        c.email >= 0 ? s_(row[c.email]) : '',
+        `${c.first >= 0 ? s_(row[c.first]) : ''} ${c.last >= 0 ? s_(row[c.last]) : ''}`.trim(),
+        SQUARESPACE_LEDGER_NOTE,
+        now,
+        `ledger:${orderId}:${refundedTotal.toFixed(2)}`,
+        ''
       ]);
-    });
+    }
 
-    cursor = json.pagination?.nextPageCursor || null;
-    if (cursor) Utilities.sleep(500);
-  } while (cursor);
+    const snapshot = [orderId, c.number >= 0 ? row[c.number] : '', refundedTotal,
+      Math.max(refundedTotal, logged.get(orderId) || 0), grew ? now : (i >= 0 ? ledger[i][4] : ''), now];
+    if (i >= 0) ledger[i] = snapshot;
+    else ledger.push(snapshot);
+  });
 
-  // Append new refunds to sheet
-  if (newRefunds.length > 0) {
-    refundsSheet.getRange(lastRow + 1, 1, newRefunds.length, SQUARESPACE_REFUNDS_HEADERS.length).setValues(newRefunds);
+  if (ledger.length) ledgerSheet.getRange(2, 1, ledger.length, SQUARESPACE_REFUND_LEDGER_HEADERS.length).setValues(ledger);
+  appendSquarespaceRefundRows_(refundsSheet, deltas);
 
-    // Format columns
-    const newStartRow = lastRow + 1;
-    refundsSheet.getRange(newStartRow, 3, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Order Date
-    refundsSheet.getRange(newStartRow, 4, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
-    refundsSheet.getRange(newStartRow, 5, newRefunds.length, 1).setNumberFormat('"$"#,##0.00'); // Refund Amount
-    refundsSheet.getRange(newStartRow, 9, newRefunds.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
+  return deltas.length;
+}
 
-    refundsSheet.setFrozenRows(1);
-    refundsSheet.getRange(1, 1, 1, SQUARESPACE_REFUNDS_HEADERS.length).setFontWeight('bold').setBackground('#0072ce').setFontColor('#ffffff');
-  }
+/**
+ * Imports all Shopify refunds from the last N days (default 30).
+ * Only adds NEW refunds (checks for existing Refund IDs to skip duplicates).
+ * The sheet is permanent history (never cleared) - reports query by date range.
+ * We only query recent refunds to catch new ones added since last import.
+ * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
+ */
+function importShopifyRefunds(days) {
+  return importConnectorRefunds_(getConnector_('Shopify'), days);
+}
 
-  const msg = `✅ Imported ${newRefunds.length} new Squarespace refunds (${existingRefundOrders.size} existing)`;
-  logProgress('Squarespace Refunds', msg);
-  logImportEvent('Squarespace Refunds', msg, newRefunds.length);
+/**
+ * Imports all Squarespace refunds from the last N days (default 30).
+ * Only adds NEW refunds (checks for existing Refund IDs to skip duplicates).
+ * The sheet is permanent history (never cleared) - reports query by date range.
+ * We only query recent refunds to catch new ones added since last import.
+ * Then runs the refund ledger so refunded totals not yet covered by transactions get delta rows.
+ * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
+ */
+function importSquarespaceRefunds(days) {
+  const msg = importConnectorRefunds_(getConnector_('Squarespace'), days);
+  const deltas = reconcileSquarespaceRefundLedger_();
+  if (!deltas) return msg;
 
+  logImportEvent('Squarespace Refunds', `Refund ledger: ${deltas} delta rows appended`, deltas);
+  return `${msg}; ${deltas} refund ledger deltas`;
+}
+
+/**
+ * Replaces order-level "date approximated" Squarespace refund rows with the real refunds
+ * from the Transactions API (refundedOn, amount, IDs), looking back to the oldest such order.
+ * Rows whose order has no refund transactions keep their approximated note.
+ */
+function backfillSquarespaceRefundDates() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheetWithHeaders(SQUARESPACE_REFUNDS_SHEET_NAME, SQUARESPACE_REFUNDS_HEADERS);
+
+  const countApproximated = () => {
+    const lr = sheet.getLastRow();
+    if (lr < 2) return { count: 0, oldest: null };
+    let count = 0, oldest = null;
+    sheet.getRange(2, 1, lr - 1, 8).getValues().forEach(r => {
+      if (s_(r[7]) !== SQUARESPACE_APPROXIMATED_NOTE) return;
+      count++;
+      const d = asDate_(r[2]);
+      if (d && (!oldest || d < oldest)) oldest = d;
+    });
+    return { count: count, oldest: oldest };
+  };
+
+  const before = countApproximated();
+  if (!before.count) return 'No approximated Squarespace refund rows to backfill.';
+
+  // Refund transactions are modified no earlier than their order was created
+  const oldest = before.oldest || new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+  const days = Math.ceil((Date.now() - oldest.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+  importSquarespaceRefunds(days);
+
+  const after = countApproximated();
+  const msg = `Backfilled ${before.count - after.count} of ${before.count} approximated Squarespace refund rows` +
+    (after.count ? ` (${after.count} had no refund transactions and keep the order date)` : '');
+  logImportEvent('Squarespace Refunds', msg, before.count - after.count);
+  ss.toast(`✅ ${msg}`, 'Squarespace Refunds', 8);
   return msg;
 }
 
 /**
- * Wrapper function to import refunds from both platforms.
+ * Wrapper function to import refunds from every registered connector.
  * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
  */
 function importAllRefunds(days) {
-  const shopifyMsg = importShopifyRefunds(days);
-  const squarespaceMsg = importSquarespaceRefunds(days);
-
-  const msg = `${shopifyMsg}\n${squarespaceMsg}`;
+  const msg = getConnectors_().map(conn => conn.importRefunds(days)).join('\n');
   SpreadsheetApp.getActiveSpreadsheet().toast(msg, 'Refunds Import', 8);
 
   return msg;
@@ -303,52 +539,35 @@ function importAllRefunds(days) {
  * Returns Map: orderId -> refundAmount
  */
 function getShopifyRefundsForPeriod_(startDate, endDate) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const refundsSheet = ss.getSheetByName(SHOPIFY_REFUNDS_SHEET_NAME);
-
-  const refundsMap = new Map(); // orderId -> refundAmount
-
-  if (!refundsSheet || refundsSheet.getLastRow() < 2) {
-    return refundsMap;
-  }
-
-  const data = refundsSheet.getDataRange().getValues();
-  const headers = data[0];
-
-  const colOrderId = headers.indexOf('Order ID');
-  const colRefundDate = headers.indexOf('Refund Date');
-  const colRefundAmount = headers.indexOf('Refund Amount');
-
-  if (colOrderId === -1 || colRefundDate === -1 || colRefundAmount === -1) {
-    throw new Error('Missing required columns in Shopify_Refunds sheet');
-  }
-
-  for (let r = 1; r < data.length; r++) {
-    const row = data[r];
-    const orderId = String(row[colOrderId] || '');
-    const refundDate = asDate_(row[colRefundDate]);
-    const refundAmount = parseFloat(row[colRefundAmount]) || 0;
-
-    if (!orderId || !refundDate || refundAmount <= 0) continue;
-
-    // Filter by refund issue date
-    if (refundDate >= startDate && refundDate <= endDate) {
-      const existing = refundsMap.get(orderId) || 0;
-      refundsMap.set(orderId, existing + refundAmount);
-    }
-  }
-
-  return refundsMap;
+  return getRefundsForPeriodFromSheet_(SHOPIFY_REFUNDS_SHEET_NAME, startDate, endDate);
 }
 
 /**
  * Returns a Map of Squarespace refunds for a given date range.
- * Filters by REFUND ISSUE DATE (approximated to order date since Squarespace doesn't provide it).
+ * Filters by REFUND ISSUE DATE and sums every refund event per order: Transactions API refunds
+ * (refundedOn), refund-ledger deltas (observed time) and, until backfillSquarespaceRefundDates()
+ * replaces them, approximated rows (order date).
  * Returns Map: orderId -> refundAmount
  */
 function getSquarespaceRefundsForPeriod_(startDate, endDate) {
+  return getRefundsForPeriodFromSheet_(SQUARESPACE_REFUNDS_SHEET_NAME, startDate, endDate);
+}
+
+/**
+ * Returns a Map of WooCommerce refunds for a given date range (true refund dates).
+ * Returns Map: orderId -> refundAmount
+ */
+function getWooCommerceRefundsForPeriod_(startDate, endDate) {
+  return getRefundsForPeriodFromSheet_(WOOCOMMERCE_REFUNDS_SHEET_NAME, startDate, endDate);
+}
+
+/**
+ * Sums "Refund Amount" per "Order ID" for rows of a refund sheet whose "Refund Date"
+ * falls in [startDate, endDate]. Returns Map: orderId -> refundAmount
+ */
+function getRefundsForPeriodFromSheet_(sheetName, startDate, endDate) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const refundsSheet = ss.getSheetByName(SQUARESPACE_REFUNDS_SHEET_NAME);
+  const refundsSheet = ss.getSheetByName(sheetName);
 
   const refundsMap = new Map(); // orderId -> refundAmount
 
@@ -364,7 +583,7 @@ function getSquarespaceRefundsForPeriod_(startDate, endDate) {
   const colRefundAmount = headers.indexOf('Refund Amount');
 
   if (colOrderId === -1 || colRefundDate === -1 || colRefundAmount === -1) {
-    throw new Error('Missing required columns in Squarespace_Refunds sheet');
+    throw new Error(`Missing required columns in ${sheetName} sheet`);
   }
 
   for (let r = 1; r < data.length; r++) {
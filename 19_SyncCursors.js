@@ -0,0 +1,111 @@
+// =====================================================
+// 19_SyncCursors.js — High-water-mark sync cursors for order imports
+// Each source remembers the newest updated_at / modifiedOn it has committed
+// (Script Properties). Imports fetch from cursor minus a safety overlap and
+// only advance the cursor after rows are written.
+// =====================================================
+
+const SYNC_CURSOR_KEYS = {
+  Shopify: 'SYNC_CURSOR_SHOPIFY_ORDERS',
+  Squarespace: 'SYNC_CURSOR_SQUARESPACE_ORDERS'
+};
+
+const SYNC_CURSOR_OVERLAP_MINUTES = 60;  // Re-check this much before the cursor (late-indexed edits, clock skew)
+const SYNC_CURSOR_INITIAL_DAYS_BACK = 14; // First run (no cursor yet) starts this far back
+
+/**
+ * Property key for a source's cursor. Connectors registered later (23_Connectors.js)
+ * get SYNC_CURSOR_<NAME>_ORDERS; the two original sources keep their existing keys.
+ * Extra stores of a multi-store connector are "<Connector>:<store label>" sources.
+ */
+function syncCursorKey_(source) {
+  if (SYNC_CURSOR_KEYS[source]) return SYNC_CURSOR_KEYS[source];
+  const sep = String(source).indexOf(':');
+  const conn = getConnector_(sep > 0 ? String(source).slice(0, sep) : source);
+  const name = sep > 0 ? `${conn.name}_${String(source).slice(sep + 1)}` : conn.name;
+  return `SYNC_CURSOR_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_ORDERS`;
+}
+
+/**
+ * Returns the stored cursor for a source as a Date, or null when none is set.
+ */
+function getSyncCursor_(source) {
+  return asDate_(PROPS.getProperty(syncCursorKey_(source)));
+}
+
+/**
+ * Start of the fetch window: cursor minus overlap, or the initial lookback when no cursor exists.
+ */
+function getSyncStartDate_(source) {
+  const cursor = getSyncCursor_(source);
+  if (cursor) {
+    return new Date(cursor.getTime() - SYNC_CURSOR_OVERLAP_MINUTES * 60 * 1000);
+  }
+  const d = new Date();
+  d.setDate(d.getDate() - SYNC_CURSOR_INITIAL_DAYS_BACK);
+  return d;
+}
+
+/**
+ * Moves the cursor forward to highWater (never backwards). Call only after the rows are committed.
+ */
+function advanceSyncCursor_(source, highWater) {
+  const d = asDate_(highWater);
+  if (!d) return false;
+
+  const current = getSyncCursor_(source);
+  if (current && current >= d) return false;
+
+  PROPS.setProperty(syncCursorKey_(source), d.toISOString());
+  return true;
+}
+
+/**
+ * Returns the later of two date-like values (either may be blank).
+ */
+function laterDate_(a, b) {
+  const da = asDate_(a);
+  const db = asDate_(b);
+  if (!da) return db;
+  if (!db) return da;
+  return da >= db ? da : db;
+}
+
+/**
+ * Sidebar: current cursor per source and where the next import will start.
+ */
+function getSyncCursorsForSidebar() {
+  const tz = Session.getScriptTimeZone();
+  return getSyncSources_().map(source => {
+    const cursor = getSyncCursor_(source);
+    return {
+      source: source,
+      cursor: cursor ? Utilities.formatDate(cursor, tz, 'yyyy-MM-dd HH:mm') : '',
+      fetchFrom: Utilities.formatDate(getSyncStartDate_(source), tz, 'yyyy-MM-dd HH:mm')
+    };
+  });
+}
+
+/**
+ * Sidebar: resets a source's cursor. A blank date clears it, so the next import
+ * falls back to the initial lookback; otherwise the cursor is set to that date.
+ */
+function resetSyncCursorFromSidebar(source, dateStr) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const key = syncCursorKey_(source);
+
+  let msg;
+  if (!s_(dateStr)) {
+    PROPS.deleteProperty(key);
+    msg = `${source} sync cursor cleared (next import starts ${SYNC_CURSOR_INITIAL_DAYS_BACK} days back).`;
+  } else {
+    const d = asDate_(dateStr + 'T00:00:00');
+    if (!d) throw new Error(`Invalid cursor date: ${dateStr}`);
+    PROPS.setProperty(key, d.toISOString());
+    msg = `${source} sync cursor set to ${dateStr}.`;
+  }
+
+  logImportEvent(source, `Sync cursor reset: ${msg}`);
+  ss.toast(msg, 'Sync Cursors', 5);
+  return msg;
+}
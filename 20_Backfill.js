@@ -0,0 +1,397 @@
+// =====================================================
+// 20_Backfill.js — Resumable historical backfill
+// Splits a date range into monthly windows and runs every connector's
+// order and refund iterators per window (23_Connectors.js). Where an API only filters on
+// modification date, the windows split modified dates instead (the last one runs to now) and
+// each keeps whatever was created / refunded anywhere in the backfill range, so history is
+// paged once rather than once per window. Every page is committed and checkpointed
+// in the Backfill_Progress sheet, so a run that hits the 6-minute limit resumes
+// itself from a one-off time-based trigger exactly where it stopped.
+// =====================================================
+
+const BACKFILL_SHEET_NAME = 'Backfill_Progress';
+const BACKFILL_HEADERS = [
+  'Window', 'Window Start', 'Window End', 'Task', 'Status',
+  'Pages', 'Rows', 'Checkpoint', 'Updated At', 'Note'
+];
+
+const BACKFILL_STATE_KEY = 'BACKFILL_STATE';
+const BACKFILL_SOFT_LIMIT_MS = 4.5 * 60 * 1000;
+const BACKFILL_RESUME_DELAY_MS = 60 * 1000;
+
+// ---------- Continuation triggers (shared by long-running jobs) ----------
+
+/**
+ * Deletes every project trigger that calls handlerName. Returns how many were removed.
+ */
+function deleteTriggersFor_(handlerName) {
+  let deleted = 0;
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === handlerName) {
+      ScriptApp.deleteTrigger(trigger);
+      deleted++;
+    }
+  });
+  return deleted;
+}
+
+/**
+ * Schedules a single one-off run of handlerName after delayMs (replacing any pending one).
+ */
+function scheduleContinuation_(handlerName, delayMs) {
+  deleteTriggersFor_(handlerName);
+  ScriptApp.newTrigger(handlerName)
+    .timeBased()
+    .after(delayMs)
+    .create();
+}
+
+// ---------- Public entry points ----------
+
+/**
+ * Starts a backfill for startStr..endStr (yyyy-MM-dd, inclusive).
+ * Replaces any previous Backfill_Progress table.
+ */
+function startBackfill(startStr, endStr) {
+  const start = new Date(s_(startStr) + 'T00:00:00');
+  const end = new Date(s_(endStr) + 'T00:00:00');
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error('Backfill requires a Start Date and End Date (yyyy-mm-dd).');
+  }
+  if (start > end) throw new Error('Backfill Start Date must be on or before End Date.');
+
+  const current = getBackfillState_();
+  if (current && current.status === 'running') {
+    throw new Error(`A backfill (${current.start} → ${current.end}) is already running. Cancel it first.`);
+  }
+
+  const tasks = getBackfillTasks_();
+  const rows = [];
+  buildBackfillWindows_(start, endOfDay_(end)).forEach(win => {
+    tasks.forEach(task => {
+      rows.push([win.label, win.start, win.end, task, 'Pending', 0, 0, '', '', '']);
+    });
+  });
+
+  const sheet = getOrCreateSheetWithHeaders(BACKFILL_SHEET_NAME, BACKFILL_HEADERS);
+  const lr = sheet.getLastRow();
+  if (lr > 1) sheet.getRange(2, 1, lr - 1, BACKFILL_HEADERS.length).clearContent();
+  sheet.getRange(2, 1, rows.length, BACKFILL_HEADERS.length).setValues(rows);
+  sheet.getRange(2, 2, rows.length, 2).setNumberFormat('yyyy-mm-dd');
+  sheet.getRange(2, 9, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, BACKFILL_HEADERS.length).setFontWeight('bold');
+
+  setBackfillState_({
+    status: 'running',
+    start: formatDate_(start),
+    end: formatDate_(end),
+    startedAt: new Date().toISOString()
+  });
+
+  logImportEvent('Backfill', `Started ${formatDate_(start)} → ${formatDate_(end)} (${rows.length / tasks.length} monthly windows)`);
+  return runBackfill_();
+}
+
+/**
+ * Trigger handler: picks the backfill up from its last checkpoint.
+ */
+function continueBackfill() {
+  deleteTriggersFor_('continueBackfill');
+  return runBackfill_();
+}
+
+/**
+ * Resumes a stopped backfill (after an error or a cancelled run). Finished tasks are skipped.
+ */
+function resumeBackfill() {
+  const state = getBackfillState_();
+  if (!state) throw new Error('No backfill to resume. Start one from the sidebar.');
+  if (state.status === 'done') return 'Backfill already complete.';
+
+  state.status = 'running';
+  delete state.error;
+  setBackfillState_(state);
+  return runBackfill_();
+}
+
+/**
+ * Stops the backfill and removes any pending continuation trigger.
+ */
+function cancelBackfill() {
+  const state = getBackfillState_();
+  deleteTriggersFor_('continueBackfill');
+  if (!state || state.status !== 'running') return 'No backfill is running.';
+
+  state.status = 'cancelled';
+  setBackfillState_(state);
+
+  const msg = `Backfill ${state.start} → ${state.end} cancelled. Resume picks up from the last checkpoint.`;
+  logImportEvent('Backfill', msg);
+  SpreadsheetApp.getActiveSpreadsheet().toast(msg, 'Backfill', 6);
+  return msg;
+}
+
+/**
+ * Sidebar: overall state plus one row per window with each task's status and row count.
+ */
+function getBackfillStatusForSidebar() {
+  const state = getBackfillState_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BACKFILL_SHEET_NAME);
+
+  const windows = [];
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, BACKFILL_HEADERS.length).getValues();
+    const byLabel = new Map();
+    data.forEach(row => {
+      const label = s_(row[0]);
+      if (!label) return;
+      if (!byLabel.has(label)) {
+        byLabel.set(label, { window: label, tasks: {} });
+        windows.push(byLabel.get(label));
+      }
+      byLabel.get(label).tasks[s_(row[3])] = { status: s_(row[4]), pages: n_(row[5]), rows: n_(row[6]), note: s_(row[9]) };
+    });
+  }
+
+  return {
+    status: state ? state.status : 'idle',
+    start: state ? state.start : '',
+    end: state ? state.end : '',
+    error: state && state.error ? state.error : '',
+    tasks: getBackfillTasks_(),
+    windows: windows
+  };
+}
+
+// ---------- Engine ----------
+
+function getBackfillState_() {
+  const raw = PROPS.getProperty(BACKFILL_STATE_KEY);
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch (e) { return null; }
+}
+
+function setBackfillState_(state) {
+  PROPS.setProperty(BACKFILL_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Calendar-month windows clipped to [start, end].
+ */
+function buildBackfillWindows_(start, end) {
+  const windows = [];
+  let cur = new Date(start.getFullYear(), start.getMonth(), 1);
+
+  while (cur <= end) {
+    const monthEnd = endOfDay_(new Date(cur.getFullYear(), cur.getMonth() + 1, 0));
+    const winStart = cur < start ? start : cur;
+    const winEnd = monthEnd > end ? end : monthEnd;
+    windows.push({
+      label: `${cur.getFullYear()}-${String(cur.getMonth() + 1).padStart(2, '0')}`,
+      start: startOfDay_(winStart),
+      end: winEnd
+    });
+    cur = new Date(cur.getFullYear(), cur.getMonth() + 1, 1);
+  }
+  return windows;
+}
+
+/**
+ * Works through Pending/Running/Error rows of Backfill_Progress page by page until done
+ * or the soft time limit, then schedules continueBackfill.
+ */
+function runBackfill_() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(20000)) {
+    throw new Error('Lock timeout: another process is running. Wait ~10 seconds and try again.');
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const state = getBackfillState_();
+    if (!state || state.status !== 'running') {
+      return `No backfill running (status: ${state ? state.status : 'idle'}).`;
+    }
+
+    const sheet = ss.getSheetByName(BACKFILL_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) throw new Error(`Missing ${BACKFILL_SHEET_NAME} sheet. Start the backfill again.`);
+
+    const width = BACKFILL_HEADERS.length;
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+
+    const started = Date.now();
+    const timeUp_ = () => (Date.now() - started) > BACKFILL_SOFT_LIMIT_MS;
+    const span = { since: new Date(state.start + 'T00:00:00'), until: endOfDay_(new Date(state.end + 'T00:00:00')) };
+    const ctx = createBackfillContext_(span);
+
+    const saveRow_ = (i) => {
+      data[i][8] = new Date();
+      sheet.getRange(i + 2, 1, 1, width).setValues([data[i]]);
+    };
+
+    for (let i = 0; i < data.length; i++) {
+      const row = data[i];
+      if (s_(row[4]) === 'Done') continue;
+
+      const win = { label: s_(row[0]), start: asDate_(row[1]), end: endOfDay_(asDate_(row[2])) };
+      const task = s_(row[3]);
+      const runner = getBackfillRunner_(task);
+
+      row[4] = 'Running';
+      row[9] = '';
+      saveRow_(i);
+
+      while (true) {
+        if (getBackfillState_()?.status !== 'running') {
+          row[4] = 'Pending';
+          saveRow_(i);
+          return 'Backfill stopped (cancelled).';
+        }
+
+        if (timeUp_()) {
+          scheduleContinuation_('continueBackfill', BACKFILL_RESUME_DELAY_MS);
+          const msg = `⏳ Backfill paused at ${win.label} / ${task} (page ${row[5]}). Resuming automatically in ~1 minute.`;
+          logImportEvent('Backfill', msg);
+          ss.toast(msg, 'Backfill', 8);
+          return msg;
+        }
+
+        let page;
+        try {
+          page = runner(ctx, win, s_(row[7]));
+        } catch (e) {
+          row[4] = 'Error';
+          row[9] = String(e && e.message ? e.message : e).slice(0, 500);
+          saveRow_(i);
+          state.status = 'error';
+          state.error = `${win.label} / ${task}: ${row[9]}`;
+          setBackfillState_(state);
+          logImportEvent('Backfill', `Error: ${state.error}`);
+          throw e;
+        }
+
+        row[5] = n_(row[5]) + 1;
+        row[6] = n_(row[6]) + page.rows;
+        row[7] = page.token || '';
+        if (!page.token) row[4] = 'Done';
+        saveRow_(i);
+
+        if (!page.token) break;
+      }
+    }
+
+    state.status = 'done';
+    state.finishedAt = new Date().toISOString();
+    setBackfillState_(state);
+    deleteTriggersFor_('continueBackfill');
+
+    const totalRows = data.reduce((sum, r) => sum + n_(r[6]), 0);
+    const msg = `✅ Backfill ${state.start} → ${state.end} complete (${totalRows} rows written). Run Clean Orders to rebuild All_Orders_Clean.`;
+    logImportEvent('Backfill', msg, totalRows);
+    ss.toast(msg, 'Backfill', 10);
+    return msg;
+
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * "<connector> Orders" then "<connector> Refunds" for every registered connector.
+ */
+function getBackfillTasks_() {
+  const connectors = getConnectors_();
+  return connectors.map(conn => `${conn.name} Orders`).concat(connectors.map(conn => `${conn.name} Refunds`));
+}
+
+/**
+ * Per-run caches: upserters and existing refund keys are loaded once
+ * per execution and reused by every page. span = the whole backfill range.
+ */
+function createBackfillContext_(span) {
+  const cache = {};
+  return {
+    span: span,
+    upserter(conn) {
+      if (!cache['upserter:' + conn.name]) cache['upserter:' + conn.name] = conn.createUpserter();
+      return cache['upserter:' + conn.name];
+    },
+    existingKeys(conn) {
+      if (!cache['keys:' + conn.name]) {
+        const sheet = getOrCreateSheetWithHeaders(conn.refundsSheet, conn.refundHeaders);
+        cache['keys:' + conn.name] = { sheet, keys: readColumnKeys_(sheet, refundKeyIndex_(conn) + 1) };
+      }
+      return cache['keys:' + conn.name];
+    }
+  };
+}
+
+function backfillQueryEnd_(win) {
+  const now = new Date();
+  return win.end > now ? now : win.end;
+}
+
+/**
+ * by 'created' range for a window. within / toNow only matter to APIs that filter on modified
+ * date (see 23_Connectors.js): the windows then tile modified dates from the backfill start
+ * to now and keep everything created in the backfill range.
+ */
+function backfillRange_(ctx, win) {
+  return {
+    since: win.start,
+    until: backfillQueryEnd_(win),
+    by: 'created',
+    within: ctx.span,
+    toNow: win.end.getTime() >= ctx.span.until.getTime()
+  };
+}
+
+/**
+ * Page runner for a task: (ctx, win, token) -> { token, rows } where token is the next
+ * page checkpoint ('' when done). Orders are windowed on creation date and refunds on refund
+ * date (by 'created', see backfillRange_).
+ */
+function getBackfillRunner_(task) {
+  const m = String(task).match(/^(.+) (Orders|Refunds)$/);
+  const conn = m ? getConnectors_().find(c => c.name === m[1]) : null;
+  if (!conn) throw new Error(`Unknown backfill task: ${task}`);
+
+  if (m[2] === 'Orders') {
+    return function (ctx, win, token) {
+      const page = conn.fetchOrderPage(backfillRange_(ctx, win), token);
+
+      const upserter = ctx.upserter(conn);
+      const fulfillments = createFulfillmentCollector_(conn);
+      const before = upserter.stats.inserted + upserter.stats.updated;
+      page.orders.forEach(order => {
+        const orderId = order ? conn.orderId(order) : '';
+        if (!orderId) return;
+        upserter.applyOrder(orderId, conn.buildOrderRows(order));
+        fulfillments.add(order);
+      });
+      upserter.commit();
+      fulfillments.commit();
+
+      return { token: page.token || '', rows: upserter.stats.inserted + upserter.stats.updated - before };
+    };
+  }
+
+  return function (ctx, win, token) {
+    const page = conn.fetchRefundPage(backfillRange_(ctx, win), token);
+
+    const target = ctx.existingKeys(conn);
+    const keyIndex = refundKeyIndex_(conn);
+    const rows = [];
+    page.rows.forEach(row => {
+      const key = String(row[keyIndex]);
+      if (target.keys.has(key)) return;
+      target.keys.add(key);
+      rows.push(row);
+    });
+    conn.appendRefundRows(target.sheet, rows);
+    if (conn.appendRefundDetails) conn.appendRefundDetails(page.details || []);
+
+    return { token: page.token || '', rows: rows.length };
+  };
+}
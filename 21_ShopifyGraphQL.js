@@ -0,0 +1,414 @@
+// =====================================================
+// 21_ShopifyGraphQL.js — Shopify GraphQL Admin API client
+// Features:
+// - shopifyGraphQL_() with cost-based throttling (reads extensions.cost.throttleStatus)
+// - bulkOperationRunQuery: start, poll, download JSONL
+// - maps bulk order nodes to the REST order shape so buildShopifyOrderRows_()
+//   keeps producing SHOPIFY_ORDER_HEADERS rows unchanged
+// - bulk imports run one bulk operation per store of Shopify_Stores, in turn (each store
+//   from its own sync cursor; orders are tagged with the store label)
+// =====================================================
+
+const SHOPIFY_GQL_MAX_THROTTLE_RETRIES = 5;
+const SHOPIFY_BULK_STATE_KEY = 'SHOPIFY_BULK_ORDER_IMPORT';
+const SHOPIFY_BULK_POLL_MS = 5000;
+const SHOPIFY_BULK_SOFT_LIMIT_MS = 4.5 * 60 * 1000;
+
+// Last throttle status reported by Shopify (points available and restore rate per second)
+const SHOPIFY_GQL_BUCKET_ = { available: null, restoreRate: 50, lastCost: 0, at: 0 };
+
+function shopifyGraphQLConfig_(store) {
+  const api = getShopifyCredentials_(store);
+  return {
+    apiKey: api.apiKey,
+    url: `https://${api.shopDomain}/admin/api/${api.apiVersion}/graphql.json`
+  };
+}
+
+/**
+ * Sleeps until the bucket has restored enough points for a query as costly as the last one.
+ */
+function waitForShopifyGraphQLBudget_() {
+  const b = SHOPIFY_GQL_BUCKET_;
+  if (b.available === null || !b.lastCost) return;
+
+  const elapsedSec = (Date.now() - b.at) / 1000;
+  const available = b.available + elapsedSec * b.restoreRate;
+  if (available >= b.lastCost) return;
+
+  const waitMs = Math.ceil(((b.lastCost - available) / b.restoreRate) * 1000);
+  Utilities.sleep(Math.min(waitMs, 20000));
+}
+
+function recordShopifyGraphQLCost_(json) {
+  const cost = json && json.extensions && json.extensions.cost;
+  if (!cost || !cost.throttleStatus) return;
+  SHOPIFY_GQL_BUCKET_.available = cost.throttleStatus.currentlyAvailable;
+  SHOPIFY_GQL_BUCKET_.restoreRate = cost.throttleStatus.restoreRate || SHOPIFY_GQL_BUCKET_.restoreRate;
+  SHOPIFY_GQL_BUCKET_.lastCost = cost.requestedQueryCost || cost.actualQueryCost || 0;
+  SHOPIFY_GQL_BUCKET_.at = Date.now();
+}
+
+/**
+ * Runs a GraphQL query/mutation and returns `data`.
+ * THROTTLED responses are retried after waiting for the bucket to refill; other errors throw.
+ * store (a getShopifyStores_() entry) defaults to the primary store.
+ */
+function shopifyGraphQL_(query, variables, store) {
+  const cfg = shopifyGraphQLConfig_(store);
+
+  for (let attempt = 0; attempt <= SHOPIFY_GQL_MAX_THROTTLE_RETRIES; attempt++) {
+    waitForShopifyGraphQLBudget_();
+
+    const resp = httpFetch_('shopify_graphql', cfg.url, {
+      method: 'post',
+      contentType: 'application/json',
+      headers: { 'X-Shopify-Access-Token': cfg.apiKey },
+      payload: JSON.stringify({ query: query, variables: variables || {} }),
+      muteHttpExceptions: true
+    });
+
+    const json = JSON.parse(resp.getContentText());
+    recordShopifyGraphQLCost_(json);
+
+    const errors = json.errors || [];
+    const throttled = errors.some(e => e && e.extensions && e.extensions.code === 'THROTTLED');
+    if (throttled) {
+      // Force a wait on the next pass even if the bucket looked healthy
+      SHOPIFY_GQL_BUCKET_.available = Math.min(SHOPIFY_GQL_BUCKET_.available || 0, 0);
+      continue;
+    }
+    if (errors.length) {
+      throw new Error(`Shopify GraphQL error: ${errors.map(e => e.message).join('; ')}`);
+    }
+
+    return json.data;
+  }
+
+  throw new Error('Shopify GraphQL: still throttled after ' + SHOPIFY_GQL_MAX_THROTTLE_RETRIES + ' retries.');
+}
+
+// ---------- Bulk operations ----------
+
+/**
+ * Starts bulkOperationRunQuery and returns the operation ID.
+ */
+function startShopifyBulkOperation_(bulkQuery, store) {
+  const data = shopifyGraphQL_(
+    `mutation RunBulk($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }`,
+    { query: bulkQuery },
+    store
+  );
+
+  const result = data.bulkOperationRunQuery || {};
+  if (result.userErrors && result.userErrors.length) {
+    throw new Error(`Shopify bulk operation rejected: ${result.userErrors.map(e => e.message).join('; ')}`);
+  }
+  return result.bulkOperation.id;
+}
+
+/**
+ * Returns { id, status, errorCode, objectCount, url, partialDataUrl } for a bulk operation.
+ */
+function getShopifyBulkOperation_(operationId, store) {
+  const data = shopifyGraphQL_(
+    `query BulkStatus($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+      }
+    }`,
+    { id: operationId },
+    store
+  );
+  if (!data.node) throw new Error(`Shopify bulk operation not found: ${operationId}`);
+  return data.node;
+}
+
+/**
+ * Polls until the operation leaves CREATED/RUNNING or maxWaitMs passes; returns the last status.
+ */
+function pollShopifyBulkOperation_(operationId, maxWaitMs, store) {
+  const started = Date.now();
+  while (true) {
+    const op = getShopifyBulkOperation_(operationId, store);
+    if (op.status !== 'CREATED' && op.status !== 'RUNNING') return op;
+    if (Date.now() - started + SHOPIFY_BULK_POLL_MS > maxWaitMs) return op;
+    Utilities.sleep(SHOPIFY_BULK_POLL_MS);
+  }
+}
+
+/**
+ * Downloads a finished bulk operation's JSONL file and returns it as an array of objects.
+ */
+function downloadShopifyBulkResults_(url) {
+  if (!url) return []; // No objects matched the query
+  const resp = httpFetch_('default', url, { method: 'get' });
+  return resp.getContentText()
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Bulk query for orders updated in [since, until], with line items as a nested connection.
+ */
+function buildShopifyBulkOrdersQuery_(since, until) {
+  const filter = `updated_at:>='${since.toISOString()}'` + (until ? ` AND updated_at:<='${until.toISOString()}'` : '');
+  const money = 'shopMoney { amount currencyCode }';
+  const address = 'name address1 address2 city province country zip phone';
+
+  return `{
+    orders(query: "${filter}") {
+      edges {
+        node {
+          id name number createdAt processedAt updatedAt test email note tags
+          displayFinancialStatus displayFulfillmentStatus currencyCode
+          totalPriceSet { ${money} } subtotalPriceSet { ${money} } totalTaxSet { ${money} }
+          totalDiscountsSet { ${money} } currentTotalPriceSet { ${money} }
+          currentTotalDiscountsSet { ${money} } totalRefundedSet { ${money} }
+          paymentGatewayNames totalWeight discountCodes
+          shippingLine { title code }
+          customer { firstName lastName }
+          billingAddress { ${address} }
+          shippingAddress { ${address} }
+          lineItems {
+            edges {
+              node {
+                id name quantity sku requiresShipping taxable unfulfilledQuantity
+                originalUnitPriceSet { ${money} }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+/**
+ * "gid://shopify/Order/123" -> "123" (matches the REST numeric IDs already in the sheets).
+ */
+function shopifyGidToId_(gid) {
+  const s = s_(gid);
+  const i = s.lastIndexOf('/');
+  return i >= 0 ? s.slice(i + 1) : s;
+}
+
+/**
+ * REST order_number for a GraphQL order: the numeric `number` field, else the name without the
+ * store's order number prefix / suffix (format = { prefix, suffix }, "#" / "" by default).
+ * Never just the name: "SB-1001" must file as 1001 like the REST import.
+ */
+function shopifyGqlOrderNumber_(node, format) {
+  if (node.number !== undefined && node.number !== null && s_(node.number) !== '') return s_(node.number);
+
+  let name = s_(node.name);
+  const prefix = format ? s_(format.prefix) : '#';
+  const suffix = format ? s_(format.suffix) : '';
+  if (prefix && name.startsWith(prefix)) name = name.slice(prefix.length);
+  if (suffix && name.endsWith(suffix)) name = name.slice(0, -suffix.length);
+  return name;
+}
+
+/**
+ * The store's order name format: { prefix, suffix } (Settings → General → Order ID format).
+ */
+function getShopifyOrderNameFormat_(store) {
+  const data = shopifyGraphQL_('{ shop { orderNumberFormatPrefix orderNumberFormatSuffix } }', {}, store);
+  const shop = data.shop || {};
+  return {
+    prefix: shop.orderNumberFormatPrefix === undefined || shop.orderNumberFormatPrefix === null ? '#' : s_(shop.orderNumberFormatPrefix),
+    suffix: s_(shop.orderNumberFormatSuffix)
+  };
+}
+
+/**
+ * Maps a GraphQL order node + its line item nodes to the REST orders.json shape.
+ */
+function shopifyGqlOrderToRest_(node, lineNodes, format) {
+  const amount = set => (set && set.shopMoney ? set.shopMoney.amount : '');
+  const address = a => (a ? {
+    name: a.name, address1: a.address1, address2: a.address2, city: a.city,
+    province: a.province, country: a.country, zip: a.zip, phone: a.phone
+  } : null);
+  const fulfillment = { FULFILLED: 'fulfilled', PARTIALLY_FULFILLED: 'partial', RESTOCKED: 'restocked' };
+
+  return {
+    id: shopifyGidToId_(node.id),
+    order_number: shopifyGqlOrderNumber_(node, format),
+    created_at: node.createdAt,
+    processed_at: node.processedAt,
+    updated_at: node.updatedAt,
+    financial_status: s_(node.displayFinancialStatus).toLowerCase(),
+    fulfillment_status: fulfillment[node.displayFulfillmentStatus] || null,
+    currency: node.currencyCode,
+    total_price: amount(node.totalPriceSet),
+    subtotal_price: amount(node.subtotalPriceSet),
+    total_tax: amount(node.totalTaxSet),
+    total_discounts: amount(node.totalDiscountsSet),
+    current_total_price: amount(node.currentTotalPriceSet),
+    current_total_discounts: amount(node.currentTotalDiscountsSet),
+    total_refunds: amount(node.totalRefundedSet),
+    test: node.test === true,
+    email: node.email,
+    customer: node.customer ? { first_name: node.customer.firstName, last_name: node.customer.lastName } : null,
+    billing_address: address(node.billingAddress),
+    shipping_address: address(node.shippingAddress),
+    tags: (node.tags || []).join(', '),
+    note: node.note,
+    gateway: (node.paymentGatewayNames || []).join(', '),
+    total_weight: node.totalWeight,
+    discount_codes: (node.discountCodes || []).map(code => ({ code: code })),
+    shipping_lines: node.shippingLine ? [node.shippingLine] : [],
+    line_items: (lineNodes || []).map(li => {
+      const unfulfilled = n_(li.unfulfilledQuantity);
+      return {
+        id: shopifyGidToId_(li.id),
+        name: li.name,
+        quantity: li.quantity,
+        price: amount(li.originalUnitPriceSet),
+        sku: li.sku,
+        requires_shipping: li.requiresShipping,
+        taxable: li.taxable,
+        fulfillment_status: unfulfilled === 0 ? 'fulfilled' : (unfulfilled < n_(li.quantity) ? 'partial' : null)
+      };
+    })
+  };
+}
+
+/**
+ * Groups bulk JSONL objects (children carry __parentId) into REST-shaped orders. The store's
+ * order name format is only fetched when an order comes back without `number`.
+ */
+function shopifyBulkObjectsToOrders_(objects, store) {
+  const orders = new Map();   // order gid -> node
+  const lines = new Map();    // order gid -> [line nodes]
+
+  objects.forEach(obj => {
+    if (obj.__parentId) {
+      if (!lines.has(obj.__parentId)) lines.set(obj.__parentId, []);
+      lines.get(obj.__parentId).push(obj);
+    } else if (s_(obj.id).indexOf('/Order/') !== -1) {
+      orders.set(obj.id, obj);
+    }
+  });
+
+  const nodes = Array.from(orders.values());
+  const format = nodes.some(node => node.number === undefined || node.number === null) ? getShopifyOrderNameFormat_(store) : null;
+
+  const out = [];
+  orders.forEach((node, gid) => out.push(shopifyGqlOrderToRest_(node, lines.get(gid), format)));
+  return out;
+}
+
+// ---------- Bulk order import ----------
+
+/**
+ * Bulk alternative to importShopifyOrders(): one bulk operation per store of Shopify_Stores
+ * (in order) for every order updated since that store's sync cursor, upserted into
+ * "Shopify Orders" with the same row format. If Shopify is still running an operation near
+ * the time limit, a continuation trigger picks it up (continueShopifyBulkOrderImport).
+ */
+function importShopifyOrdersBulk() {
+  const state = { stores: getShopifyStores_().map(store => store.label), index: 0, results: [] };
+  startShopifyStoreBulkImport_(state);
+  return finishShopifyBulkOrderImport_();
+}
+
+/**
+ * Starts the bulk operation of state.stores[state.index] and saves the state.
+ */
+function startShopifyStoreBulkImport_(state) {
+  const store = getShopifyStoreByLabel_(state.stores[state.index]);
+  const since = getSyncStartDate_(store.syncKey);
+
+  state.id = startShopifyBulkOperation_(buildShopifyBulkOrdersQuery_(since, null), store);
+  state.since = since.toISOString();
+  PROPS.setProperty(SHOPIFY_BULK_STATE_KEY, JSON.stringify(state));
+  logImportEvent('Shopify', `Bulk import started for ${store.label} (updated since ${state.since}): ${state.id}`);
+}
+
+/**
+ * Trigger handler: resumes polling a bulk order import.
+ */
+function continueShopifyBulkOrderImport() {
+  deleteTriggersFor_('continueShopifyBulkOrderImport');
+  return finishShopifyBulkOrderImport_();
+}
+
+function finishShopifyBulkOrderImport_() {
+  const raw = PROPS.getProperty(SHOPIFY_BULK_STATE_KEY);
+  if (!raw) return 'No Shopify bulk import pending.';
+  const state = JSON.parse(raw);
+  // Saved before multi-store bulk imports: the primary store only
+  if (!state.stores) Object.assign(state, { stores: [getPrimaryShopifyStoreLabel_()], index: 0, results: [] });
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const started = Date.now();
+
+  while (true) {
+    const store = getShopifyStoreByLabel_(state.stores[state.index]);
+    const op = pollShopifyBulkOperation_(state.id, Math.max(0, SHOPIFY_BULK_SOFT_LIMIT_MS - (Date.now() - started)), store);
+
+    if (op.status === 'CREATED' || op.status === 'RUNNING') {
+      scheduleContinuation_('continueShopifyBulkOrderImport', 60 * 1000);
+      const msg = `⏳ Shopify bulk export for ${store.label} still running (${op.objectCount || 0} objects so far). Will resume automatically.`;
+      ss.toast(msg, 'Shopify', 8);
+      return msg;
+    }
+
+    if (op.status !== 'COMPLETED') {
+      PROPS.deleteProperty(SHOPIFY_BULK_STATE_KEY);
+      const msg = `Shopify bulk operation for ${store.label} ${op.status}${op.errorCode ? ' (' + op.errorCode + ')' : ''}`;
+      logImportEvent('Shopify', `Bulk import failed: ${msg}`);
+      throw new Error(msg);
+    }
+
+    const orders = shopifyBulkObjectsToOrders_(downloadShopifyBulkResults_(op.url), store);
+    orders.forEach(order => { order.__store = store.label; });
+
+    // The upserter rewrites rows from the snapshot it reads: keep webhooks / triggers out until committed
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(20000)) {
+      scheduleContinuation_('continueShopifyBulkOrderImport', 60 * 1000);
+      const msg = `⏳ Shopify bulk export for ${store.label} finished but another process is writing orders. Will retry automatically.`;
+      ss.toast(msg, 'Shopify', 8);
+      return msg;
+    }
+
+    let st;
+    try {
+      const upserter = createShopifyOrderUpserter_();
+      let highWater = null;
+      orders.forEach(order => {
+        upserter.applyOrder(order.id, buildShopifyOrderRows_(order));
+        highWater = laterDate_(highWater, order.updated_at);
+      });
+      st = upserter.commit();
+      advanceSyncCursor_(store.syncKey, highWater);
+    } finally {
+      lock.releaseLock();
+    }
+
+    const summary = `inserted ${st.inserted}, updated ${st.updated}, unchanged ${st.unchanged}, orphaned ${st.orphaned}`;
+    logImportEvent('Shopify', `Bulk import success (${store.label}): ${summary}`, st.inserted + st.updated);
+    if (st.updated > 0) {
+      logImportEvent('Shopify', `Changed fields (${store.label}): ${formatFieldChanges_(st.fieldChanges)}`, st.updated);
+    }
+    state.results.push(`${store.label}: ${orders.length} orders, line items ${summary}`);
+
+    state.index++;
+    if (state.index >= state.stores.length) break;
+    startShopifyStoreBulkImport_(state);
+  }
+
+  PROPS.deleteProperty(SHOPIFY_BULK_STATE_KEY);
+  const msg = `Shopify bulk import: ${state.results.join('; ')}`;
+  ss.toast(`✅ ${msg}`, 'Shopify', 8);
+  return msg;
+}
@@ -0,0 +1,211 @@
+// =====================================================
+// 22_HttpClient.js — Shared HTTP layer for every importer
+// Features:
+// - per-platform leaky-bucket pacing (Shopify REST also syncs from X-Shopify-Shop-Api-Call-Limit)
+// - retries on 429/5xx/network errors, honoring Retry-After
+// - typed errors: err.kind = "auth" | "rate_limit" | "not_found" | "server" | "client"
+// - optional Request_Journal sheet (Script Property REQUEST_JOURNAL_ENABLED = true)
+// =====================================================
+
+const HTTP_MAX_RETRIES = 4;
+const HTTP_RETRY_BASE_MS = 1000;
+const HTTP_MAX_RETRY_AFTER_MS = 60 * 1000;
+
+const REQUEST_JOURNAL_SHEET = 'Request_Journal';
+const REQUEST_JOURNAL_HEADERS = ['Timestamp', 'Platform', 'Method', 'URL', 'Status', 'Latency (ms)', 'Retries', 'Error'];
+
+// capacity = burst size, leakPerSec = sustained requests per second (capacity 0 = no pacing)
+const HTTP_PLATFORMS = {
+  shopify: { label: 'Shopify', capacity: 40, leakPerSec: 2 },        // REST bucket: 40 requests, leaks 2/s
+  shopify_graphql: { label: 'Shopify', capacity: 0, leakPerSec: 0 }, // paced by query cost in 21_ShopifyGraphQL.js
+  squarespace: { label: 'Squarespace', capacity: 10, leakPerSec: 4 }, // stays under ~300 requests/minute
+  woocommerce: { label: 'WooCommerce', capacity: 10, leakPerSec: 5 },
+  default: { label: 'HTTP', capacity: 0, leakPerSec: 0 }
+};
+
+// Bucket levels for this execution: platform -> { level, at }
+const HTTP_BUCKETS_ = {};
+
+/**
+ * Fetches url for platform and returns the response for 2xx.
+ * Throws a typed error (see httpError_) once retries are exhausted or on non-retryable codes.
+ */
+function httpFetch_(platform, url, options) {
+  const cfg = HTTP_PLATFORMS[platform] || HTTP_PLATFORMS.default;
+  options = Object.assign({}, options || {}, { muteHttpExceptions: true });
+
+  const started = Date.now();
+  let retries = 0;
+  let lastErr = null;
+
+  while (true) {
+    waitForHttpBucket_(platform, cfg);
+
+    let resp = null;
+    try {
+      resp = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      // Network/DNS/timeout errors are retryable
+      lastErr = e;
+    }
+
+    if (resp) {
+      const code = resp.getResponseCode();
+      syncHttpBucketFromHeaders_(platform, resp);
+
+      if (code >= 200 && code < 300) {
+        journalRequest_(platform, options, url, code, started, retries, '');
+        return resp;
+      }
+
+      lastErr = httpError_(cfg.label, code, resp.getContentText(), url);
+      const retryable = code === 429 || code >= 500;
+      if (!retryable || retries >= HTTP_MAX_RETRIES) {
+        journalRequest_(platform, options, url, code, started, retries, lastErr.message);
+        throw lastErr;
+      }
+
+      Utilities.sleep(retryDelayMs_(resp, retries));
+    } else {
+      if (retries >= HTTP_MAX_RETRIES) break;
+      Utilities.sleep(retryDelayMs_(null, retries));
+    }
+
+    retries++;
+  }
+
+  journalRequest_(platform, options, url, '', started, retries, String(lastErr && lastErr.message || lastErr));
+  throw lastErr || new Error('Unknown fetch error for ' + url);
+}
+
+/**
+ * Builds an Error tagged with kind/status so callers can branch on auth vs. not-found etc.
+ */
+function httpError_(label, code, body, url) {
+  let kind = 'client';
+  if (code === 401 || code === 403) kind = 'auth';
+  else if (code === 404) kind = 'not_found';
+  else if (code === 429) kind = 'rate_limit';
+  else if (code >= 500) kind = 'server';
+
+  const err = new Error(`${label} API error (${code}): ${String(body || '').slice(0, 1000)}`);
+  err.name = {
+    auth: 'HttpAuthError',
+    not_found: 'HttpNotFoundError',
+    rate_limit: 'HttpRateLimitError',
+    server: 'HttpServerError',
+    client: 'HttpClientError'
+  }[kind];
+  err.kind = kind;
+  err.status = code;
+  err.url = url;
+  return err;
+}
+
+function isHttpError_(e, kind) {
+  return !!(e && e.kind && (!kind || e.kind === kind));
+}
+
+/**
+ * Case-insensitive response header lookup.
+ */
+function getResponseHeader_(resp, name) {
+  const headers = (resp.getAllHeaders ? resp.getAllHeaders() : resp.getHeaders()) || {};
+  const want = name.toLowerCase();
+  for (const key in headers) {
+    if (key.toLowerCase() === want) {
+      const v = headers[key];
+      return Array.isArray(v) ? v[0] : v;
+    }
+  }
+  return null;
+}
+
+/**
+ * Retry-After (seconds or HTTP date) when present, otherwise exponential backoff with jitter.
+ */
+function retryDelayMs_(resp, retries) {
+  const retryAfter = resp ? getResponseHeader_(resp, 'Retry-After') : null;
+  if (retryAfter) {
+    const secs = Number(retryAfter);
+    const ms = isFinite(secs) ? secs * 1000 : (new Date(retryAfter).getTime() - Date.now());
+    if (ms > 0) return Math.min(ms, HTTP_MAX_RETRY_AFTER_MS);
+  }
+  return HTTP_RETRY_BASE_MS * Math.pow(2, retries) + Math.floor(Math.random() * 300);
+}
+
+function waitForHttpBucket_(platform, cfg) {
+  if (!cfg.capacity || !cfg.leakPerSec) return;
+
+  const now = Date.now();
+  const b = HTTP_BUCKETS_[platform] || (HTTP_BUCKETS_[platform] = { level: 0, at: now });
+  b.level = Math.max(0, b.level - ((now - b.at) / 1000) * cfg.leakPerSec);
+  b.at = now;
+
+  // Keep one slot of headroom so other apps sharing the bucket don't push us into 429s
+  const ceiling = Math.max(1, cfg.capacity - 1);
+  if (b.level + 1 > ceiling) {
+    const waitMs = Math.ceil(((b.level + 1 - ceiling) / cfg.leakPerSec) * 1000);
+    Utilities.sleep(waitMs);
+    b.level = Math.max(0, b.level - (waitMs / 1000) * cfg.leakPerSec);
+    b.at = Date.now();
+  }
+  b.level += 1;
+}
+
+/**
+ * Shopify reports the real bucket fill ("32/40"); trust it over our local estimate.
+ */
+function syncHttpBucketFromHeaders_(platform, resp) {
+  const callLimit = getResponseHeader_(resp, 'X-Shopify-Shop-Api-Call-Limit');
+  if (!callLimit) return;
+
+  const m = String(callLimit).match(/(\d+)\s*\/\s*(\d+)/);
+  if (!m) return;
+
+  const b = HTTP_BUCKETS_[platform] || (HTTP_BUCKETS_[platform] = { level: 0, at: Date.now() });
+  b.level = Number(m[1]);
+  b.at = Date.now();
+  if (HTTP_PLATFORMS[platform]) HTTP_PLATFORMS[platform].capacity = Number(m[2]);
+}
+
+// ---------- Request journal ----------
+
+function isRequestJournalEnabled_() {
+  return truthy_(PROPS.getProperty('REQUEST_JOURNAL_ENABLED'));
+}
+
+function journalRequest_(platform, options, url, status, started, retries, error) {
+  if (!isRequestJournalEnabled_()) return;
+  try {
+    const sheet = getOrCreateSheetWithHeaders(REQUEST_JOURNAL_SHEET, REQUEST_JOURNAL_HEADERS);
+    // Signed download URLs carry credentials in the query string
+    const shownUrl = platform === 'default' ? String(url).split('?')[0] : String(url);
+    sheet.appendRow([
+      new Date(),
+      platform,
+      String(options.method || 'get').toUpperCase(),
+      shownUrl.slice(0, 500),
+      status,
+      Date.now() - started,
+      retries,
+      String(error || '').slice(0, 500)
+    ]);
+  } catch (e) {
+    // Journaling must never break an import
+    console.error('Failed to write request journal: ' + e.message);
+  }
+}
+
+/**
+ * Admin menu: turns the Request_Journal on/off.
+ */
+function toggleRequestJournal() {
+  const enabled = !isRequestJournalEnabled_();
+  PROPS.setProperty('REQUEST_JOURNAL_ENABLED', enabled ? 'true' : 'false');
+  if (enabled) getOrCreateSheetWithHeaders(REQUEST_JOURNAL_SHEET, REQUEST_JOURNAL_HEADERS);
+
+  const msg = `Request journal ${enabled ? 'enabled' : 'disabled'}.`;
+  SpreadsheetApp.getActiveSpreadsheet().toast(msg, 'HTTP', 5);
+  return msg;
+}
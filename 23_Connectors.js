@@ -0,0 +1,287 @@
+// =====================================================
+// 23_Connectors.js — Source connector registry
+// Every storefront is described by one connector object; the pipeline, dedupe,
+// clean build, backfill, triage and reports iterate getConnectors_() instead of
+// naming platforms. Adding a store = write a connector factory + register it below.
+//
+// Connector contract:
+//   name              platform label written to All_Orders_Clean.platform
+//   ordersSheet       raw orders sheet, orderHeaders = its headers, lineIdHeader = per-line key
+//   refundsSheet      refund log sheet, refundHeaders = its headers
+//   refundKeyHeader   optional dedupe key column of refundHeaders (default: column 1)
+//   importOrders()    / importRefunds(days): public import entry points (return a message)
+//   isConfigured()    optional; when it returns false the connector is left out of getConnectors_()
+//   stores()          optional; [{ label, syncKey }] when one connector pulls several shops into
+//                     the same sheets (primary first). Default: one store named after the connector
+//   fetchOrderPage(range, token, store?) -> { orders, token }  order iterator, one API page per call;
+//                     imports pass one of stores(), other callers omit it (= every store)
+//   fetchRefundPage(range, token) -> { rows, token, details? }  refund iterator (rows in refundHeaders layout)
+//     range = { since, until, by: 'updated' | 'created', within?, toNow? }; token '' = first page, '' back = done
+//     by 'created' (backfill) = orders created / refunds dated inside the range. An API that only
+//     filters on modification date queries modified dates [since, until] instead (until = now
+//     when toNow) and keeps what was created / refunded inside `within` (default: the range).
+//     The backfill passes its whole span as `within` and toNow on its last window, so its windows
+//     tile modified dates from the start to now and every order is paged once
+//     (modifiedQueryRange_ + createdKeepRange_ + isInRange_)
+//   orderId(order), orderModifiedAt(order), buildOrderRows(order), createUpserter()
+//   appendRefundRows(sheet, rows), getRefundsForPeriod(start, end) -> Map orderId -> amount
+//   appendRefundDetails(details)  optional; stores page.details (e.g. refunded line items), dedupes itself
+//   buildFulfillmentRows(order)   optional; Order_Fulfillments rows for an order (31_Fulfillments.js)
+//   getRefundLinesForPeriod(start, end) optional; Map orderId -> refunded lines (Refunds Report)
+//   clean: mapper from raw rows to CLEAN_HEADERS (see buildAllOrdersClean in 06_CleanMaster)
+//     columns(headers) -> c, toLine(row, c) -> line,
+//     excludeOrder(line) (optional: drop the whole order), finishOrder(lines) (optional)
+//     line.test / line.removed / line.skip drop a single line before any other filter
+//     line.store, line.processingFee optional (default: connector name, 0)
+// =====================================================
+
+// Registration order = import / clean-build order. Factories run lazily so they can
+// reference constants from any file.
+const CONNECTOR_FACTORIES_ = [
+  () => shopifyConnector_(),
+  () => squarespaceConnector_(),
+  () => wooCommerceConnector_()
+];
+
+let CONNECTORS_CACHE_ = null;
+
+function getAllConnectors_() {
+  if (!CONNECTORS_CACHE_) CONNECTORS_CACHE_ = CONNECTOR_FACTORIES_.map(factory => factory());
+  return CONNECTORS_CACHE_;
+}
+
+/**
+ * Connectors the pipeline should run: every registered connector except optional
+ * stores that have not been set up (isConfigured() === false).
+ */
+function getConnectors_() {
+  return getAllConnectors_().filter(conn => !conn.isConfigured || conn.isConfigured());
+}
+
+/**
+ * Looks a connector up by platform name (case-insensitive), configured or not, so a direct
+ * import reports its own missing-credentials error. Throws for unknown names.
+ */
+function getConnector_(name) {
+  const want = String(name || '').trim().toLowerCase();
+  const conn = getAllConnectors_().find(c => c.name.toLowerCase() === want);
+  if (!conn) throw new Error(`Unknown source connector: ${name}`);
+  return conn;
+}
+
+function getConnectorNames_() {
+  return getConnectors_().map(c => c.name);
+}
+
+/**
+ * A connector's stores ([{ label, syncKey }]); single-store connectors get one named after themselves.
+ */
+function connectorStores_(conn) {
+  return conn.stores ? conn.stores() : [{ label: conn.name, syncKey: conn.name }];
+}
+
+/**
+ * Every value All_Orders_Clean.store can take, in connector order (report store filter).
+ */
+function getStoreLabels_() {
+  const labels = [];
+  getConnectors_().forEach(conn => connectorStores_(conn).forEach(store => labels.push(store.label)));
+  return labels;
+}
+
+/**
+ * Sync cursor sources: the connector name, or one key per store for multi-store connectors.
+ */
+function getSyncSources_() {
+  const sources = [];
+  getConnectors_().forEach(conn => connectorStores_(conn).forEach(store => sources.push(store.syncKey)));
+  return sources;
+}
+
+/**
+ * Runs fetchPage(range, token) until it returns an empty token, calling onPage(page) for each.
+ */
+function forEachConnectorPage_(fetchPage, range, onPage) {
+  let token = '';
+  do {
+    const page = fetchPage(range, token);
+    onPage(page);
+    token = page.token || '';
+  } while (token);
+}
+
+/**
+ * Upsert import for one connector, store by store:
+ * - fetches orders modified since the store's sync cursor (minus overlap, see 19_SyncCursors.js)
+ * - new lines are appended, changed lines rewritten in place, vanished lines flagged "Removed"
+ * - the cursor advances to the newest modification time only after the rows are committed
+ */
+function importConnectorOrders_(conn) {
+  const stores = connectorStores_(conn);
+  return stores.map(store => importConnectorStoreOrders_(conn, stores.length > 1 ? store : null)).join('\n');
+}
+
+/**
+ * One store's upsert import (store null = the connector's only store, cursor = connector name).
+ */
+function importConnectorStoreOrders_(conn, store) {
+  const source = store ? store.syncKey : conn.name;
+  const label = store ? `${conn.name} (${store.label})` : conn.name;
+  const since = getSyncStartDate_(source);
+  const sinceLabel = formatDate_(since);
+
+  logImportEvent(label, `Import started (upsert, modified since ${since.toISOString()})`);
+
+  // The upserter rewrites rows from the snapshot it reads: keep webhooks / triggers out until committed
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(20000)) {
+    throw new Error('Lock timeout: another process is running. Wait ~10 seconds and try again.');
+  }
+
+  let st;
+  try {
+    const upserter = conn.createUpserter();
+    const fulfillments = createFulfillmentCollector_(conn);
+    let highWater = null;
+
+    const fetchPage = (range, token) => conn.fetchOrderPage(range, token, store || undefined);
+    forEachConnectorPage_(fetchPage, { since: since, until: null, by: 'updated' }, page => {
+      page.orders.forEach(order => {
+        const orderId = order ? conn.orderId(order) : '';
+        if (!orderId) return;
+        upserter.applyOrder(orderId, conn.buildOrderRows(order));
+        fulfillments.add(order);
+        highWater = laterDate_(highWater, conn.orderModifiedAt(order));
+      });
+    });
+
+    st = upserter.commit();
+    fulfillments.commit();
+    advanceSyncCursor_(source, highWater);
+  } finally {
+    lock.releaseLock();
+  }
+
+  const summary = `inserted ${st.inserted}, updated ${st.updated}, unchanged ${st.unchanged}, orphaned ${st.orphaned}`;
+  const msg = `${label} line items ${summary} (since ${sinceLabel})`;
+  logImportEvent(label, `Import success (upsert): ${summary}`, st.inserted + st.updated);
+  if (st.updated > 0) {
+    logImportEvent(label, `Changed fields: ${formatFieldChanges_(st.fieldChanges)}`, st.updated);
+  }
+  SpreadsheetApp.getActiveSpreadsheet().toast(`✅ ${msg}`, label, 8);
+  return msg;
+}
+
+/**
+ * Appends refunds from orders modified in the last N days (default 30) to the connector's
+ * refund sheet. Rows whose key (column 1) is already on file are skipped; the sheet is
+ * permanent history and reports filter it by refund date.
+ */
+function importConnectorRefunds_(conn, days) {
+  days = days || 30;
+  const label = `${conn.name} Refunds`;
+
+  logProgress(label, 'Fetching refunds from API...');
+
+  const refundsSheet = getOrCreateSheetWithHeaders(conn.refundsSheet, conn.refundHeaders);
+  const keyIndex = refundKeyIndex_(conn);
+  const existingKeys = readColumnKeys_(refundsSheet, keyIndex + 1);
+  const existingCount = existingKeys.size;
+
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const newRefunds = [];
+  const details = [];
+  forEachConnectorPage_(conn.fetchRefundPage, { since: since, until: new Date(), by: 'updated' }, page => {
+    page.rows.forEach(row => {
+      const key = String(row[keyIndex]);
+      if (existingKeys.has(key)) return;
+      existingKeys.add(key);
+      newRefunds.push(row);
+    });
+    (page.details || []).forEach(d => details.push(d));
+  });
+
+  conn.appendRefundRows(refundsSheet, newRefunds);
+  if (conn.appendRefundDetails) conn.appendRefundDetails(details);
+
+  const msg = `✅ Imported ${newRefunds.length} new ${conn.name} refunds (${existingCount} existing)`;
+  logProgress(label, msg);
+  logImportEvent(label, msg, newRefunds.length);
+  return msg;
+}
+
+/**
+ * The modified-date query standing in for a by 'created' range on APIs that cannot filter on
+ * creation date (see the connector contract above).
+ */
+function modifiedQueryRange_(range) {
+  return { since: range.since, until: range.toNow ? new Date() : range.until, by: 'updated' };
+}
+
+/**
+ * Creation / refund dates a by 'created' page keeps when it was fetched by modified date.
+ */
+function createdKeepRange_(range) {
+  return range.within || range;
+}
+
+/**
+ * True when value (Date or ISO string) falls inside [range.since, range.until]; no until = open-ended.
+ */
+function isInRange_(value, range) {
+  const d = asDate_(value);
+  if (!d) return false;
+  return d.getTime() >= range.since.getTime() && (!range.until || d.getTime() <= range.until.getTime());
+}
+
+/**
+ * Refund rows whose "Refund Date" falls inside createdKeepRange_(range) (by 'created');
+ * other ranges keep every row.
+ */
+function keepRefundsInRange_(rows, headers, range) {
+  if (range.by !== 'created') return rows;
+  const dateIndex = headers.indexOf('Refund Date');
+  const keep = createdKeepRange_(range);
+  return rows.filter(row => isInRange_(row[dateIndex], keep));
+}
+
+/**
+ * 0-based position of the connector's refund dedupe key in refundHeaders.
+ */
+function refundKeyIndex_(conn) {
+  return conn.refundKeyHeader ? conn.refundHeaders.indexOf(conn.refundKeyHeader) : 0;
+}
+
+/**
+ * Set of non-blank values in column 1 (below the header row).
+ */
+function readFirstColumnKeys_(sheet) {
+  return readColumnKeys_(sheet, 1);
+}
+
+/**
+ * Set of non-blank values in a 1-based column (below the header row).
+ */
+function readColumnKeys_(sheet, column) {
+  const keys = new Set();
+  const lr = sheet.getLastRow();
+  if (lr > 1) {
+    sheet.getRange(2, column, lr - 1, 1).getValues().forEach(r => {
+      if (r[0] !== '' && r[0] !== null) keys.add(String(r[0]));
+    });
+  }
+  return keys;
+}
+
+/**
+ * Map platform -> (Map orderId -> refund amount issued in [startDate, endDate]).
+ */
+function getRefundsForPeriodByPlatform_(startDate, endDate) {
+  const byPlatform = new Map();
+  getConnectors_().forEach(conn => {
+    byPlatform.set(conn.name, conn.getRefundsForPeriod(startDate, endDate));
+  });
+  return byPlatform;
+}
@@ -0,0 +1,346 @@
+// =====================================================
+// 24_WooCommerce.js — WooCommerce REST v3 orders + refunds connector
+// Script Properties:
+// - WOOCOMMERCE_STORE_URL        e.g. https://shop.example.com (must be https)
+// - WOOCOMMERCE_CONSUMER_KEY     ck_...
+// - WOOCOMMERCE_CONSUMER_SECRET  cs_...
+// Features:
+// - upsert import into "WooCommerce Orders" (Order ID + LineItem ID, compared on Date Modified)
+// - WooCommerce_Refunds with true refund dates from /orders/{id}/refunds
+// - clean mapper so banned lists, dedupe and the summary treat WooCommerce like any other source
+// =====================================================
+
+const WOOCOMMERCE_ORDERS_SHEET = 'WooCommerce Orders';
+const WOOCOMMERCE_PAGE_SIZE = 100;
+
+// Orders in these statuses never took money; they stay in the raw sheet but not in All_Orders_Clean
+const WOOCOMMERCE_NON_REVENUE_STATUSES = ['pending', 'failed', 'cancelled', 'trash', 'checkout-draft'];
+
+/**
+ * Upsert import of orders modified since the WooCommerce sync cursor (minus overlap).
+ * Shared loop: importConnectorOrders_() in 23_Connectors.js.
+ */
+function importWooCommerceOrders() {
+  return importConnectorOrders_(getConnector_('WooCommerce'));
+}
+
+/**
+ * Imports WooCommerce refunds (by refund ID) for orders modified in the last N days (default 30).
+ * @param {number} days - Number of days to look back (default 30, use 180 for full historical import)
+ */
+function importWooCommerceRefunds(days) {
+  return importConnectorRefunds_(getConnector_('WooCommerce'), days);
+}
+
+// ---------------------------
+// Connector (see 23_Connectors.js for the contract)
+// ---------------------------
+function wooCommerceConnector_() {
+  return {
+    name: 'WooCommerce',
+    ordersSheet: WOOCOMMERCE_ORDERS_SHEET,
+    orderHeaders: WOOCOMMERCE_ORDER_HEADERS,
+    lineIdHeader: 'LineItem ID',
+    refundsSheet: WOOCOMMERCE_REFUNDS_SHEET_NAME,
+    refundHeaders: WOOCOMMERCE_REFUNDS_HEADERS,
+
+    // Optional store: stays out of the pipeline until the store URL is set
+    isConfigured: () => !!s_(PROPS.getProperty('WOOCOMMERCE_STORE_URL')),
+
+    importOrders: () => importWooCommerceOrders(),
+    importRefunds: days => importWooCommerceRefunds(days),
+
+    fetchOrderPage: fetchWooCommerceOrdersPage_,
+    fetchRefundPage: fetchWooCommerceRefundPage_,
+    orderId: order => order.id,
+    orderModifiedAt: order => wooGmt_(order.date_modified_gmt),
+    buildOrderRows: buildWooCommerceOrderRows_,
+    createUpserter: createWooCommerceOrderUpserter_,
+    appendRefundRows: appendWooCommerceRefundRows_,
+    getRefundsForPeriod: getWooCommerceRefundsForPeriod_,
+
+    clean: {
+      columns: wooCommerceCleanColumns_,
+      toLine: wooCommerceCleanLine_
+    }
+  };
+}
+
+// ---------------------------
+// API
+// ---------------------------
+function getWooCommerceCredentials_() {
+  const storeUrl = s_(PROPS.getProperty('WOOCOMMERCE_STORE_URL')).replace(/\/+$/, '');
+  const key = PROPS.getProperty('WOOCOMMERCE_CONSUMER_KEY');
+  const secret = PROPS.getProperty('WOOCOMMERCE_CONSUMER_SECRET');
+
+  if (!storeUrl || !key || !secret) {
+    throw new Error('Missing WOOCOMMERCE_STORE_URL, WOOCOMMERCE_CONSUMER_KEY or WOOCOMMERCE_CONSUMER_SECRET in Script Properties.');
+  }
+  // Basic auth with the consumer key/secret is only accepted over HTTPS
+  if (!/^https:\/\//i.test(storeUrl)) throw new Error('WOOCOMMERCE_STORE_URL must start with https://');
+
+  return {
+    baseUrl: `${storeUrl}/wp-json/wc/v3`,
+    authHeader: 'Basic ' + Utilities.base64Encode(`${key}:${secret}`)
+  };
+}
+
+function wooCommerceGet_(api, path) {
+  return httpFetch_('woocommerce', api.baseUrl + path, {
+    method: 'get',
+    headers: { Authorization: api.authHeader, accept: 'application/json' },
+    muteHttpExceptions: true
+  });
+}
+
+/**
+ * WooCommerce *_gmt timestamps come without a zone suffix.
+ */
+function wooGmt_(value) {
+  const v = s_(value);
+  if (!v) return '';
+  return /[zZ]|[+-]\d{2}:?\d{2}$/.test(v) ? v : v + 'Z';
+}
+
+/**
+ * One page of /orders. range.by 'created' filters on after/before, otherwise on
+ * modified_after/modified_before. Token is the next page number ('' when done).
+ */
+function fetchWooCommerceOrdersPage_(range, token) {
+  const api = getWooCommerceCredentials_();
+  const page = Number(token) || 1;
+  const created = range.by === 'created';
+
+  let query = `?per_page=${WOOCOMMERCE_PAGE_SIZE}&page=${page}&orderby=id&order=asc&dates_are_gmt=true` +
+    `&${created ? 'after' : 'modified_after'}=${encodeURIComponent(range.since.toISOString())}`;
+  if (range.until) query += `&${created ? 'before' : 'modified_before'}=${encodeURIComponent(range.until.toISOString())}`;
+
+  const resp = wooCommerceGet_(api, '/orders' + query);
+  const orders = JSON.parse(resp.getContentText()) || [];
+  const totalPages = Number(getResponseHeader_(resp, 'X-WP-TotalPages')) || 0;
+
+  const hasMore = totalPages ? page < totalPages : orders.length === WOOCOMMERCE_PAGE_SIZE;
+  return { orders: orders, token: hasMore ? String(page + 1) : '' };
+}
+
+/**
+ * One page of orders; every order that lists refunds gets its refunds fetched
+ * for the real refund date and amount. by 'created' pages on the modified date and keeps
+ * refunds dated inside the range (see 23_Connectors.js).
+ */
+function fetchWooCommerceRefundPage_(range, token) {
+  const page = fetchWooCommerceOrdersPage_(range.by === 'created' ? modifiedQueryRange_(range) : range, token);
+  const api = getWooCommerceCredentials_();
+
+  const rows = [];
+  page.orders.forEach(order => {
+    if (!order || !order.refunds || !order.refunds.length) return;
+
+    const resp = wooCommerceGet_(api, `/orders/${encodeURIComponent(order.id)}/refunds?per_page=100`);
+    const refunds = JSON.parse(resp.getContentText()) || [];
+    buildWooCommerceRefundRows_(order, refunds).forEach(row => rows.push(row));
+  });
+
+  return { rows: keepRefundsInRange_(rows, WOOCOMMERCE_REFUNDS_HEADERS, range), token: page.token };
+}
+
+// ---------------------------
+// Raw rows
+// ---------------------------
+
+/**
+ * Builds the WOOCOMMERCE_ORDER_HEADERS rows (one per line item) for a single order.
+ */
+function buildWooCommerceOrderRows_(order) {
+  const billing = order.billing || {};
+  const shipping = order.shipping || {};
+  const refundedTotal = (order.refunds || []).reduce((sum, r) => sum + Math.abs(parseMoney_(r.total)), 0);
+  const couponCodes = (order.coupon_lines || []).map(c => c.code).join(', ');
+  const shippingMethod = (order.shipping_lines || []).map(l => l.method_title || l.method_id || '').join(', ');
+
+  return (order.line_items || []).map(lineItem => [
+    order.id || '',
+    order.number || order.id || '',
+    order.status || '',
+    wooGmt_(order.date_created_gmt),
+    wooGmt_(order.date_paid_gmt),
+    wooGmt_(order.date_modified_gmt),
+    order.currency || '',
+    order.total || '',
+    order.total_tax || '',
+    order.discount_total || '',
+    order.shipping_total || '',
+    refundedTotal || '',
+    order.payment_method_title || order.payment_method || '',
+    order.customer_id || '',
+    billing.email || '',
+    billing.first_name || '',
+    billing.last_name || '',
+    billing.company || '',
+    billing.address_1 || '',
+    billing.address_2 || '',
+    billing.city || '',
+    billing.state || '',
+    billing.postcode || '',
+    billing.country || '',
+    billing.phone || '',
+    shipping.first_name || '',
+    shipping.last_name || '',
+    shipping.address_1 || '',
+    shipping.address_2 || '',
+    shipping.city || '',
+    shipping.state || '',
+    shipping.postcode || '',
+    shipping.country || '',
+    couponCodes,
+    shippingMethod,
+    order.customer_note || '',
+    lineItem.id || '',
+    lineItem.product_id || '',
+    lineItem.variation_id || '',
+    lineItem.name || '',
+    lineItem.sku || '',
+    lineItem.quantity || '',
+    lineItem.subtotal || '',
+    lineItem.total || '',
+    lineItem.total_tax || '',
+    '' // Line Status
+  ]);
+}
+
+/**
+ * Opens the upserter for the WooCommerce Orders sheet (Order ID + LineItem ID, compared on Date Modified).
+ */
+function createWooCommerceOrderUpserter_() {
+  return createOrderUpserter_(WOOCOMMERCE_ORDERS_SHEET, WOOCOMMERCE_ORDER_HEADERS, {
+    idHeader: 'Order ID',
+    lineHeader: 'LineItem ID',
+    modifiedHeader: 'Date Modified',
+    statusHeader: 'Line Status'
+  });
+}
+
+/**
+ * Builds WOOCOMMERCE_REFUNDS_HEADERS rows (one per refund with a non-zero amount).
+ */
+function buildWooCommerceRefundRows_(order, refunds) {
+  const billing = order.billing || {};
+  const customerName = `${billing.first_name || ''} ${billing.last_name || ''}`.trim();
+
+  const rows = [];
+  (refunds || []).forEach(refund => {
+    const amount = Math.abs(parseMoney_(refund.amount));
+    if (amount <= 0) return;
+
+    rows.push([
+      String(refund.id),
+      String(order.id),
+      order.number || order.id || '',
+      asDate_(wooGmt_(order.date_created_gmt)),
+      asDate_(wooGmt_(refund.date_created_gmt)),
+      amount,
+      billing.email || '',
+      customerName,
+      refund.reason || '',
+      new Date()
+    ]);
+  });
+  return rows;
+}
+
+/**
+ * Appends rows to WooCommerce_Refunds and applies the column formats.
+ */
+function appendWooCommerceRefundRows_(refundsSheet, rows) {
+  if (!rows.length) return;
+
+  const newStartRow = refundsSheet.getLastRow() + 1;
+  refundsSheet.getRange(newStartRow, 1, rows.length, WOOCOMMERCE_REFUNDS_HEADERS.length).setValues(rows);
+
+  // Format columns
+  refundsSheet.getRange(newStartRow, 4, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Order Date
+  refundsSheet.getRange(newStartRow, 5, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Refund Date
+  refundsSheet.getRange(newStartRow, 6, rows.length, 1).setNumberFormat('"$"#,##0.00'); // Refund Amount
+  refundsSheet.getRange(newStartRow, 10, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Created At
+
+  refundsSheet.setFrozenRows(1);
+  refundsSheet.getRange(1, 1, 1, WOOCOMMERCE_REFUNDS_HEADERS.length).setFontWeight('bold').setBackground('#7f54b3').setFontColor('#ffffff');
+}
+
+// ---------------------------
+// Clean mapper: WooCommerce Orders row -> clean line
+// ---------------------------
+function wooCommerceCleanColumns_(headers) {
+  const c = {
+    orderId: headers.indexOf('Order ID'),
+    orderNumber: headers.indexOf('Order Number'),
+    status: headers.indexOf('Status'),
+    created: headers.indexOf('Date Created'),
+    paid: headers.indexOf('Date Paid'),
+    modified: headers.indexOf('Date Modified'),
+    currency: headers.indexOf('Currency'),
+    total: headers.indexOf('Total'),
+    discountTotal: headers.indexOf('Discount Total'),
+    refundedTotal: headers.indexOf('Refunded Total'),
+    email: headers.indexOf('Customer Email'),
+    first: headers.indexOf('Billing First Name'),
+    last: headers.indexOf('Billing Last Name'),
+    lineName: headers.indexOf('LineItem Name'),
+    lineSku: headers.indexOf('LineItem SKU'),
+    lineQty: headers.indexOf('LineItem Quantity'),
+    lineSubtotal: headers.indexOf('LineItem Subtotal'),
+    lineStatus: headers.indexOf('Line Status')
+  };
+
+  ['orderId', 'orderNumber', 'email', 'lineName', 'lineQty', 'lineSubtotal', 'total'].forEach(k => {
+    if (c[k] === -1) throw new Error(`WooCommerce Orders missing required column: ${k}`);
+  });
+  if (c.created === -1 && c.modified === -1) {
+    throw new Error('WooCommerce Orders is missing date columns. Expected "Date Created" and/or "Date Modified".');
+  }
+  return c;
+}
+
+function wooCommerceCleanLine_(row, c) {
+  const orderDate =
+    parseAnyDate_(c.created >= 0 ? row[c.created] : null) ||
+    parseAnyDate_(c.paid >= 0 ? row[c.paid] : null) ||
+    parseAnyDate_(c.modified >= 0 ? row[c.modified] : null) ||
+    null;
+
+  const first = c.first >= 0 ? s_(row[c.first]) : '';
+  const last = c.last >= 0 ? s_(row[c.last]) : '';
+  const status = c.status >= 0 ? s_(row[c.status]).toLowerCase() : '';
+
+  // LineItem Subtotal is before coupons, like Shopify's line price
+  const qty = parseQty_(row[c.lineQty]);
+  const lineSubtotal = Math.abs(parseMoney_(row[c.lineSubtotal]));
+  const unitPrice = qty ? lineSubtotal / qty : lineSubtotal;
+
+  const refundTotal = (c.refundedTotal >= 0) ? Math.abs(parseMoney_(row[c.refundedTotal])) : 0;
+  const grandTotal = Math.abs(parseMoney_(row[c.total]));
+
+  return {
+    orderId: s_(row[c.orderId]),
+    orderNumber: s_(row[c.orderNumber]),
+    orderDate: orderDate,
+    email: s_(row[c.email]),
+    customerName: (first || last) ? (first + ' ' + last).trim() : '',
+    productName: s_(row[c.lineName]),
+    sku: c.lineSku >= 0 ? s_(row[c.lineSku]) : '',
+    quantity: qty,
+    unitPrice: unitPrice,
+    lineRevenue: lineSubtotal,
+    discountTotal: (c.discountTotal >= 0) ? Math.abs(parseMoney_(row[c.discountTotal])) : 0,
+    refundTotal: refundTotal,
+    netRevenue: Math.max(0, grandTotal - refundTotal),
+    currency: c.currency >= 0 ? s_(row[c.currency]) : '',
+    financialStatus: status,
+    fulfillmentStatus: '',
+    tags: '',
+    test: false,
+    skip: WOOCOMMERCE_NON_REVENUE_STATUSES.indexOf(status) !== -1,
+    removed: c.lineStatus >= 0 && s_(row[c.lineStatus]) === 'Removed'
+  };
+}
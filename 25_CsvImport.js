@@ -0,0 +1,347 @@
+// =====================================================
+// 25_CsvImport.js — Offline import of native admin order exports (CSV on Drive)
+// For when an API is down or history predates what the API returns:
+// - reads a Shopify ("Export orders") or Squarespace (Orders → Download CSV) export from Drive
+// - maps the export columns onto SHOPIFY_ORDER_HEADERS / SQUARESPACE_ORDER_HEADERS
+// - appends only lines not already on the raw sheet; keys are Order ID + line ID,
+//   falling back to order number + product + SKU because exports carry no line IDs
+// - an export comes from one shop: for connectors with several stores (Shopify_Stores) the
+//   rows get that store's label and keys only match within the store
+// - CSV lines are placeholders: when an API import, backfill or webhook later brings the same
+//   order number, the upserter flags them "Removed" and the API lines take over
+// - reports export columns that have no home in the raw sheet
+// =====================================================
+
+/**
+ * Export layouts. `columns` maps raw header -> export column (or fn(get, store) for derived
+ * values; store = label of a non-primary store, else '').
+ * Shopify writes order-level columns on the first line of an order only; columns that do not
+ * start with "Lineitem" are carried down from that first line.
+ */
+const CSV_IMPORT_FORMATS_ = {
+  Shopify: {
+    detect: ['Name', 'Lineitem name'],
+    orderColumn: 'Name',
+    columns: {
+      'Order ID': (get, store) => get('Id') || csvFallbackOrderId_(get('Name'), store),
+      'Order Number': get => csvOrderNumber_(get('Name')),
+      'Created At': get => csvDateIso_(get('Created at')),
+      'Processed At': get => csvDateIso_(get('Paid at')),
+      'Financial Status': 'Financial Status',
+      'Fulfillment Status': 'Fulfillment Status',
+      'Currency': 'Currency',
+      'Total Price': 'Total',
+      'Subtotal Price': 'Subtotal',
+      'Total Tax': 'Taxes',
+      'Total Discounts': 'Discount Amount',
+      'Current Total Price': get => get('Total') === '' ? '' : parseMoney_(get('Total')) - parseMoney_(get('Refunded Amount')),
+      'Total Refunds': 'Refunded Amount',
+      'Customer Email': 'Email',
+      'Customer First Name': get => splitFullName_(get('Billing Name'))[0],
+      'Customer Last Name': get => splitFullName_(get('Billing Name'))[1],
+      'Billing Name': 'Billing Name',
+      'Billing Address1': get => get('Billing Address1') || get('Billing Street'),
+      'Billing Address2': 'Billing Address2',
+      'Billing City': 'Billing City',
+      'Billing Province': 'Billing Province',
+      'Billing Country': 'Billing Country',
+      'Billing Zip': 'Billing Zip',
+      'Billing Phone': 'Billing Phone',
+      'Shipping Name': 'Shipping Name',
+      'Shipping Address1': get => get('Shipping Address1') || get('Shipping Street'),
+      'Shipping Address2': 'Shipping Address2',
+      'Shipping City': 'Shipping City',
+      'Shipping Province': 'Shipping Province',
+      'Shipping Country': 'Shipping Country',
+      'Shipping Zip': 'Shipping Zip',
+      'Shipping Phone': 'Shipping Phone',
+      'Lineitem Name': 'Lineitem name',
+      'Lineitem Quantity': 'Lineitem quantity',
+      'Lineitem Price': 'Lineitem price',
+      'Lineitem SKU': 'Lineitem sku',
+      'Lineitem Requires Shipping': 'Lineitem requires shipping',
+      'Lineitem Taxable': 'Lineitem taxable',
+      'Lineitem Fulfillment Status': 'Lineitem fulfillment status',
+      'Tags': 'Tags',
+      'Note': 'Notes',
+      'Gateway': 'Payment Method',
+      'Discount Codes': 'Discount Code',
+      'Shipping Method': 'Shipping Method',
+      'Created At (Local)': get => toLocalString_(csvDateIso_(get('Created at'))),
+      'Processed At (Local)': get => toLocalString_(csvDateIso_(get('Paid at')))
+    }
+  },
+
+  // Squarespace's export calls the order number "Order ID"; the API order ID is not exported,
+  // so the API upsert matches these lines on Order Number instead (createOrderUpserter_)
+  Squarespace: {
+    detect: ['Order ID', 'Lineitem name'],
+    orderColumn: 'Order ID',
+    columns: {
+      'Order ID': get => csvOrderNumber_(get('Order ID')),
+      'Order Number': get => csvOrderNumber_(get('Order ID')),
+      'Created On': get => csvDateIso_(get('Created at')),
+      'Channel': get => get('Channel Name') || get('Channel'),
+      'Customer Email': 'Email',
+      'Billing First Name': get => splitFullName_(get('Billing Name'))[0],
+      'Billing Last Name': get => splitFullName_(get('Billing Name'))[1],
+      'Billing Address1': 'Billing Address1',
+      'Billing Address2': 'Billing Address2',
+      'Billing City': 'Billing City',
+      'Billing State': 'Billing Province',
+      'Billing Country Code': 'Billing Country',
+      'Billing Postal Code': 'Billing Zip',
+      'Billing Phone': 'Billing Phone',
+      'Shipping First Name': get => splitFullName_(get('Shipping Name'))[0],
+      'Shipping Last Name': get => splitFullName_(get('Shipping Name'))[1],
+      'Shipping Address1': 'Shipping Address1',
+      'Shipping Address2': 'Shipping Address2',
+      'Shipping City': 'Shipping City',
+      'Shipping State': 'Shipping Province',
+      'Shipping Country Code': 'Shipping Country',
+      'Shipping Postal Code': 'Shipping Zip',
+      'Shipping Phone': 'Shipping Phone',
+      'Fulfillment Status': 'Fulfillment Status',
+      'Internal Notes': 'Private Notes',
+      'Subtotal Currency': 'Currency',
+      'Subtotal Value': 'Subtotal',
+      'Shipping Total Currency': 'Currency',
+      'Shipping Total Value': 'Shipping',
+      'Discount Total Currency': 'Currency',
+      'Discount Total Value': 'Discount Amount',
+      'Tax Total Currency': 'Currency',
+      'Tax Total Value': 'Taxes',
+      'Refunded Total Currency': 'Currency',
+      'Refunded Total Value': 'Amount Refunded',
+      'Grand Total Currency': 'Currency',
+      'Grand Total Value': 'Total',
+      'LineItem SKU': 'Lineitem sku',
+      'LineItem Weight': 'Lineitem weight',
+      'LineItem Product Name': 'Lineitem name',
+      'LineItem Quantity': 'Lineitem quantity',
+      'LineItem Unit Price Currency': 'Currency',
+      'LineItem Unit Price Value': 'Lineitem price',
+      'LineItem Customizations': 'Lineitem variant',
+      'LineItem Type': 'Lineitem type',
+      'Discount Lines (All)': 'Discount Code'
+    }
+  }
+};
+
+/**
+ * Imports a Shopify or Squarespace order export CSV from Drive into the raw orders sheet.
+ * @param {string} fileRef - Drive file ID or sharing URL
+ * @param {string} platform - "Shopify", "Squarespace" or blank to detect from the header row
+ * @param {string} store - Store Label the export came from (Shopify_Stores); blank = primary store
+ */
+function importOrdersCsvFromDrive(fileRef, platform, store) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const fileId = driveFileIdFromRef_(fileRef);
+  const file = DriveApp.getFileById(fileId);
+
+  const text = file.getBlob().getDataAsString().replace(/^\uFEFF/, '');
+  const csv = Utilities.parseCsv(text);
+  if (csv.length < 2) throw new Error(`"${file.getName()}" has no data rows.`);
+
+  const csvHeaders = csv[0].map(h => s_(h));
+  const name = s_(platform) ? getConnector_(platform).name : detectCsvExportPlatform_(csvHeaders);
+  const format = CSV_IMPORT_FORMATS_[name];
+  if (!format) throw new Error(`CSV import does not support ${name} exports.`);
+
+  const conn = getConnector_(name);
+  const storeLabel = csvImportStore_(conn, store);
+  const defaultStore = conn.stores ? conn.stores()[0].label : '';
+  const label = storeLabel ? `${name} CSV (${storeLabel})` : `${name} CSV`;
+  logImportEvent(label, `Import started from "${file.getName()}" (${csv.length - 1} rows)`);
+
+  const mapped = mapCsvExportRows_(format, conn.orderHeaders, csvHeaders, csv.slice(1), storeLabel === defaultStore ? '' : storeLabel);
+  const storeCol = conn.orderHeaders.indexOf('Store');
+  if (storeCol !== -1) mapped.rows.forEach(row => { row[storeCol] = storeLabel; });
+
+  const sheet = getOrCreateSheetWithHeaders(conn.ordersSheet, conn.orderHeaders);
+  const keys = readCsvDedupeKeys_(sheet, conn.orderHeaders, conn.lineIdHeader, defaultStore);
+  const rowKeys = csvDedupeKeys_(mapped.rows, conn.orderHeaders, conn.lineIdHeader, defaultStore);
+
+  const newRows = [];
+  mapped.rows.forEach((row, i) => {
+    const k = rowKeys[i];
+    if (keys.has(k.id) || keys.has(k.number)) return;
+    keys.add(k.id);
+    keys.add(k.number);
+    newRows.push(row);
+  });
+
+  if (newRows.length) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, conn.orderHeaders.length).setValues(newRows);
+  }
+
+  const skipped = mapped.rows.length - newRows.length;
+  let msg = `${name} CSV "${file.getName()}": ${newRows.length} lines imported, ${skipped} already on file`;
+  if (mapped.unmapped.length) msg += `. Unmapped columns: ${mapped.unmapped.join(', ')}`;
+
+  logImportEvent(label, msg, newRows.length);
+  ss.toast(`✅ ${name} CSV: ${newRows.length} lines imported, ${skipped} already on file`, 'CSV Import', 8);
+  return msg;
+}
+
+/**
+ * Label of the store an export belongs to ('' for connectors without stores()).
+ */
+function csvImportStore_(conn, store) {
+  if (!conn.stores) {
+    if (s_(store)) throw new Error(`${conn.name} has no stores; leave Store blank.`);
+    return '';
+  }
+  const stores = conn.stores();
+  if (!s_(store)) return stores[0].label;
+  const match = stores.find(st => st.label.toLowerCase() === s_(store).toLowerCase());
+  if (!match) throw new Error(`Unknown ${conn.name} store "${s_(store)}". Use a Store Label from ${conn.name}_Stores.`);
+  return match.label;
+}
+
+/**
+ * Accepts a bare file ID or any Drive/Docs URL containing one.
+ */
+function driveFileIdFromRef_(fileRef) {
+  const ref = s_(fileRef);
+  if (!ref) throw new Error('Enter a Drive file ID or URL.');
+  const m = ref.match(/[-\w]{25,}/);
+  if (!m) throw new Error(`Could not find a Drive file ID in "${ref}".`);
+  return m[0];
+}
+
+function detectCsvExportPlatform_(csvHeaders) {
+  const has = h => csvHeaders.indexOf(h) !== -1;
+  // Check Shopify first: its export has "Name"; Squarespace's has "Order ID" instead
+  const name = Object.keys(CSV_IMPORT_FORMATS_).find(p => CSV_IMPORT_FORMATS_[p].detect.every(has));
+  if (!name) {
+    throw new Error('Could not tell whether this is a Shopify or Squarespace export. Pick the platform explicitly.');
+  }
+  return name;
+}
+
+/**
+ * Maps export rows to raw-sheet rows (store: see CSV_IMPORT_FORMATS_).
+ * Returns { rows, unmapped } where unmapped = export columns no mapping read.
+ */
+function mapCsvExportRows_(format, rawHeaders, csvHeaders, csvRows, store) {
+  const col = {};
+  csvHeaders.forEach((h, i) => { if (h && !(h in col)) col[h] = i; });
+  if (!(format.orderColumn in col)) throw new Error(`CSV is missing the "${format.orderColumn}" column.`);
+
+  const used = new Set([format.orderColumn]);
+  const lineIdCol = rawHeaders.indexOf('Lineitem ID') !== -1 ? rawHeaders.indexOf('Lineitem ID') : rawHeaders.indexOf('LineItem ID');
+
+  const rows = [];
+  let orderFirst = null;
+  let orderKey = null;
+  let lineNo = 0;
+
+  csvRows.forEach(csvRow => {
+    const key = s_(csvRow[col[format.orderColumn]]);
+    if (!key) return;
+    if (key !== orderKey) {
+      orderKey = key;
+      orderFirst = csvRow;
+      lineNo = 0;
+    }
+    lineNo++;
+
+    const get = h => {
+      used.add(h);
+      if (!(h in col)) return '';
+      const v = s_(csvRow[col[h]]);
+      return (v === '' && !/^Lineitem /i.test(h)) ? s_(orderFirst[col[h]]) : v;
+    };
+
+    const out = rawHeaders.map(h => {
+      const src = format.columns[h];
+      if (src === undefined) return '';
+      return typeof src === 'function' ? src(get, store || '') : get(src);
+    });
+    // Exports have no line IDs; a per-order ordinal keeps lines distinct for dedupe/upsert
+    if (lineIdCol !== -1) out[lineIdCol] = `csv-${lineNo}`;
+    rows.push(out);
+  });
+
+  const unmapped = csvHeaders.filter(h => h && !used.has(h));
+  return { rows: rows, unmapped: unmapped };
+}
+
+/**
+ * Keys for rows already on a raw sheet: "id:" Order ID + line ID, and
+ * "num:" order number + product + SKU + occurrence (matches API rows for the same order).
+ * Both are prefixed with the Store (blank = defaultStore) where the sheet has one: order
+ * numbers repeat across shops.
+ */
+function readCsvDedupeKeys_(sheet, headers, lineIdHeader, defaultStore) {
+  const keys = new Set();
+  const lr = sheet.getLastRow();
+  if (lr < 2) return keys;
+
+  const rows = sheet.getRange(2, 1, lr - 1, headers.length).getValues();
+  csvDedupeKeys_(rows, headers, lineIdHeader, defaultStore).forEach(k => {
+    keys.add(k.id);
+    keys.add(k.number);
+  });
+  return keys;
+}
+
+function csvDedupeKeys_(rows, headers, lineIdHeader, defaultStore) {
+  const idCol = headers.indexOf('Order ID');
+  const storeCol = headers.indexOf('Store');
+  const lineCol = headers.indexOf(lineIdHeader);
+  const numCol = headers.indexOf('Order Number');
+  const nameCol = headers.findIndex(h => /^line ?item (product )?name$/i.test(h));
+  const skuCol = headers.findIndex(h => /^line ?item sku$/i.test(h));
+
+  const seen = new Map();
+  return rows.map(r => {
+    const store = storeCol >= 0 ? s_(r[storeCol]) || s_(defaultStore) : '';
+    const base = [
+      store,
+      csvOrderNumber_(r[numCol]),
+      normalizeProductText_(nameCol >= 0 ? r[nameCol] : ''),
+      s_(skuCol >= 0 ? r[skuCol] : '').toLowerCase()
+    ].join('|');
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+
+    return {
+      id: `id:${store}|${s_(r[idCol])}|${s_(r[lineCol])}`,
+      number: `num:${base}|${n}`
+    };
+  });
+}
+
+/**
+ * "#1001" / "001001" -> "1001"
+ */
+function csvOrderNumber_(value) {
+  return s_(value).replace(/^#/, '').replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Order ID for an export without order IDs: the order number, qualified with the store label
+ * for non-primary stores ("1001@Outlet") so two shops' #1001 never share an Order ID.
+ */
+function csvFallbackOrderId_(name, store) {
+  const num = csvOrderNumber_(name);
+  return store && num ? `${num}@${store}` : num;
+}
+
+/**
+ * Export timestamps look like "2024-01-15 10:23:45 -0500"; returns an ISO string ('' if unparseable).
+ */
+function csvDateIso_(value) {
+  const v = s_(value);
+  if (!v) return '';
+  const m = v.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)\s*([+-]\d{2}):?(\d{2})$/);
+  const d = m ? new Date(`${m[1]}T${m[2]}${m[3]}:${m[4]}`) : parseAnyDate_(v);
+  return d && !isNaN(d.getTime()) ? d.toISOString() : '';
+}
+
+function splitFullName_(fullName) {
+  const parts = s_(fullName).split(/\s+/).filter(Boolean);
+  return [parts.shift() || '', parts.join(' ')];
+}
@@ -0,0 +1,408 @@
+// =====================================================
+// 26_Webhooks.js — Webhook receiver (web app doPost) + Webhook_Inbox processor
+// Deploy: Deploy → New deployment → Web app, execute as "Me", access "Anyone".
+// Shopify subscription address, one per shop:
+//   <web app URL>?source=shopify&store=<Store Label>&key=<SHOPIFY_WEBHOOK_URL_KEY>
+// Topics: orders/create, orders/updated, refunds/create
+// store= picks the Shopify_Stores row the event belongs to (blank = the primary store): its
+// credentials re-fetch orders, its webhook secret verifies the HMAC, and its label is the
+// Store written on the rows.
+//
+// Verification: Apps Script's doPost event does NOT expose request headers, so
+// X-Shopify-Hmac-Sha256 / X-Shopify-Topic / X-Shopify-Webhook-Id cannot be read directly.
+// Two ways in, checked in this order:
+// 1. A relay (e.g. a small Cloudflare Worker) forwards the body unchanged and copies the
+//    headers into query params hmac, topic, webhook_id. hmac is verified against the store's
+//    signing secret (Settings → Notifications → Webhooks), kept in the Script Property named
+//    in its "Webhook Secret Property" column (primary store default: SHOPIFY_WEBHOOK_SECRET).
+// 2. Direct delivery: the address carries ?key=... which must equal SHOPIFY_WEBHOOK_URL_KEY.
+//    Topic and webhook ID are then derived from the payload. The key is shared and proves
+//    nothing about the body or the store, so these events only name an order: it is always
+//    re-fetched by ID from the store's API, never written from the payload.
+// Anything else is rejected (Apps Script always answers 200, so rejections are only logged).
+//
+// Squarespace notifications use ?source=squarespace (see 27_SquarespaceWebhooks.js).
+//
+// doPost only queues; processWebhookInbox() (time trigger) applies queued events.
+// =====================================================
+
+const WEBHOOK_INBOX_SHEET = 'Webhook_Inbox';
+const WEBHOOK_INBOX_HEADERS = [
+  'Webhook ID', 'Source', 'Topic', 'Resource ID', 'Received At', 'Auth',
+  'Status', 'Attempts', 'Last Attempt', 'Error', 'Payload',
+  'Store' // Shopify store label (?store=); blank = primary store / other sources
+];
+const WEBHOOK_PROCESSOR_HANDLER = 'processWebhookInbox';
+const WEBHOOK_SOFT_LIMIT_MS = 4.5 * 60 * 1000;
+const WEBHOOK_PAYLOAD_MAX_CHARS = 45000; // sheet cells hold 50k; bigger payloads are re-fetched by ID
+
+const SHOPIFY_WEBHOOK_TOPICS = ['orders/create', 'orders/updated', 'refunds/create'];
+
+/**
+ * Web app entry point. Verifies and queues the event; never throws back to the sender.
+ */
+function doPost(e) {
+  const params = (e && e.parameter) || {};
+  const body = (e && e.postData && e.postData.contents) || '';
+  const source = s_(params.source || 'shopify').toLowerCase();
+
+  try {
+    const receiver = getWebhookReceiver_(source);
+    const auth = receiver.verify(body, params);
+    const event = receiver.describe(body, params);
+
+    const queued = enqueueWebhook_(source, event, auth, body);
+    return ContentService.createTextOutput(queued ? 'queued' : 'duplicate');
+  } catch (err) {
+    logImportEvent('Webhook', `Rejected ${source} webhook: ${err.message}`);
+    return ContentService.createTextOutput('rejected');
+  }
+}
+
+/**
+ * Receivers by ?source=. verify(body, params) -> auth label (throws when not authentic),
+ * describe(body, params) -> { webhookId, topic, resourceId }, process(items) -> per-item errors.
+ */
+function getWebhookReceiver_(source) {
+  const receivers = {
+    shopify: {
+      verify: verifyShopifyWebhook_,
+      describe: describeShopifyWebhook_,
+      process: processShopifyWebhookItems_
+    },
+    squarespace: {
+      verify: verifySquarespaceWebhook_,
+      describe: describeSquarespaceWebhook_,
+      process: processSquarespaceWebhookItems_
+    }
+  };
+  const receiver = receivers[source];
+  if (!receiver) throw new Error(`Unknown webhook source: ${source}`);
+  return receiver;
+}
+
+// ---------------------------
+// Inbox
+// ---------------------------
+
+/**
+ * Appends the event unless its webhook ID is already in the inbox. Returns false for duplicates.
+ * No script lock here: the clean build can hold it for minutes, and the processor
+ * drops any duplicate that slips through.
+ */
+function enqueueWebhook_(source, event, auth, body) {
+  const sheet = getOrCreateSheetWithHeaders(WEBHOOK_INBOX_SHEET, WEBHOOK_INBOX_HEADERS);
+  if (readFirstColumnKeys_(sheet).has(event.webhookId)) return false;
+
+  sheet.appendRow([
+    event.webhookId,
+    source,
+    event.topic,
+    event.resourceId,
+    new Date(),
+    auth,
+    'queued',
+    0,
+    '',
+    '',
+    body.length > WEBHOOK_PAYLOAD_MAX_CHARS ? '' : body,
+    event.store || ''
+  ]);
+  return true;
+}
+
+/**
+ * Trigger handler: applies queued inbox events, oldest first, until done or the soft limit.
+ * Each webhook ID is applied at most once; failures stay in the inbox for replayFailedWebhooks().
+ */
+function processWebhookInbox() {
+  const lock = LockService.getScriptLock();
+  // Runs every few minutes: skip this round rather than fail while another job holds the lock
+  if (!lock.tryLock(20000)) return 'Webhook inbox busy (another process is running). Will retry on the next run.';
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const existing = ss.getSheetByName(WEBHOOK_INBOX_SHEET);
+    if (!existing || existing.getLastRow() < 2) return 'Webhook inbox is empty.';
+    const sheet = getOrCreateSheetWithHeaders(WEBHOOK_INBOX_SHEET, WEBHOOK_INBOX_HEADERS); // adds Store to older inboxes
+
+    const started = Date.now();
+    const width = WEBHOOK_INBOX_HEADERS.length;
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+    const col = {};
+    WEBHOOK_INBOX_HEADERS.forEach((h, i) => { col[h] = i; });
+
+    // Already-applied IDs; a queued row repeating one is a duplicate delivery
+    const done = new Set();
+    data.forEach(r => { if (s_(r[col['Status']]) === 'processed') done.add(s_(r[col['Webhook ID']])); });
+
+    const bySource = new Map();
+    let duplicates = 0;
+    data.forEach((r, i) => {
+      if (s_(r[col['Status']]) !== 'queued') return;
+      const id = s_(r[col['Webhook ID']]);
+      if (done.has(id)) {
+        r[col['Status']] = 'duplicate';
+        duplicates++;
+        return;
+      }
+      done.add(id);
+      const source = s_(r[col['Source']]).toLowerCase();
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source).push({
+        row: i,
+        webhookId: id,
+        topic: s_(r[col['Topic']]),
+        resourceId: s_(r[col['Resource ID']]),
+        payload: s_(r[col['Payload']]),
+        auth: s_(r[col['Auth']]),
+        store: s_(r[col['Store']])
+      });
+    });
+
+    let processed = 0, failed = 0, deferred = 0;
+    bySource.forEach((items, source) => {
+      if (Date.now() - started > WEBHOOK_SOFT_LIMIT_MS) {
+        deferred += items.length;
+        return;
+      }
+
+      let errors;
+      try {
+        errors = getWebhookReceiver_(source).process(items);
+      } catch (err) {
+        // Batch-level failure (e.g. the sheet write): nothing from this source was applied
+        errors = items.map(() => err.message);
+      }
+
+      items.forEach((item, k) => {
+        const r = data[item.row];
+        r[col['Attempts']] = (Number(r[col['Attempts']]) || 0) + 1;
+        r[col['Last Attempt']] = new Date();
+        r[col['Status']] = errors[k] ? 'failed' : 'processed';
+        r[col['Error']] = errors[k] || '';
+        if (errors[k]) failed++; else processed++;
+      });
+    });
+
+    sheet.getRange(2, 1, data.length, width).setValues(data);
+
+    const msg = `Webhook inbox: ${processed} processed, ${failed} failed, ${duplicates} duplicates` +
+      (deferred ? `, ${deferred} left for the next run` : '');
+    if (processed || failed || duplicates) logImportEvent('Webhook', msg, processed);
+    return msg;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Re-queues every failed inbox event and processes the inbox.
+ */
+function replayFailedWebhooks() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(WEBHOOK_INBOX_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return 'Webhook inbox is empty.';
+
+  // The processor rewrites the whole inbox from its own read: keep it out while statuses change
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(20000)) {
+    throw new Error('Lock timeout: another process is running. Wait ~10 seconds and try again.');
+  }
+
+  let requeued = 0;
+  try {
+    const statusCol = WEBHOOK_INBOX_HEADERS.indexOf('Status') + 1;
+    const range = sheet.getRange(2, statusCol, sheet.getLastRow() - 1, 1);
+    const statuses = range.getValues();
+
+    statuses.forEach(r => {
+      if (s_(r[0]) === 'failed') {
+        r[0] = 'queued';
+        requeued++;
+      }
+    });
+    if (requeued) range.setValues(statuses);
+  } finally {
+    lock.releaseLock();
+  }
+  if (!requeued) return 'No failed webhooks to replay.';
+
+  logImportEvent('Webhook', `Replaying ${requeued} failed webhooks`, requeued);
+
+  const msg = `Re-queued ${requeued} failed webhooks. ${processWebhookInbox()}`;
+  ss.toast(`🔁 ${msg}`, 'Webhooks', 8);
+  return msg;
+}
+
+/**
+ * Installs the every-5-minutes processor trigger (replacing any existing one).
+ */
+function installWebhookProcessorTrigger() {
+  deleteTriggersFor_(WEBHOOK_PROCESSOR_HANDLER);
+  ScriptApp.newTrigger(WEBHOOK_PROCESSOR_HANDLER)
+    .timeBased()
+    .everyMinutes(5)
+    .create();
+
+  getOrCreateSheetWithHeaders(WEBHOOK_INBOX_SHEET, WEBHOOK_INBOX_HEADERS);
+
+  const msg = 'Webhook processor runs every 5 minutes.';
+  SpreadsheetApp.getActiveSpreadsheet().toast(`✅ ${msg}`, 'Webhooks', 8);
+  logImportEvent('Webhook', 'Processor trigger installed', 1);
+  return msg;
+}
+
+// ---------------------------
+// Shopify
+// ---------------------------
+
+/**
+ * Returns the auth label ("hmac" or "url-key"); throws when the request cannot be authenticated.
+ */
+function verifyShopifyWebhook_(body, params) {
+  const store = getShopifyStoreByLabel_(params.store);
+
+  if (params.hmac) {
+    const secretProperty = store.webhookSecretProperty;
+    const secret = secretProperty ? PROPS.getProperty(secretProperty) : '';
+    if (!secret) throw new Error(`hmac supplied but no webhook secret is set for store "${store.label}" (${secretProperty || 'no Webhook Secret Property'})`);
+
+    const expected = Utilities.base64Encode(
+      Utilities.computeHmacSha256Signature(Utilities.newBlob(body).getBytes(), Utilities.newBlob(secret).getBytes())
+    );
+    if (!timingSafeEqual_(expected, s_(params.hmac))) throw new Error('HMAC mismatch');
+    return 'hmac';
+  }
+
+  const urlKey = PROPS.getProperty('SHOPIFY_WEBHOOK_URL_KEY');
+  if (urlKey && timingSafeEqual_(urlKey, s_(params.key))) return 'url-key';
+
+  throw new Error('no valid hmac or key parameter');
+}
+
+function timingSafeEqual_(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Topic / webhook ID come from the relay's params when present, otherwise from the payload:
+ * refunds carry order_id + refund_line_items; orders carry line_items. Without the
+ * X-Shopify-Webhook-Id header the ID is derived so that redeliveries of the same event collide.
+ */
+function describeShopifyWebhook_(body, params) {
+  const payload = JSON.parse(body || '{}');
+
+  let topic = s_(params.topic).toLowerCase();
+  if (!topic) {
+    if (payload.order_id && (payload.refund_line_items || payload.transactions)) topic = 'refunds/create';
+    else if (payload.line_items) topic = payload.created_at && payload.created_at === payload.updated_at ? 'orders/create' : 'orders/updated';
+  }
+  if (SHOPIFY_WEBHOOK_TOPICS.indexOf(topic) === -1) throw new Error(`Unsupported Shopify topic: ${topic || 'unknown'}`);
+  if (!payload.id) throw new Error(`Shopify ${topic} payload has no id`);
+
+  const isRefund = topic === 'refunds/create';
+  const webhookId = s_(params.webhook_id) ||
+    (isRefund ? `shopify:refund:${payload.id}` : `shopify:order:${payload.id}:${payload.updated_at || payload.created_at || ''}`);
+
+  return {
+    webhookId: webhookId,
+    topic: topic,
+    resourceId: String(isRefund ? payload.order_id : payload.id),
+    store: getShopifyStoreByLabel_(params.store).label
+  };
+}
+
+/**
+ * Applies a batch of Shopify inbox items to Shopify Orders (upsert), Shopify_Refunds
+ * (new refund IDs only) and Shopify_Refund_Lines. Items are collapsed per order so only the
+ * newest snapshot is applied: refund events, oversized payloads and events not signed with the
+ * store's HMAC re-fetch the current order, otherwise the payload with the latest updated_at wins. Snapshots older than the stored order are acknowledged without
+ * writing, so an out-of-order delivery cannot roll lines back. Orders are re-fetched from, and
+ * filed under, the item's store (blank = primary). Returns one error ('' = ok) per item.
+ */
+function processShopifyWebhookItems_(items) {
+  const conn = getConnector_('Shopify');
+  const upserter = conn.createUpserter();
+  const fulfillments = createFulfillmentCollector_(conn);
+  const refundsSheet = getOrCreateSheetWithHeaders(conn.refundsSheet, conn.refundHeaders);
+  const refundKeys = readFirstColumnKeys_(refundsSheet);
+  const newRefunds = [];
+  const refundLines = [];
+  const errors = items.map(() => '');
+
+  // orderId -> { members: [item index], store label, payload: newest order payload, refetch: bool }
+  const byOrder = new Map();
+  items.forEach((item, k) => {
+    if (!byOrder.has(item.resourceId)) byOrder.set(item.resourceId, { members: [], store: item.store, payload: null, refetch: false });
+    const entry = byOrder.get(item.resourceId);
+    entry.members.push(k);
+
+    // Only an HMAC-verified body is trusted as order data
+    if (item.topic === 'refunds/create' || !item.payload || item.auth !== 'hmac') {
+      entry.refetch = true;
+      return;
+    }
+    try {
+      const payload = JSON.parse(item.payload);
+      if (!entry.payload || s_(payload.updated_at) > s_(entry.payload.updated_at)) entry.payload = payload;
+    } catch (err) {
+      errors[k] = `Unreadable payload: ${err.message}`;
+    }
+  });
+
+  byOrder.forEach((entry, orderId) => {
+    try {
+      const store = getShopifyStoreByLabel_(entry.store);
+      const order = entry.refetch ? fetchShopifyOrderById_(orderId, store) : entry.payload;
+      if (!order) throw new Error(`Order ${orderId} not found in store "${store.label}"`);
+      order.__store = store.label;
+
+      const stored = upserter.storedModifiedAt(orderId);
+      const incoming = asDate_(conn.orderModifiedAt(order));
+      if (!stored || !incoming || incoming.getTime() > stored.getTime()) {
+        upserter.applyOrder(conn.orderId(order), conn.buildOrderRows(order));
+        fulfillments.add(order);
+      }
+
+      buildShopifyRefundRows_(order).forEach(row => {
+        const key = String(row[0]);
+        if (refundKeys.has(key)) return;
+        refundKeys.add(key);
+        newRefunds.push(row);
+      });
+      buildShopifyRefundLineRows_(order).forEach(row => refundLines.push(row));
+    } catch (err) {
+      entry.members.forEach(k => { if (!errors[k]) errors[k] = err.message; });
+    }
+  });
+
+  upserter.commit();
+  fulfillments.commit();
+  conn.appendRefundRows(refundsSheet, newRefunds);
+  conn.appendRefundDetails(refundLines);
+  return errors;
+}
+
+/**
+ * GET orders/{id}.json from one store (null when the order no longer exists there).
+ */
+function fetchShopifyOrderById_(orderId, store) {
+  const api = getShopifyCredentials_(store);
+  const url = `https://${api.shopDomain}/admin/api/${api.apiVersion}/orders/${encodeURIComponent(orderId)}.json`;
+
+  try {
+    const resp = httpFetch_('shopify', url, {
+      method: "get",
+      headers: { "X-Shopify-Access-Token": api.apiKey },
+      muteHttpExceptions: true
+    });
+    return JSON.parse(resp.getContentText()).order || null;
+  } catch (err) {
+    if (err.kind === 'not_found') return null;
+    throw err;
+  }
+}
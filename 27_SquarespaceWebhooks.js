@@ -0,0 +1,272 @@
+// =====================================================
+// 27_SquarespaceWebhooks.js — Squarespace webhook subscriptions (order.create / order.update)
+// Script Properties:
+// - SQUARESPACE_OAUTH_TOKEN            OAuth access token; the Webhook Subscriptions API does not accept API keys
+// - SQUARESPACE_WEBHOOK_URL_KEY        shared key in the endpoint URL (generated on first registration)
+// - SQUARESPACE_WEBHOOK_SUBSCRIPTIONS  JSON { subscriptionId: { secret, topics, endpointUrl, createdOn, rotatedOn } }
+// Notifications arrive at doPost (26_Webhooks.js) with ?source=squarespace, are queued in
+// Webhook_Inbox and applied by processWebhookInbox(): the full order is fetched and upserted.
+//
+// Verification: Squarespace signs the body in the Squarespace-Signature header (hex HMAC-SHA256,
+// key = the subscription secret hex-decoded). doPost cannot read headers, so the signature is
+// checked when a relay copies it into ?signature=; otherwise the URL key must match.
+// =====================================================
+
+const SQUARESPACE_WEBHOOKS_ENDPOINT = 'https://api.squarespace.com/1.0/webhook_subscriptions';
+const SQUARESPACE_WEBHOOK_TOPICS = ['order.create', 'order.update'];
+const SQUARESPACE_WEBHOOK_SUBSCRIPTIONS_KEY = 'SQUARESPACE_WEBHOOK_SUBSCRIPTIONS';
+
+/**
+ * Registers (or re-uses) a subscription for order.create + order.update pointing at this web app.
+ * Secrets returned by Squarespace are stored in Script Properties.
+ */
+function registerSquarespaceWebhooks() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const endpointUrl = getSquarespaceWebhookEndpointUrl_();
+
+  const existing = listSquarespaceWebhookSubscriptions_()
+    .filter(sub => sub.endpointUrl === endpointUrl);
+  const stored = getStoredSquarespaceWebhookSubscriptions_();
+
+  // Already registered with a secret we know: nothing to do
+  const known = existing.find(sub => stored[sub.id] && stored[sub.id].secret);
+  if (known) {
+    const msg = `Squarespace webhooks already registered (subscription ${known.id}).`;
+    ss.toast(`✅ ${msg}`, 'Squarespace Webhooks', 8);
+    return msg;
+  }
+
+  // Registered but the secret was lost: rotating is the only way to learn a new one
+  if (existing.length) return rotateSquarespaceWebhookSecrets();
+
+  const sub = squarespaceWebhookRequest_('post', '', {
+    endpointUrl: endpointUrl,
+    topics: SQUARESPACE_WEBHOOK_TOPICS
+  });
+
+  stored[sub.id] = {
+    secret: sub.secret,
+    topics: sub.topics || SQUARESPACE_WEBHOOK_TOPICS,
+    endpointUrl: sub.endpointUrl || endpointUrl,
+    createdOn: sub.createdOn || new Date().toISOString(),
+    rotatedOn: ''
+  };
+  saveStoredSquarespaceWebhookSubscriptions_(stored);
+
+  const msg = `Registered Squarespace webhooks (${SQUARESPACE_WEBHOOK_TOPICS.join(', ')}), subscription ${sub.id}.`;
+  logImportEvent('Squarespace Webhooks', msg, 1);
+  ss.toast(`✅ ${msg}`, 'Squarespace Webhooks', 8);
+  return msg;
+}
+
+/**
+ * Rotates the secret of every subscription pointing at this web app and stores the new secrets.
+ */
+function rotateSquarespaceWebhookSecrets() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const endpointUrl = getSquarespaceWebhookEndpointUrl_();
+  const stored = getStoredSquarespaceWebhookSubscriptions_();
+
+  const subs = listSquarespaceWebhookSubscriptions_().filter(sub => sub.endpointUrl === endpointUrl);
+  if (!subs.length) throw new Error('No Squarespace webhook subscription for this web app. Register first.');
+
+  subs.forEach(sub => {
+    const rotated = squarespaceWebhookRequest_('post', `/${encodeURIComponent(sub.id)}/actions/rotateSecret`, {});
+    stored[sub.id] = Object.assign({}, stored[sub.id], {
+      secret: rotated.secret,
+      topics: sub.topics,
+      endpointUrl: sub.endpointUrl,
+      createdOn: (stored[sub.id] && stored[sub.id].createdOn) || sub.createdOn || '',
+      rotatedOn: new Date().toISOString()
+    });
+  });
+  saveStoredSquarespaceWebhookSubscriptions_(stored);
+
+  const msg = `Rotated ${subs.length} Squarespace webhook secret(s).`;
+  logImportEvent('Squarespace Webhooks', msg, subs.length);
+  ss.toast(`🔑 ${msg}`, 'Squarespace Webhooks', 8);
+  return msg;
+}
+
+/**
+ * Deletes every subscription pointing at this web app and forgets their secrets.
+ */
+function removeSquarespaceWebhooks() {
+  const endpointUrl = getSquarespaceWebhookEndpointUrl_();
+  const stored = getStoredSquarespaceWebhookSubscriptions_();
+
+  const subs = listSquarespaceWebhookSubscriptions_().filter(sub => sub.endpointUrl === endpointUrl);
+  subs.forEach(sub => {
+    squarespaceWebhookRequest_('delete', `/${encodeURIComponent(sub.id)}`);
+    delete stored[sub.id];
+  });
+  saveStoredSquarespaceWebhookSubscriptions_(stored);
+
+  const msg = `Removed ${subs.length} Squarespace webhook subscription(s).`;
+  logImportEvent('Squarespace Webhooks', msg, subs.length);
+  SpreadsheetApp.getActiveSpreadsheet().toast(`🗑️ ${msg}`, 'Squarespace Webhooks', 8);
+  return msg;
+}
+
+// ---------------------------
+// Subscriptions API
+// ---------------------------
+function getSquarespaceWebhookToken_() {
+  const token = PROPS.getProperty('SQUARESPACE_OAUTH_TOKEN');
+  if (!token) throw new Error('Missing SQUARESPACE_OAUTH_TOKEN in Script Properties (webhook subscriptions require an OAuth token).');
+  return token;
+}
+
+/**
+ * Calls the Webhook Subscriptions API; returns the parsed JSON body ({} for empty responses).
+ */
+function squarespaceWebhookRequest_(method, path, payload) {
+  const options = {
+    method: method,
+    headers: { "Authorization": "Bearer " + getSquarespaceWebhookToken_(), "accept": "application/json" },
+    muteHttpExceptions: true
+  };
+  if (payload) {
+    options.contentType = 'application/json';
+    options.payload = JSON.stringify(payload);
+  }
+
+  const resp = httpFetch_('squarespace', SQUARESPACE_WEBHOOKS_ENDPOINT + path, options);
+  const text = resp.getContentText();
+  return text ? JSON.parse(text) : {};
+}
+
+function listSquarespaceWebhookSubscriptions_() {
+  return squarespaceWebhookRequest_('get', '').webhookSubscriptions || [];
+}
+
+function getStoredSquarespaceWebhookSubscriptions_() {
+  const raw = PROPS.getProperty(SQUARESPACE_WEBHOOK_SUBSCRIPTIONS_KEY);
+  return raw ? JSON.parse(raw) : {};
+}
+
+function saveStoredSquarespaceWebhookSubscriptions_(stored) {
+  PROPS.setProperty(SQUARESPACE_WEBHOOK_SUBSCRIPTIONS_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Web app URL + ?source=squarespace&key=... (the key is generated once and kept in Script Properties).
+ */
+function getSquarespaceWebhookEndpointUrl_() {
+  const serviceUrl = ScriptApp.getService().getUrl();
+  if (!serviceUrl) throw new Error('Deploy this project as a web app first (Deploy → New deployment → Web app).');
+
+  let urlKey = PROPS.getProperty('SQUARESPACE_WEBHOOK_URL_KEY');
+  if (!urlKey) {
+    urlKey = Utilities.getUuid().replace(/-/g, '');
+    PROPS.setProperty('SQUARESPACE_WEBHOOK_URL_KEY', urlKey);
+  }
+  return `${serviceUrl}?source=squarespace&key=${urlKey}`;
+}
+
+// ---------------------------
+// Receiver (registered in getWebhookReceiver_, 26_Webhooks.js)
+// ---------------------------
+
+/**
+ * Returns the auth label ("signature" or "url-key"); throws when the request cannot be authenticated.
+ */
+function verifySquarespaceWebhook_(body, params) {
+  if (params.signature) {
+    const subscriptionId = s_(JSON.parse(body || '{}').subscriptionId);
+    const sub = getStoredSquarespaceWebhookSubscriptions_()[subscriptionId];
+    if (!sub || !sub.secret) throw new Error(`No stored secret for subscription ${subscriptionId || '(none)'}`);
+
+    const expected = bytesToHex_(Utilities.computeHmacSha256Signature(
+      Utilities.newBlob(body).getBytes(), hexToBytes_(sub.secret)
+    ));
+    if (!timingSafeEqual_(expected, s_(params.signature).toLowerCase())) throw new Error('Signature mismatch');
+    return 'signature';
+  }
+
+  const urlKey = PROPS.getProperty('SQUARESPACE_WEBHOOK_URL_KEY');
+  if (urlKey && timingSafeEqual_(urlKey, s_(params.key))) return 'url-key';
+
+  throw new Error('no valid signature or key parameter');
+}
+
+/**
+ * Notification body: { id, websiteId, subscriptionId, topic, createdOn, data: { orderId, ... } }.
+ */
+function describeSquarespaceWebhook_(body) {
+  const payload = JSON.parse(body || '{}');
+  const topic = s_(payload.topic);
+  if (SQUARESPACE_WEBHOOK_TOPICS.indexOf(topic) === -1) throw new Error(`Unsupported Squarespace topic: ${topic || 'unknown'}`);
+
+  const orderId = s_(payload.data && payload.data.orderId);
+  if (!orderId) throw new Error(`Squarespace ${topic} notification has no data.orderId`);
+
+  return {
+    webhookId: `squarespace:${s_(payload.id) || `${orderId}:${s_(payload.createdOn)}`}`,
+    topic: topic,
+    resourceId: orderId
+  };
+}
+
+/**
+ * Fetches each notified order once and upserts its lines into Squarespace Orders.
+ * Returns one error string ('' = ok) per item.
+ */
+function processSquarespaceWebhookItems_(items) {
+  const conn = getConnector_('Squarespace');
+  const upserter = conn.createUpserter();
+  const fulfillments = createFulfillmentCollector_(conn);
+  const errors = items.map(() => '');
+
+  // Several notifications for one order need only one fetch of its current state
+  const byOrder = new Map();
+  items.forEach((item, k) => {
+    if (!byOrder.has(item.resourceId)) byOrder.set(item.resourceId, []);
+    byOrder.get(item.resourceId).push(k);
+  });
+
+  byOrder.forEach((members, orderId) => {
+    try {
+      const order = fetchSquarespaceOrderById_(orderId);
+      if (!order) throw new Error(`Order ${orderId} not found`);
+      upserter.applyOrder(conn.orderId(order), conn.buildOrderRows(order));
+      fulfillments.add(order);
+    } catch (err) {
+      members.forEach(k => { errors[k] = err.message; });
+    }
+  });
+
+  upserter.commit();
+  fulfillments.commit();
+  return errors;
+}
+
+/**
+ * GET commerce/orders/{id} (null when the order no longer exists).
+ */
+function fetchSquarespaceOrderById_(orderId) {
+  try {
+    const resp = httpFetch_('squarespace', `${SQUARESPACE_ORDERS_ENDPOINT}/${encodeURIComponent(orderId)}`, {
+      method: "get",
+      headers: { "Authorization": "Bearer " + getSquarespaceApiKey_(), "accept": "application/json" },
+      muteHttpExceptions: true
+    });
+    return JSON.parse(resp.getContentText());
+  } catch (err) {
+    if (err.kind === 'not_found') return null;
+    throw err;
+  }
+}
+
+function hexToBytes_(hex) {
+  const bytes = [];
+  for (let i = 0; i + 1 < hex.length; i += 2) {
+    const b = parseInt(hex.substr(i, 2), 16);
+    bytes.push(b > 127 ? b - 256 : b);
+  }
+  return bytes;
+}
+
+function bytesToHex_(bytes) {
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,344 @@
+// =====================================================
+// 28_ShopifyPayouts.js — Shopify Payments payouts + balance transactions (processing fees)
+// Features:
+// - importShopifyPayouts(days): payouts dated in the last N days + still-pending balance
+//   transactions, for every store in Shopify_Stores. One Shopify_Payouts row per balance
+//   transaction; rows are rewritten in place when a pending transaction is paid out
+// - getShopifyOrderFees_(): orderId -> fees, joined into All_Orders_Clean.order_processing_fee
+//   by the Shopify clean mapper (rebuild Clean Master after importing payouts)
+// - buildPayoutReconciliation(): each bank deposit (payout) vs the transactions and orders it settles
+// Needs the read_shopify_payments_payouts scope; stores without Shopify Payments are skipped.
+// =====================================================
+
+const SHOPIFY_PAYOUTS_SHEET_NAME = 'Shopify_Payouts';
+const SHOPIFY_PAYOUTS_HEADERS = [
+  'Transaction ID',
+  'Store',
+  'Type',            // charge | refund | dispute | adjustment | payout | ...
+  'Processed At',
+  'Source Order ID',
+  'Source Type',
+  'Currency',
+  'Amount',
+  'Fee',
+  'Net',
+  'Payout ID',
+  'Payout Status',
+  'Payout Date',
+  'Payout Amount',
+  'Test',
+  'Updated At'
+];
+
+const PAYOUT_RECONCILIATION_SHEET = 'Payout_Reconciliation';
+
+/**
+ * Imports Shopify Payments balance transactions: everything in payouts dated in the last
+ * N days (default 60) plus transactions not paid out yet. Returns a status message.
+ */
+function importShopifyPayouts(days) {
+  days = days || 60;
+  const label = 'Shopify Payouts';
+
+  logProgress(label, 'Fetching payouts and balance transactions...');
+
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const rows = [];
+  const skipped = [];
+  getShopifyStores_().forEach(store => {
+    try {
+      fetchShopifyStoreBalanceRows_(store, since).forEach(row => rows.push(row));
+    } catch (err) {
+      if (err.kind !== 'not_found') throw err;
+      skipped.push(store.label); // Shopify Payments not enabled on this store
+    }
+  });
+
+  const st = writeShopifyPayoutRows_(rows);
+
+  let msg = `✅ Shopify payouts: ${st.inserted} new, ${st.updated} updated balance transactions (payouts since ${formatDate_(since)})`;
+  if (skipped.length) msg += `. No Shopify Payments on: ${skipped.join(', ')}`;
+  logProgress(label, msg);
+  logImportEvent(label, msg, st.inserted + st.updated);
+  return msg;
+}
+
+/**
+ * SHOPIFY_PAYOUTS_HEADERS rows for one store: transactions of every payout dated since `since`,
+ * then pending ones (no payout yet).
+ */
+function fetchShopifyStoreBalanceRows_(store, since) {
+  const api = getShopifyCredentials_(store);
+  const base = `https://${api.shopDomain}/admin/api/${api.apiVersion}/shopify_payments`;
+
+  const rows = [];
+  const payouts = fetchShopifyRestList_(api, `${base}/payouts.json?limit=250&date_min=${formatDate_(since)}`, 'payouts');
+  payouts.forEach(payout => {
+    fetchShopifyRestList_(api, `${base}/balance/transactions.json?limit=250&payout_id=${encodeURIComponent(payout.id)}`, 'transactions')
+      .forEach(t => rows.push(buildShopifyPayoutRow_(t, store, payout)));
+  });
+
+  fetchShopifyRestList_(api, `${base}/balance/transactions.json?limit=250&payout_status=pending`, 'transactions')
+    .forEach(t => rows.push(buildShopifyPayoutRow_(t, store, null)));
+
+  return rows;
+}
+
+/**
+ * Follows Link rel="next" pages of a Shopify Admin REST list endpoint; returns json[key] items.
+ */
+function fetchShopifyRestList_(api, url, key) {
+  const items = [];
+  while (url) {
+    const resp = httpFetch_('shopify', url, {
+      method: "get",
+      headers: { "X-Shopify-Access-Token": api.apiKey },
+      muteHttpExceptions: true
+    });
+    const page = JSON.parse(resp.getContentText())[key] || [];
+    page.forEach(item => items.push(item));
+    url = page.length ? parseLinkHeader_(getResponseHeader_(resp, 'Link')) : null;
+  }
+  return items;
+}
+
+function buildShopifyPayoutRow_(t, store, payout) {
+  return [
+    String(t.id),
+    store.label,
+    t.type || '',
+    asDate_(t.processed_at),
+    s_(t.source_order_id),
+    t.source_type || '',
+    t.currency || '',
+    parseMoney_(t.amount),
+    parseMoney_(t.fee),
+    parseMoney_(t.net),
+    s_(t.payout_id || (payout && payout.id)),
+    t.payout_status || (payout && payout.status) || '',
+    payout ? asDate_(payout.date) : '',
+    payout ? parseMoney_(payout.amount) : '',
+    t.test ? 'TRUE' : '',
+    new Date()
+  ];
+}
+
+/**
+ * Upserts rows into Shopify_Payouts by Transaction ID (a pending transaction gets its payout later).
+ */
+function writeShopifyPayoutRows_(rows) {
+  const sheet = getOrCreateSheetWithHeaders(SHOPIFY_PAYOUTS_SHEET_NAME, SHOPIFY_PAYOUTS_HEADERS);
+  const width = SHOPIFY_PAYOUTS_HEADERS.length;
+  const stats = { inserted: 0, updated: 0 };
+
+  const lr = sheet.getLastRow();
+  const existing = lr > 1 ? sheet.getRange(2, 1, lr - 1, width).getValues() : [];
+  const index = new Map(existing.map((row, i) => [String(row[0]), i]));
+
+  rows.forEach(row => {
+    const i = index.get(row[0]);
+    if (i === undefined) {
+      index.set(row[0], existing.length);
+      existing.push(row);
+      stats.inserted++;
+    } else {
+      existing[i] = row;
+      stats.updated++;
+    }
+  });
+
+  if (!existing.length) return stats;
+
+  sheet.getRange(2, 1, existing.length, width).setValues(existing);
+
+  // Format columns
+  sheet.getRange(2, 4, existing.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Processed At
+  sheet.getRange(2, 8, existing.length, 3).setNumberFormat('"$"#,##0.00');        // Amount, Fee, Net
+  sheet.getRange(2, 13, existing.length, 1).setNumberFormat('yyyy-mm-dd');        // Payout Date
+  sheet.getRange(2, 14, existing.length, 1).setNumberFormat('"$"#,##0.00');       // Payout Amount
+  sheet.getRange(2, 16, existing.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss'); // Updated At
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#95bf47').setFontColor('#ffffff');
+  return stats;
+}
+
+/**
+ * Map orderId -> total Shopify Payments fees for that order (charges, refunds, disputes...).
+ * Test transactions and the payout withdrawals themselves are ignored.
+ */
+function getShopifyOrderFees_() {
+  const fees = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHOPIFY_PAYOUTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return fees;
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const colOrder = h.indexOf('Source Order ID');
+  const colFee = h.indexOf('Fee');
+  const colType = h.indexOf('Type');
+  const colTest = h.indexOf('Test');
+
+  for (let r = 1; r < data.length; r++) {
+    const orderId = s_(data[r][colOrder]);
+    if (!orderId || s_(data[r][colType]) === 'payout' || truthy_(data[r][colTest])) continue;
+    fees.set(orderId, (fees.get(orderId) || 0) + parseMoney_(data[r][colFee]));
+  }
+  return fees;
+}
+
+/**
+ * Payout reconciliation for the report date range (and store filter) on Orders_Summary_Report:
+ * one row per payout (bank deposit) with the gross / fees / net of its balance transactions,
+ * the difference to the deposit, and the orders it settles. Transactions not paid out yet
+ * are grouped per store as "(pending)".
+ */
+function buildPayoutReconciliation() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
+
+  const outSheet = ss.getSheetByName('Orders_Summary_Report');
+  if (!outSheet) {
+    throw new Error('Orders_Summary_Report sheet not found. Please set the date range in the sidebar first.');
+  }
+  const { startDate, endDate } = getDateRange_(outSheet);
+  if (!startDate || !endDate) {
+    throw new Error('Date range not set. Please set the date range in the sidebar first.');
+  }
+  const storeFilter = getReportStoreFilter_(outSheet);
+
+  const payoutSheet = ss.getSheetByName(SHOPIFY_PAYOUTS_SHEET_NAME);
+  if (!payoutSheet || payoutSheet.getLastRow() < 2) {
+    throw new Error(`${SHOPIFY_PAYOUTS_SHEET_NAME} is empty. Run "Import Shopify Payouts & Fees" first.`);
+  }
+
+  logProgress('Payout Reconciliation', `Matching payouts ${formatDate_(startDate)} to ${formatDate_(endDate)}...`);
+
+  const orderNumbers = getShopifyOrderNumbersFromClean_();
+
+  const data = payoutSheet.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
+
+  const byPayout = new Map(); // store||payoutId -> aggregate
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    if (truthy_(row[col('Test')])) continue;
+
+    const store = s_(row[col('Store')]);
+    if (storeFilter && store !== storeFilter) continue;
+
+    const type = s_(row[col('Type')]);
+    const payoutId = s_(row[col('Payout ID')]);
+    const payoutDate = asDate_(row[col('Payout Date')]);
+    const day = payoutDate || asDate_(row[col('Processed At')]);
+    if (!day || day < startDate || day > endDate) continue;
+
+    const key = `${store}||${payoutDate ? payoutId : '(pending)'}`;
+    let p = byPayout.get(key);
+    if (!p) {
+      p = {
+        store: store,
+        payoutId: payoutDate ? payoutId : '(pending)',
+        payoutDate: payoutDate || '',
+        status: payoutDate ? s_(row[col('Payout Status')]) : 'pending',
+        deposit: payoutDate ? parseMoney_(row[col('Payout Amount')]) : '',
+        transactions: 0, gross: 0, fees: 0, net: 0,
+        orders: new Set()
+      };
+      byPayout.set(key, p);
+    }
+
+    // The payout's own withdrawal row is the deposit, not a settled transaction
+    if (type === 'payout') continue;
+
+    p.transactions++;
+    p.gross += parseMoney_(row[col('Amount')]);
+    p.fees += parseMoney_(row[col('Fee')]);
+    p.net += parseMoney_(row[col('Net')]);
+    const orderId = s_(row[col('Source Order ID')]);
+    if (orderId) p.orders.add(orderId);
+  }
+
+  const headers = [
+    'Store', 'Payout ID', 'Payout Date', 'Status', 'Deposit Amount', 'Transactions', 'Orders',
+    'Gross', 'Fees', 'Net', 'Difference (Deposit - Net)', 'Order Numbers', 'Orders Not In Clean Master'
+  ];
+
+  const rows = Array.from(byPayout.values()).map(p => {
+    const ids = Array.from(p.orders);
+    const numbers = ids.map(id => orderNumbers.get(id) || `id:${id}`);
+    return [
+      p.store, p.payoutId, p.payoutDate, p.status, p.deposit, p.transactions, ids.length,
+      p.gross, p.fees, p.net,
+      p.deposit === '' ? '' : Math.round((p.deposit - p.net) * 100) / 100,
+      numbers.join(', '),
+      ids.filter(id => !orderNumbers.has(id)).length
+    ];
+  });
+
+  // Newest deposits first, pending at the top
+  rows.sort((a, b) => (b[2] ? b[2].getTime() : Infinity) - (a[2] ? a[2].getTime() : Infinity));
+
+  let sheet = ss.getSheetByName(PAYOUT_RECONCILIATION_SHEET);
+  if (sheet) sheet.clear();
+  else sheet = ss.insertSheet(PAYOUT_RECONCILIATION_SHEET);
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#95bf47').setFontColor('#ffffff');
+
+  if (rows.length) {
+    const currencyFormat = '"$"#,##0.00';
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, 3, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 5, rows.length, 1).setNumberFormat(currencyFormat);
+    sheet.getRange(2, 8, rows.length, 4).setNumberFormat(currencyFormat);
+
+    // Highlight deposits that don't match their transactions
+    for (let i = 0; i < rows.length; i++) {
+      const diff = rows[i][10];
+      if (diff !== '' && Math.abs(diff) >= 0.01) sheet.getRange(i + 2, 11).setBackground('#fce8e6');
+    }
+
+    const summaryRow = rows.length + 3;
+    sheet.getRange(summaryRow, 1, 1, 2).merge().setValue('TOTAL DEPOSITS:').setFontWeight('bold').setBackground('#f1f3f4');
+    sheet.getRange(summaryRow, 3).setFormula(`=SUM(E2:E${rows.length + 1})`).setNumberFormat(currencyFormat).setFontWeight('bold').setBackground('#f1f3f4');
+
+    sheet.getRange(summaryRow + 1, 1, 1, 2).merge().setValue('TOTAL PROCESSING FEES:').setFontWeight('bold').setBackground('#f1f3f4');
+    sheet.getRange(summaryRow + 1, 3).setFormula(`=SUM(I2:I${rows.length + 1})`).setNumberFormat(currencyFormat).setFontWeight('bold').setBackground('#f1f3f4');
+  } else {
+    sheet.getRange(2, 1).setValue('No payouts found for the selected date range.');
+  }
+
+  sheet.setFrozenRows(1);
+  for (let c = 1; c <= headers.length; c++) sheet.autoResizeColumn(c);
+
+  const msg = `Payout reconciliation built: ${rows.length} payouts (${formatDate_(startDate)} to ${formatDate_(endDate)}${storeFilter ? `, store ${storeFilter}` : ''})`;
+  logProgress('Payout Reconciliation', msg);
+  logImportEvent('Payout Reconciliation', msg, rows.length);
+  return msg;
+}
+
+/**
+ * Map Shopify order_id -> order_number from All_Orders_Clean.
+ */
+function getShopifyOrderNumbersFromClean_() {
+  const numbers = new Map();
+  const clean = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CLEAN_OUTPUT_SHEET);
+  if (!clean || clean.getLastRow() < 2) return numbers;
+
+  const data = clean.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const colPlatform = h.indexOf('platform');
+  const colOrderId = h.indexOf('order_id');
+  const colNumber = h.indexOf('order_number');
+
+  for (let r = 1; r < data.length; r++) {
+    if (s_(data[r][colPlatform]) !== 'Shopify') continue;
+    const orderId = s_(data[r][colOrderId]);
+    if (orderId && !numbers.has(orderId)) numbers.set(orderId, s_(data[r][colNumber]));
+  }
+  return numbers;
+}
@@ -0,0 +1,264 @@
+// =====================================================
+// 29_ProductCatalog.js — Product_Catalog (SKU -> name, price, unit cost) for COGS
+// Features:
+// - importProductCatalog(): Shopify products/variants (+ inventory item cost, every store in
+//   Shopify_Stores) and Squarespace products into Product_Catalog, one row per SKU
+// - "Cost Override" and "Notes" are manual columns and are never overwritten by an import
+//   (Squarespace does not expose product cost, so its SKUs need an override)
+// - getProductUnitCosts_(): SKU -> unit cost, used by buildCleanRow_ for unit_cost / line_cogs
+//   (rebuild Clean Master after importing or editing costs)
+// Shopify needs the read_products and read_inventory scopes.
+// =====================================================
+
+const PRODUCT_CATALOG_SHEET_NAME = 'Product_Catalog';
+const PRODUCT_CATALOG_HEADERS = [
+  'SKU',
+  'Product Name',
+  'Variant Title',
+  'Sources',         // e.g. "Shopify:Main, Squarespace"
+  'Shopify Product ID',
+  'Shopify Variant ID',
+  'Squarespace Product ID',
+  'Squarespace Variant ID',
+  'Price',
+  'Currency',
+  'Imported Cost',   // Shopify inventory item cost (blank when not set)
+  'Cost Override',   // manual; wins over Imported Cost
+  'Notes',           // manual
+  'Updated At'
+];
+
+const SQUARESPACE_PRODUCTS_ENDPOINT = 'https://api.squarespace.com/1.1/commerce/products';
+
+let PRODUCT_COSTS_CACHE_ = null;
+
+/**
+ * Imports both catalogs into Product_Catalog. Variants without a SKU cannot be matched to
+ * order lines and are skipped (counted in the message).
+ */
+function importProductCatalog() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const label = 'Product Catalog';
+
+  logProgress(label, 'Fetching Shopify and Squarespace products...');
+
+  const entries = new Map(); // skuKey -> catalog entry
+  let noSku = 0;
+
+  const add = (e) => {
+    const key = productSkuKey_(e.sku);
+    if (!key) { noSku++; return; }
+
+    const prev = entries.get(key);
+    if (!prev) { entries.set(key, e); return; }
+
+    // Same SKU on several stores / platforms: keep the first entry, merge ids, sources and a known cost
+    prev.sources = prev.sources.concat(e.sources.filter(src => prev.sources.indexOf(src) === -1));
+    ['shopifyProductId', 'shopifyVariantId', 'squarespaceProductId', 'squarespaceVariantId', 'price', 'currency', 'cost'].forEach(k => {
+      if (prev[k] === '' && e[k] !== '') prev[k] = e[k];
+    });
+  };
+
+  getShopifyStores_().forEach(store => fetchShopifyCatalogEntries_(store).forEach(add));
+  if (PROPS.getProperty('SQUARESPACE_API_KEY')) fetchSquarespaceCatalogEntries_().forEach(add);
+
+  const st = writeProductCatalog_(Array.from(entries.values()));
+  PRODUCT_COSTS_CACHE_ = null;
+
+  let msg = `✅ Product catalog: ${st.inserted} new, ${st.updated} updated SKUs`;
+  if (noSku) msg += ` (${noSku} variants without SKU skipped)`;
+  msg += '. Rebuild Clean Master to refresh COGS.';
+
+  logProgress(label, msg);
+  logImportEvent(label, msg, st.inserted + st.updated);
+  ss.toast(msg, label, 8);
+  return msg;
+}
+
+/**
+ * Catalog entries for every variant of one Shopify store, with inventory item cost.
+ */
+function fetchShopifyCatalogEntries_(store) {
+  const api = getShopifyCredentials_(store);
+  const base = `https://${api.shopDomain}/admin/api/${api.apiVersion}`;
+
+  const products = fetchShopifyRestList_(api, `${base}/products.json?limit=250&fields=id,title,variants`, 'products');
+
+  const variants = [];
+  products.forEach(p => (p.variants || []).forEach(v => variants.push({ product: p, variant: v })));
+
+  // inventory_items.json accepts up to 100 ids per call
+  const costs = new Map();
+  const itemIds = variants.map(x => x.variant.inventory_item_id).filter(Boolean);
+  for (let i = 0; i < itemIds.length; i += 100) {
+    fetchShopifyRestList_(api, `${base}/inventory_items.json?limit=100&ids=${itemIds.slice(i, i + 100).join(',')}`, 'inventory_items')
+      .forEach(item => costs.set(String(item.id), item.cost));
+  }
+
+  return variants.map(({ product, variant }) => {
+    const cost = costs.get(String(variant.inventory_item_id));
+    return {
+      sku: s_(variant.sku),
+      productName: s_(product.title),
+      variantTitle: variant.title === 'Default Title' ? '' : s_(variant.title),
+      sources: [`Shopify:${store.label}`],
+      shopifyProductId: s_(product.id),
+      shopifyVariantId: s_(variant.id),
+      squarespaceProductId: '',
+      squarespaceVariantId: '',
+      price: parseMoney_(variant.price),
+      currency: '',
+      cost: (cost === null || cost === undefined || cost === '') ? '' : parseMoney_(cost)
+    };
+  });
+}
+
+/**
+ * Catalog entries for every Squarespace product variant (no cost in the Products API).
+ * First page: type filter only. Subsequent pages: cursor only.
+ */
+function fetchSquarespaceCatalogEntries_() {
+  const apiKey = getSquarespaceApiKey_();
+  const entries = [];
+
+  let url = `${SQUARESPACE_PRODUCTS_ENDPOINT}?type=PHYSICAL,SERVICE,GIFT_CARD,DIGITAL`;
+  while (url) {
+    const resp = httpFetch_('squarespace', url, {
+      method: "get",
+      headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
+      muteHttpExceptions: true
+    });
+    const json = JSON.parse(resp.getContentText());
+
+    (json.products || []).forEach(p => {
+      (p.variants || []).forEach(v => {
+        const basePrice = (v.pricing && v.pricing.basePrice) || {};
+        const attrs = v.attributes ? Object.keys(v.attributes).map(k => v.attributes[k]).join(' / ') : '';
+        entries.push({
+          sku: s_(v.sku),
+          productName: s_(p.name),
+          variantTitle: attrs,
+          sources: ['Squarespace'],
+          shopifyProductId: '',
+          shopifyVariantId: '',
+          squarespaceProductId: s_(p.id),
+          squarespaceVariantId: s_(v.id),
+          price: parseMoney_(basePrice.value),
+          currency: s_(basePrice.currency),
+          cost: ''
+        });
+      });
+    });
+
+    const cursor = json.pagination?.nextPageCursor;
+    url = cursor ? `${SQUARESPACE_PRODUCTS_ENDPOINT}?cursor=${encodeURIComponent(cursor)}` : null;
+  }
+  return entries;
+}
+
+/**
+ * Upserts entries by SKU. Imported columns are replaced; Cost Override and Notes are kept.
+ */
+function writeProductCatalog_(entries) {
+  const sheet = getOrCreateSheetWithHeaders(PRODUCT_CATALOG_SHEET_NAME, PRODUCT_CATALOG_HEADERS);
+  const width = PRODUCT_CATALOG_HEADERS.length;
+  const col = name => PRODUCT_CATALOG_HEADERS.indexOf(name);
+  const stats = { inserted: 0, updated: 0 };
+
+  const lr = sheet.getLastRow();
+  const existing = lr > 1 ? sheet.getRange(2, 1, lr - 1, width).getValues() : [];
+  const index = new Map();
+  existing.forEach((row, i) => {
+    const key = productSkuKey_(row[0]);
+    if (key && !index.has(key)) index.set(key, i);
+  });
+
+  const now = new Date();
+  entries.forEach(e => {
+    const key = productSkuKey_(e.sku);
+    const i = index.get(key);
+    const prev = i === undefined ? null : existing[i];
+
+    const row = [
+      e.sku,
+      e.productName,
+      e.variantTitle,
+      e.sources.join(', '),
+      e.shopifyProductId,
+      e.shopifyVariantId,
+      e.squarespaceProductId,
+      e.squarespaceVariantId,
+      e.price,
+      e.currency,
+      e.cost,
+      prev ? prev[col('Cost Override')] : '',
+      prev ? prev[col('Notes')] : '',
+      now
+    ];
+
+    if (prev) {
+      existing[i] = row;
+      stats.updated++;
+    } else {
+      index.set(key, existing.length);
+      existing.push(row);
+      stats.inserted++;
+    }
+  });
+
+  if (existing.length) {
+    sheet.getRange(2, 1, existing.length, width).setValues(existing);
+    sheet.getRange(2, col('Price') + 1, existing.length, 1).setNumberFormat('"$"#,##0.00');
+    sheet.getRange(2, col('Imported Cost') + 1, existing.length, 2).setNumberFormat('"$"#,##0.00');
+    sheet.getRange(2, col('Updated At') + 1, existing.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  }
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+  sheet.getRange(1, col('Cost Override') + 1, 1, 2).setBackground('#f6b26b'); // manual columns
+  return stats;
+}
+
+function productSkuKey_(sku) {
+  return s_(sku).toLowerCase();
+}
+
+/**
+ * Map skuKey -> unit cost (Cost Override, else Imported Cost). SKUs without either are absent.
+ */
+function getProductUnitCosts_() {
+  if (PRODUCT_COSTS_CACHE_) return PRODUCT_COSTS_CACHE_;
+
+  const costs = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRODUCT_CATALOG_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const h = data[0].map(x => String(x || '').trim());
+    const colSku = h.indexOf('SKU');
+    const colCost = h.indexOf('Imported Cost');
+    const colOverride = h.indexOf('Cost Override');
+
+    for (let r = 1; r < data.length; r++) {
+      const key = productSkuKey_(data[r][colSku]);
+      if (!key || costs.has(key)) continue;
+
+      const override = colOverride >= 0 ? data[r][colOverride] : '';
+      const imported = colCost >= 0 ? data[r][colCost] : '';
+      if (s_(override) !== '') costs.set(key, parseMoney_(override));
+      else if (s_(imported) !== '') costs.set(key, parseMoney_(imported));
+    }
+  }
+
+  PRODUCT_COSTS_CACHE_ = costs;
+  return costs;
+}
+
+/**
+ * Unit cost for a clean line ('' when the SKU has no known cost).
+ */
+function lineUnitCost_(line) {
+  const key = productSkuKey_(line.sku);
+  if (!key) return '';
+  const cost = getProductUnitCosts_().get(key);
+  return cost === undefined ? '' : cost;
+}
@@ -0,0 +1,228 @@
+// =====================================================
+// 30_Customers.js — Customers sheet from Shopify Customers + Squarespace Profiles
+// Features:
+// - importCustomers(): Shopify customers.json (every store in Shopify_Stores) and Squarespace
+//   Profiles, merged into one Customers row per normalized email
+// - Marketing consent: an explicit unsubscribe on any platform wins, otherwise any opt-in
+//   counts as consent, otherwise FALSE. Blank = no platform record for the email.
+// - getCustomerConsentMap_(): email -> consent, used by buildCustomerOutreachList()
+//   to drop non-consenting customers
+// Shopify needs the read_customers scope.
+// =====================================================
+
+const CUSTOMERS_SHEET_NAME = 'Customers';
+const CUSTOMERS_HEADERS = [
+  'Email',             // normalized (normEmail_)
+  'First Name',
+  'Last Name',
+  'Marketing Consent', // TRUE / FALSE
+  'Consent Detail',    // e.g. "Shopify:Main subscribed; Squarespace opted-in"
+  'Tags',
+  'Created At',        // earliest account / profile creation across platforms
+  'Platform Orders',   // sum of platform order counts
+  'Platform Total Spent',
+  'Sources',
+  'Shopify Customer IDs',
+  'Squarespace Profile ID',
+  'Updated At'
+];
+
+const SQUARESPACE_PROFILES_ENDPOINT = 'https://api.squarespace.com/1.0/profiles';
+
+/**
+ * Imports every customer record from both platforms into Customers (rows are replaced per email;
+ * emails no longer returned by either platform are kept as they were).
+ */
+function importCustomers() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const label = 'Customers';
+
+  logProgress(label, 'Fetching Shopify customers and Squarespace profiles...');
+
+  const byEmail = new Map();
+  const add = (rec) => {
+    const email = normEmail_(rec.email);
+    if (!email) return;
+    if (!byEmail.has(email)) byEmail.set(email, []);
+    byEmail.get(email).push(rec);
+  };
+
+  getShopifyStores_().forEach(store => fetchShopifyCustomerRecords_(store).forEach(add));
+  if (PROPS.getProperty('SQUARESPACE_API_KEY')) fetchSquarespaceProfileRecords_().forEach(add);
+
+  const rows = [];
+  byEmail.forEach((recs, email) => rows.push(buildCustomerRow_(email, recs)));
+
+  const st = writeCustomerRows_(rows);
+  const optedOut = rows.filter(r => r[3] === false).length;
+
+  const msg = `✅ Customers: ${st.inserted} new, ${st.updated} updated (${optedOut} without marketing consent)`;
+  logProgress(label, msg);
+  logImportEvent(label, msg, st.inserted + st.updated);
+  ss.toast(msg, label, 8);
+  return msg;
+}
+
+/**
+ * Customer records of one Shopify store: { email, firstName, lastName, consent, consentDetail,
+ * tags, createdAt, orders, spent, source, shopifyId, squarespaceId }.
+ */
+function fetchShopifyCustomerRecords_(store) {
+  const api = getShopifyCredentials_(store);
+  const url = `https://${api.shopDomain}/admin/api/${api.apiVersion}/customers.json?limit=250` +
+    '&fields=id,email,first_name,last_name,tags,created_at,orders_count,total_spent,accepts_marketing,email_marketing_consent';
+
+  const source = `Shopify:${store.label}`;
+  return fetchShopifyRestList_(api, url, 'customers').map(cu => {
+    // email_marketing_consent replaces the deprecated accepts_marketing flag
+    const state = cu.email_marketing_consent ? s_(cu.email_marketing_consent.state).toLowerCase() : '';
+    let consent;
+    if (state) consent = state === 'subscribed' ? true : (state === 'unsubscribed' ? 'opted-out' : false);
+    else consent = cu.accepts_marketing === true;
+
+    return {
+      email: cu.email,
+      firstName: s_(cu.first_name),
+      lastName: s_(cu.last_name),
+      consent: consent,
+      consentDetail: `${source} ${state || (cu.accepts_marketing ? 'accepts marketing' : 'no consent')}`,
+      tags: s_(cu.tags),
+      createdAt: asDate_(cu.created_at),
+      orders: n_(cu.orders_count),
+      spent: parseMoney_(cu.total_spent),
+      source: source,
+      shopifyId: s_(cu.id),
+      squarespaceId: ''
+    };
+  });
+}
+
+/**
+ * Squarespace Profiles (customers, subscribers and donors) as customer records.
+ */
+function fetchSquarespaceProfileRecords_() {
+  const apiKey = getSquarespaceApiKey_();
+  const records = [];
+
+  let url = SQUARESPACE_PROFILES_ENDPOINT;
+  while (url) {
+    const resp = httpFetch_('squarespace', url, {
+      method: "get",
+      headers: { "Authorization": "Bearer " + apiKey, "accept": "application/json" },
+      muteHttpExceptions: true
+    });
+    const json = JSON.parse(resp.getContentText());
+
+    (json.profiles || []).forEach(p => {
+      const summary = p.transactionsSummary || {};
+      records.push({
+        email: p.email,
+        firstName: s_(p.firstName),
+        lastName: s_(p.lastName),
+        consent: p.acceptsMarketing === true,
+        consentDetail: `Squarespace ${p.acceptsMarketing ? 'opted-in' : 'no consent'}`,
+        tags: '',
+        createdAt: asDate_(p.createdOn),
+        orders: n_(summary.totalOrderCount),
+        spent: parseMoney_(summary.totalRevenue && summary.totalRevenue.value),
+        source: 'Squarespace',
+        shopifyId: '',
+        squarespaceId: s_(p.id)
+      });
+    });
+
+    const cursor = json.pagination?.nextPageCursor;
+    url = cursor ? `${SQUARESPACE_PROFILES_ENDPOINT}?cursor=${encodeURIComponent(cursor)}` : null;
+  }
+  return records;
+}
+
+/**
+ * One CUSTOMERS_HEADERS row from all platform records of an email.
+ */
+function buildCustomerRow_(email, recs) {
+  const first = recs.find(r => r.firstName || r.lastName) || recs[0];
+  const created = recs.map(r => r.createdAt).filter(Boolean).sort((a, b) => a.getTime() - b.getTime())[0] || '';
+
+  let consent = false;
+  if (recs.some(r => r.consent === 'opted-out')) consent = false;
+  else if (recs.some(r => r.consent === true)) consent = true;
+
+  const tags = [];
+  recs.forEach(r => r.tags.split(',').map(t => t.trim()).filter(Boolean).forEach(t => {
+    if (tags.indexOf(t) === -1) tags.push(t);
+  }));
+
+  return [
+    email,
+    first.firstName,
+    first.lastName,
+    consent,
+    recs.map(r => r.consentDetail).join('; '),
+    tags.join(', '),
+    created,
+    recs.reduce((sum, r) => sum + r.orders, 0),
+    recs.reduce((sum, r) => sum + r.spent, 0),
+    recs.map(r => r.source).join(', '),
+    recs.map(r => r.shopifyId).filter(Boolean).join(', '),
+    recs.map(r => r.squarespaceId).filter(Boolean)[0] || '',
+    new Date()
+  ];
+}
+
+/**
+ * Upserts rows into Customers by Email.
+ */
+function writeCustomerRows_(rows) {
+  const sheet = getOrCreateSheetWithHeaders(CUSTOMERS_SHEET_NAME, CUSTOMERS_HEADERS);
+  const width = CUSTOMERS_HEADERS.length;
+  const stats = { inserted: 0, updated: 0 };
+
+  const lr = sheet.getLastRow();
+  const existing = lr > 1 ? sheet.getRange(2, 1, lr - 1, width).getValues() : [];
+  const index = new Map(existing.map((row, i) => [normEmail_(row[0]), i]));
+
+  rows.forEach(row => {
+    const i = index.get(row[0]);
+    if (i === undefined) {
+      index.set(row[0], existing.length);
+      existing.push(row);
+      stats.inserted++;
+    } else {
+      existing[i] = row;
+      stats.updated++;
+    }
+  });
+
+  if (existing.length) {
+    sheet.getRange(2, 1, existing.length, width).setValues(existing);
+    sheet.getRange(2, 7, existing.length, 1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2, 9, existing.length, 1).setNumberFormat('"$"#,##0.00');
+    sheet.getRange(2, 13, existing.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  }
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+  return stats;
+}
+
+/**
+ * Map normalized email -> marketing consent (true/false). Empty when Customers was never imported.
+ */
+function getCustomerConsentMap_() {
+  const consent = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUSTOMERS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return consent;
+
+  const data = sheet.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const colEmail = h.indexOf('Email');
+  const colConsent = h.indexOf('Marketing Consent');
+  if (colEmail < 0 || colConsent < 0) return consent;
+
+  for (let r = 1; r < data.length; r++) {
+    const email = normEmail_(data[r][colEmail]);
+    if (email) consent.set(email, truthy_(data[r][colConsent]));
+  }
+  return consent;
+}
@@ -0,0 +1,402 @@
+// =====================================================
+// 31_Fulfillments.js — Order_Fulfillments + Fulfillment Performance report
+// Features:
+// - Order_Fulfillments: one row per shipment (Shopify fulfillments, Squarespace fulfillments /
+//   fulfilledOn) plus one "unfulfilled" row per order still waiting to ship. Rows are written
+//   by the order imports (connector.buildFulfillmentRows) and replaced per order on every update
+// - buildFulfillmentPerformanceReport(): time-to-ship distribution and late shipments for orders
+//   placed in the report date range, plus the current unfulfilled backlog aged by days
+// - The SLA (days to ship) lives in Fulfillment_Controls
+// =====================================================
+
+const ORDER_FULFILLMENTS_SHEET_NAME = 'Order_Fulfillments';
+const ORDER_FULFILLMENTS_HEADERS = [
+  'Fulfillment Key',   // "<platform>:<fulfillment id>" or "<platform>:<order id>:unfulfilled"
+  'Platform',
+  'Store',
+  'Order ID',
+  'Order Number',
+  'Order Date',
+  'Status',            // fulfilled | unfulfilled | partial
+  'Fulfilled At',
+  'Days To Ship',
+  'Shipment Status',
+  'Tracking Company',
+  'Tracking Number',
+  'Tracking URL',
+  'Service',
+  'Items',
+  'Updated At'
+];
+
+const FULFILLMENT_CONTROLS_SHEET = 'Fulfillment_Controls';
+const FULFILLMENT_REPORT_SHEET = 'Fulfillment Performance';
+
+// ---------------------------
+// Rows per platform
+// ---------------------------
+
+/**
+ * Shopify order -> fulfillment rows. Cancelled, refunded/voided and shipping-free orders
+ * never enter the backlog.
+ */
+function buildShopifyFulfillmentRows_(order) {
+  const base = {
+    platform: 'Shopify',
+    store: order.__store || getPrimaryShopifyStoreLabel_(),
+    orderId: order.id,
+    orderNumber: order.order_number,
+    orderDate: asDate_(order.processed_at || order.created_at)
+  };
+
+  const rows = (order.fulfillments || [])
+    .filter(f => ['cancelled', 'error', 'failure'].indexOf(s_(f.status)) === -1)
+    .map(f => fulfillmentRow_(base, {
+      key: `Shopify:${f.id}`,
+      status: 'fulfilled',
+      fulfilledAt: asDate_(f.created_at),
+      shipmentStatus: s_(f.shipment_status),
+      trackingCompany: s_(f.tracking_company),
+      trackingNumber: s_(f.tracking_number || (f.tracking_numbers || [])[0]),
+      trackingUrl: s_(f.tracking_url || (f.tracking_urls || [])[0]),
+      service: s_(f.service),
+      items: (f.line_items || []).reduce((sum, li) => sum + n_(li.quantity), 0)
+    }));
+
+  const open = !order.cancelled_at &&
+    ['refunded', 'voided'].indexOf(s_(order.financial_status)) === -1 &&
+    (order.line_items || []).some(li => li.requires_shipping !== false) &&
+    s_(order.fulfillment_status) !== 'fulfilled' &&
+    order.test !== true;
+  if (open) {
+    rows.push(fulfillmentRow_(base, {
+      key: `Shopify:${order.id}:unfulfilled`,
+      status: rows.length ? 'partial' : 'unfulfilled'
+    }));
+  }
+  return rows;
+}
+
+/**
+ * Squarespace order -> fulfillment rows (fulfillments[] shipments; fulfilledOn when there is none).
+ */
+function buildSquarespaceFulfillmentRows_(order) {
+  const base = {
+    platform: 'Squarespace',
+    store: 'Squarespace',
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    orderDate: asDate_(order.createdOn)
+  };
+  const status = s_(order.fulfillmentStatus).toUpperCase();
+
+  const rows = (order.fulfillments || []).map((f, i) => fulfillmentRow_(base, {
+    key: `Squarespace:${order.id}:${i + 1}`,
+    status: 'fulfilled',
+    fulfilledAt: asDate_(f.shipDate) || asDate_(order.fulfilledOn),
+    trackingCompany: s_(f.carrierName),
+    trackingNumber: s_(f.trackingNumber),
+    trackingUrl: s_(f.trackingUrl),
+    service: s_(f.service)
+  }));
+
+  if (!rows.length && status === 'FULFILLED') {
+    rows.push(fulfillmentRow_(base, {
+      key: `Squarespace:${order.id}:1`,
+      status: 'fulfilled',
+      fulfilledAt: asDate_(order.fulfilledOn)
+    }));
+  }
+
+  const physical = (order.lineItems || []).some(li => s_(li.lineItemType || li.type).toUpperCase() === 'PHYSICAL');
+  if (status === 'PENDING' && physical && !order.testMode) {
+    rows.push(fulfillmentRow_(base, {
+      key: `Squarespace:${order.id}:unfulfilled`,
+      status: rows.length ? 'partial' : 'unfulfilled'
+    }));
+  }
+  return rows;
+}
+
+function fulfillmentRow_(base, f) {
+  const daysToShip = (f.fulfilledAt && base.orderDate)
+    ? Math.max(0, Math.round(daysBetween_(base.orderDate, f.fulfilledAt) * 10) / 10)
+    : '';
+  return [
+    f.key,
+    base.platform,
+    base.store,
+    s_(base.orderId),
+    s_(base.orderNumber),
+    base.orderDate || '',
+    f.status,
+    f.fulfilledAt || '',
+    daysToShip,
+    f.shipmentStatus || '',
+    f.trackingCompany || '',
+    f.trackingNumber || '',
+    f.trackingUrl || '',
+    f.service || '',
+    f.items || '',
+    new Date()
+  ];
+}
+
+// ---------------------------
+// Writing
+// ---------------------------
+
+/**
+ * Collects fulfillment rows while an import walks orders; commit() replaces each seen order's
+ * rows in Order_Fulfillments. A no-op for connectors without buildFulfillmentRows.
+ */
+function createFulfillmentCollector_(conn) {
+  const byOrder = new Map(); // platform||orderId -> rows (latest version of the order wins)
+  return {
+    add(order) {
+      if (!conn.buildFulfillmentRows || !order) return;
+      byOrder.set(`${conn.name}||${s_(conn.orderId(order))}`, conn.buildFulfillmentRows(order));
+    },
+    commit() {
+      if (byOrder.size) writeOrderFulfillments_(byOrder);
+      byOrder.clear();
+    }
+  };
+}
+
+/**
+ * Replaces the rows of every order in byOrder (platform||orderId -> rows) and keeps the rest.
+ */
+function writeOrderFulfillments_(byOrder) {
+  const sheet = getOrCreateSheetWithHeaders(ORDER_FULFILLMENTS_SHEET_NAME, ORDER_FULFILLMENTS_HEADERS);
+  const width = ORDER_FULFILLMENTS_HEADERS.length;
+
+  const lr = sheet.getLastRow();
+  const existing = lr > 1 ? sheet.getRange(2, 1, lr - 1, width).getValues() : [];
+
+  const kept = existing.filter(row => !byOrder.has(`${s_(row[1])}||${s_(row[3])}`));
+  const rows = kept.slice();
+  byOrder.forEach(orderRows => orderRows.forEach(row => rows.push(row)));
+
+  if (rows.length) sheet.getRange(2, 1, rows.length, width).setValues(rows);
+  if (existing.length > rows.length) {
+    sheet.getRange(rows.length + 2, 1, existing.length - rows.length, width).clearContent();
+  }
+
+  if (rows.length) {
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+    sheet.getRange(2, 8, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+    sheet.getRange(2, 9, rows.length, 1).setNumberFormat('0.0');
+    sheet.getRange(2, 16, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  }
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+}
+
+// ---------------------------
+// Controls
+// ---------------------------
+function ensureFulfillmentControlsSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(FULFILLMENT_CONTROLS_SHEET);
+  if (!sh) sh = ss.insertSheet(FULFILLMENT_CONTROLS_SHEET);
+
+  if (sh.getLastRow() < 1) {
+    const rows = [
+      ["Fulfillment Controls", ""],
+      ["Ship SLA (days) — orders shipped later than this after being placed count as late", 2]
+    ];
+    sh.getRange(1, 1, rows.length, 2).setValues(rows);
+    sh.getRange(1, 1).setFontWeight("bold");
+    sh.autoResizeColumns(1, 2);
+  }
+  return sh;
+}
+
+function getFulfillmentSlaDays_() {
+  const sh = ensureFulfillmentControlsSheet_();
+  const values = sh.getRange(1, 1, Math.max(1, sh.getLastRow()), 2).getValues();
+  const row = values.find(r => s_(r[0]).indexOf('Ship SLA (days)') === 0);
+  const sla = row ? n_(row[1]) : 0;
+  return sla > 0 ? sla : 2;
+}
+
+// ---------------------------
+// Report
+// ---------------------------
+
+/**
+ * Fulfillment Performance for the report date range (and store filter) on Orders_Summary_Report.
+ */
+function buildFulfillmentPerformanceReport() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const outSheet = ss.getSheetByName('Orders_Summary_Report');
+  if (!outSheet) {
+    throw new Error('Orders_Summary_Report sheet not found. Please set the date range in the sidebar first.');
+  }
+  const { startDate, endDate } = getDateRange_(outSheet);
+  if (!startDate || !endDate) {
+    throw new Error('Date range not set. Please set the date range in the sidebar first.');
+  }
+  const storeFilter = getReportStoreFilter_(outSheet);
+
+  const src = ss.getSheetByName(ORDER_FULFILLMENTS_SHEET_NAME);
+  if (!src || src.getLastRow() < 2) {
+    throw new Error(`${ORDER_FULFILLMENTS_SHEET_NAME} is empty. Import orders first (fulfillments are captured with them).`);
+  }
+
+  const sla = getFulfillmentSlaDays_();
+  logProgress('Fulfillment Report', `Building report for ${formatDate_(startDate)} to ${formatDate_(endDate)} (SLA ${sla} days)...`);
+
+  const data = src.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
+
+  // Per order: first shipment (time to ship) and open backlog row
+  const orders = new Map(); // platform||orderId -> { platform, store, orderNumber, orderDate, firstShip, ship, open }
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    const store = s_(row[col('Store')]);
+    if (storeFilter && store !== storeFilter) continue;
+
+    const key = `${s_(row[col('Platform')])}||${s_(row[col('Order ID')])}`;
+    let o = orders.get(key);
+    if (!o) {
+      o = {
+        platform: s_(row[col('Platform')]),
+        store: store,
+        orderNumber: s_(row[col('Order Number')]),
+        orderDate: asDate_(row[col('Order Date')]),
+        firstShip: null,
+        ship: null,
+        open: ''
+      };
+      orders.set(key, o);
+    }
+
+    const status = s_(row[col('Status')]);
+    const fulfilledAt = asDate_(row[col('Fulfilled At')]);
+    if (status === 'fulfilled' && fulfilledAt && (!o.firstShip || fulfilledAt < o.firstShip)) {
+      o.firstShip = fulfilledAt;
+      o.ship = {
+        company: s_(row[col('Tracking Company')]),
+        number: s_(row[col('Tracking Number')])
+      };
+    }
+    if (status === 'unfulfilled' || status === 'partial') o.open = status;
+  }
+
+  const buckets = [
+    { label: 'Same day (< 1 day)', max: 1 },
+    { label: '1–2 days', max: 2 },
+    { label: '2–3 days', max: 3 },
+    { label: '3–5 days', max: 5 },
+    { label: '5–10 days', max: 10 },
+    { label: '10+ days', max: Infinity }
+  ].map(b => Object.assign(b, { orders: 0 }));
+
+  const ageBuckets = [
+    { label: '0–2 days', max: 3 },
+    { label: '3–7 days', max: 8 },
+    { label: '8–14 days', max: 15 },
+    { label: '15–30 days', max: 31 },
+    { label: '31+ days', max: Infinity }
+  ].map(b => Object.assign(b, { orders: 0 }));
+
+  const shipDays = [];
+  const lateRows = [];
+  const backlogRows = [];
+  const today = new Date();
+
+  orders.forEach(o => {
+    if (!o.orderDate) return;
+
+    // Time to ship: orders placed in the period that have shipped
+    if (o.firstShip && isWithinRangeInclusive_(o.orderDate, startDate, endDate)) {
+      const days = Math.max(0, daysBetween_(o.orderDate, o.firstShip));
+      shipDays.push(days);
+      buckets.find(b => days < b.max).orders++;
+      if (days > sla) {
+        lateRows.push([o.platform, o.store, o.orderNumber, o.orderDate, o.firstShip, Math.round(days * 10) / 10,
+          Math.round((days - sla) * 10) / 10, o.ship.company, o.ship.number]);
+      }
+    }
+
+    // Backlog: everything still open today, whatever the period
+    if (o.open) {
+      const age = Math.max(0, daysBetween_(o.orderDate, today));
+      ageBuckets.find(b => age < b.max).orders++;
+      backlogRows.push([o.platform, o.store, o.orderNumber, o.orderDate, o.open, Math.floor(age), age > sla ? 'YES' : '']);
+    }
+  });
+
+  shipDays.sort((a, b) => a - b);
+  const pct = p => shipDays.length ? shipDays[Math.min(shipDays.length - 1, Math.floor(p * shipDays.length))] : 0;
+  const avg = shipDays.length ? shipDays.reduce((a, b) => a + b, 0) / shipDays.length : 0;
+  const onTime = shipDays.filter(d => d <= sla).length;
+
+  lateRows.sort((a, b) => b[5] - a[5]);
+  backlogRows.sort((a, b) => b[5] - a[5]);
+
+  // render
+  let sheet = ss.getSheetByName(FULFILLMENT_REPORT_SHEET);
+  if (sheet) sheet.clear();
+  else sheet = ss.insertSheet(FULFILLMENT_REPORT_SHEET);
+
+  sheet.getRange(1, 1).setValue('Fulfillment Performance').setFontWeight('bold').setFontSize(14);
+  sheet.getRange(2, 1).setValue(`Orders placed ${formatDate_(startDate)} to ${formatDate_(endDate)}${storeFilter ? ` — ${storeFilter}` : ''} · SLA ${sla} days`);
+
+  const kpis = [
+    ['Orders Shipped (placed in period)', shipDays.length],
+    ['Avg Days to Ship', avg],
+    ['Median Days to Ship', pct(0.5)],
+    ['90th Percentile Days to Ship', pct(0.9)],
+    ['Shipped Within SLA %', shipDays.length ? onTime / shipDays.length : 0],
+    ['Late Shipments', lateRows.length],
+    ['Unfulfilled Backlog (today)', backlogRows.length],
+    ['Backlog Past SLA', backlogRows.filter(r => r[6]).length]
+  ];
+  let row = 4;
+  sheet.getRange(row, 1, kpis.length, 2).setValues(kpis);
+  sheet.getRange(row, 1, kpis.length, 1).setFontWeight('bold');
+  sheet.getRange(row + 1, 2, 3, 1).setNumberFormat('0.0');
+  sheet.getRange(row + 4, 2).setNumberFormat('0.0%');
+  row += kpis.length + 1;
+
+  const block = (title, headers, rows, formats) => {
+    sheet.getRange(row, 1).setValue(title).setFontWeight('bold');
+    row++;
+    sheet.getRange(row, 1, 1, headers.length).setValues([headers]).setFontWeight('bold').setBackground('#f1f3f4');
+    row++;
+    if (rows.length) {
+      sheet.getRange(row, 1, rows.length, headers.length).setValues(rows);
+      (formats || []).forEach(([c, fmt]) => sheet.getRange(row, c, rows.length, 1).setNumberFormat(fmt));
+      row += rows.length;
+    } else {
+      sheet.getRange(row, 1).setValue('None');
+      row++;
+    }
+    row++;
+  };
+
+  block('Time to Ship Distribution', ['Days to Ship', 'Orders', '% of Shipped'],
+    buckets.map(b => [b.label, b.orders, shipDays.length ? b.orders / shipDays.length : 0]), [[3, '0.0%']]);
+
+  block('Unfulfilled Backlog by Age', ['Age', 'Orders'], ageBuckets.map(b => [b.label, b.orders]));
+
+  block(`Late Shipments (> ${sla} days)`,
+    ['Platform', 'Store', 'Order Number', 'Order Date', 'First Shipped', 'Days to Ship', 'Days Late', 'Carrier', 'Tracking Number'],
+    lateRows, [[4, 'yyyy-mm-dd'], [5, 'yyyy-mm-dd'], [6, '0.0'], [7, '0.0']]);
+
+  block('Unfulfilled Backlog (oldest first)',
+    ['Platform', 'Store', 'Order Number', 'Order Date', 'Status', 'Age (days)', 'Past SLA'],
+    backlogRows, [[4, 'yyyy-mm-dd']]);
+
+  sheet.autoResizeColumns(1, 9);
+
+  const msg = `Fulfillment report built: ${shipDays.length} shipped, ${lateRows.length} late, ${backlogRows.length} in backlog`;
+  logProgress('Fulfillment Report', msg);
+  logImportEvent('Fulfillment Report', msg, shipDays.length);
+  return msg;
+}
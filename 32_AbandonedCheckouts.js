@@ -0,0 +1,262 @@
+// =====================================================
+// 32_AbandonedCheckouts.js — Shopify abandoned checkouts + recovery list
+// Features:
+// - importAbandonedCheckouts(days): open checkouts created in the last N days (every store in
+//   Shopify_Stores) into Abandoned_Checkouts, upserted by Checkout ID
+// - buildAbandonedCheckoutRecoveryList(): latest abandoned checkout per email, minus banned
+//   emails, people who ordered afterwards (All_Orders_Clean) and people without marketing
+//   consent: the Customers record when there is one, else the checkout's own Accepts Marketing
+//   (must be TRUE). Ranked like Customer_Outreach_List
+// Shopify needs the read_orders scope (checkouts are part of it).
+// =====================================================
+
+const ABANDONED_CHECKOUTS_SHEET_NAME = 'Abandoned_Checkouts';
+const ABANDONED_CHECKOUTS_HEADERS = [
+  'Checkout ID',
+  'Store',
+  'Email',
+  'Customer Name',
+  'Created At',
+  'Updated At',
+  'Completed At',
+  'Cart Items',      // "2 × Product (SKU); ..."
+  'Item Count',
+  'Cart Value',
+  'Currency',
+  'Recovery URL',
+  'Accepts Marketing',
+  'Imported At'
+];
+
+const ABANDONED_RECOVERY_SHEET = 'Abandoned_Checkout_Recovery';
+
+/**
+ * Imports abandoned checkouts created in the last N days (default 30).
+ */
+function importAbandonedCheckouts(days) {
+  days = days || 30;
+  const label = 'Abandoned Checkouts';
+
+  logProgress(label, 'Fetching abandoned checkouts...');
+
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const rows = [];
+  getShopifyStores_().forEach(store => {
+    const api = getShopifyCredentials_(store);
+    const url = `https://${api.shopDomain}/admin/api/${api.apiVersion}/checkouts.json?limit=250` +
+      `&status=open&created_at_min=${encodeURIComponent(since.toISOString())}`;
+    fetchShopifyRestList_(api, url, 'checkouts').forEach(ch => rows.push(buildAbandonedCheckoutRow_(ch, store)));
+  });
+
+  const st = writeAbandonedCheckoutRows_(rows);
+
+  const msg = `✅ Abandoned checkouts: ${st.inserted} new, ${st.updated} updated (created since ${formatDate_(since)})`;
+  logProgress(label, msg);
+  logImportEvent(label, msg, st.inserted + st.updated);
+  return msg;
+}
+
+function buildAbandonedCheckoutRow_(ch, store) {
+  const items = ch.line_items || [];
+  const customer = ch.customer || {};
+  const name = [customer.first_name, customer.last_name].map(s_).filter(Boolean).join(' ') ||
+    [ch.billing_address?.first_name, ch.billing_address?.last_name].map(s_).filter(Boolean).join(' ');
+
+  return [
+    s_(ch.id),
+    store.label,
+    normEmail_(ch.email || customer.email),
+    name,
+    asDate_(ch.created_at) || '',
+    asDate_(ch.updated_at) || '',
+    asDate_(ch.completed_at) || '',
+    items.map(li => `${n_(li.quantity)} × ${s_(li.title)}${li.variant_title ? ` — ${li.variant_title}` : ''}${li.sku ? ` (${li.sku})` : ''}`).join('; '),
+    items.reduce((sum, li) => sum + n_(li.quantity), 0),
+    parseMoney_(ch.total_price),
+    s_(ch.currency || ch.presentment_currency),
+    s_(ch.abandoned_checkout_url),
+    ch.buyer_accepts_marketing ? 'TRUE' : '',
+    new Date()
+  ];
+}
+
+/**
+ * Upserts rows into Abandoned_Checkouts by Checkout ID.
+ */
+function writeAbandonedCheckoutRows_(rows) {
+  const sheet = getOrCreateSheetWithHeaders(ABANDONED_CHECKOUTS_SHEET_NAME, ABANDONED_CHECKOUTS_HEADERS);
+  const width = ABANDONED_CHECKOUTS_HEADERS.length;
+  const stats = { inserted: 0, updated: 0 };
+
+  const lr = sheet.getLastRow();
+  const existing = lr > 1 ? sheet.getRange(2, 1, lr - 1, width).getValues() : [];
+  const index = new Map(existing.map((row, i) => [String(row[0]), i]));
+
+  rows.forEach(row => {
+    const i = index.get(row[0]);
+    if (i === undefined) {
+      index.set(row[0], existing.length);
+      existing.push(row);
+      stats.inserted++;
+    } else {
+      existing[i] = row;
+      stats.updated++;
+    }
+  });
+
+  if (existing.length) {
+    sheet.getRange(2, 1, existing.length, width).setValues(existing);
+    sheet.getRange(2, 5, existing.length, 3).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+    sheet.getRange(2, 10, existing.length, 1).setNumberFormat('"$"#,##0.00');
+    sheet.getRange(2, 14, existing.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  }
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold').setBackground('#95bf47').setFontColor('#ffffff');
+  return stats;
+}
+
+/**
+ * Prioritized recovery list: one row per email (their most recent abandoned checkout).
+ */
+function buildAbandonedCheckoutRecoveryList() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
+  const src = ss.getSheetByName(ABANDONED_CHECKOUTS_SHEET_NAME);
+  if (!src || src.getLastRow() < 2) throw new Error(`No data found in "${ABANDONED_CHECKOUTS_SHEET_NAME}". Import abandoned checkouts first.`);
+
+  const data = src.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
+
+  // Latest open checkout per email
+  const latest = new Map();
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    const email = normEmail_(row[col('Email')]);
+    const created = asDate_(row[col('Created At')]);
+    if (!email || !created || s_(row[col('Completed At')])) continue;
+
+    const prev = latest.get(email);
+    if (!prev || created > prev.created) latest.set(email, { row: row, created: created });
+  }
+
+  const banned = loadBannedList_();
+  const consent = getCustomerConsentMap_();
+  const buyers = getCleanOrderHistoryByEmail_();
+
+  const today = new Date();
+  const rowsOut = [];
+  let skippedBanned = 0, skippedOrdered = 0, skippedConsent = 0;
+
+  latest.forEach((c, email) => {
+    if (isBannedEmail_(email, banned)) { skippedBanned++; return; }
+
+    const history = buyers.get(email) || { orders: new Set(), ltv: 0, last: null };
+    if (history.last && history.last >= c.created) { skippedOrdered++; return; }
+    // No Customers record (common for abandoned checkouts): the checkout's opt-in decides
+    const consented = consent.has(email) ? consent.get(email) : truthy_(c.row[col('Accepts Marketing')]);
+    if (!consented) { skippedConsent++; return; }
+
+    const value = n_(c.row[col('Cart Value')]);
+    const daysSince = Math.max(0, daysBetween_(c.created, today));
+
+    // Fresh, valuable carts first; known buyers get a small boost
+    const recencyScore = Math.max(0, 1 - daysSince / 30);
+    const valueScore = Math.min(1, value / 500);
+    const buyerScore = history.orders.size ? 1 : 0;
+    const priority = Math.max(0, Math.min(100, Math.round(100 * (0.45 * recencyScore + 0.40 * valueScore + 0.15 * buyerScore))));
+
+    rowsOut.push([
+      priority,
+      email,
+      s_(c.row[col('Customer Name')]),
+      formatDate_(c.created),
+      Math.floor(daysSince),
+      value,
+      s_(c.row[col('Cart Items')]),
+      n_(c.row[col('Item Count')]),
+      s_(c.row[col('Recovery URL')]),
+      history.orders.size,
+      history.ltv,
+      consented,
+      s_(c.row[col('Store')])
+    ]);
+  });
+
+  rowsOut.sort((a, b) => (b[0] || 0) - (a[0] || 0));
+
+  const outHeaders = [
+    "Recovery Priority (0-100)",
+    "Customer Email",
+    "Customer Name",
+    "Abandoned On",
+    "Days Since Abandoned",
+    "Cart Value",
+    "Cart Items",
+    "Item Count",
+    "Recovery URL",
+    "Prior Orders (All-time)",
+    "Lifetime Value (All-time)",
+    "Marketing Consent",
+    "Store"
+  ];
+
+  const outSheet = ss.getSheetByName(ABANDONED_RECOVERY_SHEET) || ss.insertSheet(ABANDONED_RECOVERY_SHEET);
+  outSheet.clearContents();
+  outSheet.getRange(1, 1, 1, outHeaders.length).setValues([outHeaders]).setFontWeight("bold");
+
+  if (rowsOut.length) {
+    outSheet.getRange(2, 1, rowsOut.length, outHeaders.length).setValues(rowsOut);
+    outSheet.getRange(2, 6, rowsOut.length, 1).setNumberFormat("$#,##0.00");
+    outSheet.getRange(2, 11, rowsOut.length, 1).setNumberFormat("$#,##0.00");
+  }
+
+  outSheet.setFrozenRows(1);
+  outSheet.autoResizeColumns(1, outHeaders.length);
+
+  const skipped = `skipped ${skippedOrdered} ordered later, ${skippedBanned} banned, ${skippedConsent} without consent`;
+  ss.toast(`Abandoned checkout recovery list built: ${rowsOut.length} customers (${skipped})`, "Outreach", 6);
+  logImportEvent("Outreach", `Built ${ABANDONED_RECOVERY_SHEET} (${skipped})`, rowsOut.length);
+
+  return `Abandoned checkout recovery list built (${rowsOut.length} customers, ${skipped})`;
+}
+
+/**
+ * Map email -> { orders: Set(orderId), ltv, last: latest order date } from All_Orders_Clean.
+ */
+function getCleanOrderHistoryByEmail_() {
+  const history = new Map();
+  const clean = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CLEAN_OUTPUT_SHEET);
+  if (!clean || clean.getLastRow() < 2) return history;
+
+  const data = clean.getDataRange().getValues();
+  const hm = {};
+  data[0].forEach((x, i) => hm[String(x || '').trim()] = i);
+  const COL = {
+    email: mustColStrict_(hm, "customer_email_norm"),
+    orderId: mustColStrict_(hm, "order_id"),
+    orderDate: mustColStrict_(hm, "order_date"),
+    rev: mustColStrict_(hm, "line_revenue")
+  };
+
+  for (let r = 1; r < data.length; r++) {
+    const email = normEmail_(data[r][COL.email]);
+    if (!email) continue;
+
+    let c = history.get(email);
+    if (!c) {
+      c = { orders: new Set(), ltv: 0, last: null };
+      history.set(email, c);
+    }
+    const orderId = s_(data[r][COL.orderId]);
+    if (orderId) c.orders.add(orderId);
+    c.ltv += n_(data[r][COL.rev]);
+
+    const dt = asDate_(data[r][COL.orderDate]);
+    if (dt && (!c.last || dt > c.last)) c.last = dt;
+  }
+  return history;
+}
@@ -0,0 +1,266 @@
+// =====================================================
+// 33_ExclusionRules.js — Exclusion_Rules sheet (which order lines never reach All_Orders_Clean)
+// Features:
+// - One rule per row: platform, date window, field, operator, value, scope, active flag
+// - Evaluated by the clean build (cleanOrderLines_) and by cleanBannedEmailsFromAllOrdersClean()
+// - Always-on email rules (every platform, no dates, domain / equals) also count as banned
+//   emails everywhere loadBannedList_() is used (outreach, abandoned checkouts); that read
+//   never creates the tab and skips malformed rules with a log warning
+// - The sheet is created with the rules that used to be hard-coded (banned product keywords,
+//   the 2026 Squarespace Montana LLC renewal duplicates, the dirtlegal.com domain)
+//
+// Columns:
+// - Platform: blank / "All" = every platform, else connector names ("Shopify, Squarespace")
+// - Start Date / End Date: order date window, inclusive; blank = open-ended
+// - Field: product | sku | email | tag | amount (line revenue for line rules, order net
+//   revenue for order rules)
+// - Operator: contains | equals | regex | keywords | domain (email only) | > | >= | < | <= (amount)
+//   keywords = "(montana OR mt) AND llc AND renew": every AND group must have one OR term,
+//   matched on lowercase text with punctuation removed
+// - Scope: line (drop the matching line) | order (drop the whole order)
+// - Reason: label for the exclusion (e.g. "banned product"), shown in logs
+// Text matching is case-insensitive. Rebuild Clean Master after editing rules.
+// =====================================================
+
+const EXCLUSION_RULES_SHEET_NAME = 'Exclusion_Rules';
+const EXCLUSION_RULES_HEADERS = [
+  'Rule ID',
+  'Active',
+  'Platform',
+  'Start Date',
+  'End Date',
+  'Field',
+  'Operator',
+  'Value',
+  'Scope',
+  'Reason',
+  'Notes'
+];
+
+const EXCLUSION_RULE_FIELDS = ['product', 'sku', 'email', 'tag', 'amount'];
+const EXCLUSION_TEXT_OPERATORS = ['contains', 'equals', 'regex', 'keywords'];
+const EXCLUSION_AMOUNT_OPERATORS = ['equals', '>', '>=', '<', '<='];
+
+// Seeded when the sheet is created (formerly BANNED_PRODUCT_KEYWORDS in 06_CleanMaster)
+const EXCLUSION_SEED_PRODUCT_KEYWORDS = [
+  "Roxo", "Rough Country", "Rigid", "Rugged Ridge", "ScanGauge", "Shorty Stunt", "Smittybilt",
+  "Spoke", "Squadron", "Honda Talon", "Stainless Steel", "Standard Side", "Stealth",
+  "Sticker Bomb", "SUZUKI DRZ400SM", "Subaru Crosstrek", "Tactical", "Speedometer", "Trail Tech",
+  "Trailmax", "Skid Plate", "Tusk", "Universal", "Signal", "UTV Conversion", "UTV Plug",
+  "Legal Conversion", "Vehicle Sales Tax", "Vintage Air", "Winch", "Wheelie", "Windshield",
+  "WR250 R/X", "OEM", "ZETA"
+];
+
+let EXCLUSION_RULES_CACHE_ = null;
+
+/**
+ * Creates Exclusion_Rules with the default rules (no-op when the tab already exists).
+ */
+function setupExclusionRulesTab() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (ss.getSheetByName(EXCLUSION_RULES_SHEET_NAME)) {
+    const msg = `${EXCLUSION_RULES_SHEET_NAME} tab already exists.`;
+    ss.toast(msg, 'Exclusion Rules', 5);
+    return msg;
+  }
+
+  const sheet = ensureExclusionRulesSheet_();
+  const msg = `✅ Created ${EXCLUSION_RULES_SHEET_NAME} with ${sheet.getLastRow() - 1} default rules.`;
+  logImportEvent('Exclusion Rules', msg);
+  ss.toast(msg, 'Exclusion Rules', 6);
+  return msg;
+}
+
+function ensureExclusionRulesSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(EXCLUSION_RULES_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = getOrCreateSheetWithHeaders(EXCLUSION_RULES_SHEET_NAME, EXCLUSION_RULES_HEADERS);
+
+  const rows = exclusionSeedRows_();
+  sheet.getRange(2, 1, rows.length, EXCLUSION_RULES_HEADERS.length).setValues(rows);
+  sheet.getRange(2, 4, rows.length, 2).setNumberFormat('yyyy-mm-dd');
+  sheet.getRange(2, 8, rows.length, 1).setNumberFormat('@');
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, EXCLUSION_RULES_HEADERS.length).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+  sheet.autoResizeColumns(1, EXCLUSION_RULES_HEADERS.length);
+  return sheet;
+}
+
+// Default rules, in EXCLUSION_RULES_HEADERS order
+function exclusionSeedRows_() {
+  const rows = EXCLUSION_SEED_PRODUCT_KEYWORDS.map((kw, i) => [
+    `BP-${String(i + 1).padStart(2, '0')}`, true, 'All', '', '', 'product', 'contains', kw, 'line', 'banned product', ''
+  ]);
+  rows.push(['SQ-MT-RENEWAL-2026', true, 'Squarespace', new Date(2026, 0, 1), new Date(2026, 11, 31), 'product', 'keywords',
+    '(montana OR mt) AND llc AND renew', 'order', 'renewal duplicate', 'Squarespace duplicate prevention']);
+  rows.push(['EMAIL-DIRTLEGAL', true, 'All', '', '', 'email', 'domain', 'dirtlegal.com', 'line', 'banned email', 'Internal company domain']);
+  return rows;
+}
+
+/**
+ * Active rules split by scope: { line: [rule], order: [rule] }. Throws on a malformed rule
+ * (naming its row) so a typo cannot silently let excluded orders through.
+ */
+function loadExclusionRules_() {
+  if (EXCLUSION_RULES_CACHE_) return EXCLUSION_RULES_CACHE_;
+
+  EXCLUSION_RULES_CACHE_ = parseExclusionRules_(ensureExclusionRulesSheet_().getDataRange().getValues(), null);
+  return EXCLUSION_RULES_CACHE_;
+}
+
+// Sheet values (header row first) -> { line, order }. onInvalid(error) skips a malformed rule
+// instead of throwing.
+function parseExclusionRules_(data, onInvalid) {
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
+  const get = (row, name) => (col(name) >= 0 ? row[col(name)] : '');
+
+  const rules = { line: [], order: [] };
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    if (!s_(get(row, 'Field')) && !s_(get(row, 'Value'))) continue;
+    if (!truthy_(get(row, 'Active'))) continue;
+
+    let rule;
+    try {
+      rule = parseExclusionRule_(row, get, r + 1);
+    } catch (e) {
+      if (!onInvalid) throw e;
+      onInvalid(e);
+      continue;
+    }
+    rules[rule.scope].push(rule);
+  }
+  return rules;
+}
+
+function parseExclusionRule_(row, get, rowNum) {
+  const where = `${EXCLUSION_RULES_SHEET_NAME} row ${rowNum}`;
+  const field = s_(get(row, 'Field')).toLowerCase();
+  const op = s_(get(row, 'Operator')).toLowerCase();
+  const value = s_(get(row, 'Value'));
+  const scope = s_(get(row, 'Scope')).toLowerCase() || 'line';
+
+  if (EXCLUSION_RULE_FIELDS.indexOf(field) === -1) throw new Error(`${where}: unknown Field "${field}" (use ${EXCLUSION_RULE_FIELDS.join(', ')}).`);
+  if (scope !== 'line' && scope !== 'order') throw new Error(`${where}: Scope must be "line" or "order".`);
+  if (!value) throw new Error(`${where}: Value is empty.`);
+
+  const ops = field === 'amount' ? EXCLUSION_AMOUNT_OPERATORS : EXCLUSION_TEXT_OPERATORS.concat(field === 'email' ? ['domain'] : []);
+  if (ops.indexOf(op) === -1) throw new Error(`${where}: Operator "${op}" does not apply to ${field} (use ${ops.join(', ')}).`);
+
+  const platforms = s_(get(row, 'Platform')).split(',').map(p => p.trim().toLowerCase()).filter(p => p && p !== 'all');
+
+  const rule = {
+    id: s_(get(row, 'Rule ID')) || `row ${rowNum}`,
+    platforms: platforms,
+    start: exclusionRuleDate_(get(row, 'Start Date')),
+    end: exclusionRuleDate_(get(row, 'End Date')),
+    field: field,
+    op: op,
+    value: value,
+    scope: scope,
+    reason: s_(get(row, 'Reason')) || `${field} rule`
+  };
+  if (rule.end) rule.end = endOfDay_(rule.end);
+
+  if (op === 'regex') {
+    try { rule.re = new RegExp(value, 'i'); } catch (e) { throw new Error(`${where}: invalid regex ${value} (${e.message}).`); }
+  } else if (op === 'keywords') {
+    // "(a OR b) AND c": AND across groups, OR inside a group
+    rule.groups = value.split(/\s+AND\s+/i)
+      .map(g => g.replace(/[()]/g, ' ').split(/\s+OR\s+/i).map(normalizeProductText_).filter(Boolean))
+      .filter(g => g.length);
+  } else if (field === 'amount') {
+    rule.amount = parseMoney_(value);
+  } else if (op === 'domain') {
+    rule.value = value.toLowerCase().replace(/^\*?@/, '');
+  } else {
+    rule.value = value.toLowerCase();
+  }
+  return rule;
+}
+
+function exclusionRuleDate_(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v.trim())) return new Date(v.trim() + 'T00:00:00');
+  return asDate_(v);
+}
+
+/**
+ * First rule in the list matching a line of platform, or null. subject carries the clean
+ * line fields: orderDate, email, productName, sku, tags, lineRevenue, netRevenue.
+ */
+function matchExclusionRule_(rules, platform, subject) {
+  const p = s_(platform).toLowerCase();
+  for (const rule of rules) {
+    if (rule.platforms.length && rule.platforms.indexOf(p) === -1) continue;
+    if (rule.start || rule.end) {
+      const dt = asDate_(subject.orderDate);
+      if (!dt) continue;
+      if (rule.start && dt < rule.start) continue;
+      if (rule.end && dt > rule.end) continue;
+    }
+    if (exclusionRuleMatches_(rule, subject)) return rule;
+  }
+  return null;
+}
+
+function exclusionRuleMatches_(rule, subject) {
+  if (rule.field === 'amount') {
+    const amount = n_(rule.scope === 'order' ? subject.netRevenue : subject.lineRevenue);
+    switch (rule.op) {
+      case 'equals': return Math.abs(amount - rule.amount) < 0.005;
+      case '>': return amount > rule.amount;
+      case '>=': return amount >= rule.amount;
+      case '<': return amount < rule.amount;
+      case '<=': return amount <= rule.amount;
+    }
+    return false;
+  }
+
+  const text = s_({ product: subject.productName, sku: subject.sku, email: subject.email, tag: subject.tags }[rule.field]);
+  if (!text) return false;
+
+  switch (rule.op) {
+    case 'contains': return text.toLowerCase().includes(rule.value);
+    case 'regex': return rule.re.test(text);
+    case 'keywords': {
+      const norm = normalizeProductText_(text);
+      return rule.groups.every(g => g.some(kw => norm.includes(kw)));
+    }
+    case 'domain': {
+      const email = normEmail_(text);
+      const domain = email.substring(email.lastIndexOf('@') + 1);
+      return email.indexOf('@') !== -1 && (domain === rule.value || domain.endsWith('.' + rule.value));
+    }
+    case 'equals':
+      // Tags: any single tag equal to the value
+      if (rule.field === 'tag') return text.split(',').some(t => t.trim().toLowerCase() === rule.value);
+      return text.toLowerCase() === rule.value;
+  }
+  return false;
+}
+
+/**
+ * Active email rules that apply everywhere (every platform, no date window, domain / equals),
+ * for loadBannedList_(): { exact: [email], domains: [domain] }. Read-only: without the tab
+ * the default rules apply, and a malformed rule is logged and skipped (the clean build is
+ * the one that stops on it).
+ */
+function getGlobalEmailExclusions_() {
+  const out = { exact: [], domains: [] };
+  let rules = EXCLUSION_RULES_CACHE_;
+  if (!rules) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EXCLUSION_RULES_SHEET_NAME);
+    const data = sheet ? sheet.getDataRange().getValues() : [EXCLUSION_RULES_HEADERS].concat(exclusionSeedRows_());
+    rules = parseExclusionRules_(data, e => Logger.log(`⚠️ Skipped exclusion rule: ${e.message}`));
+  }
+  rules.line.concat(rules.order).forEach(rule => {
+    if (rule.field !== 'email' || rule.platforms.length || rule.start || rule.end) return;
+    if (rule.op === 'domain') out.domains.push(rule.value);
+    else if (rule.op === 'equals') out.exact.push(rule.value);
+  });
+  return out;
+}
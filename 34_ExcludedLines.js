@@ -0,0 +1,183 @@
+// =====================================================
+// 34_ExcludedLines.js — Excluded_Lines audit trail + exclusion summary
+// Features:
+// - Every raw order line the clean build leaves out of All_Orders_Clean is written to
+//   Excluded_Lines with a reason code (rewritten by each full / incremental build; lines
+//   removed later by cleanBannedEmailsFromAllOrdersClean() are appended)
+// - Reason codes: the fixed ones in EXCLUSION_REASONS, or the Reason of the Exclusion_Rules
+//   rule that matched (e.g. "banned product", "renewal duplicate", "banned email")
+// - buildExclusionSummaryReport(): lines, orders and revenue removed by reason, platform and month
+// =====================================================
+
+const EXCLUDED_LINES_SHEET_NAME = 'Excluded_Lines';
+const EXCLUDED_LINES_HEADERS = [
+  'Platform',
+  'Order ID',
+  'Order Number',
+  'Order Date',
+  'Product Name',
+  'SKU',
+  'Customer Email',
+  'Quantity',
+  'Line Amount',   // line revenue (quantity × unit price)
+  'Reason',
+  'Rule ID',       // Exclusion_Rules rule, blank for fixed reasons
+  'Store'
+];
+
+const EXCLUSION_SUMMARY_SHEET_NAME = 'Exclusion_Summary';
+
+// Reasons that do not come from an Exclusion_Rules row
+const EXCLUSION_REASONS = {
+  TEST: 'test order',
+  REMOVED: 'removed line',        // dropped from the order by an order edit
+  UNPAID: 'unpaid order',         // connector line.skip (e.g. WooCommerce pending/cancelled)
+  BANNED_EMAIL: 'banned email',   // Banned_Emails tab
+  BLANK_PRODUCT: 'blank product',
+  CONNECTOR_RULE: 'connector order rule'
+};
+
+function excludedLineRow_(conn, line, reason, ruleId) {
+  return [
+    conn.name,
+    line.orderId,
+    line.orderNumber,
+    line.orderDate || '',
+    line.productName,
+    line.sku,
+    line.email,
+    line.quantity,
+    line.lineRevenue,
+    reason,
+    ruleId || '',
+    line.store || conn.name
+  ];
+}
+
+function resetExcludedLines_() {
+  const sheet = getOrCreateSheetWithHeaders(EXCLUDED_LINES_SHEET_NAME, EXCLUDED_LINES_HEADERS);
+  const lr = sheet.getLastRow();
+  if (lr > 1) sheet.getRange(2, 1, lr - 1, EXCLUDED_LINES_HEADERS.length).clearContent();
+}
+
+/**
+ * Writes rows starting at startRow (the full build tracks its own position so a resumed
+ * chunk overwrites instead of duplicating).
+ */
+function writeExcludedLinesAt_(startRow, rows) {
+  if (!rows.length) return;
+  const sheet = getOrCreateSheetWithHeaders(EXCLUDED_LINES_SHEET_NAME, EXCLUDED_LINES_HEADERS);
+  const width = EXCLUDED_LINES_HEADERS.length;
+
+  sheet.getRange(startRow, 2, rows.length, 2).setNumberFormat('@');
+  sheet.getRange(startRow, 1, rows.length, width).setValues(rows);
+  sheet.getRange(startRow, 4, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm');
+  sheet.getRange(startRow, 9, rows.length, 1).setNumberFormat('0.00');
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+}
+
+/**
+ * Replaces every Excluded_Lines row.
+ */
+function writeExcludedLines_(rows) {
+  resetExcludedLines_();
+  writeExcludedLinesAt_(2, rows);
+}
+
+function appendExcludedLines_(rows) {
+  const sheet = getOrCreateSheetWithHeaders(EXCLUDED_LINES_SHEET_NAME, EXCLUDED_LINES_HEADERS);
+  writeExcludedLinesAt_(sheet.getLastRow() + 1, rows);
+}
+
+/**
+ * Orders of one platform dropped whole (order-scope rule or connector order rule) in
+ * Excluded_Lines rows 2..endRow-1: Order ID -> { reason, ruleId }. Only whole-order drops
+ * carry those rule IDs / reasons, so the lines identify the orders.
+ */
+function readOrderExclusions_(platform, endRow) {
+  const excluded = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EXCLUDED_LINES_SHEET_NAME);
+  if (!sheet || endRow <= 2) return excluded;
+
+  const orderRuleIds = new Set(loadExclusionRules_().order.map(rule => s_(rule.id)));
+  const c = name => EXCLUDED_LINES_HEADERS.indexOf(name);
+
+  sheet.getRange(2, 1, endRow - 2, EXCLUDED_LINES_HEADERS.length).getValues().forEach(row => {
+    if (s_(row[c('Platform')]) !== platform) return;
+    const reason = s_(row[c('Reason')]);
+    const ruleId = s_(row[c('Rule ID')]);
+    const wholeOrder = ruleId ? orderRuleIds.has(ruleId) : reason === EXCLUSION_REASONS.CONNECTOR_RULE;
+    if (wholeOrder) excluded.set(s_(row[c('Order ID')]), { reason: reason, ruleId: ruleId });
+  });
+  return excluded;
+}
+
+/**
+ * Exclusion_Summary: totals by reason, then lines / orders / revenue removed per month,
+ * reason and platform (newest month first).
+ */
+function buildExclusionSummaryReport() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
+
+  const src = ss.getSheetByName(EXCLUDED_LINES_SHEET_NAME);
+  if (!src || src.getLastRow() < 2) throw new Error(`No data found in "${EXCLUDED_LINES_SHEET_NAME}". Build Clean Master first.`);
+
+  const data = src.getDataRange().getValues();
+  const h = data[0].map(x => String(x || '').trim());
+  const col = name => h.indexOf(name);
+
+  const byReason = new Map(); // reason -> bucket
+  const byMonth = new Map();  // month||reason||platform -> bucket
+  const bucket = (map, key, fields) => {
+    if (!map.has(key)) map.set(key, Object.assign({ lines: 0, orders: new Set(), revenue: 0 }, fields));
+    return map.get(key);
+  };
+
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    const platform = s_(row[col('Platform')]);
+    const reason = s_(row[col('Reason')]) || '(none)';
+    const dt = asDate_(row[col('Order Date')]);
+    const month = dt ? formatDate_(dt).slice(0, 7) : '(no date)';
+    const orderKey = `${platform}||${s_(row[col('Order ID')])}`;
+    const amount = n_(row[col('Line Amount')]);
+
+    [bucket(byReason, reason, { reason: reason }), bucket(byMonth, `${month}||${reason}||${platform}`, { month: month, reason: reason, platform: platform })]
+      .forEach(b => { b.lines++; b.orders.add(orderKey); b.revenue += amount; });
+  }
+
+  const reasonRows = Array.from(byReason.values())
+    .sort((a, b) => b.revenue - a.revenue)
+    .map(b => [b.reason, b.lines, b.orders.size, b.revenue]);
+
+  const monthRows = Array.from(byMonth.values())
+    .sort((a, b) => (a.month < b.month ? 1 : a.month > b.month ? -1 : b.revenue - a.revenue))
+    .map(b => [b.month, b.reason, b.platform, b.lines, b.orders.size, b.revenue]);
+
+  const outSheet = ss.getSheetByName(EXCLUSION_SUMMARY_SHEET_NAME) || ss.insertSheet(EXCLUSION_SUMMARY_SHEET_NAME);
+  outSheet.clearContents();
+
+  const reasonHeaders = ['Reason', 'Lines', 'Orders', 'Revenue Removed'];
+  outSheet.getRange(1, 1, 1, reasonHeaders.length).setValues([reasonHeaders]).setFontWeight('bold');
+  outSheet.getRange(2, 1, reasonRows.length, reasonHeaders.length).setValues(reasonRows);
+  outSheet.getRange(2, 4, reasonRows.length, 1).setNumberFormat('$#,##0.00');
+
+  const top = reasonRows.length + 3;
+  const monthHeaders = ['Month', 'Reason', 'Platform', 'Lines', 'Orders', 'Revenue Removed'];
+  outSheet.getRange(top, 1, 1, monthHeaders.length).setValues([monthHeaders]).setFontWeight('bold');
+  outSheet.getRange(top + 1, 1, monthRows.length, 1).setNumberFormat('@'); // keep "2026-01" as text
+  outSheet.getRange(top + 1, 1, monthRows.length, monthHeaders.length).setValues(monthRows);
+  outSheet.getRange(top + 1, 6, monthRows.length, 1).setNumberFormat('$#,##0.00');
+
+  outSheet.setFrozenRows(1);
+  outSheet.autoResizeColumns(1, monthHeaders.length);
+
+  const revenue = reasonRows.reduce((sum, r) => sum + r[3], 0);
+  const msg = `Exclusion summary built: ${data.length - 1} excluded lines, $${revenue.toFixed(2)} revenue across ${reasonRows.length} reasons`;
+  ss.toast(msg, 'Exclusions', 6);
+  logImportEvent('Exclusions', msg, data.length - 1);
+  return msg;
+}
@@ -0,0 +1,308 @@
+// =====================================================
+// 35_ProductMap.js — Product_Map (raw product name / SKU -> canonical product, category, product line)
+// Features:
+// - The clean build writes product_canonical and category for every line that matches a
+//   Product_Map row (blank when nothing matches), so one product sold under different names
+//   on Shopify / Squarespace, or split into variants, rolls up to a single row in the summary
+// - buildUnmappedProductsQueue(): Unmapped_Products lists the raw names / SKUs in
+//   All_Orders_Clean without a match, by revenue; fill in Canonical Product (and Category /
+//   Product Line) there and run addUnmappedProductsToMap() to append them to Product_Map
+//
+// Columns:
+// - Match On: name (product_name) | sku
+// - Match Type: equals (default) | starts with | contains | regex — case-insensitive;
+//   "starts with" catches variant names ("Widget - Large" under "Widget")
+// - Platform: blank / "All" = every platform, else connector names ("Shopify, Squarespace")
+// First matching row wins, so put SKU and exact-name rows above broad contains / regex rows.
+// Rebuild Clean Master after editing the map.
+// =====================================================
+
+const PRODUCT_MAP_SHEET_NAME = 'Product_Map';
+const PRODUCT_MAP_HEADERS = [
+  'Pattern',
+  'Match On',
+  'Match Type',
+  'Platform',
+  'Canonical Product',
+  'Category',
+  'Product Line',
+  'Notes'
+];
+
+const PRODUCT_MAP_MATCH_ON = ['name', 'sku'];
+const PRODUCT_MAP_MATCH_TYPES = ['equals', 'starts with', 'contains', 'regex'];
+
+const UNMAPPED_PRODUCTS_SHEET_NAME = 'Unmapped_Products';
+const UNMAPPED_PRODUCTS_HEADERS = [
+  'Platform',
+  'Product Name',
+  'SKU',
+  'Lines',
+  'Units',
+  'Revenue',
+  'First Seen',
+  'Last Seen',
+  'Canonical Product', // manual; picked up by addUnmappedProductsToMap()
+  'Category',          // manual
+  'Product Line'       // manual
+];
+
+const PRODUCT_CATEGORY_UNMAPPED = '(Unmapped)';
+
+let PRODUCT_MAP_CACHE_ = null;
+
+/**
+ * Creates an empty Product_Map (no-op when the tab already exists).
+ */
+function setupProductMapTab() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (ss.getSheetByName(PRODUCT_MAP_SHEET_NAME)) {
+    const msg = `${PRODUCT_MAP_SHEET_NAME} tab already exists.`;
+    ss.toast(msg, 'Product Map', 5);
+    return msg;
+  }
+
+  ensureProductMapSheet_();
+  const msg = `✅ Created ${PRODUCT_MAP_SHEET_NAME}. Build the Unmapped_Products queue to see which names need a canonical product.`;
+  logImportEvent('Product Map', msg);
+  ss.toast(msg, 'Product Map', 6);
+  return msg;
+}
+
+function ensureProductMapSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(PRODUCT_MAP_SHEET_NAME);
+  if (sheet) return sheet;
+
+  sheet = getOrCreateSheetWithHeaders(PRODUCT_MAP_SHEET_NAME, PRODUCT_MAP_HEADERS);
+  if (sheet.getMaxRows() > 1) sheet.getRange(2, 1, sheet.getMaxRows() - 1, 1).setNumberFormat('@'); // SKUs like "00123"
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, PRODUCT_MAP_HEADERS.length).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+  return sheet;
+}
+
+/**
+ * Product_Map rows in sheet order. Throws on a malformed row (naming its row) so a typo
+ * cannot silently leave products unmapped. Empty when the tab does not exist.
+ */
+function loadProductMap_() {
+  if (PRODUCT_MAP_CACHE_) return PRODUCT_MAP_CACHE_;
+
+  const entries = [];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PRODUCT_MAP_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    const data = sheet.getDataRange().getValues();
+    const h = data[0].map(x => String(x || '').trim());
+    const col = name => h.indexOf(name);
+    const get = (row, name) => (col(name) >= 0 ? row[col(name)] : '');
+
+    for (let r = 1; r < data.length; r++) {
+      const row = data[r];
+      if (!s_(get(row, 'Pattern')) && !s_(get(row, 'Canonical Product'))) continue;
+      entries.push(parseProductMapRow_(row, get, r + 1));
+    }
+  }
+
+  PRODUCT_MAP_CACHE_ = entries;
+  return entries;
+}
+
+function parseProductMapRow_(row, get, rowNum) {
+  const where = `${PRODUCT_MAP_SHEET_NAME} row ${rowNum}`;
+  const pattern = s_(get(row, 'Pattern'));
+  const matchOn = s_(get(row, 'Match On')).toLowerCase() || 'name';
+  const matchType = s_(get(row, 'Match Type')).toLowerCase() || 'equals';
+  const canonical = s_(get(row, 'Canonical Product'));
+
+  if (!pattern) throw new Error(`${where}: Pattern is empty.`);
+  if (!canonical) throw new Error(`${where}: Canonical Product is empty.`);
+  if (PRODUCT_MAP_MATCH_ON.indexOf(matchOn) === -1) throw new Error(`${where}: unknown Match On "${matchOn}" (use ${PRODUCT_MAP_MATCH_ON.join(', ')}).`);
+  if (PRODUCT_MAP_MATCH_TYPES.indexOf(matchType) === -1) throw new Error(`${where}: unknown Match Type "${matchType}" (use ${PRODUCT_MAP_MATCH_TYPES.join(', ')}).`);
+
+  const entry = {
+    row: rowNum,
+    matchOn: matchOn,
+    matchType: matchType,
+    value: pattern.toLowerCase(),
+    platforms: s_(get(row, 'Platform')).split(',').map(p => p.trim().toLowerCase()).filter(p => p && p !== 'all'),
+    canonical: canonical,
+    category: s_(get(row, 'Category')),
+    productLine: s_(get(row, 'Product Line'))
+  };
+
+  if (matchType === 'regex') {
+    try { entry.re = new RegExp(pattern, 'i'); } catch (e) { throw new Error(`${where}: invalid regex ${pattern} (${e.message}).`); }
+  }
+  return entry;
+}
+
+/**
+ * First Product_Map entry matching a clean line (productName / sku) of platform, or null.
+ */
+function matchProductMap_(platform, line) {
+  const p = s_(platform).toLowerCase();
+  for (const entry of loadProductMap_()) {
+    if (entry.platforms.length && entry.platforms.indexOf(p) === -1) continue;
+
+    const text = s_(entry.matchOn === 'sku' ? line.sku : line.productName);
+    if (!text) continue;
+
+    const lower = text.toLowerCase();
+    switch (entry.matchType) {
+      case 'equals': if (lower === entry.value) return entry; break;
+      case 'starts with': if (lower.startsWith(entry.value)) return entry; break;
+      case 'contains': if (lower.includes(entry.value)) return entry; break;
+      case 'regex': if (entry.re.test(text)) return entry; break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map canonical product -> { category, productLine } (first Product_Map row of each).
+ */
+function getCanonicalProductInfo_() {
+  const info = new Map();
+  loadProductMap_().forEach(entry => {
+    if (!info.has(entry.canonical)) info.set(entry.canonical, { category: entry.category, productLine: entry.productLine });
+  });
+  return info;
+}
+
+/**
+ * Unmapped_Products: one row per platform / raw product name / SKU in All_Orders_Clean with a
+ * blank product_canonical, highest revenue first. Manual columns already filled in for a
+ * name that is still unmapped are kept.
+ */
+function buildUnmappedProductsQueue() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  assertCleanMasterReady_();
+
+  const clean = ss.getSheetByName(CLEAN_OUTPUT_SHEET);
+  if (!clean || clean.getLastRow() < 2) throw new Error(`No data found in "${CLEAN_OUTPUT_SHEET}". Build Clean Master first.`);
+
+  const data = clean.getDataRange().getValues();
+  const hm = {};
+  data[0].forEach((x, i) => hm[String(x || '').trim()] = i);
+  if (hm["product_canonical"] === undefined) throw new Error(`"${CLEAN_OUTPUT_SHEET}" has no product_canonical column. Rebuild Clean Master first.`);
+
+  const COL = {
+    platform: mustColStrict_(hm, "platform"),
+    orderDate: mustColStrict_(hm, "order_date"),
+    product: mustColStrict_(hm, "product_name"),
+    sku: mustColStrict_(hm, "sku"),
+    qty: mustColStrict_(hm, "quantity"),
+    rev: mustColStrict_(hm, "line_revenue"),
+    canonical: hm["product_canonical"]
+  };
+
+  const byProduct = new Map(); // platform||name||sku -> bucket
+  let mappedLines = 0;
+  for (let r = 1; r < data.length; r++) {
+    const row = data[r];
+    if (s_(row[COL.canonical])) { mappedLines++; continue; }
+
+    const platform = s_(row[COL.platform]);
+    const product = s_(row[COL.product]);
+    const sku = s_(row[COL.sku]);
+    const key = `${platform}||${product.toLowerCase()}||${sku.toLowerCase()}`;
+
+    let b = byProduct.get(key);
+    if (!b) {
+      b = { platform: platform, product: product, sku: sku, lines: 0, units: 0, revenue: 0, first: null, last: null };
+      byProduct.set(key, b);
+    }
+    b.lines++;
+    b.units += n_(row[COL.qty]);
+    b.revenue += n_(row[COL.rev]);
+
+    const dt = asDate_(row[COL.orderDate]);
+    if (dt && (!b.first || dt < b.first)) b.first = dt;
+    if (dt && (!b.last || dt > b.last)) b.last = dt;
+  }
+
+  const sheet = getOrCreateSheetWithHeaders(UNMAPPED_PRODUCTS_SHEET_NAME, UNMAPPED_PRODUCTS_HEADERS);
+  const width = UNMAPPED_PRODUCTS_HEADERS.length;
+
+  // Manual columns typed in before the last rebuild, keyed like byProduct
+  const manual = new Map();
+  const lr = sheet.getLastRow();
+  if (lr > 1) {
+    sheet.getRange(2, 1, lr - 1, width).getValues().forEach(row => {
+      if (!s_(row[8]) && !s_(row[9]) && !s_(row[10])) return;
+      manual.set(`${s_(row[0])}||${s_(row[1]).toLowerCase()}||${s_(row[2]).toLowerCase()}`, [row[8], row[9], row[10]]);
+    });
+    sheet.getRange(2, 1, lr - 1, width).clearContent();
+  }
+
+  const rows = [];
+  byProduct.forEach((b, key) => rows.push([
+    b.platform, b.product, b.sku, b.lines, b.units, b.revenue,
+    b.first ? formatDate_(b.first) : '', b.last ? formatDate_(b.last) : ''
+  ].concat(manual.get(key) || ['', '', ''])));
+  rows.sort((a, b) => (b[5] || 0) - (a[5] || 0));
+
+  if (rows.length) {
+    sheet.getRange(2, 2, rows.length, 2).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, width).setValues(rows);
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('$#,##0.00');
+  }
+
+  sheet.setFrozenRows(1);
+  sheet.getRange(1, 1, 1, 8).setFontWeight('bold').setBackground('#4a86e8').setFontColor('#ffffff');
+  sheet.getRange(1, 9, 1, 3).setFontWeight('bold').setBackground('#f6b26b');
+  sheet.autoResizeColumns(1, width);
+
+  const revenue = rows.reduce((sum, r) => sum + r[5], 0);
+  const lines = rows.reduce((sum, r) => sum + r[3], 0);
+  const msg = `Unmapped products: ${rows.length} names (${lines} lines, $${revenue.toFixed(2)}); ${mappedLines} lines mapped`;
+  ss.toast(msg, 'Product Map', 6);
+  logImportEvent('Product Map', msg, rows.length);
+  return msg;
+}
+
+/**
+ * Appends every Unmapped_Products row with a Canonical Product to Product_Map (an exact
+ * name match for that platform, or an exact SKU match when the name is blank) and removes
+ * it from the queue. Rebuild Clean Master afterwards to apply.
+ */
+function addUnmappedProductsToMap() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const queue = ss.getSheetByName(UNMAPPED_PRODUCTS_SHEET_NAME);
+  if (!queue || queue.getLastRow() < 2) throw new Error(`No rows in "${UNMAPPED_PRODUCTS_SHEET_NAME}". Build the unmapped products queue first.`);
+
+  const width = UNMAPPED_PRODUCTS_HEADERS.length;
+  const rows = queue.getRange(2, 1, queue.getLastRow() - 1, width).getValues();
+
+  const note = `From ${UNMAPPED_PRODUCTS_SHEET_NAME} ${formatDate_(new Date())}`;
+  const added = [];
+  const remaining = [];
+  rows.forEach(row => {
+    const canonical = s_(row[8]);
+    const name = s_(row[1]);
+    const sku = s_(row[2]);
+    if (!canonical || (!name && !sku)) { remaining.push(row); return; }
+
+    added.push([name || sku, name ? 'name' : 'sku', 'equals', s_(row[0]), canonical, s_(row[9]), s_(row[10]), note]);
+  });
+
+  if (!added.length) {
+    const msg = `No ${UNMAPPED_PRODUCTS_SHEET_NAME} rows have a Canonical Product filled in.`;
+    ss.toast(msg, 'Product Map', 5);
+    return msg;
+  }
+
+  const map = ensureProductMapSheet_();
+  const start = map.getLastRow() + 1;
+  map.getRange(start, 1, added.length, 1).setNumberFormat('@');
+  map.getRange(start, 1, added.length, PRODUCT_MAP_HEADERS.length).setValues(added);
+  PRODUCT_MAP_CACHE_ = null;
+
+  queue.getRange(2, 1, rows.length, width).clearContent();
+  if (remaining.length) queue.getRange(2, 1, remaining.length, width).setValues(remaining);
+
+  const msg = `✅ Added ${added.length} rows to ${PRODUCT_MAP_SHEET_NAME}. Rebuild Clean Master to apply them.`;
+  logImportEvent('Product Map', msg, added.length);
+  ss.toast(msg, 'Product Map', 6);
+  return msg;
+}